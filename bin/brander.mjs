@@ -24,34 +24,73 @@
 
 /* eslint-disable no-process-exit */
 
-import { program } from 'commander';
+import { Option, program } from 'commander';
 import debug from 'debug';
 import { createRequire } from 'node:module';
 
 import { Brander } from '../src/brander.mjs';
+import { ConfigInitializer } from '../src/config/config-initializer.mjs';
 import { ConfigLoader } from '../src/config/config-loader.mjs';
 import { Logger } from '../src/logger.mjs';
+import { Watcher } from '../src/watcher.mjs';
 
 const require = createRequire(import.meta.url);
 const { version } = require('../package.json');
 
 (async() => {
+  let commandName;
+  let commandOptions = {};
+
   program
     .version(version)
-    .usage('[options]')
+    .usage('[options] [command]')
     .option('-c, --config <path>', 'use configuration from this file')
     .option('-d, --debug', 'enable debug level logging')
+    .option('--dry-run', 'print the assets and documentation that would be generated without writing any files')
+    .option('-j, --jobs <number>', 'maximum number of operations to run concurrently', (value) => Number(value))
+    .option('--no-cache', 'regenerate all assets, even those that are up to date')
     .option('--no-color', 'disables color output')
     .option('--only-assets', 'only generate assets')
     .option('--only-docs', 'only generate documentation')
+    .addOption(new Option('-p, --profile <name>', 'apply this profile from the configuration').env('BRANDER_PROFILE'))
     .option('-q, --quiet', 'disables all logging output')
-    .parse(process.argv);
+    .option('-w, --watch', 'watch for changes and regenerate affected assets and documentation');
+
+  program
+    .command('generate', { isDefault: true })
+    .description('generate assets and documentation')
+    .action(() => {
+      commandName = 'generate';
+    });
+
+  program
+    .command('check')
+    .description('check that generated assets and documentation are up to date without writing any files')
+    .action(() => {
+      commandName = 'check';
+    });
+
+  program
+    .command('init')
+    .description('generate a starter configuration file from existing assets')
+    .option('-f, --force', 'overwrite the configuration file if it already exists')
+    .action((options) => {
+      commandName = 'init';
+      commandOptions = options;
+    });
+
+  program.parse(process.argv);
 
   const configPath = program.getOptionValue('config');
+  const isCacheEnabled = program.getOptionValue('cache');
   const isDebugEnabled = program.getOptionValue('debug');
+  const isDryRunEnabled = program.getOptionValue('dryRun');
+  const jobs = program.getOptionValue('jobs');
   const isOnlyAssets = program.getOptionValue('onlyAssets');
   const isOnlyDocs = program.getOptionValue('onlyDocs');
+  const profile = program.getOptionValue('profile');
   const isQuietEnabled = program.getOptionValue('quiet');
+  const isWatchEnabled = program.getOptionValue('watch');
 
   if (isDebugEnabled && !isQuietEnabled) {
     debug.enable('brander*');
@@ -60,11 +99,71 @@ const { version } = require('../package.json');
   const logger = new Logger({ enabled: !isQuietEnabled });
 
   try {
-    const configLoader = new ConfigLoader({ logger });
+    if (commandName === 'init') {
+      const configInitializer = new ConfigInitializer({ logger });
+
+      await configInitializer.init(configPath, { force: commandOptions.force });
+
+      return;
+    }
+
+    const configLoader = new ConfigLoader({
+      logger,
+      options: jobs != null ? { concurrency: jobs } : null,
+      profile
+    });
+
+    if (commandName === 'check') {
+      const config = await configLoader.load(configPath);
+      const brander = new Brander(config);
+      const staleFiles = await brander.check({
+        skipAssets: isOnlyDocs,
+        skipDocs: isOnlyAssets
+      });
+
+      if (staleFiles.length) {
+        process.exitCode = 1;
+      }
+
+      return;
+    }
+
+    if (isDryRunEnabled) {
+      const config = await configLoader.load(configPath);
+      const brander = new Brander(config);
+
+      await brander.plan({
+        skipAssets: isOnlyDocs,
+        skipDocs: isOnlyAssets
+      });
+
+      return;
+    }
+
+    if (isWatchEnabled) {
+      const watcher = new Watcher(configLoader, {
+        cache: isCacheEnabled,
+        filePath: configPath,
+        skipAssets: isOnlyDocs,
+        skipDocs: isOnlyAssets
+      });
+
+      process.once('SIGINT', async() => {
+        await watcher.close();
+
+        process.exit(0);
+      });
+
+      await watcher.start();
+
+      return;
+    }
+
     const config = await configLoader.load(configPath);
     const brander = new Brander(config);
 
     await brander.generate({
+      cache: isCacheEnabled,
       skipAssets: isOnlyDocs,
       skipDocs: isOnlyAssets
     });
@@ -23,11 +23,29 @@
 /* istanbul ignore file */
 
 import chalk from 'chalk';
+import { upperFirst } from 'lodash-es';
+import pluralize from 'pluralize';
 
 import { DocumentContextParser } from './doc/document-context-parser.mjs';
 import { DocumentContextRunner } from './doc/document-context-runner.mjs';
+import { File } from './file.mjs';
+import { FileComparator } from './file-comparator.mjs';
+import { TaskCache } from './task/task-cache.mjs';
 import { TaskContextParser } from './task/task-context-parser.mjs';
 import { TaskContextRunner } from './task/task-context-runner.mjs';
+import { TaskService } from './task/task-service.mjs';
+
+export { Config } from './config/config.mjs';
+export { ConfigInitializer } from './config/config-initializer.mjs';
+export { ConfigLoader } from './config/config-loader.mjs';
+export { DocumentProvider } from './doc/document-provider.mjs';
+export { ExpressionError } from './config/expression-error.mjs';
+export { File } from './file.mjs';
+export { RepositoryProvider } from './config/repository/repository-provider.mjs';
+export { Size } from './size.mjs';
+export { Task } from './task/task.mjs';
+export { TaskType } from './task/task-type.mjs';
+export { createConfig } from './config/create-config.mjs';
 
 /**
  * Generates assets and documentation based on an associated {@link Config}.
@@ -52,6 +70,65 @@ export class Brander {
     this.#config = config;
   }
 
+  /**
+   * Checks whether the assets and documentation generated based on the configuration for this {@link Brander} are up to
+   * date with the files on disk.
+   *
+   * All assets and documentation are generated in memory, without using the {@link TaskCache}, and are then compared
+   * against their counterparts on disk (see {@link FileComparator}). Files on disk are never modified. Any files that
+   * are missing, outdated, or would have been deleted (e.g. by a "clean" task) are logged and returned as stale.
+   *
+   * Nothing happens if both the <code>skipAssets</code> and <code>skipDocs</code> options are <code>true</code>.
+   *
+   * An error will occur if a problem arises while generating the assets or documentation or reading the files on disk.
+   *
+   * @param {Brander~CheckOptions} [options] - the options to be used
+   * @return {Promise<Brander~StaleFile[]>} A <code>Promise</code> for the asynchronous checking of assets and
+   * documentation that is resolved with any stale files.
+   * @public
+   */
+  async check(options = {}) {
+    const { config } = this;
+    const { logger } = config;
+    const staleFiles = [];
+    let manifest = null;
+
+    const files = await File.capture(async() => {
+      manifest = await this.#generate({
+        cache: false,
+        skipAssets: options.skipAssets,
+        skipDocs: options.skipDocs
+      });
+    });
+    if (!manifest) {
+      return staleFiles;
+    }
+
+    logger.log();
+    logger.log('Checking generated files...');
+    logger.log();
+
+    for (const [ filePath, expected ] of files) {
+      const reason = await FileComparator.compareWithFile(filePath, File.deriveFormat(filePath), expected);
+      if (reason) {
+        staleFiles.push({ filePath, reason });
+
+        logger.warn('%s file: %s', upperFirst(reason), chalk.blue(config.relative(filePath)));
+      }
+    }
+
+    const fileCount = files.size;
+
+    if (staleFiles.length) {
+      logger.log();
+      logger.error('%d of %d %s stale!', staleFiles.length, fileCount, pluralize('file', fileCount));
+    } else {
+      logger.log(chalk.green('All %d %s up to date!'), fileCount, pluralize('file', fileCount));
+    }
+
+    return staleFiles;
+  }
+
   /**
    * Generates the assets and documentation based on the configuration for this {@link Brander}.
    *
@@ -59,33 +136,172 @@ export class Brander {
    *
    * Nothing happens if both the <code>skipAssets</code> and <code>skipDocs</code> options are <code>true</code>.
    *
+   * Unless the <code>cache</code> option is <code>false</code>, tasks will skip generating any output files that are
+   * already up to date according to the {@link TaskCache}, which is persisted between runs.
+   *
+   * The <code>taskFilter</code> and <code>docFilter</code> options can be used to only run a subset of the tasks and/or
+   * root documents within the configuration. All documents are still parsed and added to the {@link Scope}, regardless
+   * of whether they pass the filter, so that documents that depend on others (e.g. table of contents) are unaffected.
+   *
+   * The returned manifest describes all output files written by tasks, including those that were skipped as they were
+   * already up to date. If the "manifest" option is specified within the configuration, the manifest is also written as
+   * JSON to the file at that path, relative to the base directory, but only when all tasks have been run (i.e. neither
+   * the <code>skipAssets</code> nor <code>taskFilter</code> options are used) so that it is never incomplete.
+   *
    * An error will occur if a problem arises while generating the assets or documentation.
    *
    * @param {Brander~GenerateOptions} [options] - the options to be used
-   * @return {Promise<void>} A <code>Promise</code> for the asynchronous generation of assets and documentation.
+   * @return {Promise<Brander~Manifest>} A <code>Promise</code> for the asynchronous generation of assets and
+   * documentation that is resolved with the manifest of all task output files.
    * @public
    */
   async generate(options = {}) {
+    const { logger } = this.config;
+    const manifest = await this.#generate(options);
+    if (!manifest) {
+      return { files: [] };
+    }
+
+    logger.log();
+    logger.log(chalk.green('Done!'));
+
+    return manifest;
+  }
+
+  /**
+   * Plans the generation of the assets and documentation based on the configuration for this {@link Brander} without
+   * writing any files.
+   *
+   * All task and document data within the configuration is parsed and the supporting {@link Task} for each
+   * {@link TaskContext} is asked to plan its operations, with all output files being fully evaluated. Output files
+   * planned by earlier tasks are treated as existing when searching for the input files of later tasks so that the plan
+   * reflects what would be generated. The plan is logged as well as returned.
+   *
+   * Nothing happens if both the <code>skipAssets</code> and <code>skipDocs</code> options are <code>true</code>.
+   *
+   * An error will occur if a problem arises while planning the assets or documentation.
+   *
+   * @param {Brander~PlanOptions} [options] - the options to be used
+   * @return {Promise<Brander~Plan>} A <code>Promise</code> for the asynchronous planning of assets and documentation
+   * that is resolved with the plan.
+   * @public
+   */
+  async plan(options = {}) {
     const { config } = this;
     const { logger, scope } = config;
+    const plan = { docs: [], tasks: [] };
 
     scope.clear();
 
     if (options.skipAssets && options.skipDocs) {
       logger.warn('Both skipAssets and skipDocs options enabled. Nothing to do!');
 
-      return;
+      return plan;
     }
 
     if (!options.skipAssets) {
-      logger.log('Generating assets...');
+      logger.log('Planning assets...');
       logger.log();
 
+      const taskService = TaskService.getInstance();
       const taskContextParser = new TaskContextParser(config.tasks, config);
       taskContextParser.on('parsed', ({ contexts }) => scope.addAllTasks(contexts));
+      let taskContexts;
+
+      while ((taskContexts = await taskContextParser.parseNext()) != null) {
+        for (const context of taskContexts) {
+          const task = await taskService.findSupporting(context);
+          const operations = await config.withConfigPath(context.configPath, () => task.plan(context));
+          const outputFilePaths = operations
+            .filter((operation) => operation.outputFile)
+            .map((operation) => operation.outputFile.absolute);
+
+          taskContextParser.addPlannedFiles(outputFilePaths);
+
+          plan.tasks.push({ context, operations, task });
+
+          logger.log('%s task (%s):', context.type, task.constructor.name);
+
+          for (const { inputFiles, outputFile } of operations) {
+            const inputs = inputFiles.map((inputFile) => chalk.blue(inputFile.relative)).join(', ');
+
+            if (outputFile) {
+              logger.log('  %s -> %s', inputs, chalk.blue(outputFile.relative));
+            } else {
+              logger.log('  %s', inputs);
+            }
+          }
+        }
+      }
+    }
+
+    if (!options.skipDocs) {
+      if (!options.skipAssets) {
+        logger.log();
+      }
+      logger.log('Planning documentation...');
+      logger.log();
+
+      const documentContextParser = new DocumentContextParser(config.docs, config, 'root');
+      documentContextParser.on('parsed', ({ contexts }) => scope.addAllDocs(contexts));
+      const documentContexts = await documentContextParser.parseRemaining();
+
+      for (const context of documentContexts) {
+        plan.docs.push(context);
+
+        logger.log('%s document file: %s', context.type, chalk.blue(context.file.relative));
+      }
+    }
+
+    logger.log();
+    logger.log(chalk.green('Done! No files were written.'));
+
+    return plan;
+  }
+
+  /**
+   * @param {Brander~GenerateOptions} options
+   * @return {Promise<?Brander~Manifest>}
+   * @private
+   */
+  async #generate(options) {
+    const { config } = this;
+    const { logger, scope } = config;
+    const manifest = { files: [] };
+
+    scope.clear();
+
+    if (options.skipAssets && options.skipDocs) {
+      logger.warn('Both skipAssets and skipDocs options enabled. Nothing to do!');
+
+      return null;
+    }
+
+    if (!options.skipAssets) {
+      logger.log('Generating assets...');
+      logger.log();
+
+      const taskCache = options.cache !== false ? new TaskCache(config) : null;
+      if (taskCache) {
+        await taskCache.load();
+      }
+      const taskContextParser = new TaskContextParser(config.tasks, config, taskCache, options.taskFilter);
+      taskContextParser.on('parsed', ({ contexts }) => scope.addAllTasks(contexts));
       const taskContextRunner = new TaskContextRunner(taskContextParser, config);
 
-      await taskContextRunner.run();
+      try {
+        const results = await taskContextRunner.run();
+
+        manifest.files = results.flat();
+      } finally {
+        if (taskCache) {
+          await taskCache.save();
+        }
+      }
+
+      if (!options.taskFilter) {
+        await this.#writeManifest(manifest);
+      }
     }
 
     if (!options.skipDocs) {
@@ -97,14 +313,36 @@ export class Brander {
 
       const documentContextParser = new DocumentContextParser(config.docs, config, 'root');
       documentContextParser.on('parsed', ({ contexts }) => scope.addAllDocs(contexts));
-      const documentContexts = await documentContextParser.parseRemaining();
+      let documentContexts = await documentContextParser.parseRemaining();
+      if (options.docFilter) {
+        documentContexts = documentContexts.filter(options.docFilter);
+      }
       const documentContextRunner = new DocumentContextRunner(documentContexts, config);
 
       await documentContextRunner.run();
     }
 
-    logger.log();
-    logger.log(chalk.green('Done!'));
+    return manifest;
+  }
+
+  /**
+   * @param {Brander~Manifest} manifest
+   * @return {Promise<void>}
+   * @private
+   */
+  async #writeManifest(manifest) {
+    const { config } = this;
+    const manifestPath = config.option('manifest');
+    if (!manifestPath) {
+      return;
+    }
+
+    const filePath = config.resolve(manifestPath);
+
+    await File.writeFile(filePath, `${JSON.stringify(manifest, null, 2)}\n`);
+
+    config.logger.log();
+    config.logger.log('Wrote manifest file: %s', chalk.blue(config.relative(filePath)));
   }
 
   /**
@@ -119,10 +357,83 @@ export class Brander {
 
 }
 
+/**
+ * The options that can be passed to {@link Brander#check}.
+ *
+ * @typedef {Object} Brander~CheckOptions
+ * @property {boolean} [skipAssets] - <code>true</code> to skip checking assets; otherwise <code>false</code>.
+ * @property {boolean} [skipDocs] - <code>true</code> to skip checking documentation; otherwise <code>false</code>.
+ */
+
 /**
  * The options that can be passed to {@link Brander#generate}.
  *
  * @typedef {Object} Brander~GenerateOptions
+ * @property {boolean} [cache=true] - <code>false</code> to disable the {@link TaskCache} so that all task outputs are
+ * generated, even those that are already up to date; otherwise <code>true</code>.
+ * @property {Brander~DocumentFilter} [docFilter] - A function used to select which root documents are to be rendered.
+ * All root documents are rendered if not specified.
  * @property {boolean} [skipAssets] - <code>true</code> to skip asset generation; otherwise <code>false</code>.
  * @property {boolean} [skipDocs] - <code>true</code> to skip documentation generation; otherwise <code>false</code>.
+ * @property {Brander~TaskFilter} [taskFilter] - A function used to select which task data within the configuration are
+ * to be parsed and run. All tasks are run if not specified.
+ */
+
+/**
+ * Describes all output files written by tasks during {@link Brander#generate}.
+ *
+ * @typedef {Object} Brander~Manifest
+ * @property {Task~Output[]} files - The output files, in the order that their tasks appear within the configuration.
+ */
+
+/**
+ * Describes the assets and documentation that would be generated by {@link Brander#generate}.
+ *
+ * @typedef {Object} Brander~Plan
+ * @property {RootDocumentContext[]} docs - The contexts of the root documents that would be written.
+ * @property {Brander~TaskPlan[]} tasks - The planned operations for each task context, in the order they would run.
+ */
+
+/**
+ * The options that can be passed to {@link Brander#plan}.
+ *
+ * @typedef {Object} Brander~PlanOptions
+ * @property {boolean} [skipAssets] - <code>true</code> to skip asset planning; otherwise <code>false</code>.
+ * @property {boolean} [skipDocs] - <code>true</code> to skip documentation planning; otherwise <code>false</code>.
+ */
+
+/**
+ * Describes a file that is stale according to {@link Brander#check}.
+ *
+ * @typedef {Object} Brander~StaleFile
+ * @property {string} filePath - The absolute path of the file.
+ * @property {string} reason - The reason why the file is stale; "missing" if it would be generated but does not exist,
+ * "outdated" if its contents differ from what would be generated, or "unexpected" if it would be deleted.
+ */
+
+/**
+ * Describes the operations that would be performed for a single {@link TaskContext}.
+ *
+ * @typedef {Object} Brander~TaskPlan
+ * @property {TaskContext} context - The {@link TaskContext} that would be executed.
+ * @property {Task~Operation[]} operations - The operations that would be performed by <code>task</code>.
+ * @property {Task} task - The {@link Task} that supports <code>context</code>.
+ */
+
+/**
+ * A function that returns whether the specified root document <code>context</code> is to be rendered.
+ *
+ * @callback Brander~DocumentFilter
+ * @param {DocumentContext} context - the root {@link DocumentContext} to be checked
+ * @return {boolean} <code>true</code> if <code>context</code> is to be rendered; otherwise <code>false</code>.
+ */
+
+/**
+ * A function that returns whether the specified task <code>data</code>, found at the <code>index</code> provided within
+ * the "tasks" configuration, is to be parsed and run.
+ *
+ * @callback Brander~TaskFilter
+ * @param {Object} data - the raw task data to be checked
+ * @param {number} index - the index of <code>data</code> within the "tasks" configuration
+ * @return {boolean} <code>true</code> if <code>data</code> is to be parsed and run; otherwise <code>false</code>.
  */
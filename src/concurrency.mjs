@@ -0,0 +1,145 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+/**
+ * Creates a function that can be used to call asynchronous functions with no more than <code>concurrency</code> calls
+ * pending at any one time, across all callers.
+ *
+ * Unlike {@link mapConcurrently}, this allows calls that are not known upfront to share the same limit (e.g. when work
+ * is only discovered once other work has completed). Calls are started in the order in which they are queued.
+ *
+ * @param {number} concurrency - the maximum number of calls that can be pending at once
+ * @return {createLimiter~Limit} A function that calls a given function once the limit allows and is resolved or
+ * rejected with its result.
+ * @public
+ */
+export function createLimiter(concurrency) {
+  const queue = [];
+  let pending = 0;
+
+  const next = () => {
+    while (pending < Math.max(concurrency, 1) && queue.length) {
+      const { fn, reject, resolve } = queue.shift();
+
+      pending++;
+
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          pending--;
+          next();
+        });
+    }
+  };
+
+  return (fn) => new Promise((resolve, reject) => {
+    queue.push({ fn, reject, resolve });
+    next();
+  });
+}
+
+/**
+ * Calls the specified <code>iteratee</code> for each of the <code>items</code> provided, with no more than
+ * <code>concurrency</code> calls pending at any one time.
+ *
+ * Items are started in the order in which they appear within <code>items</code> and the results are resolved in that
+ * same order, regardless of the order in which they complete. When <code>concurrency</code> is <code>1</code> this
+ * behaves exactly like calling <code>iteratee</code> for each item sequentially.
+ *
+ * If any call to <code>iteratee</code> fails, no further items will be started and, once all pending calls have
+ * settled, the returned <code>Promise</code> will be rejected with the first error.
+ *
+ * @param {Array} items - the items to be iterated over
+ * @param {number} concurrency - the maximum number of calls to <code>iteratee</code> that can be pending at once
+ * @param {mapConcurrently~Iteratee} iteratee - the function to be called for each item
+ * @return {Promise<Array>} A <code>Promise</code> for the asynchronous iteration that is resolved with the results of
+ * each call to <code>iteratee</code>.
+ * @public
+ */
+export function mapConcurrently(items, concurrency, iteratee) {
+  return mapLimited(items, createLimiter(concurrency), iteratee);
+}
+
+/**
+ * Calls the specified <code>iteratee</code> for each of the <code>items</code> provided using <code>limit</code>, which
+ * may be shared with other callers (e.g. {@link Config#limit}) so that the number of calls pending across all of them
+ * is limited.
+ *
+ * Otherwise, this behaves exactly like {@link mapConcurrently}; items are started in the order in which they appear
+ * within <code>items</code>, the results are resolved in that same order, and no further items will be started once any
+ * call to <code>iteratee</code> fails.
+ *
+ * @param {Array} items - the items to be iterated over
+ * @param {createLimiter~Limit} limit - the limit to be used to call <code>iteratee</code>
+ * @param {mapConcurrently~Iteratee} iteratee - the function to be called for each item
+ * @return {Promise<Array>} A <code>Promise</code> for the asynchronous iteration that is resolved with the results of
+ * each call to <code>iteratee</code>.
+ * @public
+ */
+export async function mapLimited(items, limit, iteratee) {
+  let error = null;
+  let failed = false;
+
+  const results = await Promise.all(items.map((item, index) => limit(async() => {
+    if (failed) {
+      return undefined;
+    }
+
+    try {
+      return await iteratee(item, index);
+    } catch (e) {
+      if (!failed) {
+        error = e;
+        failed = true;
+      }
+
+      return undefined;
+    }
+  })));
+
+  if (failed) {
+    throw error;
+  }
+
+  return results;
+}
+
+/**
+ * A function returned by {@link createLimiter} that calls <code>fn</code> once no more than the allowed number of calls
+ * are pending.
+ *
+ * @callback createLimiter~Limit
+ * @param {Function} fn - the function to be called, which may return a <code>Promise</code>
+ * @return {Promise<*>} A <code>Promise</code> that is resolved or rejected with the result of <code>fn</code>.
+ */
+
+/**
+ * A function called by {@link mapConcurrently} or {@link mapLimited} for each item.
+ *
+ * @callback mapConcurrently~Iteratee
+ * @param {*} item - the current item
+ * @param {number} index - the index of <code>item</code>
+ * @return {Promise<*>|*} The result for <code>item</code>.
+ */
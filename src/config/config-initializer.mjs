@@ -0,0 +1,531 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import chalk from 'chalk';
+import Debug from 'debug';
+import { groupBy, isPlainObject, kebabCase, sortBy, startCase, trim, uniq } from 'lodash-es';
+import path from 'node:path';
+
+import { ConfigValidator } from './config-validator.mjs';
+import { File } from '../file.mjs';
+import { Logger } from '../logger.mjs';
+import { PackageLoader } from './package/package-loader.mjs';
+
+const debug = Debug('brander:config');
+
+/**
+ * Responsible for scaffolding a starter configuration file from the assets that already exist within a brand
+ * repository.
+ *
+ * A <code>ConfigInitializer</code> scans the assets directory (<code>assets</code> by default) for SVG logos (ignoring
+ * any that have already been optimized, i.e. <code>*.min.svg</code>), PNG files, and ICO files along with any colour
+ * definitions, which can be found within <code>colors.json</code>, <code>colours.json</code>, and
+ * <code>palette.json</code> files in either the base directory or the assets directory, or as hex and
+ * <code>rgb()</code> values assigned to CSS custom properties and Less/Sass variables within stylesheets in the assets
+ * directory.
+ *
+ * For each directory containing SVG logos, tasks are added to optimize them, convert them into PNG files (using the
+ * sizes of any existing PNG files in the same directory), package them into any ICO files that already exist (using
+ * the sizes contained within those ICO files), and finally package everything into a ZIP file. A root
+ * <code>README.md</code> document is also added containing a "toc" section, an "asset-feature" section for each
+ * directory, and a "color-table" section for any colours that were found.
+ *
+ * The configuration is written as JSON with comments explaining each task and document so that it can be easily
+ * reviewed and tweaked before generating anything. Only JSON configuration files can be created and an error will
+ * occur if the configuration file already exists, unless the <code>force</code> option is enabled.
+ *
+ * @public
+ */
+export class ConfigInitializer {
+
+  /**
+   * @type {string[]}
+   * @private
+   */
+  static #colorFileNames = [ 'colors.json', 'colours.json', 'palette.json' ];
+  /**
+   * @type {RegExp}
+   * @private
+   */
+  static #rColorDeclaration = /(?:--|\$|@)([\w-]+)\s*:\s*(#[\da-f]{3,8}\b|rgba?\([^)]*\))/gi;
+  /**
+   * @type {RegExp}
+   * @private
+   */
+  static #rHex = /^#([\da-f]{3}|[\da-f]{6})$/i;
+  /**
+   * @type {RegExp}
+   * @private
+   */
+  static #rRGB = /^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*(?:,[^)]*)?\)$/i;
+
+  /**
+   * @param {string} name
+   * @param {*} value
+   * @return {?Object}
+   * @private
+   */
+  static #parseColor(name, value) {
+    if (isPlainObject(value)) {
+      name = trim(value.name) || name;
+      value = value.hex || value.value || value.rgb;
+    }
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    value = trim(value);
+    name = startCase(name);
+
+    let match = value.match(ConfigInitializer.#rHex);
+    if (match) {
+      let hex = match[1].toUpperCase();
+      if (hex.length === 3) {
+        hex = hex.split('').map((char) => char + char).join('');
+      }
+
+      return { name, format: 'hex', value: `#${hex}` };
+    }
+
+    match = value.match(ConfigInitializer.#rRGB);
+    if (match) {
+      return { name, format: 'rgb', value: match.slice(1, 4).map(Number) };
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {Buffer} contents
+   * @return {number[]}
+   * @private
+   */
+  static #readICOSizes(contents) {
+    const sizes = [];
+    if (contents.length < 6 || contents.readUInt16LE(0) !== 0 || contents.readUInt16LE(2) !== 1) {
+      return sizes;
+    }
+
+    const count = contents.readUInt16LE(4);
+
+    for (let index = 0; index < count && 6 + ((index + 1) * 16) <= contents.length; index++) {
+      sizes.push(contents[6 + (index * 16)] || 256);
+    }
+
+    return sizes;
+  }
+
+  /**
+   * @param {Buffer} contents
+   * @return {?number|string}
+   * @private
+   */
+  static #readPNGSize(contents) {
+    if (contents.length < 24 || contents.toString('ascii', 12, 16) !== 'IHDR') {
+      return null;
+    }
+
+    const width = contents.readUInt32BE(16);
+    const height = contents.readUInt32BE(20);
+
+    return width === height ? width : `${width}x${height}`;
+  }
+
+  /**
+   * @param {*} value
+   * @param {WeakMap<Object, string>} comments
+   * @param {string} indent
+   * @return {string}
+   * @private
+   */
+  static #stringify(value, comments, indent) {
+    if (!(Array.isArray(value) || isPlainObject(value))) {
+      return JSON.stringify(value);
+    }
+
+    const isArray = Array.isArray(value);
+    const entries = isArray ? value.map((child) => [ null, child ]) : Object.entries(value);
+    const [ open, close ] = isArray ? [ '[', ']' ] : [ '{', '}' ];
+    if (!entries.length) {
+      return `${open}${close}`;
+    }
+    if (isArray && value.every((child) => !isPlainObject(child))) {
+      return `[ ${value.map((child) => ConfigInitializer.#stringify(child, comments, indent)).join(', ')} ]`;
+    }
+
+    const childIndent = `${indent}  `;
+    const lines = entries.map(([ key, child ], index) => {
+      const comment = comments.get(child);
+      const prefix = comment ? `${childIndent}// ${comment}\n` : '';
+      const name = key == null ? '' : `${JSON.stringify(key)}: `;
+      const suffix = index < entries.length - 1 ? ',' : '';
+
+      return `${prefix}${childIndent}${name}${ConfigInitializer.#stringify(child, comments, childIndent)}${suffix}`;
+    });
+
+    return `${open}\n${lines.join('\n')}\n${indent}${close}`;
+  }
+
+  /**
+   * @type {string}
+   * @private
+   */
+  #assetsDir;
+  /**
+   * @type {string}
+   * @private
+   */
+  #baseDir;
+  /**
+   * @type {Logger}
+   * @private
+   */
+  #logger;
+
+  /**
+   * Creates an instance of {@link ConfigInitializer}.
+   *
+   * Optionally, <code>options</code> can be provided for more granular control.
+   *
+   * @param {ConfigInitializer~Options} [options] - the options to be used
+   * @public
+   */
+  constructor(options = {}) {
+    this.#assetsDir = trim(options.assetsDir) || 'assets';
+    this.#baseDir = options.baseDir || process.cwd();
+    this.#logger = options.logger || new Logger({ enabled: false });
+  }
+
+  /**
+   * Scans the assets within the base directory of this {@link ConfigInitializer} and writes a starter configuration
+   * file based on them to the specified <code>filePath</code>, which is resolved relative to the base directory and
+   * defaults to <code>.branderrc</code>.
+   *
+   * An error will occur if <code>filePath</code> is not a JSON file or it already exists and the <code>force</code>
+   * option is not enabled.
+   *
+   * @param {?string} [filePath] - the path of the configuration file to be written
+   * @param {ConfigInitializer~InitOptions} [options] - the options to be used
+   * @return {Promise<string>} A <code>Promise</code> for the asynchronous scanning of assets and writing of the
+   * configuration file that is resolved with the absolute path of the configuration file.
+   * @throws {Error} If <code>filePath</code> is not a JSON file or already exists.
+   * @public
+   */
+  async init(filePath, options = {}) {
+    filePath = path.resolve(this.#baseDir, trim(filePath) || '.branderrc');
+
+    if (![ '', '.json' ].includes(path.extname(filePath))) {
+      throw new Error(`Only JSON configuration files can be initialized: ${filePath}`);
+    }
+    if (!options.force && await this.#exists(filePath)) {
+      throw new Error(`Configuration file already exists: ${filePath}`);
+    }
+
+    const comments = new WeakMap();
+    const data = await this.scan(comments);
+
+    await new ConfigValidator().validate(data, filePath);
+
+    const header = [
+      `// Configuration generated by "brander init" from the assets found within the "${this.#assetsDir}" directory.`,
+      '// Review the tasks and docs below before running "brander" to generate them.'
+    ];
+    const contents = `${header.join('\n')}\n${ConfigInitializer.#stringify(data, comments, '')}\n`;
+
+    debug('Writing initialized configuration file: %s', chalk.blue(filePath));
+
+    await File.writeFile(filePath, contents);
+
+    this.#logger.log('Created configuration file with %d tasks and %d docs: %s', data.tasks.length, data.docs.length,
+      chalk.blue(path.relative(this.#baseDir, filePath)));
+
+    return filePath;
+  }
+
+  /**
+   * Scans the assets within the base directory of this {@link ConfigInitializer} and returns the configuration data for
+   * a starter configuration based on them.
+   *
+   * Optionally, <code>comments</code> can be provided to be populated with comments describing the objects and arrays
+   * within the returned configuration data.
+   *
+   * @param {WeakMap<Object, string>} [comments] - the map to be populated with comments for the configuration data
+   * @return {Promise<Object>} A <code>Promise</code> for the asynchronous scanning of assets that is resolved with the
+   * configuration data.
+   * @public
+   */
+  async scan(comments = new WeakMap()) {
+    const assetsPath = path.resolve(this.#baseDir, this.#assetsDir);
+    const pkg = await new PackageLoader().load(path.join(this.#baseDir, 'package.json'));
+    const name = (pkg && pkg.get('name')) || path.basename(this.#baseDir);
+    const title = startCase(name.replace(/^@[^/]+\//, ''));
+    const data = {};
+
+    if (!(pkg && pkg.get('name'))) {
+      data.name = name;
+    }
+
+    data.title = title;
+    data.tasks = [];
+    data.docs = [];
+
+    const sections = [ { type: 'toc' } ];
+
+    debug('Scanning for assets within directory: %s', chalk.blue(assetsPath));
+
+    const filePaths = await File.findFiles('**/*.{ico,png,svg}', { cwd: assetsPath, ignore: '**/node_modules/**' });
+    const dirs = groupBy(filePaths.map((filePath) => filePath.split(path.sep).join('/')), path.posix.dirname);
+
+    for (const dir of Object.keys(dirs).sort()) {
+      const directory = await this.#scanDirectory(dir, dirs[dir], assetsPath, data.tasks, comments);
+
+      sections.push(directory);
+
+      comments.set(directory, `Showcases the assets within the "${dir}" directory`);
+    }
+
+    const colors = await this.#scanColors(assetsPath);
+    if (colors.length) {
+      const colorTable = {
+        type: 'color-table',
+        title: 'Colors',
+        colors,
+        columns: [
+          { header: 'Color', content: '<%= color.name %>' },
+          { header: 'Hex', content: '<%= color.hex %>' },
+          { header: 'RGB', content: '<%= color.rgb %>' },
+          { header: 'CMYK', content: '<%= color.cmyk %>' }
+        ]
+      };
+
+      sections.push(colorTable);
+
+      comments.set(colorTable, 'Lists the colors found within the stylesheets and color definition files');
+    }
+
+    const readme = { doc: 'README.md', title, sections };
+
+    data.docs.push(readme);
+
+    comments.set(data.tasks, `Tasks are run in order to generate assets within the "${this.#assetsDir}" directory`);
+    comments.set(data.docs, 'Docs are generated within the "docs" directory');
+    comments.set(readme, `Showcases the brand assets${colors.length ? ' and colors' : ''}`);
+
+    debug('Found %d asset directories and %d colors', Object.keys(dirs).length, colors.length);
+
+    return data;
+  }
+
+  /**
+   * @param {string} filePath
+   * @return {Promise<boolean>}
+   * @private
+   */
+  async #exists(filePath) {
+    try {
+      await File.access(filePath);
+
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * @param {string} assetsPath
+   * @return {Promise<Object[]>}
+   * @private
+   */
+  async #scanColors(assetsPath) {
+    const fileNames = `{${ConfigInitializer.#colorFileNames.join(',')}}`;
+    const colorFilePaths = await File.findFiles(fileNames, { absolute: true, cwd: this.#baseDir });
+    const assetFilePaths = await File.findFiles(`**/{${fileNames},*.css,*.less,*.scss}`, {
+      absolute: true,
+      cwd: assetsPath,
+      ignore: '**/node_modules/**'
+    });
+    const colors = [];
+
+    for (const filePath of uniq(colorFilePaths.concat(assetFilePaths)).sort()) {
+      debug('Scanning for colors within file: %s', chalk.blue(filePath));
+
+      const contents = await File.readFile(filePath, 'utf8');
+
+      if (path.extname(filePath) === '.json') {
+        let data;
+        try {
+          data = JSON.parse(contents);
+        } catch (e) {
+          this.#logger.warn('Ignoring color definition file as it is not valid JSON: %s',
+            chalk.blue(path.relative(this.#baseDir, filePath)));
+
+          continue;
+        }
+
+        const entries = Array.isArray(data) ? data.map((value, index) => [ `Color ${index + 1}`, value ]) :
+          Object.entries(isPlainObject(data) ? data : {});
+
+        colors.push(...entries.map(([ key, value ]) => ConfigInitializer.#parseColor(key, value)));
+      } else {
+        for (const [ , key, value ] of contents.matchAll(ConfigInitializer.#rColorDeclaration)) {
+          colors.push(ConfigInitializer.#parseColor(key, value));
+        }
+      }
+    }
+
+    return colors.filter((color, index) => color && colors.findIndex((other) => other &&
+      other.name === color.name && String(other.value) === String(color.value)) === index);
+  }
+
+  /**
+   * @param {string} dir
+   * @param {string[]} filePaths
+   * @param {string} assetsPath
+   * @param {Object[]} tasks
+   * @param {WeakMap<Object, string>} comments
+   * @return {Promise<Object>}
+   * @private
+   */
+  async #scanDirectory(dir, filePaths, assetsPath, tasks, comments) {
+    const fileNames = filePaths.map((filePath) => path.posix.basename(filePath)).sort();
+    const icoNames = fileNames.filter((fileName) => fileName.endsWith('.ico'));
+    const pngNames = fileNames.filter((fileName) => fileName.endsWith('.png'));
+    const svgNames = fileNames.filter((fileName) => fileName.endsWith('.svg') && !fileName.endsWith('.min.svg'));
+    const id = kebabCase(dir === '.' ? 'assets' : dir);
+    const input = dir === '.' ? {} : { dir };
+
+    debug('Found %d SVG, %d PNG, and %d ICO files within asset directory: %s', svgNames.length, pngNames.length,
+      icoNames.length, chalk.blue(dir));
+
+    const pngSizes = [];
+
+    for (const pngName of pngNames) {
+      const size = ConfigInitializer.#readPNGSize(await File.readFile(path.join(assetsPath, dir, pngName)));
+      if (size != null) {
+        pngSizes.push(size);
+      }
+    }
+
+    if (svgNames.length) {
+      const optimize = {
+        id: `optimize-${id}`,
+        task: 'optimize',
+        input: Object.assign({}, input, { files: '!(*.min).svg' })
+      };
+      const convert = {
+        id: `convert-${id}`,
+        task: 'convert',
+        input: Object.assign({}, input, { files: '!(*.min).svg' }),
+        output: { format: 'png' },
+        options: {
+          sizes: pngSizes.length ? sortBy(uniq(pngSizes), (size) => parseInt(size, 10)) : [ 32, 64, 128, 256, 512 ]
+        }
+      };
+
+      tasks.push(optimize, convert);
+
+      comments.set(optimize, `Optimizes the SVG logos within the "${dir}" directory`);
+      comments.set(convert, `Converts the SVG logos within the "${dir}" directory into PNG files`);
+    }
+
+    for (const icoName of icoNames) {
+      const baseName = path.posix.basename(icoName, '.ico');
+      const sourceNames = svgNames.length ? svgNames : pngNames;
+      const sourceName = sourceNames.find((fileName) => fileName.startsWith(`${baseName}.`)) || sourceNames[0];
+      if (!sourceName) {
+        continue;
+      }
+
+      const sizes = ConfigInitializer.#readICOSizes(await File.readFile(path.join(assetsPath, dir, icoName)));
+      const ico = {
+        id: `package-${kebabCase(`${id}-${baseName}`)}-ico`,
+        task: 'package',
+        input: Object.assign({}, input, { files: sourceName }),
+        output: Object.assign({}, input, { files: icoName })
+      };
+      if (svgNames.length && sizes.length) {
+        ico.options = { sizes: uniq(sizes).sort((a, b) => a - b) };
+      }
+
+      tasks.push(ico);
+
+      comments.set(ico, `Packages "${sourceName}" into the existing "${icoName}" file`);
+    }
+
+    const zipFiles = [];
+    if (icoNames.length) {
+      zipFiles.push('*.ico');
+    }
+    if (pngNames.length || svgNames.length) {
+      zipFiles.push('*.png');
+    }
+    if (svgNames.length) {
+      zipFiles.push('*.svg');
+    }
+
+    const zipName = `${kebabCase(dir === '.' ? this.#assetsDir : path.posix.basename(dir))}.zip`;
+    const zip = {
+      id: `package-${id}-zip`,
+      task: 'package',
+      input: Object.assign({}, input, { files: zipFiles }),
+      output: Object.assign({}, input, { files: zipName })
+    };
+
+    tasks.push(zip);
+
+    comments.set(zip, `Packages all assets within the "${dir}" directory into a ZIP file`);
+
+    const files = zipFiles.filter((pattern) => pattern !== '*.svg');
+    if (svgNames.length) {
+      files.push([ '!(*.min).svg', '*.min.svg' ]);
+    }
+
+    return Object.assign({
+      type: 'asset-feature',
+      title: startCase(dir === '.' ? this.#assetsDir : path.posix.basename(dir))
+    }, input, {
+      preview: svgNames.length ? '!(*.min).svg' : '*.png',
+      files
+    });
+  }
+
+}
+
+/**
+ * The options that can be passed to {@link ConfigInitializer#init}.
+ *
+ * @typedef {Object} ConfigInitializer~InitOptions
+ * @property {boolean} [force] - <code>true</code> to overwrite the configuration file if it already exists; otherwise
+ * <code>false</code>.
+ */
+
+/**
+ * The options that can be passed to the {@link ConfigInitializer} constructor.
+ *
+ * @typedef {Object} ConfigInitializer~Options
+ * @property {string} [assetsDir="assets"] - The path of the directory to be scanned for assets, relative to
+ * <code>baseDir</code>.
+ * @property {string} [baseDir=process.cwd()] - The base directory.
+ * @property {Logger} [logger] - The {@link Logger} to be used to log messages.
+ */
@@ -24,12 +24,20 @@
 
 import chalk from 'chalk';
 import Debug from 'debug';
+import { resolve } from 'import-meta-resolve';
+import yaml from 'js-yaml';
+import { castArray, get, isPlainObject, merge, omit, pickBy, trim, uniq } from 'lodash-es';
+import { stat } from 'node:fs/promises';
 import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import * as toml from 'smol-toml';
 import stripJsonComments from 'strip-json-comments';
 
 import { Config } from './config.mjs';
+import { ConfigValidator } from './config-validator.mjs';
 import { File } from '../file.mjs';
 import { PackageLoader } from './package/package-loader.mjs';
+import { PluginLoader } from './plugin-loader.mjs';
 import { RepositoryService } from './repository/repository-service.mjs';
 
 const debug = Debug('brander:config');
@@ -44,9 +52,61 @@ const debug = Debug('brander:config');
  * All files are read and/or searched for relative to the base directory for the loader. By default, the base directory
  * is the current working directory but this can be changed by specifying the <code>baseDir</code> option.
  *
+ * Configuration data can also be read from the "brander" property within a <code>package.json</code> file, which is
+ * only used when no dedicated configuration file is found within the base directory or when the
+ * <code>package.json</code> file is loaded explicitly. It is otherwise treated exactly like a dedicated configuration
+ * file (e.g. the directory containing it is the base directory for the {@link Config}).
+ *
  * The <code>logger</code> option can be specified to provide a {@link Logger} instance that is to be passed to all
  * {@link Config} instances created by the loader.
  *
+ * Configuration data can inherit from other configuration files using its "extends" property, which can be either a
+ * single reference or an array of them. Each reference is either the name of an npm package, which is resolved from
+ * the directory containing the configuration file, or a path to a file, which is resolved relative to that directory
+ * when it starts with "." or is absolute. Extended configuration files are loaded just like any other (including any
+ * that they extend in turn) and are merged in order before the configuration data itself is merged on top, where:
+ *
+ * <ul>
+ *   <li>"options", "profiles", and "variables" are deep-merged;</li>
+ *   <li>"tasks" and "docs" are concatenated, except where an entry has an "id" that matches an inherited entry, in
+ *   which case it overrides the inherited entry in place;</li>
+ *   <li>"plugins" are concatenated without duplicates;</li>
+ *   <li>all other properties are overridden.</li>
+ * </ul>
+ *
+ * References to "plugins" and "helpers" modules (including npm package names) along with the files of "template"
+ * documents within extended configuration data are resolved from the directory containing the configuration file that
+ * declared them so that they can be distributed with it (e.g. within an npm package). All other paths within extended
+ * configuration data (e.g. input and output directories) are resolved relative to the base directory of the resulting
+ * {@link Config} as if they had been declared directly.
+ *
+ * Any "helpers" module within the configuration data, which is referenced in the same way as extended configuration,
+ * is imported once validated and its exported functions are passed to the {@link Config} so that they can be used
+ * within expressions (see {@link Config#evaluate}).
+ *
+ * Configuration data can also contain "profiles" for different environments (e.g. "ci" or "release"), which are
+ * keyed by name. The <code>profile</code> option can be specified to select one of them, in which case its "options"
+ * are deep-merged over the "options" within the configuration data and its "tasks" and "docs" can be used to enable or
+ * disable specific tasks and root documents by their "id" (e.g. <code>{ "tasks": { "publish": true } }</code>). Tasks
+ * and root documents can also be disabled unless enabled by a profile by setting their "enabled" property to
+ * <code>false</code>. Any disabled tasks are also replaced within the "dependsOn" of the remaining tasks by their own
+ * dependencies so that the remaining tasks are still run in the same order. Where a disabled task has no "dependsOn",
+ * and so depends on all tasks before it, the "dependsOn" of the remaining task is removed so that it also depends on
+ * all tasks before it.
+ *
+ * The <code>options</code> option can be specified to override the "options" within the configuration data of all
+ * {@link Config} instances created by the loader (e.g. based on command-line arguments).
+ *
+ * Any "plugins" within the configuration data are loaded (see {@link PluginLoader}) before anything else is resolved
+ * so that they can provide implementations that are used when resolving and parsing the configuration (e.g. custom
+ * repository providers).
+ *
+ * The configuration data is validated (see {@link ConfigValidator}) once any plugins have been loaded so that they can
+ * contribute validation for the task types and document types that they provide.
+ *
+ * The paths of the configuration file, any extended configuration files, and any "helpers" module are available via
+ * {@link Config#sourceFilePaths} so that changes to any of them can be detected (e.g. by {@link Watcher}).
+ *
  * @public
  */
 export class ConfigLoader {
@@ -56,16 +116,36 @@ export class ConfigLoader {
    * @private
    */
   #baseDir;
+  /**
+   * @type {ConfigValidator}
+   * @private
+   */
+  #configValidator = new ConfigValidator();
   /**
    * @type {Logger}
    * @private
    */
   #logger;
+  /**
+   * @type {?Object}
+   * @private
+   */
+  #options;
+  /**
+   * @type {?string}
+   * @private
+   */
+  #profile;
   /**
    * @type {PackageLoader}
    * @private
    */
   #packageLoader = new PackageLoader();
+  /**
+   * @type {PluginLoader}
+   * @private
+   */
+  #pluginLoader = new PluginLoader();
 
   /**
    * Creates an instance of {@link ConfigLoader}.
@@ -78,10 +158,47 @@ export class ConfigLoader {
   constructor(options = {}) {
     this.#baseDir = options.baseDir || process.cwd();
     this.#logger = options.logger;
+    this.#options = options.options || null;
+    this.#profile = trim(options.profile) || null;
+  }
+
+  /**
+   * Creates a {@link Config} from the specified configuration <code>data</code> as if it had been loaded from a file
+   * within the base directory of this {@link ConfigLoader}, without any file needing to exist.
+   *
+   * The data is otherwise treated exactly like data loaded from a configuration file (e.g. extended configuration is
+   * merged, the selected profile and options are applied, plugins and helpers are loaded, the data is validated, and
+   * package and repository information is resolved from the base directory).
+   *
+   * An error will occur if <code>data</code> is not an object, any configuration that it extends could not be loaded,
+   * the selected profile could not be applied, any of its plugins or helpers could not be loaded, or the configuration
+   * data is invalid.
+   *
+   * @param {Object} data - the configuration data to be used
+   * @return {Promise<Config>} A <code>Promise</code> for the asynchronous resolution of <code>data</code> that is
+   * resolved with the created {@link Config}.
+   * @public
+   */
+  async create(data) {
+    if (!isPlainObject(data)) {
+      throw new Error(`Configuration data can only be an object: ${data} (${typeof data})`);
+    }
+
+    debug('Creating configuration from data within base directory: %s', chalk.blue(this.#baseDir));
+
+    const sourceFilePaths = [];
+    data = await this.#extend(data, this.#baseDir, [], sourceFilePaths);
+
+    return this.#createConfig(data, this.#baseDir, null, sourceFilePaths);
   }
 
   /**
-   * Returns the names supported for configuration files.
+   * Returns the names supported for configuration files, in order of precedence.
+   *
+   * A <code>package.json</code> file is always checked last and is only used if it contains a "brander" property.
+   * Unlike the other files, which must be within the base directory, the nearest <code>package.json</code> file
+   * containing a "brander" property is used, starting from the base directory and working upwards through its parent
+   * directories.
    *
    * @return {string[]} The file names.
    * @protected
@@ -90,11 +207,26 @@ export class ConfigLoader {
     return [
       '.branderrc',
       '.branderrc.json',
+      '.branderrc.yaml',
+      '.branderrc.yml',
+      '.branderrc.toml',
       '.branderrc.js',
       '.branderrc.mjs'
     ];
   }
 
+  /**
+   * Returns whether the specified <code>filePath</code> is targeting a <code>package.json</code> file, whose
+   * configuration data is contained within its "brander" property.
+   *
+   * @param {string} filePath - the path of the file to be checked
+   * @return {boolean} <code>true</code> if <code>filePath</code> is a package file; otherwise <code>false</code>.
+   * @protected
+   */
+  isPackageFile(filePath) {
+    return path.basename(filePath) === 'package.json';
+  }
+
   /**
    * Returns whether the specified <code>filePath</code> is targeting a module that should be <code>import</code>'ed
    * instead of having its contents read and parsed.
@@ -116,7 +248,8 @@ export class ConfigLoader {
    *
    * Optionally, <code>filePath</code> can be provided to read the configuration data from that file. Otherwise, an
    * attempt will be made to find any file with a recognised name within the base directory and use the first one it
-   * finds.
+   * finds, falling back on the nearest <code>package.json</code> file containing a "brander" property (see
+   * {@link ConfigLoader#getFileNames}).
    *
    * If the file denotes a module, it will be required and its exports will be used as the configuration data.
    * Otherwise, the contents of the file will read and parsed based on its type.
@@ -124,7 +257,9 @@ export class ConfigLoader {
    * All file paths (specified or discovered) are resolved using the base directory unless where already absolute.
    *
    * An error will occur if no configuration file was specified and/or found, an error occurred while attempting to load
-   * the configuration file, or the configuration file contained no data.
+   * the configuration file or any configuration file that it extends, any of those configuration files contained no
+   * data or extend each other circularly, the selected profile could not be applied, any of its plugins or helpers
+   * could not be loaded, or the configuration data is invalid.
    *
    * @param {string} [filePath] - the path of the file whose configuration data is to be loaded
    * @return {Promise<Config>} A <code>Promise</code> for the asynchronous file reading that is resolved with the
@@ -143,47 +278,22 @@ export class ConfigLoader {
 
     filePath = path.resolve(this.#baseDir, filePath);
 
-    debug('Loading configuration file: %s', chalk.blue(filePath));
-
-    let data;
-    if (this.isModule(filePath)) {
-      const mod = await import(filePath);
-      if (typeof mod.default === 'function') {
-        data = mod.default();
-      } else {
-        data = mod.default;
-      }
-    } else {
-      const contents = await File.readFile(filePath);
-      data = this.parse(contents, filePath);
-    }
-    if (!data) {
-      throw new Error(`Configuration file contains no data: ${filePath}`);
-    }
-
-    debug('Successfully loaded configuration file: %s', chalk.blue(filePath));
-
-    const pkg = await this.#packageLoader.load(filePath);
-    const repositoryService = RepositoryService.getInstance();
-    const repositoryInfo = await repositoryService.getRepositoryInfo(path.dirname(filePath), {
-      info: data.repository,
-      pkg
-    });
+    const sourceFilePaths = [];
+    const data = await this.#loadData(filePath, [], sourceFilePaths);
 
-    return new Config({
-      filePath,
-      data,
-      logger: this.#logger,
-      pkg,
-      repository: repositoryInfo
-    });
+    return this.#createConfig(data, path.dirname(filePath), filePath, sourceFilePaths);
   }
 
   /**
    * Attempts to parse the specified <code>contents</code> of the <code>filePath</code> provided as configuration data.
    *
+   * The file type is derived from the extension of <code>filePath</code>, where JSON (with comments), YAML, and TOML
+   * files are supported. Files without an extension are parsed as JSON. If <code>filePath</code> is a
+   * <code>package.json</code> file, only its "brander" property is returned.
+   *
    * An error will occur if a problem arises while attempting to parse <code>contents</code> or if <code>filePath</code>
-   * denotes an unsupported file type.
+   * denotes an unsupported file type. Where possible, the error will include the line and column at which the problem
+   * was found.
    *
    * @param {Buffer} contents - the file contents to be parsed
    * @param {string} filePath - the path of the file being parsed
@@ -198,13 +308,292 @@ export class ConfigLoader {
     const extension = path.extname(filePath) || '.json';
 
     switch (extension) {
-    case '.json':
-      return JSON.parse(stripJsonComments(contents.toString('utf8')));
+    case '.json': {
+      const data = JSON.parse(stripJsonComments(contents.toString('utf8')));
+
+      return this.isPackageFile(filePath) ? get(data, 'brander', null) : data;
+    }
+    case '.toml':
+      try {
+        return toml.parse(contents.toString('utf8'));
+      } catch (e) {
+        throw this.#createParseError(filePath, e.line, e.column, e.message.split('\n')[0], e);
+      }
+    case '.yaml':
+    case '.yml':
+      try {
+        return yaml.load(contents.toString('utf8'), { filename: filePath });
+      } catch (e) {
+        throw e.mark ? this.#createParseError(filePath, e.mark.line + 1, e.mark.column + 1, e.reason, e) : e;
+      }
     default:
       throw new Error(`Unsupported configuration file type: ${filePath}`);
     }
   }
 
+  /**
+   * @param {Object} data
+   * @return {Object}
+   * @throws {Error}
+   * @private
+   */
+  #applyProfile(data) {
+    let profile = {};
+    if (this.#profile) {
+      debug('Applying configuration profile: %s', this.#profile);
+
+      profile = get(data.profiles, [ this.#profile ]);
+      if (!isPlainObject(profile)) {
+        throw new Error(`"profiles" configuration does not contain profile: ${this.#profile}`);
+      }
+    }
+
+    const result = Object.assign({}, data);
+    if (profile.options) {
+      result.options = merge({}, data.options, profile.options);
+    }
+
+    const disabledTaskIds = [];
+    if (Array.isArray(data.docs)) {
+      result.docs = this.#filterEnabled(data.docs, profile.docs, 'docs');
+    }
+    if (Array.isArray(data.tasks)) {
+      result.tasks = this.#filterEnabled(data.tasks, profile.tasks, 'tasks', disabledTaskIds);
+    }
+
+    if (disabledTaskIds.length) {
+      debug('Disabled tasks: %s', disabledTaskIds.join(', '));
+
+      const disabledTasks = new Map();
+      for (const task of data.tasks) {
+        const id = task && typeof task.id === 'string' ? trim(task.id) : null;
+        if (disabledTaskIds.includes(id) && !disabledTasks.has(id)) {
+          disabledTasks.set(id, task);
+        }
+      }
+
+      // Returns null when a disabled task depends on all tasks before it, as positional ordering must then be used
+      const replaceDisabled = (dependsOn, replacedIds) => {
+        const ids = [];
+
+        for (const id of castArray(dependsOn)) {
+          const disabledId = typeof id === 'string' ? trim(id) : null;
+          if (!disabledTasks.has(disabledId)) {
+            ids.push(id);
+            continue;
+          }
+          if (replacedIds.includes(disabledId)) {
+            continue;
+          }
+
+          const disabledDependsOn = disabledTasks.get(disabledId).dependsOn;
+          const replacementIds = disabledDependsOn == null
+            ? null
+            : replaceDisabled(disabledDependsOn, replacedIds.concat(disabledId));
+          if (!replacementIds) {
+            return null;
+          }
+
+          ids.push(...replacementIds);
+        }
+
+        return uniq(ids);
+      };
+
+      result.tasks = result.tasks.map((task) => {
+        if (!(task && task.dependsOn != null)) {
+          return task;
+        }
+
+        const dependsOn = replaceDisabled(task.dependsOn, []);
+
+        return dependsOn ? Object.assign({}, task, { dependsOn }) : omit(task, 'dependsOn');
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * @param {Object} data
+   * @param {string} dirPath
+   * @param {?string} filePath
+   * @param {string[]} sourceFilePaths
+   * @return {Promise<Config>}
+   * @throws {Error}
+   * @private
+   */
+  async #createConfig(data, dirPath, filePath, sourceFilePaths) {
+    data = this.#applyProfile(data);
+
+    if (this.#options) {
+      data = Object.assign({}, data, {
+        options: merge({}, data.options, this.#options)
+      });
+    }
+
+    await this.#pluginLoader.load(data.plugins, dirPath);
+    await this.#configValidator.validate(data, filePath);
+
+    const helpers = await this.#loadHelpers(data.helpers, dirPath, sourceFilePaths);
+
+    const pkg = await this.#packageLoader.load(filePath || path.join(dirPath, 'package.json'));
+    const repositoryService = RepositoryService.getInstance();
+    const repositoryInfo = await repositoryService.getRepositoryInfo(dirPath, {
+      info: data.repository,
+      pkg
+    });
+
+    return new Config({
+      baseDir: dirPath,
+      filePath,
+      data,
+      helpers,
+      logger: this.#logger,
+      pkg,
+      repository: repositoryInfo,
+      sourceFilePaths
+    });
+  }
+
+  /**
+   * @param {string} filePath
+   * @param {number} line
+   * @param {number} column
+   * @param {string} reason
+   * @param {Error} cause
+   * @return {Error}
+   * @private
+   */
+  #createParseError(filePath, line, column, reason, cause) {
+    return new Error(`Unable to parse configuration file: ${filePath} (line ${line}, column ${column}): ${reason}`, {
+      cause
+    });
+  }
+
+  /**
+   * @param {Object} data
+   * @param {string} dirPath
+   * @param {string[]} chain
+   * @param {string[]} sourceFilePaths
+   * @return {Promise<Object>}
+   * @throws {Error}
+   * @private
+   */
+  async #extend(data, dirPath, chain, sourceFilePaths) {
+    const references = data.extends;
+    data = Object.assign({}, data);
+    delete data.extends;
+
+    if (references == null) {
+      return data;
+    }
+    if (typeof references !== 'string' && !Array.isArray(references)) {
+      throw new Error(`"extends" configuration can only be a string or an array: ${references} (${typeof references})`);
+    }
+
+    let result = {};
+
+    for (let reference of castArray(references)) {
+      reference = typeof reference === 'string' ? trim(reference) : null;
+      if (!reference) {
+        throw new Error('"extends" configuration cannot contain null or empty references');
+      }
+
+      let baseFilePath;
+      try {
+        baseFilePath = this.#resolveModule(reference, dirPath);
+      } catch (e) {
+        throw new Error(`Unable to resolve extended configuration "${reference}": ${e.message}`);
+      }
+
+      if (chain.includes(baseFilePath)) {
+        throw new Error(`Circular "extends" configuration detected: ${chain.concat(baseFilePath).join(' -> ')}`);
+      }
+
+      debug('Extending configuration file "%s" from file: %s', reference, chalk.blue(baseFilePath));
+
+      const baseData = await this.#loadData(baseFilePath, chain, sourceFilePaths);
+      const baseDirPath = path.dirname(baseFilePath);
+      const resolveReference = (value) => {
+        const reference = typeof value === 'string' ? trim(value) : null;
+        if (!reference) {
+          return value;
+        }
+
+        try {
+          return this.#resolveModule(reference, baseDirPath);
+        } catch (e) {
+          // Leave for the reference to be resolved, and any error to be reported, as if it had been declared directly
+          return value;
+        }
+      };
+      const resolveTemplates = (doc) => {
+        if (!isPlainObject(doc)) {
+          return doc;
+        }
+
+        doc = Object.assign({}, doc);
+
+        const file = typeof doc.file === 'string' ? trim(doc.file) : null;
+        if (file && typeof doc.type === 'string' && trim(doc.type).toLowerCase() === 'template') {
+          doc.file = path.resolve(baseDirPath, file);
+        }
+        if (Array.isArray(doc.sections)) {
+          doc.sections = doc.sections.map(resolveTemplates);
+        }
+
+        return doc;
+      };
+
+      if (Array.isArray(baseData.docs)) {
+        baseData.docs = baseData.docs.map(resolveTemplates);
+      }
+      if (Array.isArray(baseData.plugins)) {
+        baseData.plugins = baseData.plugins.map(resolveReference);
+      }
+      if (baseData.helpers) {
+        baseData.helpers = resolveReference(baseData.helpers);
+      }
+
+      result = this.#merge(result, baseData);
+    }
+
+    return this.#merge(result, data);
+  }
+
+  /**
+   * @param {Object[]} entries
+   * @param {?Object} overrides
+   * @param {string} name
+   * @param {string[]} [disabledIds]
+   * @return {Object[]}
+   * @throws {Error}
+   * @private
+   */
+  #filterEnabled(entries, overrides, name, disabledIds = []) {
+    const ids = entries.map((entry) => (entry && typeof entry.id === 'string' ? trim(entry.id) : null));
+
+    for (const id of Object.keys(overrides || {})) {
+      if (!ids.includes(id)) {
+        throw new Error(`"profiles.${this.#profile}.${name}" configuration contains an unknown ID: ${id}`);
+      }
+    }
+
+    return entries.filter((entry, index) => {
+      const id = ids[index];
+      const enabled = id && overrides && typeof overrides[id] === 'boolean'
+        ? overrides[id]
+        : get(entry, 'enabled') !== false;
+
+      if (!enabled && id) {
+        disabledIds.push(id);
+      }
+
+      return enabled;
+    });
+  }
+
   /**
    * @return {Promise<?string>}
    * @throws {Error}
@@ -226,9 +615,207 @@ export class ConfigLoader {
       }
     }
 
+    let dirPath = null;
+    let nextDirPath = path.resolve(this.#baseDir);
+
+    // Stop once the root directory has been checked, which is its own parent
+    while (nextDirPath !== dirPath) {
+      dirPath = nextDirPath;
+      nextDirPath = path.dirname(dirPath);
+
+      const filePath = path.join(dirPath, 'package.json');
+
+      try {
+        const contents = await File.readFile(filePath);
+        if (this.parse(contents, filePath)) {
+          return filePath;
+        }
+
+        debug('Ignoring package file as it contains no configuration: %s', chalk.blue(filePath));
+      } catch (e) {
+        // Ignore ENOENT errors
+        if (e.code !== 'ENOENT') {
+          throw e;
+        }
+      }
+    }
+
     return null;
   }
 
+  /**
+   * @param {string} filePath
+   * @return {Promise<Object>}
+   * @throws {Error}
+   * @private
+   */
+  async #importModule(filePath) {
+    const { mtimeMs } = await stat(filePath);
+
+    // Include modification time so that changed modules are imported again when configuration is reloaded
+    return import(`${pathToFileURL(filePath).href}?mtime=${mtimeMs}`);
+  }
+
+  /**
+   * @param {string} filePath
+   * @param {string[]} chain
+   * @param {string[]} sourceFilePaths
+   * @return {Promise<Object>}
+   * @throws {Error}
+   * @private
+   */
+  async #loadData(filePath, chain, sourceFilePaths) {
+    debug('Loading configuration file: %s', chalk.blue(filePath));
+
+    sourceFilePaths.push(filePath);
+
+    let data;
+    if (this.isModule(filePath)) {
+      const mod = await this.#importModule(filePath);
+      if (typeof mod.default === 'function') {
+        data = mod.default();
+      } else {
+        data = mod.default;
+      }
+    } else {
+      const contents = await File.readFile(filePath);
+      data = this.parse(contents, filePath);
+    }
+    if (!data) {
+      throw new Error(`Configuration file contains no data: ${filePath}`);
+    }
+
+    debug('Successfully loaded configuration file: %s', chalk.blue(filePath));
+
+    return this.#extend(data, path.dirname(filePath), chain.concat(filePath), sourceFilePaths);
+  }
+
+  /**
+   * @param {?string} helpers
+   * @param {string} dirPath
+   * @param {string[]} sourceFilePaths
+   * @return {Promise<Object<string, Function>>}
+   * @throws {Error}
+   * @private
+   */
+  async #loadHelpers(helpers, dirPath, sourceFilePaths) {
+    if (helpers == null) {
+      return {};
+    }
+
+    helpers = typeof helpers === 'string' ? trim(helpers) : null;
+    if (!helpers) {
+      throw new Error('"helpers" configuration can only be a non-empty string');
+    }
+
+    let filePath;
+    try {
+      filePath = this.#resolveModule(helpers, dirPath);
+    } catch (e) {
+      throw new Error(`Unable to resolve helpers module "${helpers}": ${e.message}`);
+    }
+
+    debug('Loading helpers module "%s" from file: %s', helpers, chalk.blue(filePath));
+
+    sourceFilePaths.push(filePath);
+
+    let mod;
+    try {
+      mod = await this.#importModule(filePath);
+    } catch (e) {
+      throw new Error(`Unable to import helpers module "${helpers}": ${e.message}`);
+    }
+
+    const exported = Object.assign({}, isPlainObject(mod.default) ? mod.default : {}, omit(mod, 'default'));
+    const result = pickBy(exported, (value) => typeof value === 'function');
+    const names = Object.keys(result);
+
+    if (!names.length) {
+      throw new Error(`Helpers module "${helpers}" does not export any functions`);
+    }
+
+    for (const name of names) {
+      if ([ '_', 'config', 'eol', 'vars' ].includes(name)) {
+        throw new Error(`Helpers module "${helpers}" exports a function with a reserved name: ${name}`);
+      }
+    }
+
+    debug('Loaded %d helpers from module: %s', names.length, helpers);
+
+    return result;
+  }
+
+  /**
+   * @param {Object} base
+   * @param {Object} data
+   * @return {Object}
+   * @private
+   */
+  #merge(base, data) {
+    const result = Object.assign({}, base, data);
+
+    if (base.options || data.options) {
+      result.options = merge({}, base.options, data.options);
+    }
+    if (base.profiles || data.profiles) {
+      result.profiles = merge({}, base.profiles, data.profiles);
+    }
+    if (base.variables || data.variables) {
+      result.variables = merge({}, base.variables, data.variables);
+    }
+    if (Array.isArray(base.plugins) && Array.isArray(data.plugins)) {
+      result.plugins = uniq(base.plugins.concat(data.plugins));
+    }
+    if (Array.isArray(base.docs) && Array.isArray(data.docs)) {
+      result.docs = this.#mergeById(base.docs, data.docs);
+    }
+    if (Array.isArray(base.tasks) && Array.isArray(data.tasks)) {
+      result.tasks = this.#mergeById(base.tasks, data.tasks);
+    }
+
+    return result;
+  }
+
+  /**
+   * @param {Object[]} baseEntries
+   * @param {Object[]} entries
+   * @return {Object[]}
+   * @private
+   */
+  #mergeById(baseEntries, entries) {
+    const getId = (entry) => (entry && typeof entry.id === 'string' ? trim(entry.id) : null);
+    const result = baseEntries.slice();
+
+    for (const entry of entries) {
+      const id = getId(entry);
+      const index = id ? result.findIndex((baseEntry) => getId(baseEntry) === id) : -1;
+
+      if (index >= 0) {
+        result[index] = entry;
+      } else {
+        result.push(entry);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * @param {string} reference
+   * @param {string} dirPath
+   * @return {string}
+   * @throws {Error}
+   * @private
+   */
+  #resolveModule(reference, dirPath) {
+    if (reference.startsWith('.') || path.isAbsolute(reference)) {
+      return path.resolve(dirPath, reference);
+    }
+
+    // Resolve using the same conditions as import() so that ESM-only packages are supported
+    return fileURLToPath(resolve(reference, pathToFileURL(path.join(dirPath, 'noop.js')).href));
+  }
+
 }
 
 /**
@@ -237,4 +824,6 @@ export class ConfigLoader {
  * @typedef {Object} ConfigLoader~Options
  * @property {string} [baseDir=process.cwd()] - The base directory.
  * @property {Logger} [logger] - The {@link Logger} to be passed to loaded {@link Config} instances upon initialization.
+ * @property {Object} [options] - The options to be merged over the "options" within all loaded configuration data.
+ * @property {string} [profile] - The name of the profile to be applied to all loaded configuration data.
  */
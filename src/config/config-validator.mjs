@@ -0,0 +1,268 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import Ajv from 'ajv';
+import chalk from 'chalk';
+import Debug from 'debug';
+import { cloneDeep, isPlainObject, mapValues, omitBy, trim } from 'lodash-es';
+import { fileURLToPath } from 'node:url';
+
+import { DocumentService } from '../doc/document-service.mjs';
+import { File } from '../file.mjs';
+import { TaskType } from '../task/task-type.mjs';
+
+const debug = Debug('brander:config');
+
+/**
+ * Responsible for validating configuration data against the JSON Schema for brander configuration.
+ *
+ * The base schema is published with the package (i.e. <code>brander/config.schema.json</code>) so that it can also be
+ * used by editors. However, it only describes the configuration that is common to all tasks and documents. When
+ * validating, the base schema is extended with the names of all known task types and document types, along with any
+ * schema fragments that they provide (see {@link TaskType#schema} and {@link DocumentProvider#getSchema}). This allows
+ * plugins to contribute validation for the task types and document types that they add, as long as they are loaded
+ * before validation takes place.
+ *
+ * All problems within the configuration data are reported at once, each with the path to the offending value (e.g.
+ * <code>tasks[3].output.format</code>).
+ *
+ * Properties whose values are functions are not validated since they can only be provided by JavaScript configuration
+ * (e.g. <code>options.groupBy</code>) and it is left to the code consuming them to decide whether they are supported.
+ *
+ * @public
+ */
+export class ConfigValidator {
+
+  /**
+   * @type {?Promise<Object>}
+   * @private
+   */
+  static #baseSchema = null;
+
+  /**
+   * @return {Promise<Object>}
+   * @private
+   */
+  static #getBaseSchema() {
+    if (!ConfigValidator.#baseSchema) {
+      ConfigValidator.#baseSchema = File.readFile(fileURLToPath(new URL('./config.schema.json', import.meta.url)))
+        .then((contents) => JSON.parse(contents.toString('utf8')));
+    }
+
+    return ConfigValidator.#baseSchema;
+  }
+
+  /**
+   * Returns the JSON Schema that is used to validate configuration data, including the names and schema fragments of
+   * all known task types and document types.
+   *
+   * An error will occur if there is a problem while loading the base schema or any built-in {@link DocumentProvider}
+   * implementations.
+   *
+   * @return {Promise<Object>} A <code>Promise</code> for the asynchronous loading of the base schema that is resolved
+   * with the complete schema.
+   * @public
+   */
+  async getSchema() {
+    const schema = cloneDeep(await ConfigValidator.#getBaseSchema());
+    const { definitions } = schema;
+
+    const taskTypes = Array.from(TaskType);
+    definitions.task.properties.task.enum = taskTypes.map((type) => type.name);
+    definitions.task.allOf = taskTypes
+      .filter((type) => type.outputRequired || type.schema)
+      .map((type) => ({
+        if: this.#createCondition('task', type.name),
+        then: type.outputRequired ? { allOf: [ { required: [ 'output' ] }, type.schema || {} ] } : type.schema
+      }));
+
+    const documentProviders = await DocumentService.getInstance().getAll();
+    const documentTypes = documentProviders.map((provider) => trim(provider.getType()).toLowerCase());
+    definitions.doc.properties.type.enum = documentTypes;
+    definitions.doc.allOf = documentProviders
+      .map((provider, index) => ({ schema: provider.getSchema(), type: documentTypes[index] }))
+      .filter(({ schema: documentSchema }) => documentSchema)
+      .map(({ schema: documentSchema, type }) => ({
+        if: this.#createCondition('type', type),
+        then: documentSchema
+      }));
+
+    const rootProvider = documentProviders[documentTypes.indexOf('root')];
+    const rootSchema = rootProvider ? rootProvider.getSchema() : null;
+    if (rootSchema) {
+      definitions.docsItem = {
+        allOf: [
+          { $ref: '#/definitions/doc' },
+          {
+            if: { not: { required: [ 'type' ] } },
+            then: rootSchema
+          }
+        ]
+      };
+    }
+
+    return schema;
+  }
+
+  /**
+   * Validates the specified configuration <code>data</code> that was loaded from the <code>filePath</code> provided, if
+   * any.
+   *
+   * Task and document types are matched regardless of case and surrounding whitespace, as they are when the
+   * configuration is parsed.
+   *
+   * An error will occur if <code>data</code> is invalid, whose message contains every problem that was found, or if the
+   * schema could not be loaded.
+   *
+   * @param {Object} data - the configuration data to be validated
+   * @param {?string} filePath - the path of the file from which <code>data</code> was loaded (may be <code>null</code>
+   * if it was created in memory)
+   * @return {Promise<void>} A <code>Promise</code> for the asynchronous validation.
+   * @public
+   */
+  async validate(data, filePath) {
+    debug('Validating configuration: %s', filePath ? chalk.blue(filePath) : '(in memory)');
+
+    const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, strict: false });
+    const validateData = ajv.compile(await this.getSchema());
+
+    if (validateData(this.#normalize(data))) {
+      return;
+    }
+
+    const problems = new Set(validateData.errors
+      .filter((error) => error.keyword !== 'if')
+      .map((error) => this.#formatError(error)));
+
+    throw new Error(`Invalid configuration${filePath ? ` file: ${filePath}` : ''}\n${Array.from(problems)
+      .map((problem) => `  - ${problem}`)
+      .join('\n')}`);
+  }
+
+  /**
+   * @param {string} property
+   * @param {string} value
+   * @return {Object}
+   * @private
+   */
+  #createCondition(property, value) {
+    return {
+      properties: {
+        [property]: { const: value }
+      },
+      required: [ property ]
+    };
+  }
+
+  /**
+   * @param {Object} error
+   * @return {string}
+   * @private
+   */
+  #formatError(error) {
+    const segments = error.instancePath
+      .split('/')
+      .slice(1)
+      .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    let { message } = error;
+
+    switch (error.keyword) {
+    case 'additionalProperties':
+      segments.push(error.params.additionalProperty);
+      message = 'is not allowed';
+      break;
+    case 'enum':
+      message = `${message}: ${error.params.allowedValues.join(', ')}`;
+      break;
+    case 'required':
+      segments.push(error.params.missingProperty);
+      message = 'is required';
+      break;
+    default:
+      break;
+    }
+
+    const path = segments.reduce((memo, segment) => {
+      if (/^\d+$/.test(segment)) {
+        return `${memo}[${segment}]`;
+      }
+
+      return memo ? `${memo}.${segment}` : segment;
+    }, '');
+
+    return `${path || '(root)'}: ${message}`;
+  }
+
+  /**
+   * @param {Object} data
+   * @return {Object}
+   * @private
+   */
+  #normalize(data) {
+    const omitFunctions = (value) => {
+      if (Array.isArray(value)) {
+        return value.map(omitFunctions);
+      }
+      if (isPlainObject(value)) {
+        return mapValues(omitBy(value, (child) => typeof child === 'function'), omitFunctions);
+      }
+
+      return value;
+    };
+    const normalizeDoc = (doc) => {
+      if (!isPlainObject(doc)) {
+        return doc;
+      }
+
+      doc = Object.assign({}, doc);
+
+      if (typeof doc.type === 'string') {
+        doc.type = trim(doc.type).toLowerCase();
+      }
+      if (Array.isArray(doc.sections)) {
+        doc.sections = doc.sections.map(normalizeDoc);
+      }
+
+      return doc;
+    };
+
+    data = omitFunctions(data);
+
+    if (Array.isArray(data.docs)) {
+      data.docs = data.docs.map(normalizeDoc);
+    }
+    if (Array.isArray(data.tasks)) {
+      data.tasks = data.tasks.map((task) => {
+        if (isPlainObject(task) && typeof task.task === 'string') {
+          return Object.assign({}, task, { task: trim(task.task).toLowerCase() });
+        }
+
+        return task;
+      });
+    }
+
+    return data;
+  }
+
+}
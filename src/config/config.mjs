@@ -22,10 +22,12 @@
 
 /* istanbul ignore file */
 
-import { castArray, cloneDeep, get, trim } from 'lodash-es';
+import { castArray, cloneDeep, get, isPlainObject, trim, uniq } from 'lodash-es';
+import { AsyncLocalStorage } from 'node:async_hooks';
 import { EOL } from 'node:os';
 import path from 'node:path';
 
+import { createLimiter } from '../concurrency.mjs';
 import { Expression } from './expression.mjs';
 import { Logger } from '../logger.mjs';
 import { Package } from './package/package.mjs';
@@ -34,10 +36,14 @@ import { RepositoryService } from './repository/repository-service.mjs';
 import { Scope } from './scope.mjs';
 
 /**
- * Contains parsed configuration data that has been loaded from a single configuration file.
+ * Contains parsed configuration data that has been loaded from a single configuration file or created in memory.
  *
- * While it's possible to create an instance using the constructor, it's highly recommended that {@link ConfigLoader} is
- * used instead.
+ * While it's possible to create an instance using the constructor, it's highly recommended that {@link ConfigLoader} or
+ * {@link createConfig} is used instead.
+ *
+ * The base directory, against which all relative paths are resolved, is the directory containing the configuration
+ * file by default. However, the <code>baseDir</code> option can be specified to use a different directory, which is
+ * required when there is no configuration file (i.e. the data was created in memory).
  *
  * The <code>logger</code> option can be specified to control where output messages are written to. By default, a
  * disabled {@link Logger} will be used so that such messages are not written at all.
@@ -46,6 +52,10 @@ import { Scope } from './scope.mjs';
  * information respectively. If instantiating the constructor directly, it may be necessary to use {@link PackageLoader}
  * and {@link RepositoryService} to obtain this information.
  *
+ * The <code>helpers</code> option can be specified to provide functions that are exposed as variables to every
+ * expression evaluated using the <code>Config</code>, alongside the "variables" within the configuration data. If
+ * using {@link ConfigLoader}, these are loaded from the module referenced by the "helpers" configuration.
+ *
  * Each <code>Config</code> instance has a {@link Scope} that is cleared at the beginning of each generation cycle. This
  * can be used to share state and to get a high level overview of the generation process.
  *
@@ -53,11 +63,22 @@ import { Scope } from './scope.mjs';
  */
 export class Config {
 
+  /**
+   * @type {AsyncLocalStorage<string>}
+   * @private
+   */
+  static #configPaths = new AsyncLocalStorage();
+
   /**
    * @type {string}
    * @private
    */
   #baseDir;
+  /**
+   * @type {number}
+   * @private
+   */
+  #concurrency;
   /**
    * @type {Object}
    * @private
@@ -72,12 +93,27 @@ export class Config {
    * @type {string}
    * @private
    */
+  #expressionMode;
+  /**
+   * @type {?string}
+   * @private
+   */
   #filePath;
+  /**
+   * @type {Object<string, Function>}
+   * @private
+   */
+  #helpers;
   /**
    * @type {?string}
    * @private
    */
   #homepage;
+  /**
+   * @type {createLimiter~Limit}
+   * @private
+   */
+  #limit;
   /**
    * @type {string}
    * @private
@@ -108,11 +144,21 @@ export class Config {
    * @private
    */
   #scope = new Scope();
+  /**
+   * @type {string[]}
+   * @private
+   */
+  #sourceFilePaths;
   /**
    * @type {?string}
    * @private
    */
   #title;
+  /**
+   * @type {Object}
+   * @private
+   */
+  #variables;
 
   /**
    * Creates an instance of {@link Config} using the <code>options</code> provided.
@@ -123,12 +169,20 @@ export class Config {
   constructor(options) {
     const repositoryService = RepositoryService.getInstance();
 
-    this.#filePath = options.filePath;
+    this.#filePath = options.filePath || null;
     this.#data = options.data;
+    this.#helpers = Object.assign({}, options.helpers);
     this.#logger = options.logger || new Logger({ enabled: false });
     this.#pkg = options.pkg || new Package();
     this.#repository = new Repo(repositoryService.getRepository(options.repository));
-    this.#baseDir = path.dirname(this.#filePath);
+    this.#sourceFilePaths = uniq(castArray(options.sourceFilePaths || this.#filePath || []));
+    this.#baseDir = ((baseDir) => {
+      if (!baseDir) {
+        throw new Error('"baseDir" option is required when no "filePath" option is specified');
+      }
+
+      return path.resolve(baseDir);
+    })(options.baseDir || (this.#filePath ? path.dirname(this.#filePath) : null));
     this.#email = trim(this.#data.email) || null;
     this.#homepage = trim(this.#data.homepage) || trim(this.#pkg.get('homepage')) || this.#repository.homepage;
     this.#name = trim(this.#data.name) || trim(this.#pkg.get('name')) || this.#repository.name;
@@ -143,6 +197,32 @@ export class Config {
         return EOL;
       }
     })(trim(this.option('lineSeparator')).toLowerCase());
+    this.#concurrency = ((concurrency) => {
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error(`"options.concurrency" configuration must be a positive integer: ${concurrency}`);
+      }
+
+      return concurrency;
+    })(this.option('concurrency', 1));
+    this.#limit = createLimiter(this.#concurrency);
+    this.#expressionMode = ((expressionMode) => {
+      if (!Expression.modes.includes(expressionMode)) {
+        throw new Error(`"options.expressions" configuration must be one of ${Expression.modes.join(', ')}: ` +
+          expressionMode);
+      }
+
+      return expressionMode;
+    })(this.option('expressions', 'javascript'));
+    this.#variables = ((variables) => {
+      if (variables == null) {
+        return {};
+      }
+      if (!isPlainObject(variables)) {
+        throw new TypeError('"variables" configuration can only be an object');
+      }
+
+      return variables;
+    })(this.#data.variables);
   }
 
   /**
@@ -231,20 +311,37 @@ export class Config {
    * Optionally, <code>additionalData</code> can be provided to expose more variables to <code>expression</code> during
    * evaluation.
    *
-   * A <code>config</code> and <code>eol</code> variable can be used within the expression to reference this
-   * {@link Config} and {@link Config#lineSeparator} respectively.
+   * A <code>config</code>, <code>eol</code>, and <code>vars</code> variable can be used within the expression to
+   * reference this {@link Config}, {@link Config#lineSeparator}, and {@link Config#variables} respectively. All
+   * {@link Config#helpers} are also exposed as variables, however, they are overridden by any other variables with the
+   * same name.
+   *
+   * The expression is evaluated in the mode specified by the <code>expressions</code> option (see {@link Expression}),
+   * which is <code>javascript</code> by default. Any error that occurs will include the current configuration path
+   * (see {@link Config#withConfigPath}).
+   *
+   * Optionally, <code>options</code> can be provided to identify the property, relative to the current configuration
+   * path, that contained the expression (e.g. <code>input.files</code>) and/or to indicate that the expression is
+   * trusted (i.e. it was defined by code rather than configuration), in which case it is always evaluated in
+   * <code>javascript</code> mode.
    *
    * @param {?string} expressionString - the raw expression to be evaluated (may be <code>null</code>)
    * @param {Object} [additionalData] - an object whose properties will be exposed as variables when the expression is
    * evaluated
+   * @param {Config~EvaluateOptions} [options] - the options to be used
    * @return {string} The evaluated output.
+   * @throws {ExpressionError} If the expression cannot be compiled or evaluated.
    * @public
    */
-  evaluate(expressionString, additionalData) {
-    const expression = new Expression(expressionString);
-    const data = Object.assign({
+  evaluate(expressionString, additionalData, options = {}) {
+    const expression = new Expression(expressionString, {
+      mode: options.trusted ? 'javascript' : this.#expressionMode,
+      path: [ this.configPath, options.field ].filter(Boolean).join('.') || null
+    });
+    const data = Object.assign({}, this.#helpers, {
       config: this,
-      eol: this.lineSeparator
+      eol: this.lineSeparator,
+      vars: this.#variables
     }, additionalData);
 
     return expression.evaluate(data);
@@ -298,6 +395,23 @@ export class Config {
     return `Config(${this.name})`;
   }
 
+  /**
+   * Invokes the specified <code>callback</code> with <code>configPath</code> as the current configuration path, which
+   * is included in any errors that occur while evaluating expressions during its (synchronous or asynchronous)
+   * execution.
+   *
+   * <code>configPath</code> should be absolute (e.g. <code>tasks[2].output</code>), however, it can be derived from the
+   * current configuration path (see {@link Config#configPath}).
+   *
+   * @param {?string} configPath - the configuration path to be used (may be <code>null</code>)
+   * @param {Function} callback - the function to be invoked
+   * @return {*} The return value of <code>callback</code>.
+   * @public
+   */
+  withConfigPath(configPath, callback) {
+    return Config.#configPaths.run(configPath || null, callback);
+  }
+
   /**
    * Returns the path to the directory to which assets are to be generated.
    *
@@ -313,7 +427,8 @@ export class Config {
   }
 
   /**
-   * Returns the path of the base directory from where the data for this {@link Config} was originally loaded.
+   * Returns the path of the base directory from where the data for this {@link Config} was originally loaded, unless
+   * another directory was explicitly specified.
    *
    * @return {string} The configuration base directory.
    * @public
@@ -322,6 +437,30 @@ export class Config {
     return this.#baseDir;
   }
 
+  /**
+   * Returns the maximum number of operations that can be performed concurrently as per this {@link Config}.
+   *
+   * The concurrency is derived from the value of the <code>concurrency</code> option, while <code>1</code> is used as a
+   * fallback value, meaning that all operations are performed sequentially.
+   *
+   * @return {number} The concurrency.
+   * @public
+   */
+  get concurrency() {
+    return this.#concurrency;
+  }
+
+  /**
+   * Returns the path to the configuration currently being processed (e.g. <code>tasks[2].output</code>), as set by
+   * {@link Config#withConfigPath}.
+   *
+   * @return {?string} The current configuration path or <code>null</code> if unknown.
+   * @public
+   */
+  get configPath() {
+    return Config.#configPaths.getStore() || null;
+  }
+
   /**
    * Returns the raw data for all docs defined within this {@link Config}.
    *
@@ -372,13 +511,24 @@ export class Config {
   /**
    * Returns the path of the file from where the data for this {@link Config} was originally loaded.
    *
-   * @return {string} The configuration file path.
+   * @return {?string} The configuration file path or <code>null</code> if the data was created in memory.
    * @public
    */
   get filePath() {
     return this.#filePath;
   }
 
+  /**
+   * Returns the helper functions that are exposed as variables to every expression evaluated using this
+   * {@link Config}.
+   *
+   * @return {Object<string, Function>} The helper functions mapped to their names.
+   * @public
+   */
+  get helpers() {
+    return Object.assign({}, this.#helpers);
+  }
+
   /**
    * Returns the homepage of the brand.
    *
@@ -393,6 +543,21 @@ export class Config {
     return this.#homepage;
   }
 
+  /**
+   * Returns a function that can be used to perform an operation once fewer than {@link Config#concurrency} operations
+   * are pending for this {@link Config}.
+   *
+   * The limit is shared by all callers, including those running concurrently (e.g. operations of different tasks), so
+   * that the total number of pending operations never exceeds the concurrency. For this reason, operations performed
+   * using the limit must never use it themselves as they could otherwise wait indefinitely for each other.
+   *
+   * @return {createLimiter~Limit} The limit.
+   * @public
+   */
+  get limit() {
+    return this.#limit;
+  }
+
   /**
    * Returns the line separator to be used as per this {@link Config}.
    *
@@ -470,6 +635,18 @@ export class Config {
     return this.#scope;
   }
 
+  /**
+   * Returns the paths of all files from which the data for this {@link Config} was loaded, including the configuration
+   * file, any configuration files that it extends, and any helpers module.
+   *
+   * @return {string[]} The source file paths, which will be empty if the data was created in memory without extending
+   * any configuration files or loading any helpers module.
+   * @public
+   */
+  get sourceFilePaths() {
+    return this.#sourceFilePaths.slice();
+  }
+
   /**
    * Returns the raw data for all tasks defined within this {@link Config}.
    *
@@ -509,16 +686,44 @@ export class Config {
     return this.#title;
   }
 
+  /**
+   * Returns the user-defined variables within this {@link Config}, which are exposed as the <code>vars</code> variable
+   * to every expression evaluated using this {@link Config}.
+   *
+   * The object will be empty if the "variables" configuration is null or missing entirely.
+   *
+   * @return {Object} The user-defined variables.
+   * @public
+   */
+  get variables() {
+    return this.#variables;
+  }
+
 }
 
+/**
+ * The options that can be passed to {@link Config#evaluate}.
+ *
+ * @typedef {Object} Config~EvaluateOptions
+ * @property {string} [field] - The path of the property that contained the expression, relative to the current
+ * configuration path.
+ * @property {boolean} [trusted=false] - <code>true</code> if the expression was defined by code rather than
+ * configuration and can always be evaluated in <code>javascript</code> mode; otherwise <code>false</code>.
+ */
+
 /**
  * The options that can be passed to the {@link Config} constructor.
  *
  * @typedef {Object} Config~Options
- * @property {string} filePath - The path of the file from where the configuration data was loaded.
+ * @property {string} [baseDir] - The path of the base directory against which relative paths are resolved. Defaults
+ * to the directory containing <code>filePath</code>, if specified; otherwise it is required.
+ * @property {string} [filePath] - The path of the file from where the configuration data was loaded, if any.
  * @property {Object} data - The configuration data.
+ * @property {Object<string, Function>} [helpers] - The helper functions to be exposed as variables to expressions.
  * @property {Logger} [logger] - The {@link Logger} to be used by the configuration.
  * @property {Package} [pkg] - The {@link Package} associated with the configuration.
  * @property {RepositoryService~RepositoryInfo} [repository] - The VCS repository information associated with the
  * configuration.
+ * @property {string[]} [sourceFilePaths] - The paths of all files from which the configuration was loaded. Defaults to
+ * <code>filePath</code>, if specified.
  */
@@ -27,6 +27,8 @@ import { cloneDeep } from 'lodash-es';
 import { EventEmitter } from 'node:events';
 import pollock from 'pollock';
 
+import { DependencyGraph } from './dependency-graph.mjs';
+
 const debug = Debug('brander:config');
 
 /**
@@ -34,6 +36,11 @@ const debug = Debug('brander:config');
  * generally done iteratively via {@link ContextParser#parseNext} but there's also an option to bulk parse all remaining
  * contexts via {@link ContextParser#parseRemaining}.
  *
+ * Data is parsed iteratively in the order determined by the {@link DependencyGraph} of the data set so that each data
+ * is only parsed after all of the data on which it depends. By default, each data depends on the data before it,
+ * however, implementations can override {@link ContextParser#buildDependencyGraph} to allow data to declare its
+ * dependencies.
+ *
  * In order to re-use a <code>ContextParser</code> to parse the same data set again, for whatever reason,
  * {@link ContextParser#reset} must be called in order to restore the iterator index to zero.
  *
@@ -57,6 +64,11 @@ export class ContextParser extends EventEmitter {
    * @private
    */
   #dataSet;
+  /**
+   * @type {?DependencyGraph}
+   * @private
+   */
+  #dependencyGraph = null;
 
   /**
    * Creates an instance of {@link ContextParser} with the specified <code>dataSet</code> and <code>config</code>.
@@ -73,30 +85,61 @@ export class ContextParser extends EventEmitter {
   }
 
   /**
-   * Parses the next data within the data set of this {@link ContextParser}, where possible.
+   * Builds the {@link DependencyGraph} for the specified <code>dataSet</code>, which determines the order in which the
+   * data is parsed and which data can be run concurrently.
+   *
+   * By default, this method returns a graph where each data depends on the data before it.
+   *
+   * An error will occur if the dependencies declared within <code>dataSet</code> are invalid or circular.
+   *
+   * @param {Object[]} dataSet - the data set for which the {@link DependencyGraph} is to be built
+   * @return {DependencyGraph} The dependency graph.
+   * @throws {Error} If the dependencies within <code>dataSet</code> are invalid or circular.
+   * @protected
+   */
+  buildDependencyGraph(dataSet) {
+    return DependencyGraph.sequential(dataSet.length);
+  }
+
+  /**
+   * Returns the path of the data at the specified <code>index</code> within the configuration, relative to the current
+   * configuration path (see {@link Config#configPath}), where possible.
+   *
+   * By default, this method returns <code>null</code> so that the current configuration path is used.
+   *
+   * @param {number} index - the index of the data whose configuration path is to be returned
+   * @return {?string} The configuration path of the data (e.g. <code>tasks[2]</code>) or <code>null</code> if unknown.
+   * @protected
+   */
+  getConfigPath(index) {
+    return null;
+  }
+
+  /**
+   * Parses the data at the specified <code>index</code> within the data set of this {@link ContextParser}, where
+   * possible, regardless of the current iterator index.
    *
    * Multiple {@link Context} instances can be returned by this method, however, it's perfectly acceptable for
    * implementations to never return more than one instance at a time, but it must always be wrapped within an array.
    *
    * If the data is <code>null</code> or the implementation deems that it contains no {@link Context} information, then
-   * this method will be resolved with an empty array. However, if there is no more data within the data set, then this
-   * method will be resolved with <code>null</code>.
+   * this method will be resolved with an empty array.
+   *
+   * It is the responsibility of the caller to ensure that any data on which the data at <code>index</code> depends (see
+   * {@link ContextParser#dependencyGraph}) has already been parsed and run.
+   *
+   * The data is parsed with its configuration path (see {@link ContextParser#getConfigPath}) so that it's included in
+   * any errors that occur while evaluating expressions.
    *
    * An error will occur if the implementation is unable to parse the data, for whatever reason.
    *
+   * @param {number} index - the index of the data to be parsed
    * @return {Promise<Context[]>} A <code>Promise</code> for asynchronous data parsing that is resolved with each parsed
-   * {@link Context} or <code>null</code> if there is no more available data.
+   * {@link Context}.
    * @fires ContextParser#parsed
    * @public
    */
-  async parseNext() {
-    const index = this.#currentIndex++;
-    if (index === this.#dataSet.length) {
-      debug('No more data to be parsed');
-
-      return null;
-    }
-
+  async parseAt(index) {
     const data = cloneDeep(this.#dataSet[index]);
     if (!data) {
       debug('No data found at index: %d', index);
@@ -106,7 +149,9 @@ export class ContextParser extends EventEmitter {
 
     debug('Creating context for data at index: %d', index);
 
-    const contexts = await this.parseData(data, index);
+    const config = this.#config;
+    const configPath = [ config.configPath, this.getConfigPath(index) ].filter(Boolean).join('.') || null;
+    const contexts = await config.withConfigPath(configPath, () => this.parseData(data, index));
 
     /**
      * The "parsed" event is fired immediately after context data is parsed.
@@ -124,6 +169,37 @@ export class ContextParser extends EventEmitter {
     return contexts;
   }
 
+  /**
+   * Parses the next data within the data set of this {@link ContextParser}, following the order of its
+   * {@link DependencyGraph}, where possible.
+   *
+   * Multiple {@link Context} instances can be returned by this method, however, it's perfectly acceptable for
+   * implementations to never return more than one instance at a time, but it must always be wrapped within an array.
+   *
+   * If the data is <code>null</code> or the implementation deems that it contains no {@link Context} information, then
+   * this method will be resolved with an empty array. However, if there is no more data within the data set, then this
+   * method will be resolved with <code>null</code>.
+   *
+   * An error will occur if the implementation is unable to parse the data, or its dependencies are invalid, for
+   * whatever reason.
+   *
+   * @return {Promise<Context[]>} A <code>Promise</code> for asynchronous data parsing that is resolved with each parsed
+   * {@link Context} or <code>null</code> if there is no more available data.
+   * @fires ContextParser#parsed
+   * @public
+   */
+  async parseNext() {
+    const { order } = this.dependencyGraph;
+    const position = this.#currentIndex++;
+    if (position >= order.length) {
+      debug('No more data to be parsed');
+
+      return null;
+    }
+
+    return this.parseAt(order[position]);
+  }
+
   /**
    * Parses all of the remaining data within the data set of this {@link ContextParser}, where possible.
    *
@@ -177,6 +253,23 @@ export class ContextParser extends EventEmitter {
     return this.#config;
   }
 
+  /**
+   * Returns the {@link DependencyGraph} for the data set of this {@link ContextParser}, building it if needed.
+   *
+   * An error will occur if the dependencies declared within the data set are invalid or circular.
+   *
+   * @return {DependencyGraph} The dependency graph.
+   * @throws {Error} If the dependencies within the data set are invalid or circular.
+   * @public
+   */
+  get dependencyGraph() {
+    if (!this.#dependencyGraph) {
+      this.#dependencyGraph = this.buildDependencyGraph(this.#dataSet);
+    }
+
+    return this.#dependencyGraph;
+  }
+
 }
 
 /**
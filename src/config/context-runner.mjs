@@ -25,10 +25,19 @@
 import { EventEmitter } from 'node:events';
 import pollock from 'pollock';
 
+import { createLimiter, mapConcurrently } from '../concurrency.mjs';
+
 /**
  * Capable of running {@link Context} instances sequentially which can either be provided directly or extracted
  * iteratively via a {@link ContextParser}.
  *
+ * Implementations can allow contexts to be run concurrently by overriding {@link ContextRunner#getConcurrency}, in
+ * which case all contexts that are provided directly, or that are extracted together from a single data within the data
+ * set of a {@link ContextParser}, may run concurrently. Data within the data set is only parsed, and its contexts run,
+ * once all of the data on which it depends (see {@link ContextParser#dependencyGraph}) has been run, so data that does
+ * not depend on each other may also run concurrently. The concurrency limit is shared by all contexts regardless of the
+ * data from which they were extracted.
+ *
  * @public
  * @abstract
  */
@@ -61,7 +70,21 @@ export class ContextRunner extends EventEmitter {
   }
 
   /**
-   * Iterates over each {@link Context} and runs them sequentially.
+   * Returns the maximum number of contexts that can be run concurrently for the specified <code>config</code>.
+   *
+   * This method returns <code>1</code> by default so that all contexts are run sequentially.
+   *
+   * @param {Config} config - the {@link Config} for which the contexts are to be run
+   * @return {number} The concurrency.
+   * @protected
+   */
+  getConcurrency(config) {
+    return 1;
+  }
+
+  /**
+   * Iterates over each {@link Context} and runs them, sequentially unless concurrency is allowed (see
+   * {@link ContextRunner#getConcurrency}).
    *
    * The result of running each {@link Context} is mapped to an array with which this method is resolved.
    *
@@ -118,7 +141,7 @@ export class ContextRunner extends EventEmitter {
    * @private
    */
   async #runContext(context) {
-    const result = await this.runContext(context);
+    const result = await this.#config.withConfigPath(context.configPath, () => this.runContext(context));
 
     /**
      * The "ran" event is fired immediately after a context has ran.
@@ -138,27 +161,45 @@ export class ContextRunner extends EventEmitter {
    * @private
    */
   async #runContexts() {
-    const results = [];
+    const concurrency = this.getConcurrency(this.#config);
+    const runContext = (context) => this.#runContext(context);
 
     if (Array.isArray(this.#contextsOrParser)) {
-      for (const context of this.#contextsOrParser) {
-        const result = await this.#runContext(context);
+      return mapConcurrently(this.#contextsOrParser, concurrency, runContext);
+    }
+
+    const parser = this.#contextsOrParser;
+    const graph = parser.dependencyGraph;
+    const limit = createLimiter(concurrency);
+    const pending = new Array(graph.size);
+    let error = null;
+    let failed = false;
+
+    const runData = async(index) => {
+      await Promise.all(graph.getDependencies(index).map((dependency) => pending[dependency]));
 
-        results.push(result);
-      }
-    } else {
-      let contexts;
+      const contexts = failed ? [] : await parser.parseAt(index);
 
-      while ((contexts = await this.#contextsOrParser.parseNext()) != null) {
-        for (const context of contexts) {
-          const result = await this.#runContext(context);
+      return Promise.all(contexts.map((context) => limit(() => (failed ? null : runContext(context)))));
+    };
 
-          results.push(result);
+    for (const index of graph.order) {
+      pending[index] = runData(index).catch((e) => {
+        if (!failed) {
+          error = e;
+          failed = true;
         }
-      }
+
+        throw e;
+      });
     }
 
-    return results;
+    const settled = await Promise.allSettled(pending);
+    if (failed) {
+      throw error;
+    }
+
+    return settled.flatMap((result) => result.value);
   }
 
 }
@@ -35,15 +35,24 @@ export class Context {
    * @private
    */
   #config;
+  /**
+   * @type {?string}
+   * @private
+   */
+  #configPath;
 
   /**
    * Creates an instance of {@link Context} with the specified <code>config</code>.
    *
+   * The current configuration path of <code>config</code> (see {@link Config#configPath}) is captured so that it can be
+   * used when running the {@link Context}.
+   *
    * @param {Config} config - the {@link Config} to be used
    * @protected
    */
   constructor(config) {
     this.#config = config;
+    this.#configPath = config.configPath;
   }
 
   /**
@@ -56,4 +65,14 @@ export class Context {
     return this.#config;
   }
 
+  /**
+   * Returns the path to the configuration data on which this {@link Context} is based (e.g. <code>tasks[2]</code>).
+   *
+   * @return {?string} The configuration path or <code>null</code> if unknown.
+   * @public
+   */
+  get configPath() {
+    return this.#configPath;
+  }
+
 }
@@ -0,0 +1,70 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import path from 'node:path';
+
+import { ConfigLoader } from './config-loader.mjs';
+
+/**
+ * Creates a {@link Config} from the specified configuration <code>data</code> without the need for a configuration
+ * file, which is useful when using brander programmatically (e.g. within build scripts or tests).
+ *
+ * The <code>baseDir</code> option must be specified and is used as the base directory of the {@link Config}, against
+ * which all relative paths are resolved. Otherwise, <code>data</code> is resolved exactly as if it had been loaded
+ * from a configuration file within that directory using {@link ConfigLoader#load}, including resolving the package
+ * and repository information associated with the directory.
+ *
+ * An error will occur if the <code>baseDir</code> option is missing or <code>data</code> could not be resolved (see
+ * {@link ConfigLoader#create}).
+ *
+ * @param {Object} data - the configuration data to be used
+ * @param {createConfig~Options} options - the options to be used
+ * @return {Promise<Config>} A <code>Promise</code> for the asynchronous resolution of <code>data</code> that is
+ * resolved with the created {@link Config}.
+ * @public
+ */
+export async function createConfig(data, options = {}) {
+  if (!options.baseDir) {
+    throw new Error('"baseDir" option is required');
+  }
+
+  const configLoader = new ConfigLoader({
+    baseDir: path.resolve(options.baseDir),
+    logger: options.logger,
+    options: options.options,
+    profile: options.profile
+  });
+
+  return configLoader.create(data);
+}
+
+/**
+ * The options that can be passed to {@link createConfig}.
+ *
+ * @typedef {Object} createConfig~Options
+ * @property {string} baseDir - The base directory.
+ * @property {Logger} [logger] - The {@link Logger} to be passed to the created {@link Config}.
+ * @property {Object} [options] - The options to be merged over the "options" within the configuration data.
+ * @property {string} [profile] - The name of the profile to be applied to the configuration data.
+ */
@@ -0,0 +1,163 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+/**
+ * A directed acyclic graph of the dependencies between data within a data set, where each node is identified by its
+ * index within the data set.
+ *
+ * The order in which the data should be processed, so that each data is only processed after all of its dependencies,
+ * is determined upfront when the {@link DependencyGraph} is created, which is also when any circular dependencies are
+ * detected. Where possible, the order respects the original order of the data set.
+ *
+ * @public
+ */
+export class DependencyGraph {
+
+  /**
+   * Creates a {@link DependencyGraph} for a data set of the specified <code>size</code> where each data depends on the
+   * data immediately before it, which results in the data set being processed sequentially.
+   *
+   * @param {number} size - the size of the data set
+   * @return {DependencyGraph} A sequential dependency graph.
+   * @public
+   */
+  static sequential(size) {
+    const dependencies = [];
+
+    for (let index = 0; index < size; index++) {
+      dependencies.push(index > 0 ? [ index - 1 ] : []);
+    }
+
+    return new DependencyGraph(dependencies);
+  }
+
+  /**
+   * @type {number[][]}
+   * @private
+   */
+  #dependencies;
+  /**
+   * @type {number[]}
+   * @private
+   */
+  #order;
+
+  /**
+   * Creates an instance of {@link DependencyGraph} using the specified <code>dependencies</code>, which contains the
+   * indices of the data on which the data at each index depends.
+   *
+   * Optionally, <code>labels</code> can be provided to describe the data at each index within error messages, which
+   * otherwise use the indices themselves.
+   *
+   * An error will occur if <code>dependencies</code> contains an index that is out of range or any circular
+   * dependencies.
+   *
+   * @param {number[][]} dependencies - the indices of the dependencies for the data at each index
+   * @param {string[]} [labels] - the labels describing the data at each index
+   * @throws {Error} If <code>dependencies</code> is invalid or contains circular dependencies.
+   * @public
+   */
+  constructor(dependencies, labels = []) {
+    this.#dependencies = dependencies.map((indices) => Array.from(new Set(indices)));
+    this.#order = this.#sort((index) => labels[index] || String(index));
+  }
+
+  /**
+   * Returns the indices of the data on which the data at the specified <code>index</code> directly depends.
+   *
+   * @param {number} index - the index of the data whose dependencies are to be returned
+   * @return {number[]} The indices of the dependencies.
+   * @public
+   */
+  getDependencies(index) {
+    return this.#dependencies[index] || [];
+  }
+
+  /**
+   * @param {Function} label
+   * @return {number[]}
+   * @private
+   */
+  #sort(label) {
+    const dependencies = this.#dependencies;
+    const order = [];
+    const path = [];
+    const visited = new Set();
+
+    const visit = (index) => {
+      if (visited.has(index)) {
+        return;
+      }
+
+      const pathIndex = path.indexOf(index);
+      if (pathIndex >= 0) {
+        const cycle = path.slice(pathIndex).concat(index).map(label).join(' -> ');
+
+        throw new Error(`Circular dependency detected: ${cycle}`);
+      }
+
+      path.push(index);
+
+      for (const dependency of dependencies[index]) {
+        if (!(Number.isInteger(dependency) && dependency >= 0 && dependency < dependencies.length)) {
+          throw new Error(`Invalid dependency for ${label(index)}: ${dependency}`);
+        }
+
+        visit(dependency);
+      }
+
+      path.pop();
+      visited.add(index);
+      order.push(index);
+    };
+
+    for (let index = 0; index < dependencies.length; index++) {
+      visit(index);
+    }
+
+    return order;
+  }
+
+  /**
+   * Returns the indices of all data within this {@link DependencyGraph} in the order in which they should be processed
+   * so that each data is only processed after all of its dependencies.
+   *
+   * @return {number[]} The processing order.
+   * @public
+   */
+  get order() {
+    return this.#order.slice();
+  }
+
+  /**
+   * Returns the number of data within this {@link DependencyGraph}.
+   *
+   * @return {number} The size.
+   * @public
+   */
+  get size() {
+    return this.#dependencies.length;
+  }
+
+}
@@ -0,0 +1,133 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+/**
+ * An error that occurs when an {@link Expression} cannot be compiled or evaluated.
+ *
+ * In addition to the reason for the failure, the message includes the path to the configuration that contained the
+ * expression (where known), the source of the expression, and the names of the variables that were available to it,
+ * all of which are also exposed as properties so that they can be inspected programmatically.
+ *
+ * @public
+ */
+export class ExpressionError extends Error {
+
+  /**
+   * @type {string[]}
+   * @private
+   */
+  #keys;
+  /**
+   * @type {?string}
+   * @private
+   */
+  #path;
+  /**
+   * @type {string}
+   * @private
+   */
+  #reason;
+  /**
+   * @type {?string}
+   * @private
+   */
+  #source;
+
+  /**
+   * Creates an instance of {@link ExpressionError} for the specified <code>reason</code> using the
+   * <code>options</code> provided.
+   *
+   * @param {string} reason - the reason why the expression failed
+   * @param {ExpressionError~Options} [options] - the options to be used
+   * @public
+   */
+  constructor(reason, options = {}) {
+    const keys = options.keys || [];
+    const path = options.path || null;
+    const source = options.source != null ? options.source : null;
+
+    super([
+      `Unable to evaluate expression${path ? ` at ${path}` : ''}: ${reason}`,
+      `  Source: ${source}`,
+      `  Available variables: ${keys.length ? keys.join(', ') : '(none)'}`
+    ].join('\n'), { cause: options.cause });
+
+    this.name = 'ExpressionError';
+    this.#keys = keys;
+    this.#path = path;
+    this.#reason = reason;
+    this.#source = source;
+  }
+
+  /**
+   * Returns the names of the variables that were available to the expression.
+   *
+   * @return {string[]} The variable names.
+   * @public
+   */
+  get keys() {
+    return this.#keys.slice();
+  }
+
+  /**
+   * Returns the path to the configuration that contained the expression (e.g. <code>tasks[2].output</code>).
+   *
+   * @return {?string} The configuration path or <code>null</code> if unknown.
+   * @public
+   */
+  get path() {
+    return this.#path;
+  }
+
+  /**
+   * Returns the reason why the expression failed.
+   *
+   * @return {string} The reason.
+   * @public
+   */
+  get reason() {
+    return this.#reason;
+  }
+
+  /**
+   * Returns the source of the expression.
+   *
+   * @return {?string} The expression source (may be <code>null</code>).
+   * @public
+   */
+  get source() {
+    return this.#source;
+  }
+
+}
+
+/**
+ * The options that can be passed to the {@link ExpressionError} constructor.
+ *
+ * @typedef {Object} ExpressionError~Options
+ * @property {Error} [cause] - The underlying error, where applicable.
+ * @property {string[]} [keys] - The names of the variables that were available to the expression.
+ * @property {?string} [path] - The path to the configuration that contained the expression.
+ * @property {?string} [source] - The source of the expression.
+ */
@@ -24,43 +24,177 @@
 
 import { template } from 'lodash-es';
 
+import { ExpressionError } from './expression-error.mjs';
+import { RestrictedTemplate } from './restricted-template.mjs';
+
 /**
  * Compiles a raw expression string so that it can be evaluated, optionally using data passed in directly to it to
  * expose more variables during evaluation.
  *
+ * Expressions can be evaluated in one of the following modes:
+ *
+ * <ul>
+ *   <li><code>javascript</code> (default) - Lodash templates, which can execute arbitrary JavaScript;</li>
+ *   <li><code>restricted</code> - templates that only support property access, filters, and conditionals (see
+ *   {@link RestrictedTemplate}).</li>
+ * </ul>
+ *
+ * In either mode, any error that occurs while compiling or evaluating the expression is thrown as an
+ * {@link ExpressionError}, which includes the configuration path (where provided), the expression source, and the names
+ * of the available variables.
+ *
  * @public
  */
 export class Expression {
 
   /**
-   * @type {Function}
+   * @type {string[]}
    * @private
    */
-  #compiled;
+  static #modes = [ 'javascript', 'restricted' ];
+
+  /**
+   * Returns the names of the supported expression modes.
+   *
+   * @return {string[]} The mode names.
+   * @public
+   */
+  static get modes() {
+    return Expression.#modes.slice();
+  }
+
+  /**
+   * @type {?Function}
+   * @private
+   */
+  #compiled = null;
+  /**
+   * @type {string}
+   * @private
+   */
+  #mode;
+  /**
+   * @type {?string}
+   * @private
+   */
+  #path;
+  /**
+   * @type {?string}
+   * @private
+   */
+  #source;
 
   /**
    * Creates an instance of {@link Expression} for the raw expression string provided.
    *
+   * The expression is only compiled when it is first evaluated.
+   *
+   * Optionally, <code>options</code> can be provided to control how the expression is compiled and how errors are
+   * reported.
+   *
+   * An error will occur if the <code>mode</code> option is not supported.
+   *
    * @param {?string} str - the raw expression string to be compiled (may be <code>null</code>)
+   * @param {Expression~Options} [options] - the options to be used
+   * @throws {Error} If the <code>mode</code> option is not supported.
    * @public
    */
-  constructor(str) {
-    this.#compiled = template(str);
+  constructor(str, options = {}) {
+    const mode = options.mode || 'javascript';
+    if (!Expression.#modes.includes(mode)) {
+      throw new Error(`Unsupported expression mode: ${mode}`);
+    }
+
+    this.#source = str;
+    this.#mode = mode;
+    this.#path = options.path || null;
   }
 
   /**
-   * Evaluates this {@link Expression} by interpolating data properties and executing embedded JavaScript.
+   * Evaluates this {@link Expression} by interpolating data properties and, depending on its mode, executing embedded
+   * JavaScript.
    *
    * Optionally, <code>data</code> can be provided to expose more variables during evaluation.
    *
-   * A <code>_</code> variable will always be available that provides access to the Lodash library.
+   * A <code>_</code> variable will always be available in <code>javascript</code> mode that provides access to the
+   * Lodash library.
+   *
+   * An error will occur if this {@link Expression} cannot be compiled or evaluated.
    *
    * @param {Object} [data] - an object whose properties will be exposed as variables
    * @return {string} The evaluated output.
+   * @throws {ExpressionError} If this {@link Expression} cannot be compiled or evaluated.
    * @public
    */
   evaluate(data) {
-    return this.#compiled(data);
+    try {
+      if (!this.#compiled) {
+        this.#compiled = this.#compile();
+      }
+
+      return this.#compiled(data);
+    } catch (e) {
+      throw new ExpressionError(e.message, {
+        cause: e,
+        keys: Object.keys(data || {}).sort(),
+        path: this.#path,
+        source: this.#source
+      });
+    }
+  }
+
+  /**
+   * @return {Function}
+   * @throws {Error}
+   * @private
+   */
+  #compile() {
+    if (this.#mode === 'restricted') {
+      const restrictedTemplate = new RestrictedTemplate(this.#source);
+
+      return (data) => restrictedTemplate.render(data);
+    }
+
+    return template(this.#source);
+  }
+
+  /**
+   * Returns the mode of this {@link Expression}.
+   *
+   * @return {string} The mode.
+   * @public
+   */
+  get mode() {
+    return this.#mode;
+  }
+
+  /**
+   * Returns the path to the configuration that contained this {@link Expression}.
+   *
+   * @return {?string} The configuration path or <code>null</code> if unknown.
+   * @public
+   */
+  get path() {
+    return this.#path;
+  }
+
+  /**
+   * Returns the source of this {@link Expression}.
+   *
+   * @return {?string} The raw expression string (may be <code>null</code>).
+   * @public
+   */
+  get source() {
+    return this.#source;
   }
 
 }
+
+/**
+ * The options that can be passed to the {@link Expression} constructor.
+ *
+ * @typedef {Object} Expression~Options
+ * @property {string} [mode="javascript"] - The mode in which the expression is to be evaluated.
+ * @property {?string} [path] - The path to the configuration that contained the expression, which is used when
+ * reporting errors.
+ */
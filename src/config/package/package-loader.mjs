@@ -24,6 +24,7 @@
 
 import chalk from 'chalk';
 import Debug from 'debug';
+import path from 'node:path';
 import { pkgUp } from 'pkg-up';
 
 import { File } from '../../file.mjs';
@@ -69,7 +70,7 @@ export class PackageLoader {
       debug('Loading package file found at path: %s', chalk.blue(packageFilePath));
 
       try {
-        const contents = await File.readFile(filePath, 'utf8');
+        const contents = await File.readFile(packageFilePath, 'utf8');
         const data = JSON.parse(contents);
         if (!data) {
           debug('Package file contains no data: %s', chalk.blue(packageFilePath));
@@ -101,7 +102,7 @@ export class PackageLoader {
 
     debug('Searching for package file for path: %s', chalk.blue(filePath));
 
-    const packageFilePath = await pkgUp(filePath);
+    const packageFilePath = await pkgUp({ cwd: path.dirname(filePath) });
     this.#cache.set(filePath, packageFilePath);
 
     return packageFilePath;
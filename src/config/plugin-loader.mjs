@@ -0,0 +1,250 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import chalk from 'chalk';
+import Debug from 'debug';
+import { resolve } from 'import-meta-resolve';
+import { castArray, trim } from 'lodash-es';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { DocumentProvider } from '../doc/document-provider.mjs';
+import { DocumentService } from '../doc/document-service.mjs';
+import { RepositoryProvider } from './repository/repository-provider.mjs';
+import { RepositoryService } from './repository/repository-service.mjs';
+import { Task } from '../task/task.mjs';
+import { TaskService } from '../task/task-service.mjs';
+import { TaskType } from '../task/task-type.mjs';
+
+const debug = Debug('brander:config');
+
+/**
+ * Responsible for resolving and importing plugins, and registering the implementations that they export.
+ *
+ * A plugin is either the name of an npm package, which is resolved from the directory containing the configuration
+ * file, or a path to a module, which is resolved relative to that directory when it starts with "." or is absolute. All
+ * exports of a plugin module (including its default export) are inspected and any {@link Task},
+ * {@link DocumentProvider}, or {@link RepositoryProvider} implementations, whether constructors or instances, are
+ * added to the {@link TaskService}, {@link DocumentService}, or {@link RepositoryService} respectively. Constructors
+ * that do not implement all of the abstract methods of their base class (e.g. intermediate base classes shared by the
+ * implementations of a plugin) are ignored. Plugins that
+ * provide new task categories should register them using {@link TaskType.register} when their module is imported and
+ * may also export the registered {@link TaskType}. Either can provide a JSON Schema fragment to have the configuration
+ * data for their tasks or documents validated (see {@link ConfigValidator}).
+ *
+ * Each plugin module is only ever registered once per <code>PluginLoader</code>, regardless of how many times it is
+ * loaded, so that configuration can be reloaded without duplicating registrations.
+ *
+ * Plugins should depend on the same installation of brander (e.g. as a peer dependency) so that the base classes they
+ * extend are recognised.
+ *
+ * @public
+ */
+export class PluginLoader {
+
+  /**
+   * The abstract methods of each supported base class, where an array contains alternative methods of which at least
+   * one must be implemented.
+   *
+   * @type {Map<Function, Array<string|string[]>>}
+   * @private
+   */
+  static #abstractMethods = new Map([
+    [ DocumentProvider, [ 'getType', 'render' ] ],
+    [ RepositoryProvider, [ 'parseURL', 'resolveURL' ] ],
+    [ Task, [ [ 'execute', 'executeOperation' ], 'getType', 'supports' ] ]
+  ]);
+
+  /**
+   * @param {Function} value
+   * @return {boolean}
+   * @private
+   */
+  static #isImplementation(value) {
+    const { prototype } = value;
+
+    for (const [ Base, methods ] of PluginLoader.#abstractMethods) {
+      if (prototype instanceof Base) {
+        return methods.every((alternatives) => castArray(alternatives)
+          .some((method) => prototype[method] !== Base.prototype[method]));
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * @type {Set<string>}
+   * @private
+   */
+  #loaded = new Set();
+
+  /**
+   * Resolves, imports, and registers all of the specified <code>plugins</code>, relative to the <code>dirPath</code>
+   * provided.
+   *
+   * Nothing happens if <code>plugins</code> is <code>null</code> or empty.
+   *
+   * An error will occur if <code>plugins</code> is not an array of non-empty strings or if any plugin cannot be
+   * resolved, imported, or registered, or exports no supported implementations. Errors for a specific plugin always
+   * include its name.
+   *
+   * @param {?string[]} plugins - the plugins to be loaded (may be <code>null</code>)
+   * @param {string} dirPath - the path of the directory from which <code>plugins</code> are to be resolved
+   * @return {Promise<void>} A <code>Promise</code> for the asynchronous loading of <code>plugins</code>.
+   * @public
+   */
+  async load(plugins, dirPath) {
+    if (plugins == null) {
+      return;
+    }
+    if (!Array.isArray(plugins)) {
+      throw new Error(`"plugins" configuration can only be an array: ${plugins} (${typeof plugins})`);
+    }
+
+    for (let plugin of plugins) {
+      if (typeof plugin !== 'string') {
+        throw new Error(`"plugins" configuration can only contain strings: ${plugin} (${typeof plugin})`);
+      }
+
+      plugin = trim(plugin);
+      if (!plugin) {
+        throw new Error('"plugins" configuration cannot contain null or empty names');
+      }
+
+      await this.#loadPlugin(plugin, dirPath);
+    }
+  }
+
+  /**
+   * @param {*} value
+   * @return {*}
+   * @private
+   */
+  #instantiate(value) {
+    if (typeof value !== 'function') {
+      return value;
+    }
+
+    if (!PluginLoader.#isImplementation(value)) {
+      debug('Ignoring export as it is not an implementation: %s', value.name);
+
+      return null;
+    }
+
+    return new value();
+  }
+
+  /**
+   * @param {string} plugin
+   * @param {string} dirPath
+   * @return {Promise<void>}
+   * @private
+   */
+  async #loadPlugin(plugin, dirPath) {
+    let filePath;
+    try {
+      filePath = this.#resolve(plugin, dirPath);
+    } catch (e) {
+      throw new Error(`Unable to resolve plugin "${plugin}": ${e.message}`);
+    }
+
+    if (this.#loaded.has(filePath)) {
+      debug('Skipping plugin as it has already been loaded: %s', chalk.blue(filePath));
+
+      return;
+    }
+
+    debug('Loading plugin "%s" from file: %s', plugin, chalk.blue(filePath));
+
+    let mod;
+    try {
+      mod = await import(pathToFileURL(filePath).href);
+    } catch (e) {
+      throw new Error(`Unable to import plugin "${plugin}": ${e.message}`);
+    }
+
+    this.#loaded.add(filePath);
+
+    let count = 0;
+
+    for (const [ name, value ] of Object.entries(mod)) {
+      try {
+        if (await this.#register(value)) {
+          count++;
+        }
+      } catch (e) {
+        throw new Error(`Unable to register "${name}" export of plugin "${plugin}": ${e.message}`);
+      }
+    }
+
+    if (count === 0) {
+      throw new Error(`Plugin "${plugin}" does not export any Task, DocumentProvider, or RepositoryProvider ` +
+        'implementations');
+    }
+
+    debug('Registered %d implementations from plugin: %s', count, plugin);
+  }
+
+  /**
+   * @param {*} value
+   * @return {Promise<boolean>}
+   * @private
+   */
+  async #register(value) {
+    const instance = this.#instantiate(value);
+
+    if (instance instanceof TaskType) {
+      // Already registered when the plugin module was imported
+      debug('Found task type: %s', instance);
+    } else if (instance instanceof Task) {
+      await TaskService.getInstance().add(instance);
+    } else if (instance instanceof DocumentProvider) {
+      await DocumentService.getInstance().add(instance);
+    } else if (instance instanceof RepositoryProvider) {
+      RepositoryService.getInstance().add(instance);
+    } else {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * @param {string} plugin
+   * @param {string} dirPath
+   * @return {string}
+   * @throws {Error}
+   * @private
+   */
+  #resolve(plugin, dirPath) {
+    if (plugin.startsWith('.') || path.isAbsolute(plugin)) {
+      return path.resolve(dirPath, plugin);
+    }
+
+    // Resolve using the same conditions as import() so that ESM-only packages are supported
+    return fileURLToPath(resolve(plugin, pathToFileURL(path.join(dirPath, 'noop.js')).href));
+  }
+
+}
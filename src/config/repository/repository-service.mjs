@@ -106,6 +106,23 @@ export class RepositoryService {
     }
   }
 
+  /**
+   * Adds the specified <code>provider</code> to this {@link RepositoryService}, replacing any existing
+   * {@link RepositoryProvider} of the same type.
+   *
+   * @param {RepositoryProvider} provider - the {@link RepositoryProvider} to be added
+   * @return {void}
+   * @public
+   */
+  add(provider) {
+    const type = provider.getType();
+
+    debug('Adding provider: %s', type);
+
+    this.#providers = this.#providers.filter((existing) => existing.getType() !== type);
+    this.#providers.push(provider);
+  }
+
   /**
    * Attempts to create a {@link Repository} instance based on the repository <code>info</code> provided.
    *
@@ -0,0 +1,618 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import { camelCase, capitalize, escape, kebabCase, snakeCase, toLower, toUpper, trim } from 'lodash-es';
+import path from 'node:path';
+
+/**
+ * A template that only supports a restricted syntax so that it can be evaluated safely without executing arbitrary
+ * JavaScript.
+ *
+ * Templates use the same delimiters as Lodash templates, where <code>&lt;%= expression %&gt;</code> and
+ * <code>${expression}</code> output the value of an expression and <code>&lt;%- expression %&gt;</code> outputs it
+ * HTML-escaped. Conditionals are supported using <code>&lt;% if expression %&gt;</code>,
+ * <code>&lt;% elseif expression %&gt;</code>, <code>&lt;% else %&gt;</code>, and <code>&lt;% endif %&gt;</code>.
+ *
+ * Expressions are limited to:
+ *
+ * <ul>
+ *   <li>variables and property access (e.g. <code>config.title</code> and <code>vars.colors[0]</code>);</li>
+ *   <li>string, number, boolean, <code>null</code>, and <code>undefined</code> literals;</li>
+ *   <li>filters (e.g. <code>file | basename(true)</code> and <code>vars.tag | default('latest')</code>);</li>
+ *   <li>the <code>!</code>, <code>&&</code>, <code>||</code>, comparison, and ternary (<code>a ? b : c</code>)
+ *   operators, where <code>==</code> and <code>!=</code> compare strictly.</li>
+ * </ul>
+ *
+ * Functions cannot be called directly. Instead, filters are passed the value on their left-hand side followed by any
+ * arguments. The built-in filters are <code>basename</code> (which also accepts a {@link File}),
+ * <code>camelCase</code>, <code>capitalize</code>, <code>default</code>, <code>escape</code>, <code>join</code>,
+ * <code>json</code>, <code>kebabCase</code>, <code>lower</code>, <code>replace</code>, <code>snakeCase</code>,
+ * <code>trim</code>, and <code>upper</code>. Any functions within the data passed to {@link RestrictedTemplate#render}
+ * (e.g. configuration helpers) can also be used as filters, however, they cannot override the built-in filters.
+ *
+ * An error will occur if an undefined variable is referenced, a property of <code>null</code> or
+ * <code>undefined</code> is accessed, or a property that could be used to escape the sandbox (e.g.
+ * <code>constructor</code>) is accessed.
+ *
+ * @public
+ */
+export class RestrictedTemplate {
+
+  /**
+   * @type {Object<string, Function>}
+   * @private
+   */
+  static #filters = {
+    basename: (value, excludeExtension = false) => {
+      if (value && typeof value.base === 'function') {
+        return value.base(excludeExtension);
+      }
+
+      return path.basename(String(value), excludeExtension ? path.extname(String(value)) : '');
+    },
+    camelCase: (value) => camelCase(value),
+    capitalize: (value) => capitalize(value),
+    default: (value, defaultValue = '') => (value == null || value === '' ? defaultValue : value),
+    escape: (value) => escape(value),
+    join: (value, separator = ',') => (Array.isArray(value) ? value.join(separator) : value),
+    json: (value, indent) => JSON.stringify(value, null, indent),
+    kebabCase: (value) => kebabCase(value),
+    lower: (value) => toLower(value),
+    replace: (value, search, replacement = '') => String(value).split(String(search)).join(String(replacement)),
+    snakeCase: (value) => snakeCase(value),
+    trim: (value) => trim(value),
+    upper: (value) => toUpper(value)
+  };
+  /**
+   * @type {RegExp}
+   * @private
+   */
+  static #rTag = /<%([=-]?)([\s\S]+?)%>|\$\{([^\\}]*(?:\\.[^\\}]*)*)\}/g;
+  /**
+   * @type {RegExp}
+   * @private
+   */
+  static #rToken = new RegExp(`\\s*(?:${[
+    /(\d+(?:\.\d+)?)/.source,
+    /([A-Za-z_$][\w$]*)/.source,
+    /('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")/.source,
+    /(===|!==|==|!=|<=|>=|&&|\|\||[.[\](),|!<>?:])/.source
+  ].join('|')})`, 'y');
+  /**
+   * @type {string[]}
+   * @private
+   */
+  static #unsafeProperties = [ '__proto__', 'constructor', 'prototype' ];
+
+  /**
+   * @type {Array<Object>}
+   * @private
+   */
+  #nodes;
+
+  /**
+   * Creates an instance of {@link RestrictedTemplate} by parsing the specified <code>source</code>.
+   *
+   * An error will occur if <code>source</code> contains invalid syntax.
+   *
+   * @param {?string} source - the template source to be parsed (may be <code>null</code>)
+   * @throws {Error} If <code>source</code> contains invalid syntax.
+   * @public
+   */
+  constructor(source) {
+    this.#nodes = this.#parseTemplate(source == null ? '' : String(source));
+  }
+
+  /**
+   * Renders this {@link RestrictedTemplate} using the specified <code>data</code>, whose properties are exposed as
+   * variables.
+   *
+   * An error will occur if an expression within this {@link RestrictedTemplate} cannot be evaluated.
+   *
+   * @param {Object} [data] - an object whose properties will be exposed as variables
+   * @return {string} The rendered output.
+   * @throws {Error} If an expression cannot be evaluated.
+   * @public
+   */
+  render(data = {}) {
+    return this.#renderNodes(this.#nodes, data);
+  }
+
+  /**
+   * @param {Object} node
+   * @param {Object} data
+   * @return {*}
+   * @throws {Error}
+   * @private
+   */
+  #evaluate(node, data) {
+    switch (node.type) {
+    case 'conditional':
+      return this.#evaluate(this.#evaluate(node.test, data) ? node.consequent : node.alternate, data);
+    case 'filter':
+      return this.#evaluateFilter(node, data);
+    case 'identifier':
+      if (!Object.prototype.hasOwnProperty.call(data, node.name)) {
+        throw new Error(`${node.name} is not defined`);
+      }
+
+      return data[node.name];
+    case 'literal':
+      return node.value;
+    case 'logical': {
+      const left = this.#evaluate(node.left, data);
+
+      if (node.operator === '&&') {
+        return left ? this.#evaluate(node.right, data) : left;
+      }
+
+      return left ? left : this.#evaluate(node.right, data);
+    }
+    case 'member':
+      return this.#evaluateMember(node, data);
+    case 'not':
+      return !this.#evaluate(node.argument, data);
+    default:
+      return this.#evaluateComparison(node, data);
+    }
+  }
+
+  /**
+   * @param {Object} node
+   * @param {Object} data
+   * @return {boolean}
+   * @private
+   */
+  #evaluateComparison(node, data) {
+    const left = this.#evaluate(node.left, data);
+    const right = this.#evaluate(node.right, data);
+
+    switch (node.operator) {
+    case '<':
+      return left < right;
+    case '<=':
+      return left <= right;
+    case '>':
+      return left > right;
+    case '>=':
+      return left >= right;
+    case '!=':
+    case '!==':
+      return left !== right;
+    default:
+      return left === right;
+    }
+  }
+
+  /**
+   * @param {Object} node
+   * @param {Object} data
+   * @return {*}
+   * @throws {Error}
+   * @private
+   */
+  #evaluateFilter(node, data) {
+    let filter = RestrictedTemplate.#filters[node.name];
+    if (!Object.prototype.hasOwnProperty.call(RestrictedTemplate.#filters, node.name)) {
+      filter = typeof data[node.name] === 'function' && Object.prototype.hasOwnProperty.call(data, node.name)
+        ? data[node.name]
+        : null;
+    }
+    if (!filter) {
+      throw new Error(`Unknown filter: ${node.name}`);
+    }
+
+    return filter(this.#evaluate(node.input, data), ...node.args.map((arg) => this.#evaluate(arg, data)));
+  }
+
+  /**
+   * @param {Object} node
+   * @param {Object} data
+   * @return {*}
+   * @throws {Error}
+   * @private
+   */
+  #evaluateMember(node, data) {
+    const object = this.#evaluate(node.object, data);
+    const property = node.computed ? this.#evaluate(node.property, data) : node.property;
+
+    if (object == null) {
+      throw new Error(`Cannot read property "${property}" of ${object}`);
+    }
+    if (typeof object === 'function' || RestrictedTemplate.#unsafeProperties.includes(String(property))) {
+      throw new Error(`Access to property "${property}" is not allowed`);
+    }
+
+    return object[property];
+  }
+
+  /**
+   * @param {string} source
+   * @return {Object}
+   * @throws {Error}
+   * @private
+   */
+  #parseExpression(source) {
+    const tokens = this.#tokenize(source);
+    let position = 0;
+
+    const peek = (value) => position < tokens.length && tokens[position].type === 'punctuator' &&
+      tokens[position].value === value;
+    const next = () => {
+      if (position >= tokens.length) {
+        throw new Error(`Unexpected end of expression: ${source}`);
+      }
+
+      return tokens[position++];
+    };
+    const expect = (value) => {
+      const token = next();
+      if (token.type !== 'punctuator' || token.value !== value) {
+        throw new Error(`Expected "${value}" but found "${token.value}" at position ${token.index} in: ${source}`);
+      }
+    };
+
+    let parseConditional;
+
+    const parsePrimary = () => {
+      const token = next();
+
+      switch (token.type) {
+      case 'identifier':
+        switch (token.value) {
+        case 'false':
+          return { type: 'literal', value: false };
+        case 'null':
+          return { type: 'literal', value: null };
+        case 'true':
+          return { type: 'literal', value: true };
+        case 'undefined':
+          return { type: 'literal', value: undefined };
+        default:
+          return { type: 'identifier', name: token.value };
+        }
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+      default:
+        if (token.value === '(') {
+          const node = parseConditional();
+          expect(')');
+
+          return node;
+        }
+
+        throw new Error(`Unexpected token "${token.value}" at position ${token.index} in: ${source}`);
+      }
+    };
+    const parseMember = () => {
+      let node = parsePrimary();
+
+      for (;;) {
+        if (peek('.')) {
+          next();
+
+          const token = next();
+          if (token.type !== 'identifier') {
+            throw new Error(`Unexpected token "${token.value}" at position ${token.index} in: ${source}`);
+          }
+
+          node = { type: 'member', object: node, property: token.value, computed: false };
+        } else if (peek('[')) {
+          next();
+
+          const property = parseConditional();
+          expect(']');
+
+          node = { type: 'member', object: node, property, computed: true };
+        } else if (peek('(')) {
+          const { index } = tokens[position];
+
+          throw new Error(`Functions cannot be called (use filters instead) at position ${index} in: ${source}`);
+        } else {
+          return node;
+        }
+      }
+    };
+    const parseFilter = () => {
+      let node = parseMember();
+
+      while (peek('|')) {
+        next();
+
+        const token = next();
+        if (token.type !== 'identifier') {
+          throw new Error(`Unexpected token "${token.value}" at position ${token.index} in: ${source}`);
+        }
+
+        const args = [];
+        if (peek('(')) {
+          next();
+
+          if (!peek(')')) {
+            do {
+              args.push(parseConditional());
+            } while (peek(',') && next());
+          }
+
+          expect(')');
+        }
+
+        node = { type: 'filter', name: token.value, input: node, args };
+      }
+
+      return node;
+    };
+    const parseNot = () => {
+      if (peek('!')) {
+        next();
+
+        return { type: 'not', argument: parseNot() };
+      }
+
+      return parseFilter();
+    };
+    const parseComparison = () => {
+      let node = parseNot();
+
+      while (position < tokens.length && tokens[position].type === 'punctuator' &&
+        [ '==', '===', '!=', '!==', '<', '<=', '>', '>=' ].includes(tokens[position].value)) {
+        node = { type: 'comparison', operator: next().value, left: node, right: parseNot() };
+      }
+
+      return node;
+    };
+    const parseAnd = () => {
+      let node = parseComparison();
+
+      while (peek('&&')) {
+        next();
+
+        node = { type: 'logical', operator: '&&', left: node, right: parseComparison() };
+      }
+
+      return node;
+    };
+    const parseOr = () => {
+      let node = parseAnd();
+
+      while (peek('||')) {
+        next();
+
+        node = { type: 'logical', operator: '||', left: node, right: parseAnd() };
+      }
+
+      return node;
+    };
+    parseConditional = () => {
+      const test = parseOr();
+      if (!peek('?')) {
+        return test;
+      }
+
+      next();
+
+      const consequent = parseConditional();
+      expect(':');
+
+      return { type: 'conditional', test, consequent, alternate: parseConditional() };
+    };
+
+    const node = parseConditional();
+    if (position < tokens.length) {
+      const token = tokens[position];
+
+      throw new Error(`Unexpected token "${token.value}" at position ${token.index} in: ${source}`);
+    }
+
+    return node;
+  }
+
+  /**
+   * @param {string} source
+   * @return {Array<Object>}
+   * @throws {Error}
+   * @private
+   */
+  #parseTemplate(source) {
+    const root = { nodes: [] };
+    const stack = [];
+    let current = root;
+    let lastIndex = 0;
+    let match;
+
+    RestrictedTemplate.#rTag.lastIndex = 0;
+
+    while ((match = RestrictedTemplate.#rTag.exec(source)) != null) {
+      if (match.index > lastIndex) {
+        current.nodes.push({ type: 'text', value: source.substring(lastIndex, match.index) });
+      }
+
+      lastIndex = RestrictedTemplate.#rTag.lastIndex;
+
+      const [ , modifier, tagContent, esContent ] = match;
+      if (esContent != null || modifier) {
+        current.nodes.push({
+          type: 'output',
+          escape: modifier === '-',
+          expression: this.#parseExpression(esContent != null ? esContent : tagContent)
+        });
+
+        continue;
+      }
+
+      const statement = trim(tagContent);
+      const [ , keyword, condition ] = statement.match(/^(if|else\s+if|elseif|else|endif)\b\s*([\s\S]*)$/) || [];
+
+      switch (keyword && keyword.replace(/\s+/, '')) {
+      case 'if': {
+        const block = { type: 'if', branches: [], alternate: null };
+        current.nodes.push(block);
+        stack.push(block);
+
+        current = { nodes: [] };
+        block.branches.push({ test: this.#parseExpression(condition), body: current });
+
+        break;
+      }
+      case 'elseif':
+      case 'else': {
+        const block = stack[stack.length - 1];
+        if (!block || block.alternate) {
+          throw new Error(`Unexpected "${keyword}" statement: ${statement}`);
+        }
+
+        current = { nodes: [] };
+
+        if (keyword === 'else') {
+          block.alternate = current;
+        } else {
+          block.branches.push({ test: this.#parseExpression(condition), body: current });
+        }
+
+        break;
+      }
+      case 'endif': {
+        if (!stack.length) {
+          throw new Error(`Unexpected "endif" statement: ${statement}`);
+        }
+
+        stack.pop();
+
+        const parent = stack[stack.length - 1];
+        current = parent ? parent.alternate || parent.branches[parent.branches.length - 1].body : root;
+
+        break;
+      }
+      default:
+        throw new Error(`Unsupported statement: ${statement}`);
+      }
+    }
+
+    if (stack.length) {
+      throw new Error('Unclosed "if" statement');
+    }
+    if (lastIndex < source.length) {
+      current.nodes.push({ type: 'text', value: source.substring(lastIndex) });
+    }
+
+    return root.nodes;
+  }
+
+  /**
+   * @param {Array<Object>} nodes
+   * @param {Object} data
+   * @return {string}
+   * @throws {Error}
+   * @private
+   */
+  #renderNodes(nodes, data) {
+    return nodes.map((node) => {
+      switch (node.type) {
+      case 'if': {
+        const branch = node.branches.find(({ test }) => this.#evaluate(test, data));
+        const body = branch ? branch.body : node.alternate;
+
+        return body ? this.#renderNodes(body.nodes, data) : '';
+      }
+      case 'output': {
+        const value = this.#evaluate(node.expression, data);
+        if (typeof value === 'function') {
+          throw new Error('Cannot output a function');
+        }
+
+        const output = value == null ? '' : String(value);
+
+        return node.escape ? escape(output) : output;
+      }
+      default:
+        return node.value;
+      }
+    }).join('');
+  }
+
+  /**
+   * @param {string} source
+   * @return {Array<Object>}
+   * @throws {Error}
+   * @private
+   */
+  #tokenize(source) {
+    const rToken = RestrictedTemplate.#rToken;
+    const tokens = [];
+
+    rToken.lastIndex = 0;
+
+    while (rToken.lastIndex < source.length) {
+      const index = rToken.lastIndex;
+      const match = rToken.exec(source);
+      if (!match) {
+        if (!trim(source.substring(index))) {
+          break;
+        }
+
+        const offset = source.substring(index).search(/\S/);
+        throw new Error(`Unexpected character "${source[index + offset]}" at position ${index + offset} in: ${source}`);
+      }
+
+      const [ value, number, identifier, string, punctuator ] = match;
+      const tokenIndex = index + value.search(/\S/);
+
+      if (number != null) {
+        tokens.push({ type: 'number', value: Number(number), index: tokenIndex });
+      } else if (identifier != null) {
+        tokens.push({ type: 'identifier', value: identifier, index: tokenIndex });
+      } else if (string != null) {
+        tokens.push({ type: 'string', value: this.#unquote(string), index: tokenIndex });
+      } else {
+        tokens.push({ type: 'punctuator', value: punctuator, index: tokenIndex });
+      }
+    }
+
+    if (!tokens.length) {
+      throw new Error('Expression cannot be empty');
+    }
+
+    return tokens;
+  }
+
+  /**
+   * @param {string} str
+   * @return {string}
+   * @private
+   */
+  #unquote(str) {
+    return str.slice(1, -1).replace(/\\(.)/g, (match, char) => {
+      switch (char) {
+      case 'n':
+        return '\n';
+      case 't':
+        return '\t';
+      default:
+        return char;
+      }
+    });
+  }
+
+}
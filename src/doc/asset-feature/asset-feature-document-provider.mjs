@@ -133,7 +133,7 @@ export default class AssetFeatureDocumentProvider extends DocumentProvider {
       const fileInfos = [];
 
       for (const file of files) {
-        const sizes = Size.fromImage(file.absolute);
+        const sizes = Size.fromImage(await File.readFile(file.absolute));
 
         fileInfos.push({
           file,
@@ -159,7 +159,7 @@ export default class AssetFeatureDocumentProvider extends DocumentProvider {
     sortByValue = trim(sortByValue) || '<%= files[0].file.type %>';
     sortOrder = trim(sortOrder).toLowerCase() || 'asc';
 
-    return orderBy(fileGroups, (fileGroup) => config.evaluate(sortByValue, fileGroup), sortOrder);
+    return orderBy(fileGroups, (fileGroup) => config.evaluate(sortByValue, fileGroup, { field: 'sortBy' }), sortOrder);
   }
 
   /**
@@ -195,6 +195,14 @@ export default class AssetFeatureDocumentProvider extends DocumentProvider {
     return mainContext;
   }
 
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getSchema() {
+    return { $ref: '#/definitions/assetFeatureDoc' };
+  }
+
   /**
    * @inheritdoc
    * @override
@@ -93,6 +93,14 @@ export default class ContainerDocumentProvider extends DocumentProvider {
     return mainContext;
   }
 
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getSchema() {
+    return { $ref: '#/definitions/containerDoc' };
+  }
+
   /**
    * @inheritdoc
    * @override
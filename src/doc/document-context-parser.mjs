@@ -75,6 +75,14 @@ export class DocumentContextParser extends ContextParser {
     this.#parent = parent;
   }
 
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getConfigPath(index) {
+    return `${this.#parent ? 'sections' : 'docs'}[${index}]`;
+  }
+
   /**
    * @inheritdoc
    * @override
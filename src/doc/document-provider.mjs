@@ -61,6 +61,22 @@ export class DocumentProvider {
     return new DocumentContext(type, data, parent, config);
   }
 
+  /**
+   * Returns the JSON Schema fragment that is used to validate the configuration data of documents of the type supported
+   * by this {@link DocumentProvider}, in addition to the schema for all documents.
+   *
+   * The fragment can reference any definitions within the published configuration schema.
+   *
+   * By default, this method returns <code>null</code> so that documents of the type are only validated against the
+   * schema for all documents.
+   *
+   * @return {?Object} The schema fragment or <code>null</code> if there is none.
+   * @public
+   */
+  getSchema() {
+    return null;
+  }
+
   /**
    * Renders a title for the specified <code>context</code>, where possible.
    *
@@ -95,8 +95,10 @@ export default class RootDocumentProvider extends DocumentProvider {
 
     debug('Applying "%s" format to %s document: %s', format, type, chalk.blue(fileName));
 
-    const file = new File(dirPath, fileName, format, config)
-      .evaluate();
+    const file = new File(dirPath, fileName, format, config, false, {
+      dir: trim(data.dir) ? 'dir' : null,
+      name: 'doc'
+    }).evaluate();
     const rootContext = new RootDocumentContext(type, file, data, config);
 
     debug('Creating context for %s document: %s', type, chalk.blue(fileName));
@@ -130,6 +132,14 @@ export default class RootDocumentProvider extends DocumentProvider {
     return rootContext;
   }
 
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getSchema() {
+    return { $ref: '#/definitions/rootDoc' };
+  }
+
   /**
    * @inheritdoc
    * @override
@@ -179,7 +189,7 @@ export default class RootDocumentProvider extends DocumentProvider {
 
     return {
       type: 'template',
-      content: `${hr}<%= eol.repeat(2) %>Generated by ${link}`
+      content: `${hr}<%= eol %><%= eol %>Generated by ${link}`
     };
   }
 
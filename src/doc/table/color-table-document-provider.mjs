@@ -89,6 +89,14 @@ const debug = Debug('brander:doc:table');
  */
 export default class ColorTableDocumentProvider extends DocumentProvider {
 
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getSchema() {
+    return { $ref: '#/definitions/colorTableDoc' };
+  }
+
   /**
    * @inheritdoc
    * @override
@@ -110,7 +118,9 @@ export default class ColorTableDocumentProvider extends DocumentProvider {
     const colors = this.#validateAndGet(context, 'colors').map((color) => new Color(color));
     const columns = this.#validateAndGet(context, 'columns');
     const headers = columns.map((column) => column.header);
-    const rows = colors.map((color) => columns.map((column) => context.config.evaluate(column.content, { color })));
+    const rows = colors.map((color) => columns.map((column, index) => {
+      return context.config.evaluate(column.content, { color }, { field: `columns[${index}].content` });
+    }));
 
     debug('Rendering %d %s and %d %s for %s document', headers.length, pluralize('header', headers.length), rows.length,
       pluralize('row', rows.length), type);
@@ -63,6 +63,14 @@ const debug = Debug('brander:doc:table');
  */
 export default class TableDocumentProvider extends DocumentProvider {
 
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getSchema() {
+    return { $ref: '#/definitions/tableDoc' };
+  }
+
   /**
    * @inheritdoc
    * @override
@@ -67,10 +67,28 @@ import { DocumentProvider } from '../document-provider.mjs';
  *
  * The extension/format of the file is ignored and the contents are simply read as plain text.
  *
+ * Any "variables" and helper functions within the configuration can also be used within templates (see
+ * {@link Config#evaluate}):
+ *
+ * <pre>
+ * {
+ *   "type": "template",
+ *   "content": "Version <%= vars.version %> of <%= shout(config.title) %>"
+ * }
+ * </pre>
+ *
  * @public
  */
 export default class TemplateDocumentProvider extends DocumentProvider {
 
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getSchema() {
+    return { $ref: '#/definitions/templateDoc' };
+  }
+
   /**
    * @inheritdoc
    * @override
@@ -108,7 +126,7 @@ export default class TemplateDocumentProvider extends DocumentProvider {
       content = content.join(config.lineSeparator);
     }
 
-    return config.evaluate(content);
+    return config.evaluate(content, null, { field: file ? 'file' : 'content' });
   }
 
 }
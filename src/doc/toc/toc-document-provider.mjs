@@ -63,6 +63,14 @@ const debug = Debug('brander:doc:toc');
  */
 export default class TOCDocumentProvider extends DocumentProvider {
 
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getSchema() {
+    return { $ref: '#/definitions/tocDoc' };
+  }
+
   /**
    * @inheritdoc
    * @override
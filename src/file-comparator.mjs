@@ -0,0 +1,230 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import { readFile, stat } from 'node:fs/promises';
+import sharp from 'sharp';
+
+/**
+ * Compares the contents of files in a way that is appropriate for their format.
+ *
+ * Raster images are compared pixel by pixel, rather than byte by byte, so that differences in how the images were
+ * encoded (e.g. compression or metadata) are ignored where the images themselves are identical. ICO files are compared
+ * image by image, where any embedded PNG images are also compared pixel by pixel. All other files are compared byte by
+ * byte.
+ *
+ * Files can also be compared against their counterparts on disk, in which case any directory found in place of a file
+ * is treated as existing but never equal.
+ *
+ * @public
+ */
+export class FileComparator {
+
+  /**
+   * @type {Buffer}
+   * @private
+   */
+  static #pngSignature = Buffer.from([ 0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a ]);
+  /**
+   * @type {Set<string>}
+   * @private
+   */
+  static #rasterFormats = new Set([ 'jpeg', 'jpg', 'png', 'webp' ]);
+
+  /**
+   * Compares the <code>expected</code> contents of the file at the specified path with its actual contents on disk,
+   * where <code>expected</code> is <code>null</code> if the file is not expected to exist (e.g. it has been deleted).
+   *
+   * The difference is resolved as one of the following:
+   *
+   * <ul>
+   *   <li><code>"missing"</code> - the file is expected to exist but does not;</li>
+   *   <li><code>"outdated"</code> - the file exists but its contents are not equal (see {@link FileComparator.equals})
+   *   or it is a directory;</li>
+   *   <li><code>"unexpected"</code> - the file, or a directory, exists but is not expected to.</li>
+   * </ul>
+   *
+   * An error will occur if the file on disk cannot be read.
+   *
+   * @param {string} filePath - the path of the file on disk
+   * @param {?string} format - the format of the file (may be <code>null</code>, in which case the contents are compared
+   * byte by byte)
+   * @param {?Buffer} expected - the expected contents of the file (may be <code>null</code>)
+   * @return {Promise<?string>} A <code>Promise</code> for the asynchronous reading and comparison of the file that is
+   * resolved with the difference or <code>null</code> if there is none.
+   * @public
+   */
+  static async compareWithFile(filePath, format, expected) {
+    let stats;
+    try {
+      stats = await stat(filePath);
+    } catch (e) {
+      // Ignore ENOENT errors
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+
+      return expected == null ? null : 'missing';
+    }
+
+    if (expected == null) {
+      return 'unexpected';
+    }
+    if (stats.isDirectory() || !await FileComparator.equals(format, expected, await readFile(filePath))) {
+      return 'outdated';
+    }
+
+    return null;
+  }
+
+  /**
+   * Returns whether the <code>expected</code> and <code>actual</code> contents of a file of the specified
+   * <code>format</code> are equal.
+   *
+   * @param {?string} format - the format of the file (may be <code>null</code>, in which case the contents are compared
+   * byte by byte)
+   * @param {Buffer} expected - the expected contents of the file
+   * @param {Buffer} actual - the actual contents of the file
+   * @return {Promise<boolean>} A <code>Promise</code> for the asynchronous comparison that is resolved with
+   * <code>true</code> if <code>expected</code> and <code>actual</code> are equal; otherwise <code>false</code>.
+   * @public
+   */
+  static async equals(format, expected, actual) {
+    if (expected.equals(actual)) {
+      return true;
+    }
+
+    if (format === 'ico') {
+      return FileComparator.#equalsIco(expected, actual);
+    }
+    if (FileComparator.#rasterFormats.has(format)) {
+      return FileComparator.#equalsRaster(expected, actual);
+    }
+
+    return false;
+  }
+
+  /**
+   * @param {Buffer} expected
+   * @param {Buffer} actual
+   * @return {Promise<boolean>}
+   * @private
+   */
+  static async #equalsIco(expected, actual) {
+    const expectedImages = FileComparator.#readIcoImages(expected);
+    const actualImages = FileComparator.#readIcoImages(actual);
+    if (!(expectedImages && actualImages) || expectedImages.length !== actualImages.length) {
+      return false;
+    }
+
+    for (let i = 0; i < expectedImages.length; i++) {
+      const expectedImage = expectedImages[i];
+      const actualImage = actualImages[i];
+
+      // Headers describe the dimensions and color depth of each image
+      if (!expectedImage.header.equals(actualImage.header)) {
+        return false;
+      }
+      if (expectedImage.data.equals(actualImage.data)) {
+        continue;
+      }
+
+      const isPng = FileComparator.#isPng(expectedImage.data) && FileComparator.#isPng(actualImage.data);
+      if (!(isPng && await FileComparator.#equalsRaster(expectedImage.data, actualImage.data))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * @param {Buffer} expected
+   * @param {Buffer} actual
+   * @return {Promise<boolean>}
+   * @private
+   */
+  static async #equalsRaster(expected, actual) {
+    let expectedImage;
+    let actualImage;
+    try {
+      [ expectedImage, actualImage ] = await Promise.all([ expected, actual ].map((input) => sharp(input)
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true })));
+    } catch (e) {
+      // Contents that cannot be decoded can only be compared byte by byte, which has already failed
+      return false;
+    }
+
+    return expectedImage.info.width === actualImage.info.width &&
+      expectedImage.info.height === actualImage.info.height &&
+      expectedImage.data.equals(actualImage.data);
+  }
+
+  /**
+   * @param {Buffer} data
+   * @return {boolean}
+   * @private
+   */
+  static #isPng(data) {
+    const signature = FileComparator.#pngSignature;
+
+    return data.length >= signature.length && data.subarray(0, signature.length).equals(signature);
+  }
+
+  /**
+   * @param {Buffer} contents
+   * @return {?Object[]}
+   * @private
+   */
+  static #readIcoImages(contents) {
+    if (contents.length < 6 || contents.readUInt16LE(0) !== 0 || contents.readUInt16LE(2) !== 1) {
+      return null;
+    }
+
+    const count = contents.readUInt16LE(4);
+    const images = [];
+
+    for (let i = 0; i < count; i++) {
+      const headerOffset = 6 + (i * 16);
+      if (contents.length < headerOffset + 16) {
+        return null;
+      }
+
+      const size = contents.readUInt32LE(headerOffset + 8);
+      const offset = contents.readUInt32LE(headerOffset + 12);
+      if (contents.length < offset + size) {
+        return null;
+      }
+
+      images.push({
+        header: contents.subarray(headerOffset, headerOffset + 8),
+        data: contents.subarray(offset, offset + size)
+      });
+    }
+
+    return images;
+  }
+
+}
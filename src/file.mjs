@@ -25,7 +25,9 @@
 import { glob } from 'glob';
 import { trim } from 'lodash-es';
 import mime from 'mime';
+import { minimatch } from 'minimatch';
 import { mkdirp } from 'mkdirp';
+import { AsyncLocalStorage } from 'node:async_hooks';
 import { access, readFile, writeFile } from 'node:fs/promises';
 import path from 'node:path';
 import { rimraf } from 'rimraf';
@@ -40,6 +42,12 @@ import { rimraf } from 'rimraf';
  */
 export class File {
 
+  /**
+   * @type {AsyncLocalStorage<Map<string, ?Buffer>>}
+   * @private
+   */
+  static #captures = new AsyncLocalStorage();
+
   /**
    * A convenient shorthand for <code>fs.access</code> wrapped in a <code>Promise</code>.
    *
@@ -52,16 +60,50 @@ export class File {
     return access(filePath, mode);
   }
 
+  /**
+   * Calls the specified <code>callback</code> while capturing all files that are written and deleted using {@link File}
+   * in memory instead of on disk.
+   *
+   * While capturing, {@link File.readFile} and {@link File.findFiles} will include any captured files so that files
+   * written earlier within <code>callback</code> can be read later within <code>callback</code> as if they had been
+   * written to disk, while deleted files will be excluded. Files on disk are never modified.
+   *
+   * Captures are bound to the asynchronous execution context of <code>callback</code> and so do not affect any other
+   * concurrent operations.
+   *
+   * @param {Function} callback - the function to be called while capturing files
+   * @return {Promise<Map<string, ?Buffer>>} A <code>Promise</code> for the asynchronous execution of
+   * <code>callback</code> that is resolved with the contents of each captured file mapped to its absolute path, where
+   * the contents of deleted files are <code>null</code>.
+   * @public
+   */
+  static async capture(callback) {
+    const files = new Map();
+
+    await File.#captures.run(files, callback);
+
+    return files;
+  }
+
   /**
    * A convenient shorthand for <code>rimraf</code> wrapped in a <code>Promise</code>.
    *
+   * If files are being captured (see {@link File.capture}), the file is only deleted from memory.
+   *
    * @param {string} filePath - the path of the file to be deleted
    * @param {Object} [options] - the options to be used
    * @return {Promise<void>} A <code>Promise</code> wrapper for <code>rimraf</code>.
    * @public
    */
-  static deleteFile(filePath, options) {
-    return rimraf(filePath, options);
+  static async deleteFile(filePath, options) {
+    const files = File.#captures.getStore();
+    if (files) {
+      files.set(path.resolve(filePath), null);
+
+      return;
+    }
+
+    await rimraf(filePath, options);
   }
 
   /**
@@ -91,25 +133,92 @@ export class File {
   /**
    * A convenient shorthand for <code>glob</code> wrapped in a <code>Promise</code>.
    *
+   * If files are being captured (see {@link File.capture}), any matching captured files are also included while any
+   * captured deleted files are excluded.
+   *
    * @param {string} pattern - the pattern for the files to be found
    * @param {Object} [options] - the options to be used
    * @return {Promise<string[]>} A <code>Promise</code> wrapper for <code>glob</code>.
    * @public
    */
-  static findFiles(pattern, options) {
-    return glob(pattern, options);
+  static async findFiles(pattern, options = {}) {
+    const filePaths = await glob(pattern, options);
+    const files = File.#captures.getStore();
+    if (!files) {
+      return filePaths;
+    }
+
+    const cwd = path.resolve(options.cwd || '.');
+
+    for (const [ absolutePath, contents ] of files) {
+      if (!File.match(absolutePath, pattern, cwd)) {
+        continue;
+      }
+
+      const filePath = options.absolute ? absolutePath : path.relative(cwd, absolutePath);
+      const index = filePaths.findIndex((otherFilePath) => path.resolve(cwd, otherFilePath) === absolutePath);
+
+      if (contents == null) {
+        if (index >= 0) {
+          filePaths.splice(index, 1);
+        }
+      } else if (index < 0) {
+        filePaths.push(filePath);
+      }
+    }
+
+    return filePaths;
+  }
+
+  /**
+   * Returns whether the file at the specified <code>filePath</code> is matched by the <code>pattern</code> provided,
+   * relative to <code>dirPath</code>.
+   *
+   * The file can only be matched if it is within <code>dirPath</code>. Patterns are matched in the same way as
+   * {@link File.findFiles}, where leading "!" and "#" characters are treated literally.
+   *
+   * @param {string} filePath - the path of the file to be checked
+   * @param {string} pattern - the pattern to be used
+   * @param {string} dirPath - the path of the directory to which <code>pattern</code> is relative
+   * @return {boolean} <code>true</code> if <code>filePath</code> is matched by <code>pattern</code>; otherwise
+   * <code>false</code>.
+   * @public
+   */
+  static match(filePath, pattern, dirPath) {
+    const relativePath = path.relative(dirPath, path.resolve(dirPath, filePath));
+    if (!relativePath || relativePath.split(path.sep)[0] === '..' || path.isAbsolute(relativePath)) {
+      return false;
+    }
+
+    return minimatch(relativePath.split(path.sep).join('/'), pattern, { nocomment: true, nonegate: true });
   }
 
   /**
    * A convenient shorthand for <code>fs.readFile</code> wrapped in a <code>Promise</code>.
    *
+   * If files are being captured (see {@link File.capture}) and the file has been captured, its captured contents are
+   * read instead.
+   *
    * @param {string} filePath - the path of the file to be read
    * @param {Object|string} [options] - the options to be used
    * @return {Promise<Buffer|string>} A <code>Promise</code> wrapper for <code>fs.readFile</code>.
    * @public
    */
-  static readFile(filePath, options) {
-    return readFile(filePath, options);
+  static async readFile(filePath, options) {
+    const files = File.#captures.getStore();
+    const absolutePath = path.resolve(filePath);
+    if (!(files && files.has(absolutePath))) {
+      return readFile(filePath, options);
+    }
+
+    const contents = files.get(absolutePath);
+    if (contents == null) {
+      throw Object.assign(new Error(`ENOENT: no such file or directory, open '${filePath}'`), { code: 'ENOENT' });
+    }
+
+    const encoding = typeof options === 'string' ? options : options && options.encoding;
+
+    return encoding ? contents.toString(encoding) : contents;
   }
 
   /**
@@ -118,6 +227,8 @@ export class File {
    * This method also ensures that the parent directory for <code>filePath</code> exists before attempting to write to
    * the file.
    *
+   * If files are being captured (see {@link File.capture}), the file is only written to memory.
+   *
    * @param {string} filePath - the path of the file to which <code>data</code> is to be written
    * @param {Buffer|string|Uint8Array} data - the data to be written
    * @param {Object|string} [options] - the options to be used
@@ -125,6 +236,16 @@ export class File {
    * @public
    */
   static async writeFile(filePath, data, options) {
+    const files = File.#captures.getStore();
+    if (files) {
+      const encoding = typeof options === 'string' ? options : options && options.encoding;
+      const contents = typeof data === 'string' ? Buffer.from(data, encoding || 'utf8') : Buffer.from(data);
+
+      files.set(path.resolve(filePath), contents);
+
+      return;
+    }
+
     const dirPath = path.dirname(filePath);
     await mkdirp(dirPath);
 
@@ -156,6 +277,21 @@ export class File {
    * @private
    */
   #evaluated;
+  /**
+   * @type {File~Fields}
+   * @private
+   */
+  #fields;
+  /**
+   * @type {boolean}
+   * @private
+   */
+  #trustedDir = false;
+  /**
+   * @type {boolean}
+   * @private
+   */
+  #trustedName = false;
 
   /**
    * Creates an instance of {@link File}.
@@ -163,20 +299,27 @@ export class File {
    * Optionally, <code>evaluated</code> should be set to <code>true</code> if <code>dir</code> and <code>name</code>
    * have already been evaluated (e.g. via {@link Config#evaluate}) to avoid double-evaluation.
    *
+   * Optionally, <code>fields</code> can be provided to identify the configuration properties from which
+   * <code>dir</code> and <code>name</code> were taken so that they are included in any errors that occur when they are
+   * evaluated.
+   *
    * @param {?string} dir - the parent directory path to be used (may be <code>null</code>)
    * @param {?string} name - the name to be used (may be <code>null</code>)
    * @param {?string} format - the format to be used (may be <code>null</code>)
    * @param {Config} config - the {@link Config} to be used
    * @param {boolean} [evaluated] - <code>true</code> if <code>dir</code> and <code>name</code> have already been
    * evaluated; otherwise <code>false</code>
+   * @param {File~Fields} [fields] - the configuration properties from which <code>dir</code> and <code>name</code> were
+   * taken
    * @public
    */
-  constructor(dir, name, format, config, evaluated = false) {
+  constructor(dir, name, format, config, evaluated = false, fields = {}) {
     this.#dir = dir;
     this.#name = name;
     this.#format = format;
     this.#config = config;
     this.#evaluated = evaluated;
+    this.#fields = fields;
   }
 
   /**
@@ -209,6 +352,9 @@ export class File {
    * <code>defaultName</code>, or the corresponding fields on this {@link File}, have already been evaluated (e.g. via
    * {@link Config#evaluate}) to avoid double-evaluation.
    *
+   * The default values are considered to be defined by code rather than configuration so, where used, they are always
+   * evaluated in <code>javascript</code> mode (see {@link Config#evaluate}).
+   *
    * @param {string} defaultDir - the default directory path to be used
    * @param {string} defaultName - the default name to be used
    * @param {string} defaultFormat - the default format to be used
@@ -221,8 +367,14 @@ export class File {
     const dir = this.#dir || defaultDir;
     const name = this.#name || defaultName;
     const format = this.#format || defaultFormat;
-
-    return new File(dir, name, format, this.#config, evaluated);
+    const file = new File(dir, name, format, this.#config, evaluated, {
+      dir: this.#dir ? this.#fields.dir : null,
+      name: this.#name ? this.#fields.name : null
+    });
+    file.#trustedDir = this.#dir ? this.#trustedDir : true;
+    file.#trustedName = this.#name ? this.#trustedName : true;
+
+    return file;
   }
 
   /**
@@ -238,6 +390,9 @@ export class File {
    * A reference to this {@link File} will be returned if it has previously been evluated in an attempt to prevent
    * double-evaluation.
    *
+   * Any error that occurs will include the configuration properties from which the directory and name were taken, where
+   * known (see {@link File~Fields}).
+   *
    * @param {Object} [additionalData] - an object whose properties will be exposed as variables when the expressions are
    * evaluated
    * @return {File} A {@link File} based on this instance but with the directory and name fields evaluated, or exactly
@@ -250,8 +405,15 @@ export class File {
     }
 
     const { config, dir, name } = this;
-    const evaluatedDir = dir ? config.evaluate(dir, additionalData) : null;
-    const evaluatedName = name ? config.evaluate(name, additionalData) : null;
+    const fields = this.#fields;
+    const evaluatedDir = dir ? config.evaluate(dir, additionalData, {
+      field: fields.dir,
+      trusted: this.#trustedDir
+    }) : null;
+    const evaluatedName = name ? config.evaluate(name, additionalData, {
+      field: fields.name,
+      trusted: this.#trustedName
+    }) : null;
 
     return new File(evaluatedDir, evaluatedName, this.#format, config, true);
   }
@@ -379,3 +541,12 @@ export class File {
   }
 
 }
+
+/**
+ * The configuration properties from which the directory and name of a {@link File} were taken, relative to the current
+ * configuration path (see {@link Config#withConfigPath}).
+ *
+ * @typedef {Object} File~Fields
+ * @property {?string} [dir] - The path of the property that contained the directory (e.g. <code>output.dir</code>).
+ * @property {?string} [name] - The path of the property that contained the name (e.g. <code>output.files</code>).
+ */
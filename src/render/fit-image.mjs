@@ -0,0 +1,262 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import Debug from 'debug';
+import { trim } from 'lodash-es';
+import sharp from 'sharp';
+
+const debug = Debug('brander:render:fit');
+
+const fits = [ sharp.fit.contain, sharp.fit.cover, sharp.fit.fill ];
+const rPercentage = /^\s*(\d+(?:\.\d+)?)\s*%\s*$/;
+const transparent = { alpha: 0, b: 0, g: 0, r: 0 };
+
+/**
+ * Fits the specified image <code>input</code> into a PNG image of the specified <code>size</code> using the
+ * <code>options</code> provided, which is primarily used to create icons (e.g. ICO) that must be square from images
+ * with any aspect ratio (e.g. a wordmark) without distorting them.
+ *
+ * The <code>fit</code> option controls how the image is fitted within <code>size</code>, less any padding, where
+ * "contain" (the default) preserves its aspect ratio by letterboxing it, "cover" preserves its aspect ratio by cropping
+ * it, and "fill" stretches it. The <code>padding</code> option can be either a number of pixels or a percentage of
+ * <code>size</code> (e.g. <code>"10%"</code>) to be added to each side of the image. Letterboxing and padding are
+ * transparent unless the <code>background</code> option is specified, which also fills any transparent regions within
+ * the image.
+ *
+ * If <code>size</code> is <code>null</code>, the size of <code>input</code> is used, which is still useful when
+ * padding is required. Otherwise, the <code>scale</code> option can be used to scale <code>size</code>.
+ *
+ * The <code>square</code> option can be enabled when the image created must be square (e.g. ICO), in which case the
+ * largest dimension of <code>input</code> is used when <code>size</code> is <code>null</code>.
+ *
+ * An error will occur if the <code>fit</code> or <code>padding</code> options are invalid or if the
+ * <code>square</code> option is enabled and <code>size</code> is not square.
+ *
+ * @param {Buffer} input - the image to be fitted
+ * @param {?Size} size - the size of the image to be created (may be <code>null</code>)
+ * @param {fitImage~Options} [options] - the options to be used
+ * @return {Promise<Buffer>} A <code>Promise</code> for the asynchronous fitting that is resolved with the PNG image.
+ * @throws {Error} If either the <code>fit</code> or <code>padding</code> options are invalid or <code>size</code> is
+ * not square when required.
+ * @public
+ */
+export async function fitImage(input, size, options = {}) {
+  const fit = getFit(options.fit);
+  const metadata = await sharp(input).metadata();
+  if (options.square && size && size.width !== size.height) {
+    throw new Error(`"sizes" option can only contain square sizes: ${size}`);
+  }
+
+  const { height, width } = size ? getScaledSize(size, options.scale) : getNaturalSize(metadata, options.square);
+  const padding = getPadding(options.padding, width, height);
+  const innerWidth = width - (padding.x * 2);
+  const innerHeight = height - (padding.y * 2);
+
+  debug('Fitting %dx%d image within %dx%d (fit = %s, padding = %dx%d)', metadata.width, metadata.height, width, height,
+    fit, padding.x, padding.y);
+
+  const background = options.background || transparent;
+  let image = sharp(input);
+
+  if (options.background) {
+    image = image.flatten({ background });
+  }
+
+  image = image.resize(innerWidth, innerHeight, { background, fit });
+
+  if (padding.x || padding.y) {
+    image = image.extend({
+      background,
+      bottom: height - innerHeight - padding.y,
+      left: padding.x,
+      right: width - innerWidth - padding.x,
+      top: padding.y
+    });
+  }
+
+  return image
+    .ensureAlpha()
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Returns the dimensions at which the specified SVG <code>input</code> should be rendered so that it can then be
+ * fitted into the specified <code>size</code> using {@link fitImage} with the same <code>options</code> without being
+ * upscaled.
+ *
+ * The aspect ratio of <code>input</code> is always preserved by the returned dimensions. <code>null</code> will be
+ * returned if <code>size</code> is <code>null</code> or the dimensions of <code>input</code> cannot be determined, in
+ * which case it should be rendered at <code>size</code>, if any.
+ *
+ * An error will occur if the <code>fit</code> or <code>padding</code> options are invalid.
+ *
+ * @param {Buffer|string} input - the SVG input to be rendered
+ * @param {?Size} size - the size of the image to be created by {@link fitImage} (may be <code>null</code>)
+ * @param {fitImage~Options} [options] - the options to be used
+ * @return {Promise<?{height: number, width: number}>} A <code>Promise</code> for the asynchronous reading of the
+ * dimensions of <code>input</code> that is resolved with the dimensions at which it should be rendered or
+ * <code>null</code> if they cannot be determined.
+ * @throws {Error} If either the <code>fit</code> or <code>padding</code> options are invalid.
+ * @public
+ */
+export async function getFitRenderSize(input, size, options = {}) {
+  const fit = getFit(options.fit);
+  if (!size) {
+    return null;
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(Buffer.isBuffer(input) ? input : Buffer.from(input)).metadata();
+  } catch (e) {
+    debug('Unable to read dimensions of SVG to be fitted: %s', e.message);
+
+    return null;
+  }
+  if (!(metadata.width && metadata.height)) {
+    return null;
+  }
+
+  const { height, width } = getScaledSize(size, options.scale);
+  const padding = getPadding(options.padding, width, height);
+  const widthRatio = (width - (padding.x * 2)) / metadata.width;
+  const heightRatio = (height - (padding.y * 2)) / metadata.height;
+  const ratio = fit === sharp.fit.contain ? Math.min(widthRatio, heightRatio) : Math.max(widthRatio, heightRatio);
+
+  return {
+    height: Math.max(Math.round(metadata.height * ratio), 1),
+    width: Math.max(Math.round(metadata.width * ratio), 1)
+  };
+}
+
+/**
+ * Returns the specified <code>fit</code>, defaulting to "contain".
+ *
+ * An error will occur if <code>fit</code> is not supported.
+ *
+ * @param {?string} fit - the fit to be checked
+ * @return {string} The fit.
+ * @throws {Error} If <code>fit</code> is not supported.
+ * @private
+ */
+function getFit(fit) {
+  fit = trim(fit) || sharp.fit.contain;
+
+  if (!fits.includes(fit)) {
+    throw new Error(`"fit" option must be one of ${fits.join(', ')}: ${fit}`);
+  }
+
+  return fit;
+}
+
+/**
+ * Returns the dimensions of an image based on the specified <code>metadata</code>, using its largest dimension for
+ * both if <code>square</code> is <code>true</code>.
+ *
+ * @param {Object} metadata - the metadata of the image
+ * @param {boolean} [square] - <code>true</code> to return square dimensions; otherwise <code>false</code>
+ * @return {{height: number, width: number}} The dimensions.
+ * @private
+ */
+function getNaturalSize(metadata, square) {
+  if (!square) {
+    return { height: metadata.height, width: metadata.width };
+  }
+
+  const length = Math.max(metadata.height, metadata.width);
+
+  return { height: length, width: length };
+}
+
+/**
+ * Returns the number of pixels of horizontal and vertical padding to be added to each side of an image of the specified
+ * <code>width</code> and <code>height</code> based on the <code>padding</code> provided.
+ *
+ * An error will occur if <code>padding</code> is neither a positive number nor a percentage or if it would leave no
+ * space for the image (i.e. it's at least half of <code>width</code> or <code>height</code>).
+ *
+ * @param {?number|string} padding - the number of pixels, or percentage, of padding
+ * @param {number} width - the width of the image
+ * @param {number} height - the height of the image
+ * @return {{x: number, y: number}} The horizontal and vertical padding.
+ * @throws {Error} If <code>padding</code> is invalid.
+ * @private
+ */
+function getPadding(padding, width, height) {
+  if (padding == null || padding === '') {
+    return { x: 0, y: 0 };
+  }
+
+  let result;
+  if (typeof padding === 'number' && padding >= 0) {
+    result = { x: Math.round(padding), y: Math.round(padding) };
+  } else {
+    const match = typeof padding === 'string' ? padding.match(rPercentage) : null;
+    if (!match) {
+      throw new Error(`"padding" option must be a positive number or percentage: ${padding}`);
+    }
+
+    const percentage = parseFloat(match[1]) / 100;
+
+    result = { x: Math.round(width * percentage), y: Math.round(height * percentage) };
+  }
+
+  if (result.x * 2 >= width || result.y * 2 >= height) {
+    throw new Error(`"padding" option must be less than half of the size (${width}x${height}): ${padding}`);
+  }
+
+  return result;
+}
+
+/**
+ * Returns the dimensions of the specified <code>size</code> once the <code>scale</code> provided has been applied.
+ *
+ * @param {Size} size - the size to be scaled
+ * @param {?number} scale - the scale to be applied (may be <code>null</code>, in which case no scale is applied)
+ * @return {{height: number, width: number}} The scaled dimensions.
+ * @private
+ */
+function getScaledSize(size, scale) {
+  scale = scale != null ? scale : 1;
+
+  return {
+    height: Math.max(Math.round(size.height * scale), 1),
+    width: Math.max(Math.round(size.width * scale), 1)
+  };
+}
+
+/**
+ * The options that can be passed to {@link fitImage} and {@link getFitRenderSize}.
+ *
+ * @typedef {Object} fitImage~Options
+ * @property {string} [background] - The background color to be used to fill any padding and transparent regions.
+ * Transparent by default.
+ * @property {string} [fit="contain"] - How the image is to be fitted (i.e. "contain", "cover", or "fill").
+ * @property {number|string} [padding] - The number of pixels, or percentage (e.g. <code>"10%"</code>), of padding to be
+ * added to each side of the image.
+ * @property {number} [scale] - The scale to be applied to the size of the image to be created.
+ * @property {boolean} [square] - <code>true</code> if the image to be created must be square; otherwise
+ * <code>false</code>.
+ */
@@ -0,0 +1,84 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+const icons = [
+  { name: '16x16', size: 16, type: 'icp4' },
+  { name: '16x16@2x', size: 32, type: 'ic11' },
+  { name: '32x32', size: 32, type: 'icp5' },
+  { name: '32x32@2x', size: 64, type: 'ic12' },
+  { name: '128x128', size: 128, type: 'ic07' },
+  { name: '128x128@2x', size: 256, type: 'ic13' },
+  { name: '256x256', size: 256, type: 'ic08' },
+  { name: '256x256@2x', size: 512, type: 'ic14' },
+  { name: '512x512', size: 512, type: 'ic09' },
+  { name: '512x512@2x', size: 1024, type: 'ic10' }
+];
+const pngSignature = Buffer.from([ 0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a ]);
+
+/**
+ * Creates an Apple Icon Image (ICNS) file containing the specified PNG <code>images</code>, each of which is stored
+ * as the icon type for which it's intended (see {@link getIcnsIcons}).
+ *
+ * An error will occur if any of <code>images</code> has an unknown icon type or does not contain PNG data.
+ *
+ * @param {Array<{data: Buffer, type: string}>} images - the PNG images to be contained within the ICNS file
+ * @return {Buffer} The ICNS file.
+ * @throws {Error} If any of <code>images</code> is invalid.
+ * @public
+ */
+export function createIcns(images) {
+  const chunks = images.map(({ data, type }) => {
+    if (!icons.some((icon) => icon.type === type)) {
+      throw new Error(`Unknown ICNS icon type: ${type}`);
+    }
+    if (!pngSignature.equals(data.subarray(0, pngSignature.length))) {
+      throw new Error(`ICNS icon can only contain PNG data: ${type}`);
+    }
+
+    const header = Buffer.alloc(8);
+    header.write(type, 0, 'ascii');
+    header.writeUInt32BE(data.length + header.length, 4);
+
+    return Buffer.concat([ header, data ]);
+  });
+  const header = Buffer.alloc(8);
+  const length = chunks.reduce((total, chunk) => total + chunk.length, header.length);
+
+  header.write('icns', 0, 'ascii');
+  header.writeUInt32BE(length, 4);
+
+  return Buffer.concat([ header, ...chunks ], length);
+}
+
+/**
+ * Returns the standard icons contained within an Apple Icon Image (ICNS) file, from 16x16 up to 512x512@2x (i.e.
+ * 1024x1024 pixels), each of which has a name (e.g. <code>"32x32@2x"</code>), the size of its image in pixels (e.g.
+ * <code>64</code>), and its icon type (e.g. <code>"ic12"</code>).
+ *
+ * @return {Array<{name: string, size: number, type: string}>} The standard ICNS icons.
+ * @public
+ */
+export function getIcnsIcons() {
+  return icons.map((icon) => Object.assign({}, icon));
+}
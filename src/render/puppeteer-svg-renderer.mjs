@@ -0,0 +1,191 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import svgToPng from 'convert-svg-to-png';
+import Debug from 'debug';
+import sharp from 'sharp';
+
+import { SvgRenderer } from './svg-renderer.mjs';
+
+const debug = Debug('brander:render:puppeteer');
+
+/**
+ * An implementation of {@link SvgRenderer} that renders SVG input using headless Chromium instances.
+ *
+ * A pool of converters is maintained where each converter owns a single Chromium instance, which is only launched when
+ * the converter is first used. Converters are only created when all existing converters are busy, up to the limit of
+ * {@link Config#concurrency}, so that only a single Chromium instance is launched unless images are being rendered
+ * concurrently. Any renders that are still waiting for a converter when this {@link PuppeteerSvgRenderer} is destroyed
+ * are rejected. All images are rendered as PNG and are then transcoded into other formats, where needed.
+ *
+ * The <code>puppeteer</code> option within the {@link Config} is passed to each converter so that the launching of
+ * Chromium can be controlled.
+ *
+ * @public
+ */
+export class PuppeteerSvgRenderer extends SvgRenderer {
+
+  /**
+   * @type {Config}
+   * @private
+   */
+  #config;
+  /**
+   * TODO: Fix type
+   * @type {unknown[]}
+   * @private
+   */
+  #converters = [];
+  /**
+   * TODO: Fix type
+   * @type {unknown[]}
+   * @private
+   */
+  #idleConverters = [];
+  /**
+   * @type {Array<{reject: Function, resolve: Function}>}
+   * @private
+   */
+  #waiting = [];
+
+  /**
+   * Creates an instance of {@link PuppeteerSvgRenderer} for the specified <code>config</code>.
+   *
+   * @param {Config} config - the {@link Config} to be used
+   * @public
+   */
+  constructor(config) {
+    super();
+
+    this.#config = config;
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async destroy() {
+    const converters = this.#converters;
+    const waiting = this.#waiting;
+
+    this.#converters = [];
+    this.#idleConverters = [];
+    this.#waiting = [];
+
+    if (waiting.length) {
+      debug('Rejecting %d renders waiting for a converter', waiting.length);
+
+      for (const { reject } of waiting) {
+        reject(new Error('Renderer was destroyed while waiting for a converter'));
+      }
+    }
+
+    debug('Destroying %d converters', converters.length);
+
+    await Promise.all(converters.map((converter) => converter.destroy()));
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async render(input, options) {
+    const { background, baseFile, baseUrl, format, height, quality, scale, width } = options;
+    const converter = await this.#acquire();
+    let output;
+
+    try {
+      output = await converter.convert(input, Object.assign({
+        background,
+        baseFile,
+        baseUrl,
+        scale
+      }, width == null ? null : { width }, height == null ? null : { height }));
+    } finally {
+      this.#release(converter);
+    }
+
+    switch (format) {
+    case 'jpeg':
+      return sharp(output)
+        .flatten({ background: background || '#fff' })
+        .jpeg({ quality: Math.max(quality != null ? quality : 100, 1) })
+        .toBuffer();
+    case 'png':
+      return output;
+    case 'webp':
+      // Same quality that Chromium uses by default when capturing WEBP screenshots
+      return sharp(output)
+        .webp({ quality: 80 })
+        .toBuffer();
+    default:
+      throw new Error(`Unsupported render format: ${format}`);
+    }
+  }
+
+  /**
+   * TODO: Fix type
+   * @return {Promise<unknown>}
+   * @private
+   */
+  async #acquire() {
+    if (this.#idleConverters.length) {
+      return this.#idleConverters.pop();
+    }
+
+    const config = this.#config;
+    if (this.#converters.length < config.concurrency) {
+      debug('Creating converter %d of up to %d', this.#converters.length + 1, config.concurrency);
+
+      const converter = svgToPng.createConverter({ puppeteer: config.option('puppeteer') });
+
+      this.#converters.push(converter);
+
+      return converter;
+    }
+
+    return new Promise((resolve, reject) => this.#waiting.push({ reject, resolve }));
+  }
+
+  /**
+   * TODO: Fix type
+   * @param {unknown} converter
+   * @return {void}
+   * @private
+   */
+  #release(converter) {
+    if (!this.#converters.includes(converter)) {
+      // Converter was destroyed while in use
+      return;
+    }
+
+    const next = this.#waiting.shift();
+    if (next) {
+      next.resolve(converter);
+    } else {
+      this.#idleConverters.push(converter);
+    }
+  }
+
+}
@@ -0,0 +1,130 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import Debug from 'debug';
+import sharp from 'sharp';
+
+import { SvgRenderer } from './svg-renderer.mjs';
+
+const debug = Debug('brander:render:sharp');
+
+/**
+ * An implementation of {@link SvgRenderer} that renders SVG input using sharp, which is backed by librsvg.
+ *
+ * This is considerably faster than {@link PuppeteerSvgRenderer} and does not require Chromium to be installed, however,
+ * it does not support all the features of a browser (e.g. CSS animations, web fonts) and the <code>baseFile</code> and
+ * <code>baseUrl</code> options are ignored, so relative URLs within the SVG cannot be resolved.
+ *
+ * The SVG is rasterised at a density that matches the size of the image to be rendered so that it remains sharp
+ * regardless of its intrinsic size. Like a browser, the SVG is centred within the image, preserving its aspect ratio,
+ * when the width and height of the image do not match that of the SVG.
+ *
+ * @public
+ */
+export class SharpSvgRenderer extends SvgRenderer {
+
+  /**
+   * The maximum density supported by sharp.
+   *
+   * @type {number}
+   * @private
+   */
+  static #maxDensity = 100000;
+
+  /**
+   * @param {Object} metadata
+   * @param {SvgRenderer~RenderOptions} options
+   * @return {{height: number, width: number}}
+   * @private
+   */
+  static #getDimensions(metadata, options) {
+    const scale = options.scale != null ? options.scale : 1;
+    let { height, width } = options;
+
+    if (width == null && height == null) {
+      width = metadata.width;
+      height = metadata.height;
+    } else if (width == null) {
+      width = height * metadata.width / metadata.height;
+    } else if (height == null) {
+      height = width * metadata.height / metadata.width;
+    }
+
+    return {
+      height: Math.max(Math.round(height * scale), 1),
+      width: Math.max(Math.round(width * scale), 1)
+    };
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async render(input, options) {
+    const { format, quality } = options;
+    const background = format === 'jpeg' ? options.background || '#fff' : options.background;
+    const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input);
+    const metadata = await sharp(buffer).metadata();
+    const { height, width } = SharpSvgRenderer.#getDimensions(metadata, options);
+    const density = Math.min(Math.max(72 * Math.max(width / metadata.width, height / metadata.height), 1),
+      SharpSvgRenderer.#maxDensity);
+
+    debug('Rendering SVG at %d DPI to %dx%d %s', density, width, height, format);
+
+    // sharp flattens before resizing so any space around the SVG must also be filled with the background
+    let image = sharp(buffer, { density })
+      .resize(width, height, {
+        background: background || { alpha: 0, b: 0, g: 0, r: 0 },
+        fit: 'contain'
+      });
+
+    switch (format) {
+    case 'jpeg':
+      return image
+        .flatten({ background })
+        .jpeg({ quality: Math.max(quality != null ? quality : 100, 1) })
+        .toBuffer();
+    case 'png':
+      if (background) {
+        image = image.flatten({ background });
+      }
+
+      return image
+        .png()
+        .toBuffer();
+    case 'webp':
+      if (background) {
+        image = image.flatten({ background });
+      }
+
+      // Same quality as PuppeteerSvgRenderer so that output is consistent regardless of the renderer used
+      return image
+        .webp({ quality: 80 })
+        .toBuffer();
+    default:
+      throw new Error(`Unsupported render format: ${format}`);
+    }
+  }
+
+}
@@ -0,0 +1,179 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import Debug from 'debug';
+
+import { PuppeteerSvgRenderer } from './puppeteer-svg-renderer.mjs';
+import { SharpSvgRenderer } from './sharp-svg-renderer.mjs';
+
+const debug = Debug('brander:render');
+
+/**
+ * Manages the {@link SvgRenderer} instances that are shared by all tasks that need to render SVG input as raster
+ * images.
+ *
+ * Renderers are identified by name (i.e. "puppeteer" or "sharp") and are only created when they are first requested.
+ * They are then reused for all subsequent requests using the same name and {@link Config} until
+ * {@link SvgRendererService#destroy} is called, which is done once all tasks have been executed.
+ *
+ * This class cannot be instantiated and {@link SvgRendererService.getInstance} must be used to gain a reference to the
+ * globally available singleton instance.
+ *
+ * @public
+ */
+export class SvgRendererService {
+
+  /**
+   * The name of the renderer to be used when none is specified.
+   *
+   * @type {string}
+   * @public
+   */
+  static DEFAULT_RENDERER = 'puppeteer';
+
+  /**
+   * @type {Map<string, Function>}
+   * @private
+   */
+  static #factories = new Map([
+    [ 'puppeteer', (config) => new PuppeteerSvgRenderer(config) ],
+    [ 'sharp', () => new SharpSvgRenderer() ]
+  ]);
+  /**
+   * @type {symbol}
+   * @private
+   */
+  static #privateKey = Symbol('privateKey');
+  /**
+   * @type {?SvgRendererService}
+   * @private
+   */
+  static #singleton;
+
+  /**
+   * Returns a singleton instance of {@link SvgRendererService}.
+   *
+   * @return {SvgRendererService} The singleton instance.
+   * @public
+   */
+  static getInstance() {
+    if (!SvgRendererService.#singleton) {
+      SvgRendererService.#singleton = new SvgRendererService(SvgRendererService.#privateKey);
+    }
+
+    return SvgRendererService.#singleton;
+  }
+
+  /**
+   * @type {Map<Config, Map<string, SvgRenderer>>}
+   * @private
+   */
+  #renderers = new Map();
+
+  /**
+   * Creates an instance of {@link SvgRendererService}.
+   *
+   * Use {@link SvgRendererService.getInstance} to obtain an instance of {@link SvgRendererService}. Do not try to
+   * instantiate this class directly.
+   *
+   * <code>privateKey</code> is used to ensure that {@link SvgRendererService} can only be instantiated within this
+   * module.
+   *
+   * An error will occur if <code>privateKey</code> is invalid.
+   *
+   * @param {Symbol} privateKey - a private symbol used to prevent external instantiation of {@link SvgRendererService}
+   * @throws {Error} If <code>privateKey</code> is invalid.
+   * @private
+   */
+  constructor(privateKey) {
+    if (privateKey !== SvgRendererService.#privateKey) {
+      throw new Error('SvgRendererService constructor is private');
+    }
+  }
+
+  /**
+   * Destroys all renderers that have been created by this {@link SvgRendererService}.
+   *
+   * An error will occur if any of the renderers could not be destroyed, however, an attempt will still be made to
+   * destroy all of them.
+   *
+   * @return {Promise<void>} A <code>Promise</code> for the asynchronous destruction of all renderers.
+   * @public
+   */
+  async destroy() {
+    const renderers = Array.from(this.#renderers.values()).flatMap((named) => Array.from(named.values()));
+
+    this.#renderers.clear();
+
+    debug('Destroying %d renderers', renderers.length);
+
+    const results = await Promise.allSettled(renderers.map((renderer) => renderer.destroy()));
+    const failure = results.find((result) => result.status === 'rejected');
+    if (failure) {
+      throw failure.reason;
+    }
+  }
+
+  /**
+   * Returns the {@link SvgRenderer} with the specified <code>name</code> to be used for the <code>config</code>
+   * provided, creating it if needed.
+   *
+   * If <code>name</code> is not specified, the <code>renderer</code> option within <code>config</code> will be used,
+   * falling back on {@link SvgRendererService.DEFAULT_RENDERER}.
+   *
+   * An error will occur if <code>name</code> does not match a supported renderer.
+   *
+   * @param {Config} config - the {@link Config} for which the {@link SvgRenderer} is to be returned
+   * @param {?string} [name] - the name of the {@link SvgRenderer} to be returned
+   * @return {SvgRenderer} The renderer.
+   * @throws {Error} If <code>name</code> is not supported.
+   * @public
+   */
+  getRenderer(config, name) {
+    const rendererName = name || config.option('renderer') || SvgRendererService.DEFAULT_RENDERER;
+    const factory = SvgRendererService.#factories.get(rendererName);
+    if (!factory) {
+      throw new Error(`"renderer" configuration unsupported: ${rendererName}`);
+    }
+
+    let named = this.#renderers.get(config);
+    if (!named) {
+      named = new Map();
+
+      this.#renderers.set(config, named);
+    }
+
+    let renderer = named.get(rendererName);
+    if (!renderer) {
+      debug('Creating %s renderer', rendererName);
+
+      renderer = factory(config);
+
+      named.set(rendererName, renderer);
+    }
+
+    return renderer;
+  }
+
+}
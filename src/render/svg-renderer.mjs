@@ -0,0 +1,84 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import pollock from 'pollock';
+
+/**
+ * Capable of rendering SVG input as raster images of various formats.
+ *
+ * Implementations should avoid acquiring any expensive resources until they are first needed to render an image and
+ * must release any such resources when {@link SvgRenderer#destroy} is called. Implementations must also support
+ * rendering multiple images concurrently.
+ *
+ * @public
+ * @abstract
+ */
+export class SvgRenderer {
+
+  /**
+   * Destroys this {@link SvgRenderer}, releasing any resources that it has acquired.
+   *
+   * This {@link SvgRenderer} can still be used afterwards, however, any resources will need to be acquired again.
+   *
+   * This method does nothing by default.
+   *
+   * @return {Promise<void>} A <code>Promise</code> for any asynchronous work needed to release resources.
+   * @public
+   */
+  destroy() {}
+
+}
+
+/**
+ * Renders the specified SVG <code>input</code> as a raster image using the <code>options</code> provided.
+ *
+ * An error will occur if <code>input</code> cannot be rendered or the <code>format</code> option is unsupported.
+ *
+ * All implementations of {@link SvgRenderer} <b>must</b> override this method.
+ *
+ * @param {Buffer|string} input - the SVG input to be rendered
+ * @param {SvgRenderer~RenderOptions} options - the options to be used
+ * @return {Promise<Buffer>} A <code>Promise</code> for the asynchronous rendering that is resolved with the rendered
+ * image.
+ * @public
+ * @abstract
+ * @memberof SvgRenderer#
+ * @method render
+ */
+pollock(SvgRenderer, 'render', { promise: true });
+
+/**
+ * The options that can be passed to {@link SvgRenderer#render}.
+ *
+ * @typedef {Object} SvgRenderer~RenderOptions
+ * @property {string} [background] - The background color to be used to fill transparent regions within the SVG. JPEG
+ * images are filled with white by default while all other formats remain transparent.
+ * @property {string} [baseFile] - The path of the file to be used to resolve relative URLs within the SVG.
+ * @property {string} [baseUrl] - The URL to be used to resolve relative URLs within the SVG.
+ * @property {string} format - The format of the image to be rendered (i.e. "jpeg", "png", or "webp").
+ * @property {number} [height] - The height of the image to be rendered. Derived from the SVG if not specified.
+ * @property {number} [quality=100] - The quality of JPEG images to be rendered, between 0 and 100 (inclusive).
+ * @property {number} [scale=1] - The scale to be applied to the width and height of the image.
+ * @property {number} [width] - The width of the image to be rendered. Derived from the SVG if not specified.
+ */
@@ -0,0 +1,328 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import chalk from 'chalk';
+import Debug from 'debug';
+import { every, matchesProperty } from 'lodash-es';
+import path from 'node:path';
+import sharp from 'sharp';
+
+import { File } from '../../file.mjs';
+import { fitImage, getFitRenderSize } from '../../render/fit-image.mjs';
+import { SvgRendererService } from '../../render/svg-renderer-service.mjs';
+import { Size } from '../../size.mjs';
+import { Task } from '../task.mjs';
+import { TaskType } from '../task-type.mjs';
+
+const debug = Debug('brander:task:app-icon');
+
+/**
+ * A {@link TaskType.APP_ICON} task that can export a single SVG file as Android launcher icon resources.
+ *
+ * The task is only used when the <code>platform</code> option is "android", in which case the following files are
+ * generated within the output directory, which defaults to the directory containing the SVG file and is typically the
+ * <code>res</code> directory of an Android app:
+ *
+ * <ul>
+ *   <li><code>mipmap-&lt;density&gt;/ic_launcher.png</code> (48dp), which is the legacy launcher icon;</li>
+ *   <li><code>mipmap-&lt;density&gt;/ic_launcher_round.png</code> (48dp), which is the legacy round launcher
+ *   icon;</li>
+ *   <li><code>mipmap-&lt;density&gt;/ic_launcher_foreground.png</code> (108dp), which is the foreground layer of the
+ *   adaptive icon;</li>
+ *   <li><code>mipmap-&lt;density&gt;/ic_launcher_background.png</code> (108dp), which is the background layer of the
+ *   adaptive icon;</li>
+ *   <li><code>mipmap-anydpi-v26/ic_launcher.xml</code> and <code>mipmap-anydpi-v26/ic_launcher_round.xml</code>, which
+ *   describe the adaptive icon.</li>
+ * </ul>
+ *
+ * The PNG files are generated for each of the "mdpi", "hdpi", "xhdpi", "xxhdpi", and "xxxhdpi" densities. The
+ * <code>name</code> option can be used to change the name of the resources, which is "ic_launcher" by default.
+ *
+ * Here's a basic example of the configuration for an Android app icon task:
+ *
+ * <pre>
+ * {
+ *   "task": "app-icon",
+ *   "input": {
+ *     "dir": "logo",
+ *     "files": "my-brand-icon.svg"
+ *   },
+ *   "output": {
+ *     "dir": "android/app/src/main/res"
+ *   },
+ *   "options": {
+ *     "platform": "android",
+ *     "backgroundColor": "#7700cf"
+ *   }
+ * }
+ * </pre>
+ *
+ * The <code>backgroundColor</code> option ("#ffffff" by default) is used to fill the background layer of the adaptive
+ * icon as well as the legacy launcher icons. The SVG file is fitted within the inner 72dp of the foreground layer so
+ * that it remains visible regardless of the mask applied by the launcher. The <code>fit</code> and
+ * <code>padding</code> options can be used to control how the SVG file is fitted within each image when it's not square
+ * (see {@link fitImage}). The SVG file is rendered using the configured {@link SvgRenderer}.
+ *
+ * @public
+ */
+export default class AppIconSvgToAndroidTask extends Task {
+
+  /**
+   * @type {Array<{name: string, scale: number}>}
+   * @private
+   */
+  static #densities = [
+    { name: 'mdpi', scale: 1 },
+    { name: 'hdpi', scale: 1.5 },
+    { name: 'xhdpi', scale: 2 },
+    { name: 'xxhdpi', scale: 3 },
+    { name: 'xxxhdpi', scale: 4 }
+  ];
+
+  /**
+   * @param {string} name
+   * @param {string} lineSeparator
+   * @return {string}
+   * @private
+   */
+  static #createAdaptiveIcon(name, lineSeparator) {
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<adaptive-icon xmlns:android="http://schemas.android.com/apk/res/android">',
+      `  <background android:drawable="@mipmap/${name}_background"/>`,
+      `  <foreground android:drawable="@mipmap/${name}_foreground"/>`,
+      '</adaptive-icon>',
+      ''
+    ].join(lineSeparator);
+  }
+
+  /**
+   * @param {string} name
+   * @return {Array<{dir: string, layer: string, name: string, scale?: number}>}
+   * @private
+   */
+  static #getFiles(name) {
+    const files = [];
+
+    for (const density of AppIconSvgToAndroidTask.#densities) {
+      const dir = `mipmap-${density.name}`;
+
+      for (const layer of [ 'legacy', 'round', 'foreground', 'background' ]) {
+        files.push({
+          dir,
+          layer,
+          name: layer === 'legacy' ? `${name}.png` : `${name}_${layer}.png`,
+          scale: density.scale
+        });
+      }
+    }
+
+    files.push(
+      { dir: 'mipmap-anydpi-v26', layer: 'adaptive', name: `${name}.xml` },
+      { dir: 'mipmap-anydpi-v26', layer: 'adaptive', name: `${name}_round.xml` }
+    );
+
+    return files;
+  }
+
+  /**
+   * @param {Buffer} input
+   * @param {number} length
+   * @param {Object} options
+   * @param {Config} config
+   * @return {Promise<Buffer>}
+   * @private
+   */
+  static async #render(input, length, options, config) {
+    const { background, baseFile, baseUrl, fit, padding } = options;
+    const size = new Size(length, length);
+    const fitOptions = { background, fit, padding, square: true };
+    const renderSize = await getFitRenderSize(input, size, fitOptions);
+    const dimensions = renderSize || size;
+    const renderer = SvgRendererService.getInstance().getRenderer(config, options.renderer);
+    const pngInput = await renderer.render(input, {
+      baseFile,
+      baseUrl,
+      format: 'png',
+      height: dimensions.height,
+      width: dimensions.width
+    });
+
+    return fitImage(pngInput, size, fitOptions);
+  }
+
+  /**
+   * @param {Buffer} input
+   * @param {string} layer
+   * @param {number} scale
+   * @param {Object} options
+   * @param {Config} config
+   * @return {Promise<Buffer>}
+   * @private
+   */
+  static async #renderLayer(input, layer, scale, options, config) {
+    const { backgroundColor } = options;
+    const iconLength = Math.round(48 * scale);
+    const layerLength = Math.round(108 * scale);
+
+    switch (layer) {
+    case 'background':
+      return sharp({
+        create: {
+          background: backgroundColor,
+          channels: 4,
+          height: layerLength,
+          width: layerLength
+        }
+      })
+        .png()
+        .toBuffer();
+    case 'foreground': {
+      const innerLength = Math.round(72 * scale);
+      const inset = Math.floor((layerLength - innerLength) / 2);
+      const output = await AppIconSvgToAndroidTask.#render(input, innerLength, Object.assign({}, options, {
+        background: null
+      }), config);
+
+      return sharp(output)
+        .extend({
+          background: { alpha: 0, b: 0, g: 0, r: 0 },
+          bottom: layerLength - innerLength - inset,
+          left: inset,
+          right: layerLength - innerLength - inset,
+          top: inset
+        })
+        .png()
+        .toBuffer();
+    }
+    case 'legacy':
+      return AppIconSvgToAndroidTask.#render(input, iconLength, Object.assign({}, options, {
+        background: backgroundColor
+      }), config);
+    case 'round': {
+      const output = await AppIconSvgToAndroidTask.#render(input, iconLength, Object.assign({}, options, {
+        background: backgroundColor
+      }), config);
+      const radius = iconLength / 2;
+      const mask = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${iconLength}" ` +
+        `height="${iconLength}"><circle cx="${radius}" cy="${radius}" r="${radius}"/></svg>`);
+
+      return sharp(output)
+        .composite([ { blend: 'dest-in', input: mask } ])
+        .png()
+        .toBuffer();
+    }
+    default:
+      throw new Error(`Unsupported Android launcher icon layer: ${layer}`);
+    }
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getType() {
+    return TaskType.APP_ICON;
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async executeOperation(operation, context) {
+    const { inputFiles: [ inputFile ], options, outputFile } = operation;
+    const { config } = context;
+    const inputFilePath = inputFile.absolute;
+    const outputFilePath = outputFile.absolute;
+
+    const dirName = path.basename(outputFile.dir);
+    const { layer, scale } = AppIconSvgToAndroidTask.#getFiles(options.name).find((file) => {
+      return file.dir === dirName && file.name === outputFile.name;
+    });
+    let output;
+
+    if (layer === 'adaptive') {
+      debug('Generating Android adaptive icon: %s', outputFile.name);
+
+      output = AppIconSvgToAndroidTask.#createAdaptiveIcon(options.name, config.lineSeparator);
+    } else {
+      debug('Reading SVG file to be exported as %s Android launcher icon layer: %s', layer, chalk.blue(inputFilePath));
+
+      const input = await File.readFile(inputFilePath);
+
+      output = await AppIconSvgToAndroidTask.#renderLayer(input, layer, scale, options, config);
+    }
+
+    debug('Writing Android launcher icon file: %s', chalk.blue(outputFilePath));
+
+    await File.writeFile(outputFilePath, output);
+
+    config.logger.log('Exported Android launcher icon file: %s -> %s', chalk.blue(inputFile.relative),
+      chalk.blue(outputFile.relative));
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async plan(context) {
+    const { config, inputFiles } = context;
+    if (!inputFiles.length) {
+      return [];
+    }
+    if (inputFiles.length > 1) {
+      throw new Error(`"app-icon" tasks can only have a single input file: ${inputFiles.length} files found`);
+    }
+
+    const [ inputFile ] = inputFiles;
+    const baseUrl = context.option('baseUrl');
+    const options = {
+      backgroundColor: context.option('backgroundColor', '#ffffff'),
+      baseFile: context.option('baseFile') || !baseUrl ? inputFile.absolute : null,
+      baseUrl,
+      fit: context.option('fit'),
+      name: context.option('name', 'ic_launcher'),
+      padding: context.option('padding'),
+      renderer: context.option('renderer', config.option('renderer'))
+    };
+    const { dir } = (context.outputFile || new File(null, null, null, config))
+      .defaults(inputFile.dir, `${options.name}.png`, 'png')
+      .evaluate({ file: inputFile });
+
+    return AppIconSvgToAndroidTask.#getFiles(options.name).map((file) => ({
+      inputFiles,
+      options,
+      outputFile: new File(path.join(dir, file.dir), file.name, File.deriveFormat(file.name), config, true)
+    }));
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  supports(context) {
+    return context.option('platform') === 'android' && every(context.inputFiles, matchesProperty('format', 'svg'));
+  }
+
+}
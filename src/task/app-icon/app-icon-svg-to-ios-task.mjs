@@ -0,0 +1,254 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import chalk from 'chalk';
+import Debug from 'debug';
+import { every, matchesProperty, uniqBy } from 'lodash-es';
+import path from 'node:path';
+import sharp from 'sharp';
+
+import { File } from '../../file.mjs';
+import { fitImage, getFitRenderSize } from '../../render/fit-image.mjs';
+import { SvgRendererService } from '../../render/svg-renderer-service.mjs';
+import { Size } from '../../size.mjs';
+import { Task } from '../task.mjs';
+import { TaskType } from '../task-type.mjs';
+
+const debug = Debug('brander:task:app-icon');
+
+/**
+ * A {@link TaskType.APP_ICON} task that can export a single SVG file as an Xcode app icon set for iOS apps.
+ *
+ * The task is only used when the <code>platform</code> option is "ios", in which case an
+ * <code>AppIcon.appiconset</code> directory is generated within the output directory, which defaults to the directory
+ * containing the SVG file. The app icon set contains a PNG file for every size required by iPhone and iPad apps as
+ * well as the App Store, along with the <code>Contents.json</code> file that describes them to Xcode. The name of the
+ * app icon set can be changed using the <code>name</code> option.
+ *
+ * Here's a basic example of the configuration for an iOS app icon task:
+ *
+ * <pre>
+ * {
+ *   "task": "app-icon",
+ *   "input": {
+ *     "dir": "logo",
+ *     "files": "my-brand-icon.svg"
+ *   },
+ *   "output": {
+ *     "dir": "ios/MyApp/Images.xcassets"
+ *   },
+ *   "options": {
+ *     "platform": "ios",
+ *     "backgroundColor": "#7700cf"
+ *   }
+ * }
+ * </pre>
+ *
+ * As iOS app icons cannot contain transparency, every PNG file is filled using the <code>backgroundColor</code> option
+ * ("#ffffff" by default) and has its alpha channel removed. The <code>fit</code> and <code>padding</code> options can
+ * be used to control how the SVG file is fitted within each image when it's not square (see {@link fitImage}). The SVG
+ * file is rendered using the configured {@link SvgRenderer}.
+ *
+ * @public
+ */
+export default class AppIconSvgToIosTask extends Task {
+
+  /**
+   * @type {Array<{idiom: string, scale: number, size: number}>}
+   * @private
+   */
+  static #icons = [
+    { idiom: 'iphone', scale: 2, size: 20 },
+    { idiom: 'iphone', scale: 3, size: 20 },
+    { idiom: 'iphone', scale: 2, size: 29 },
+    { idiom: 'iphone', scale: 3, size: 29 },
+    { idiom: 'iphone', scale: 2, size: 40 },
+    { idiom: 'iphone', scale: 3, size: 40 },
+    { idiom: 'iphone', scale: 2, size: 60 },
+    { idiom: 'iphone', scale: 3, size: 60 },
+    { idiom: 'ipad', scale: 1, size: 20 },
+    { idiom: 'ipad', scale: 2, size: 20 },
+    { idiom: 'ipad', scale: 1, size: 29 },
+    { idiom: 'ipad', scale: 2, size: 29 },
+    { idiom: 'ipad', scale: 1, size: 40 },
+    { idiom: 'ipad', scale: 2, size: 40 },
+    { idiom: 'ipad', scale: 1, size: 76 },
+    { idiom: 'ipad', scale: 2, size: 76 },
+    { idiom: 'ipad', scale: 2, size: 83.5 },
+    { idiom: 'ios-marketing', scale: 1, size: 1024 }
+  ];
+
+  /**
+   * @param {string} lineSeparator
+   * @return {string}
+   * @private
+   */
+  static #createContents(lineSeparator) {
+    const contents = {
+      images: AppIconSvgToIosTask.#icons.map((icon) => ({
+        filename: AppIconSvgToIosTask.#getFileName(icon),
+        idiom: icon.idiom,
+        scale: `${icon.scale}x`,
+        size: `${icon.size}x${icon.size}`
+      })),
+      info: {
+        author: 'xcode',
+        version: 1
+      }
+    };
+
+    return `${JSON.stringify(contents, null, 2).split('\n').join(lineSeparator)}${lineSeparator}`;
+  }
+
+  /**
+   * @param {{scale: number, size: number}} icon
+   * @return {string}
+   * @private
+   */
+  static #getFileName({ scale, size }) {
+    return `Icon-App-${size}x${size}@${scale}x.png`;
+  }
+
+  /**
+   * @param {Buffer} input
+   * @param {number} length
+   * @param {Object} options
+   * @param {Config} config
+   * @return {Promise<Buffer>}
+   * @private
+   */
+  static async #render(input, length, options, config) {
+    const { backgroundColor, baseFile, baseUrl, fit, padding } = options;
+    const size = new Size(length, length);
+    const fitOptions = { background: backgroundColor, fit, padding, square: true };
+    const renderSize = await getFitRenderSize(input, size, fitOptions);
+    const dimensions = renderSize || size;
+    const renderer = SvgRendererService.getInstance().getRenderer(config, options.renderer);
+    const pngInput = await renderer.render(input, {
+      baseFile,
+      baseUrl,
+      format: 'png',
+      height: dimensions.height,
+      width: dimensions.width
+    });
+    const output = await fitImage(pngInput, size, fitOptions);
+
+    return sharp(output)
+      .removeAlpha()
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getType() {
+    return TaskType.APP_ICON;
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async executeOperation(operation, context) {
+    const { inputFiles: [ inputFile ], options, outputFile } = operation;
+    const { config } = context;
+    const inputFilePath = inputFile.absolute;
+    const outputFilePath = outputFile.absolute;
+
+    let output;
+
+    if (outputFile.format === 'json') {
+      debug('Generating iOS app icon set contents: %s', outputFile.name);
+
+      output = AppIconSvgToIosTask.#createContents(config.lineSeparator);
+    } else {
+      const icon = AppIconSvgToIosTask.#icons.find((other) => {
+        return AppIconSvgToIosTask.#getFileName(other) === outputFile.name;
+      });
+      const length = Math.round(icon.size * icon.scale);
+
+      debug('Reading SVG file to be exported as %dx%d iOS app icon: %s', length, length, chalk.blue(inputFilePath));
+
+      const input = await File.readFile(inputFilePath);
+
+      output = await AppIconSvgToIosTask.#render(input, length, options, config);
+    }
+
+    debug('Writing iOS app icon file: %s', chalk.blue(outputFilePath));
+
+    await File.writeFile(outputFilePath, output);
+
+    config.logger.log('Exported iOS app icon file: %s -> %s', chalk.blue(inputFile.relative),
+      chalk.blue(outputFile.relative));
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async plan(context) {
+    const { config, inputFiles } = context;
+    if (!inputFiles.length) {
+      return [];
+    }
+    if (inputFiles.length > 1) {
+      throw new Error(`"app-icon" tasks can only have a single input file: ${inputFiles.length} files found`);
+    }
+
+    const [ inputFile ] = inputFiles;
+    const baseUrl = context.option('baseUrl');
+    const options = {
+      backgroundColor: context.option('backgroundColor', '#ffffff'),
+      baseFile: context.option('baseFile') || !baseUrl ? inputFile.absolute : null,
+      baseUrl,
+      fit: context.option('fit'),
+      padding: context.option('padding'),
+      renderer: context.option('renderer', config.option('renderer'))
+    };
+    const { dir } = (context.outputFile || new File(null, null, null, config))
+      .defaults(inputFile.dir, 'Contents.json', 'json')
+      .evaluate({ file: inputFile });
+    const iconSetDir = path.join(dir, `${context.option('name', 'AppIcon')}.appiconset`);
+    const fileNames = uniqBy(AppIconSvgToIosTask.#icons, AppIconSvgToIosTask.#getFileName)
+      .map(AppIconSvgToIosTask.#getFileName)
+      .concat('Contents.json');
+
+    return fileNames.map((name) => ({
+      inputFiles,
+      options,
+      outputFile: new File(iconSetDir, name, File.deriveFormat(name), config, true)
+    }));
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  supports(context) {
+    return context.option('platform') === 'ios' && every(context.inputFiles, matchesProperty('format', 'svg'));
+  }
+
+}
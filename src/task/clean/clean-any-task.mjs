@@ -60,6 +60,8 @@ export default class CleanAnyTask extends Task {
 
       context.config.logger.log('Cleaned file: %s', chalk.blue(inputFile.relative));
     }
+
+    return [];
   }
 
   /**
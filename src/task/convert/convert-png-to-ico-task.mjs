@@ -24,23 +24,25 @@
 
 import chalk from 'chalk';
 import Debug from 'debug';
-import { every, isEmpty, map, matchesProperty } from 'lodash-es';
+import { every, isEmpty, matchesProperty } from 'lodash-es';
 import pngToIco from 'png-to-ico';
-import sharp from 'sharp';
 
 import { File } from '../../file.mjs';
-import { Size } from '../../size.mjs';
+import { fitImage } from '../../render/fit-image.mjs';
 import { Task } from '../task.mjs';
 import { TaskType } from '../task-type.mjs';
 
 const debug = Debug('brander:task:convert');
 
-// TODO: Support resizing images with non-1:1 aspect ratios
-
 /**
  * A {@link TaskType.CONVERT} task that can convert a PNG file to potentially multiple ICO files, if multiple
  * <code>sizes</code> are specified in the options.
  *
+ * The aspect ratio of the PNG file is preserved when it does not match that of a size unless the <code>fit</code>
+ * option is "fill", where "contain" (the default) letterboxes it and "cover" crops it. The <code>padding</code> option
+ * can be used to add space around the image (see {@link fitImage}). Any letterboxing or padding is transparent unless
+ * the <code>background</code> option is specified.
+ *
  * @public
  */
 export default class ConvertPngToIcoTask extends Task {
@@ -57,59 +59,19 @@ export default class ConvertPngToIcoTask extends Task {
    * @inheritdoc
    * @override
    */
-  async execute(context) {
-    const sizes = map(context.option('sizes', []), 'width');
-
-    for (const inputFile of context.inputFiles) {
-      const [ realSize ] = Size.fromImage(inputFile.absolute);
-
-      if (isEmpty(sizes)) {
-        await this.#execute(inputFile, null, realSize.width, context);
-      } else {
-        for (const size of sizes) {
-          await this.#execute(inputFile, size, realSize.width, context);
-        }
-      }
-    }
-  }
-
-  /**
-   * @inheritdoc
-   * @override
-   */
-  supports(context) {
-    return every(context.inputFiles, matchesProperty('format', 'png')) && context.outputFile.format === 'ico';
-  }
-
-  /**
-   * @param {File} inputFile
-   * @param {?Size} size
-   * @param {number} realSize
-   * @param {TaskContext} context
-   * @return {Promise<void>}
-   * @private
-   */
-  async #execute(inputFile, size, realSize, context) {
+  async executeOperation(operation, context) {
+    const { inputFiles: [ inputFile ], options, outputFile } = operation;
+    const { background, fit, padding, size } = options;
     const inputFilePath = inputFile.absolute;
-    const outputFile = context.outputFile
-      .defaults(inputFile.dir, '<%= file.base(true) %><%= size ? "-" + size : "" %>.ico', inputFile.format)
-      .evaluate({ file: inputFile, size });
     const outputFilePath = outputFile.absolute;
 
     debug('Reading PNG file to be converted to ICO: %s', chalk.blue(inputFilePath));
 
-    let input = await File.readFile(inputFilePath);
+    const pngInput = await File.readFile(inputFilePath);
 
-    if (size != null && size.width !== realSize) {
-      debug('Resizing PNG to be converted to ICO: %s', chalk.blue(inputFilePath));
+    debug('Fitting PNG to be converted to ICO: %s', chalk.blue(inputFilePath));
 
-      input = await sharp(input)
-        .resize(size.width, size.height, {
-          fit: sharp.fit.fill,
-          background: { r: 0, g: 0, b: 0, alpha: 0 }
-        })
-        .toBuffer();
-    }
+    const input = await fitImage(pngInput, size, { background, fit, padding, square: true });
 
     debug('Converting PNG file to ICO: %s', chalk.blue(inputFilePath));
 
@@ -123,4 +85,42 @@ export default class ConvertPngToIcoTask extends Task {
       chalk.blue(outputFile.relative));
   }
 
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async plan(context) {
+    const background = context.option('background');
+    const fit = context.option('fit');
+    const padding = context.option('padding');
+    const sizes = context.option('sizes');
+    const operations = [];
+
+    for (const inputFile of context.inputFiles) {
+      for (const size of isEmpty(sizes) ? [ null ] : sizes) {
+        const options = {
+          background,
+          fit,
+          padding,
+          size
+        };
+        const outputFile = context.outputFile
+          .defaults(inputFile.dir, '<%= file.base(true) %><%= size ? "-" + size : "" %>.ico', inputFile.format)
+          .evaluate(Object.assign({ file: inputFile }, options));
+
+        operations.push({ inputFiles: [ inputFile ], options, outputFile });
+      }
+    }
+
+    return operations;
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  supports(context) {
+    return every(context.inputFiles, matchesProperty('format', 'png')) && context.outputFile.format === 'ico';
+  }
+
 }
@@ -0,0 +1,253 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import chalk from 'chalk';
+import Debug from 'debug';
+import { every, isEmpty } from 'lodash-es';
+import sharp from 'sharp';
+
+import { File } from '../../file.mjs';
+import { Task } from '../task.mjs';
+import { TaskType } from '../task-type.mjs';
+
+const debug = Debug('brander:task:convert');
+
+/**
+ * A {@link TaskType.CONVERT} task that can convert a raster image file (e.g. PNG, JPEG, WEBP, AVIF, TIFF) to
+ * potentially multiple raster image files of any format that can be written by sharp, if multiple <code>sizes</code>
+ * are specified in the options.
+ *
+ * Each image is resized to fit each size based on the <code>fit</code> option, which can be any fit supported by sharp
+ * (i.e. "contain", "cover", "fill", "inside", or "outside") and defaults to "contain", where any padding is
+ * transparent unless the <code>background</code> option is specified. The <code>quality</code> option is only used by
+ * lossy formats, where WEBP images are lossless unless it is specified.
+ *
+ * SVG files are not supported as inputs since they are handled by other {@link TaskType.CONVERT} tasks that rasterize
+ * them using a {@link SvgRenderer}.
+ *
+ * Since output files are written alongside their input files by default, any input file that would also be generated
+ * from another input file (e.g. "logo-32.png" from "logo.png" when matching "*.png" on subsequent runs) is ignored so
+ * that outputs are not converted again. An error will occur if an output file would overwrite its own input file (e.g.
+ * when converting to the same format without any <code>sizes</code> and no "output.files" configuration).
+ *
+ * @public
+ */
+export default class ConvertRasterToRasterTask extends Task {
+
+  /**
+   * @type {Object<string, string>}
+   * @private
+   */
+  static #aliases = {
+    avif: 'heif',
+    jpg: 'jpeg',
+    tif: 'tiff'
+  };
+  /**
+   * @type {string[]}
+   * @private
+   */
+  static #fits = Object.values(sharp.fit);
+  /**
+   * @type {string[]}
+   * @private
+   */
+  static #unsupportedFormats = [ 'heic', 'heif', 'raw', 'svg' ];
+
+  /**
+   * @param {sharp.Sharp} image
+   * @param {string} format
+   * @param {?string} background
+   * @param {?number} quality
+   * @return {Promise<Buffer>}
+   * @private
+   */
+  static #encode(image, format, background, quality) {
+    const formatOptions = quality != null ? { quality: Math.max(quality, 1) } : {};
+
+    switch (format) {
+    case 'jpeg':
+    case 'jpg':
+      return image
+        .flatten({ background: background || '#fff' })
+        .jpeg(Object.assign({ quality: 100 }, formatOptions))
+        .toBuffer();
+    default:
+      if (background) {
+        image = image.flatten({ background });
+      }
+
+      if (format === 'webp' && quality == null) {
+        return image
+          .webp({ lossless: true })
+          .toBuffer();
+      }
+
+      return image
+        .toFormat(format, formatOptions)
+        .toBuffer();
+    }
+  }
+
+  /**
+   * @param {Task~Operation[]} operations
+   * @return {Task~Operation[]}
+   * @throws {Error}
+   * @private
+   */
+  static #excludeGenerated(operations) {
+    const generatedBy = new Map();
+
+    for (const { inputFiles: [ inputFile ], outputFile } of operations) {
+      const inputFilePaths = generatedBy.get(outputFile.absolute) || new Set();
+      inputFilePaths.add(inputFile.absolute);
+
+      generatedBy.set(outputFile.absolute, inputFilePaths);
+    }
+
+    return operations.filter(({ inputFiles: [ inputFile ], outputFile }) => {
+      const inputFilePath = inputFile.absolute;
+      const inputFilePaths = generatedBy.get(inputFilePath);
+
+      if (inputFilePaths && [ ...inputFilePaths ].some((filePath) => filePath !== inputFilePath)) {
+        debug('Ignoring input file as it is generated from another input file: %s', chalk.blue(inputFilePath));
+
+        return false;
+      }
+      if (outputFile.absolute === inputFilePath) {
+        throw new Error(`Output file cannot overwrite input file: ${inputFile.relative}`);
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * @param {?string} format
+   * @param {string} direction
+   * @return {boolean}
+   * @private
+   */
+  static #isSupported(format, direction) {
+    if (!format || ConvertRasterToRasterTask.#unsupportedFormats.includes(format)) {
+      return false;
+    }
+
+    const info = sharp.format[ConvertRasterToRasterTask.#aliases[format] || format];
+
+    return Boolean(info && info[direction].buffer);
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getType() {
+    return TaskType.CONVERT;
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async executeOperation(operation, context) {
+    const { inputFiles: [ inputFile ], options, outputFile } = operation;
+    const { background, fit, quality, size } = options;
+    const inputFilePath = inputFile.absolute;
+    const inputFormat = inputFile.format.toUpperCase();
+    const outputFilePath = outputFile.absolute;
+    const outputFormat = outputFile.format.toUpperCase();
+
+    debug('Reading %s file to be converted to %s: %s', inputFormat, outputFormat, chalk.blue(inputFilePath));
+
+    const input = await File.readFile(inputFilePath);
+
+    debug('Converting %s file to %s: %s', inputFormat, outputFormat, chalk.blue(inputFilePath));
+
+    let image = sharp(input);
+
+    if (size) {
+      image = image.resize(size.width, size.height, {
+        background: { alpha: 0, b: 0, g: 0, r: 0 },
+        fit
+      });
+    }
+
+    const output = await ConvertRasterToRasterTask.#encode(image, outputFile.format, background, quality);
+
+    debug('Writing converted %s file: %s', outputFormat, chalk.blue(outputFilePath));
+
+    await File.writeFile(outputFilePath, output);
+
+    context.config.logger.log('Converted %s file to %s file: %s -> %s', inputFormat, outputFormat,
+      chalk.blue(inputFile.relative), chalk.blue(outputFile.relative));
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async plan(context) {
+    const background = context.option('background');
+    const fit = context.option('fit', sharp.fit.contain);
+    const format = context.outputFile.format;
+    const quality = context.option('quality');
+    const sizes = context.option('sizes');
+    const operations = [];
+
+    if (!ConvertRasterToRasterTask.#fits.includes(fit)) {
+      throw new Error(`"fit" option must be one of ${ConvertRasterToRasterTask.#fits.join(', ')}: ${fit}`);
+    }
+
+    for (const inputFile of context.inputFiles) {
+      for (const size of isEmpty(sizes) ? [ null ] : sizes) {
+        const options = {
+          background,
+          fit,
+          quality,
+          size
+        };
+        const outputFile = context.outputFile
+          .defaults(inputFile.dir, `<%= file.base(true) %><%= size ? "-" + size : "" %>.${format}`, inputFile.format)
+          .evaluate(Object.assign({ file: inputFile }, options));
+
+        operations.push({ inputFiles: [ inputFile ], options, outputFile });
+      }
+    }
+
+    return ConvertRasterToRasterTask.#excludeGenerated(operations);
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  supports(context) {
+    const isInputSupported = (inputFile) => ConvertRasterToRasterTask.#isSupported(inputFile.format, 'input');
+
+    return every(context.inputFiles, isInputSupported) &&
+      ConvertRasterToRasterTask.#isSupported(context.outputFile.format, 'output');
+  }
+
+}
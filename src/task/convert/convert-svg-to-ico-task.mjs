@@ -23,55 +23,33 @@
 /* istanbul ignore file */
 
 import chalk from 'chalk';
-import svgToPng from 'convert-svg-to-png';
 import Debug from 'debug';
 import { every, isEmpty, matchesProperty } from 'lodash-es';
 import pngToIco from 'png-to-ico';
 
 import { File } from '../../file.mjs';
+import { fitImage, getFitRenderSize } from '../../render/fit-image.mjs';
+import { SvgRendererService } from '../../render/svg-renderer-service.mjs';
 import { Task } from '../task.mjs';
 import { TaskType } from '../task-type.mjs';
 
 const debug = Debug('brander:task:convert');
 
-// TODO: Support resizing images with non-1:1 aspect ratios
-
 /**
  * A {@link TaskType.CONVERT} task that can convert a SVG file to potentially multiple ICO files, if multiple
  * <code>sizes</code> are specified in the options.
  *
  * The SVG file is first converted into PNG format and it's the PNG data that is written to the ICO file(s).
  *
+ * The aspect ratio of the SVG file is preserved when it does not match that of a size unless the <code>fit</code>
+ * option is "fill", where "contain" (the default) letterboxes it and "cover" crops it. The <code>padding</code> option
+ * can be used to add space around the image (see {@link fitImage}). Any letterboxing or padding is transparent unless
+ * the <code>background</code> option is specified.
+ *
  * @public
  */
 export default class ConvertSvgToIcoTask extends Task {
 
-  /**
-   * TODO: Fix type
-   * @type {unknown}
-   * @private
-   */
-  #converter;
-
-  /**
-   * @inheritdoc
-   * @override
-   */
-  beforeAll(config) {
-    const puppeteer = config.option('puppeteer');
-
-    this.#converter = svgToPng.createConverter({ puppeteer });
-  }
-
-  /**
-   * @inheritdoc
-   * @override
-   */
-  async afterAll(config) {
-    await this.#converter.destroy();
-    this.#converter = null;
-  }
-
   /**
    * @inheritdoc
    * @override
@@ -84,51 +62,10 @@ export default class ConvertSvgToIcoTask extends Task {
    * @inheritdoc
    * @override
    */
-  async execute(context) {
-    const sizes = context.option('sizes');
-
-    for (const inputFile of context.inputFiles) {
-      if (isEmpty(sizes)) {
-        await this.#execute(inputFile, null, context);
-      } else {
-        for (const size of sizes) {
-          await this.#execute(inputFile, size, context);
-        }
-      }
-    }
-  }
-
-  /**
-   * @inheritdoc
-   * @override
-   */
-  supports(context) {
-    return every(context.inputFiles, matchesProperty('format', 'svg')) && context.outputFile.format === 'ico';
-  }
-
-  /**
-   * @param {File} inputFile
-   * @param {?Size} size
-   * @param {TaskContext} context
-   * @return {Promise<void>}
-   * @private
-   */
-  async #execute(inputFile, size, context) {
+  async executeOperation(operation, context) {
+    const { inputFiles: [ inputFile ], options, outputFile } = operation;
+    const { background, baseFile, baseUrl, fit, padding, scale, size } = options;
     const inputFilePath = inputFile.absolute;
-    const background = context.option('background');
-    const baseUrl = context.option('baseUrl');
-    const baseFile = context.option('baseFile') || !baseUrl ? inputFilePath : null;
-    const scale = context.option('scale');
-    const outputFile = context.outputFile
-      .defaults(inputFile.dir, '<%= file.base(true) %><%= size ? "-" + size : "" %>.ico', inputFile.format)
-      .evaluate({
-        background,
-        baseFile,
-        baseUrl,
-        file: inputFile,
-        scale,
-        size
-      });
     const outputFilePath = outputFile.absolute;
 
     debug('Reading SVG file to be converted to ICO: %s', chalk.blue(inputFilePath));
@@ -137,19 +74,26 @@ export default class ConvertSvgToIcoTask extends Task {
 
     debug('Converting SVG file to PNG: %s', chalk.blue(inputFilePath));
 
-    const pngInput = await this.#converter.convert(svgInput, Object.assign({
-      background,
+    const fitOptions = { background, fit, padding, scale, square: true };
+    const renderSize = await getFitRenderSize(svgInput, size, fitOptions);
+    const dimensions = renderSize || size;
+    const renderer = SvgRendererService.getInstance().getRenderer(context.config, options.renderer);
+    const pngInput = await renderer.render(svgInput, {
       baseFile,
       baseUrl,
-      scale
-    }, !size ? null : {
-      height: size.height,
-      width: size.width
-    }));
+      format: 'png',
+      height: dimensions ? dimensions.height : null,
+      scale: renderSize ? null : scale,
+      width: dimensions ? dimensions.width : null
+    });
+
+    debug('Fitting PNG to be converted to ICO');
+
+    const fittedInput = await fitImage(pngInput, size, fitOptions);
 
     debug('Converting PNG to ICO');
 
-    const output = await pngToIco([ pngInput ]);
+    const output = await pngToIco([ fittedInput ]);
 
     debug('Writing converted ICO file: %s', chalk.blue(outputFilePath));
 
@@ -159,4 +103,51 @@ export default class ConvertSvgToIcoTask extends Task {
       chalk.blue(outputFile.relative));
   }
 
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async plan(context) {
+    const background = context.option('background');
+    const baseUrl = context.option('baseUrl');
+    const fit = context.option('fit');
+    const padding = context.option('padding');
+    const renderer = context.option('renderer', context.config.option('renderer'));
+    const scale = context.option('scale');
+    const sizes = context.option('sizes');
+    const operations = [];
+
+    for (const inputFile of context.inputFiles) {
+      const baseFile = context.option('baseFile') || !baseUrl ? inputFile.absolute : null;
+
+      for (const size of isEmpty(sizes) ? [ null ] : sizes) {
+        const options = {
+          background,
+          baseFile,
+          baseUrl,
+          fit,
+          padding,
+          renderer,
+          scale,
+          size
+        };
+        const outputFile = context.outputFile
+          .defaults(inputFile.dir, '<%= file.base(true) %><%= size ? "-" + size : "" %>.ico', inputFile.format)
+          .evaluate(Object.assign({ file: inputFile }, options));
+
+        operations.push({ inputFiles: [ inputFile ], options, outputFile });
+      }
+    }
+
+    return operations;
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  supports(context) {
+    return every(context.inputFiles, matchesProperty('format', 'svg')) && context.outputFile.format === 'ico';
+  }
+
 }
@@ -23,11 +23,11 @@
 /* istanbul ignore file */
 
 import chalk from 'chalk';
-import svgToWebp from 'convert-svg-to-webp';
 import Debug from 'debug';
 import { every, isEmpty, matchesProperty } from 'lodash-es';
 
 import { File } from '../../file.mjs';
+import { SvgRendererService } from '../../render/svg-renderer-service.mjs';
 import { Task } from '../task.mjs';
 import { TaskType } from '../task-type.mjs';
 
@@ -41,32 +41,6 @@ const debug = Debug('brander:task:convert');
  */
 export default class ConvertSvgToWebpTask extends Task {
 
-  /**
-   * TODO: Fix type
-   * @type {unknown}
-   * @private
-   */
-  #converter;
-
-  /**
-   * @inheritdoc
-   * @override
-   */
-  beforeAll(config) {
-    const puppeteer = config.option('puppeteer');
-
-    this.#converter = svgToWebp.createConverter({ puppeteer });
-  }
-
-  /**
-   * @inheritdoc
-   * @override
-   */
-  async afterAll(config) {
-    await this.#converter.destroy();
-    this.#converter = null;
-  }
-
   /**
    * @inheritdoc
    * @override
@@ -79,51 +53,10 @@ export default class ConvertSvgToWebpTask extends Task {
    * @inheritdoc
    * @override
    */
-  async execute(context) {
-    const sizes = context.option('sizes');
-
-    for (const inputFile of context.inputFiles) {
-      if (isEmpty(sizes)) {
-        await this.#execute(inputFile, null, context);
-      } else {
-        for (const size of sizes) {
-          await this.#execute(inputFile, size, context);
-        }
-      }
-    }
-  }
-
-  /**
-   * @inheritdoc
-   * @override
-   */
-  supports(context) {
-    return every(context.inputFiles, matchesProperty('format', 'svg')) && context.outputFile.format === 'webp';
-  }
-
-  /**
-   * @param {File} inputFile
-   * @param {?Size} size
-   * @param {TaskContext} context
-   * @return {Promise<void>}
-   * @private
-   */
-  async #execute(inputFile, size, context) {
+  async executeOperation(operation, context) {
+    const { inputFiles: [ inputFile ], options, outputFile } = operation;
+    const { background, baseFile, baseUrl, scale, size } = options;
     const inputFilePath = inputFile.absolute;
-    const background = context.option('background');
-    const baseUrl = context.option('baseUrl');
-    const baseFile = context.option('baseFile') || !baseUrl ? inputFilePath : null;
-    const scale = context.option('scale');
-    const outputFile = context.outputFile
-      .defaults(inputFile.dir, '<%= file.base(true) %><%= size ? "-" + size : "" %>.webp', inputFile.format)
-      .evaluate({
-        background,
-        baseFile,
-        baseUrl,
-        file: inputFile,
-        scale,
-        size
-      });
     const outputFilePath = outputFile.absolute;
 
     debug('Reading SVG file to be converted to WEBP: %s', chalk.blue(inputFilePath));
@@ -132,15 +65,16 @@ export default class ConvertSvgToWebpTask extends Task {
 
     debug('Converting SVG file to WEBP: %s', chalk.blue(inputFilePath));
 
-    const output = await this.#converter.convert(input, Object.assign({
+    const renderer = SvgRendererService.getInstance().getRenderer(context.config, options.renderer);
+    const output = await renderer.render(input, {
       background,
       baseFile,
       baseUrl,
-      scale
-    }, !size ? null : {
-      height: size.height,
-      width: size.width
-    }));
+      format: 'webp',
+      height: size ? size.height : null,
+      scale,
+      width: size ? size.width : null
+    });
 
     debug('Writing converted WBP file: %s', chalk.blue(outputFilePath));
 
@@ -150,4 +84,47 @@ export default class ConvertSvgToWebpTask extends Task {
       chalk.blue(outputFile.relative));
   }
 
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async plan(context) {
+    const background = context.option('background');
+    const baseUrl = context.option('baseUrl');
+    const renderer = context.option('renderer', context.config.option('renderer'));
+    const scale = context.option('scale');
+    const sizes = context.option('sizes');
+    const operations = [];
+
+    for (const inputFile of context.inputFiles) {
+      const baseFile = context.option('baseFile') || !baseUrl ? inputFile.absolute : null;
+
+      for (const size of isEmpty(sizes) ? [ null ] : sizes) {
+        const options = {
+          background,
+          baseFile,
+          baseUrl,
+          renderer,
+          scale,
+          size
+        };
+        const outputFile = context.outputFile
+          .defaults(inputFile.dir, '<%= file.base(true) %><%= size ? "-" + size : "" %>.webp', inputFile.format)
+          .evaluate(Object.assign({ file: inputFile }, options));
+
+        operations.push({ inputFiles: [ inputFile ], options, outputFile });
+      }
+    }
+
+    return operations;
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  supports(context) {
+    return every(context.inputFiles, matchesProperty('format', 'svg')) && context.outputFile.format === 'webp';
+  }
+
 }
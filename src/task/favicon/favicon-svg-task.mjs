@@ -0,0 +1,332 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import chalk from 'chalk';
+import Debug from 'debug';
+import { escape, every, matchesProperty, trim } from 'lodash-es';
+import pngToIco from 'png-to-ico';
+import { optimize } from 'svgo';
+
+import { mapConcurrently } from '../../concurrency.mjs';
+import { File } from '../../file.mjs';
+import { fitImage, getFitRenderSize } from '../../render/fit-image.mjs';
+import { SvgRendererService } from '../../render/svg-renderer-service.mjs';
+import { Size } from '../../size.mjs';
+import { Task } from '../task.mjs';
+import { TaskType } from '../task-type.mjs';
+
+const debug = Debug('brander:task:favicon');
+
+/**
+ * A {@link TaskType.FAVICON} task that can generate a complete set of favicon files for a website from a single SVG
+ * file.
+ *
+ * The following files are generated within the output directory, which defaults to the directory containing the SVG
+ * file:
+ *
+ * <ul>
+ *   <li><code>favicon.ico</code> containing 16x16, 32x32, and 48x48 images;</li>
+ *   <li><code>favicon.svg</code>, which is an optimized copy of the SVG file;</li>
+ *   <li><code>favicon-16x16.png</code> and <code>favicon-32x32.png</code>;</li>
+ *   <li><code>apple-touch-icon.png</code> (180x180), which is always opaque;</li>
+ *   <li><code>android-chrome-192x192.png</code> and <code>android-chrome-512x512.png</code>;</li>
+ *   <li><code>site.webmanifest</code>, whose names are derived from {@link Config#title} and {@link Config#name};</li>
+ *   <li><code>browserconfig.xml</code>, which only contains the tile color as none of the images are tile sizes;</li>
+ *   <li><code>favicon.html</code> containing the HTML <code>&lt;link&gt;</code> and <code>&lt;meta&gt;</code> tags to
+ *   be added to the <code>&lt;head&gt;</code> of each page.</li>
+ * </ul>
+ *
+ * Here's a basic example of the configuration for a favicon task:
+ *
+ * <pre>
+ * {
+ *   "task": "favicon",
+ *   "input": {
+ *     "dir": "logo",
+ *     "files": "my-brand-icon.svg"
+ *   },
+ *   "output": {
+ *     "dir": "favicon"
+ *   },
+ *   "options": {
+ *     "backgroundColor": "#ffffff",
+ *     "themeColor": "#7700cf",
+ *     "publicPath": "/static/"
+ *   }
+ * }
+ * </pre>
+ *
+ * The <code>themeColor</code> and <code>backgroundColor</code> options (both "#ffffff" by default) are used within the
+ * web app manifest and HTML, where the background color is also used as the tile color within the browser
+ * configuration and to fill the Apple touch icon. The <code>publicPath</code> option is the URL path from which the
+ * files are to be served and defaults to "/". The <code>shortName</code> option can be used to override the short name
+ * within the web app manifest.
+ *
+ * The <code>fit</code> and <code>padding</code> options can be used to control how the SVG file is fitted within each
+ * image when it's not square (see {@link fitImage}) and the <code>background</code> option can be used to fill any
+ * transparent regions. The SVG file is rendered using the configured {@link SvgRenderer}.
+ *
+ * @public
+ */
+export default class FaviconSvgTask extends Task {
+
+  /**
+   * @type {Array<{name: string, opaque?: boolean, sizes?: number[]}>}
+   * @private
+   */
+  static #files = [
+    { name: 'favicon.ico', sizes: [ 16, 32, 48 ] },
+    { name: 'favicon.svg' },
+    { name: 'favicon-16x16.png', sizes: [ 16 ] },
+    { name: 'favicon-32x32.png', sizes: [ 32 ] },
+    { name: 'apple-touch-icon.png', opaque: true, sizes: [ 180 ] },
+    { name: 'android-chrome-192x192.png', sizes: [ 192 ] },
+    { name: 'android-chrome-512x512.png', sizes: [ 512 ] },
+    { name: 'site.webmanifest' },
+    { name: 'browserconfig.xml' },
+    { name: 'favicon.html' }
+  ];
+
+  /**
+   * @param {Object} options
+   * @param {string} lineSeparator
+   * @return {string}
+   * @private
+   */
+  static #createBrowserConfig(options, lineSeparator) {
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<browserconfig>',
+      '  <msapplication>',
+      '    <tile>',
+      `      <TileColor>${escape(options.backgroundColor)}</TileColor>`,
+      '    </tile>',
+      '  </msapplication>',
+      '</browserconfig>',
+      ''
+    ].join(lineSeparator);
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} lineSeparator
+   * @return {string}
+   * @private
+   */
+  static #createHtml(options, lineSeparator) {
+    const url = (name) => escape(FaviconSvgTask.#getUrl(name, options));
+
+    return [
+      `<link rel="icon" href="${url('favicon.ico')}" sizes="48x48">`,
+      `<link rel="icon" href="${url('favicon.svg')}" type="image/svg+xml">`,
+      `<link rel="icon" href="${url('favicon-32x32.png')}" sizes="32x32" type="image/png">`,
+      `<link rel="icon" href="${url('favicon-16x16.png')}" sizes="16x16" type="image/png">`,
+      `<link rel="apple-touch-icon" href="${url('apple-touch-icon.png')}" sizes="180x180">`,
+      `<link rel="manifest" href="${url('site.webmanifest')}">`,
+      `<meta name="msapplication-config" content="${url('browserconfig.xml')}">`,
+      `<meta name="theme-color" content="${escape(options.themeColor)}">`,
+      ''
+    ].join(lineSeparator);
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} lineSeparator
+   * @return {string}
+   * @private
+   */
+  static #createManifest(options, lineSeparator) {
+    const manifest = {
+      name: options.title,
+      short_name: options.shortName,
+      icons: [ 192, 512 ].map((size) => ({
+        src: FaviconSvgTask.#getUrl(`android-chrome-${size}x${size}.png`, options),
+        sizes: `${size}x${size}`,
+        type: 'image/png'
+      })),
+      theme_color: options.themeColor,
+      background_color: options.backgroundColor,
+      display: 'standalone'
+    };
+
+    return `${JSON.stringify(manifest, null, 2).split('\n').join(lineSeparator)}${lineSeparator}`;
+  }
+
+  /**
+   * @param {string} name
+   * @param {Object} options
+   * @return {string}
+   * @private
+   */
+  static #getUrl(name, options) {
+    return `${options.publicPath.replace(/\/?$/, '/')}${name}`;
+  }
+
+  /**
+   * @param {Buffer} input
+   * @param {number} length
+   * @param {Object} options
+   * @param {Config} config
+   * @return {Promise<Buffer>}
+   * @private
+   */
+  static async #render(input, length, options, config) {
+    const { background, baseFile, baseUrl, fit, padding } = options;
+    const size = new Size(length, length);
+    const fitOptions = { background, fit, padding, square: true };
+    const renderSize = await getFitRenderSize(input, size, fitOptions);
+    const dimensions = renderSize || size;
+    const renderer = SvgRendererService.getInstance().getRenderer(config, options.renderer);
+    const pngInput = await renderer.render(input, {
+      baseFile,
+      baseUrl,
+      format: 'png',
+      height: dimensions.height,
+      width: dimensions.width
+    });
+
+    return fitImage(pngInput, size, fitOptions);
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getType() {
+    return TaskType.FAVICON;
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async executeOperation(operation, context) {
+    const { inputFiles: [ inputFile ], options, outputFile } = operation;
+    const { config } = context;
+    const inputFilePath = inputFile.absolute;
+    const outputFilePath = outputFile.absolute;
+
+    debug('Reading SVG file to be used for favicon: %s', chalk.blue(inputFilePath));
+
+    const input = await File.readFile(inputFilePath);
+    const { name, opaque, sizes } = FaviconSvgTask.#files.find((file) => file.name === outputFile.name);
+    let output;
+
+    debug('Generating favicon file: %s', name);
+
+    switch (outputFile.format) {
+    case 'html':
+      output = FaviconSvgTask.#createHtml(options, config.lineSeparator);
+      break;
+    case 'ico': {
+      const pngInputs = await mapConcurrently(sizes, 1, (size) => FaviconSvgTask.#render(input, size, options, config));
+
+      output = await pngToIco(pngInputs);
+      break;
+    }
+    case 'png':
+      output = await FaviconSvgTask.#render(input, sizes[0], Object.assign({}, options, {
+        background: opaque ? options.background || options.backgroundColor : options.background
+      }), config);
+      break;
+    case 'svg':
+      // Retain viewBox so that the favicon can still be scaled by browsers
+      output = optimize(input.toString('utf8'), {
+        plugins: [
+          {
+            name: 'preset-default',
+            params: {
+              overrides: { removeViewBox: false }
+            }
+          }
+        ]
+      }).data;
+      break;
+    case 'webmanifest':
+      output = FaviconSvgTask.#createManifest(options, config.lineSeparator);
+      break;
+    case 'xml':
+      output = FaviconSvgTask.#createBrowserConfig(options, config.lineSeparator);
+      break;
+    default:
+      throw new Error(`Unsupported favicon file: ${name}`);
+    }
+
+    debug('Writing favicon file: %s', chalk.blue(outputFilePath));
+
+    await File.writeFile(outputFilePath, output);
+
+    config.logger.log('Generated favicon file: %s -> %s', chalk.blue(inputFile.relative),
+      chalk.blue(outputFile.relative));
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async plan(context) {
+    const { config, inputFiles } = context;
+    if (!inputFiles.length) {
+      return [];
+    }
+    if (inputFiles.length > 1) {
+      throw new Error(`"favicon" tasks can only have a single input file: ${inputFiles.length} files found`);
+    }
+
+    const [ inputFile ] = inputFiles;
+    const baseUrl = context.option('baseUrl');
+    const backgroundColor = context.option('backgroundColor', '#ffffff');
+    const options = {
+      background: context.option('background'),
+      backgroundColor,
+      baseFile: context.option('baseFile') || !baseUrl ? inputFile.absolute : null,
+      baseUrl,
+      fit: context.option('fit'),
+      padding: context.option('padding'),
+      publicPath: trim(context.option('publicPath')) || '/',
+      renderer: context.option('renderer', config.option('renderer')),
+      shortName: context.option('shortName', config.name || config.title),
+      themeColor: context.option('themeColor', '#ffffff'),
+      title: config.title || config.name
+    };
+    const { dir } = (context.outputFile || new File(null, null, null, config))
+      .defaults(inputFile.dir, 'favicon.ico', 'ico')
+      .evaluate({ file: inputFile });
+
+    return FaviconSvgTask.#files.map(({ name }) => ({
+      inputFiles,
+      options,
+      outputFile: new File(dir, name, File.deriveFormat(name), config, true)
+    }));
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  supports(context) {
+    return every(context.inputFiles, matchesProperty('format', 'svg'));
+  }
+
+}
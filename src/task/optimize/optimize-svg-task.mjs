@@ -52,32 +52,10 @@ export default class OptimizeSvgTask extends Task {
    * @inheritdoc
    * @override
    */
-  async execute(context) {
-    for (const inputFile of context.inputFiles) {
-      await this.#execute(inputFile, context);
-    }
-  }
-
-  /**
-   * @inheritdoc
-   * @override
-   */
-  supports(context) {
-    return every(context.inputFiles, matchesProperty('format', 'svg'));
-  }
-
-  /**
-   * @param {File} inputFile
-   * @param {TaskContext} context
-   * @return {Promise<void>}
-   * @private
-   */
-  async #execute(inputFile, context) {
+  async executeOperation(operation, context) {
+    const { inputFiles: [ inputFile ], outputFile } = operation;
     const { config } = context;
     const inputFilePath = inputFile.absolute;
-    const outputFile = (context.outputFile || new File(null, null, null, config))
-      .defaults(inputFile.dir, '<%= file.base(true) %>.min.svg', inputFile.format)
-      .evaluate({ file: inputFile });
     const outputFilePath = outputFile.absolute;
 
     debug('Reading SVG file to be optimized: %s', chalk.blue(inputFilePath));
@@ -95,4 +73,28 @@ export default class OptimizeSvgTask extends Task {
     config.logger.log('Optimized SVG file: %s -> %s', chalk.blue(inputFile.relative), chalk.blue(outputFile.relative));
   }
 
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async plan(context) {
+    const { config } = context;
+
+    return context.inputFiles.map((inputFile) => {
+      const outputFile = (context.outputFile || new File(null, null, null, config))
+        .defaults(inputFile.dir, '<%= file.base(true) %>.min.svg', inputFile.format)
+        .evaluate({ file: inputFile });
+
+      return { inputFiles: [ inputFile ], outputFile };
+    });
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  supports(context) {
+    return every(context.inputFiles, matchesProperty('format', 'svg'));
+  }
+
 }
@@ -25,7 +25,6 @@
 import archiver from 'archiver';
 import chalk from 'chalk';
 import Debug from 'debug';
-import fs from 'node:fs';
 import zlib from 'node:zlib';
 import pluralize from 'pluralize';
 
@@ -43,55 +42,42 @@ const debug = Debug('brander:task:package');
 export default class PackageAnyToZipTask extends Task {
 
   /**
-   * @inheritdoc
-   * @override
+   * The modification date applied to all entries so that the same input files always produce the same ZIP file.
+   *
+   * @type {Date}
+   * @private
    */
-  getType() {
-    return TaskType.PACKAGE;
-  }
+  static #entryDate = new Date(1980, 0, 1);
 
   /**
    * @inheritdoc
    * @override
    */
-  async execute(context) {
-    const { inputFiles } = context;
-    const [ inputFile ] = inputFiles;
-    const outputFile = context.outputFile
-      .defaults(inputFile.dir, '<%= file.base(true) %>.zip', inputFile.format)
-      .evaluate({ file: inputFile });
-
-    await this.#execute(inputFiles, outputFile, context);
+  getType() {
+    return TaskType.PACKAGE;
   }
 
   /**
    * @inheritdoc
    * @override
    */
-  supports(context) {
-    return context.outputFile.format === 'zip';
-  }
-
-  /**
-   * @param {File[]} inputFiles
-   * @param {File} outputFile
-   * @param {TaskContext} context
-   * @return {Promise<void>}
-   * @private
-   */
-  async #execute(inputFiles, outputFile, context) {
+  async executeOperation(operation, context) {
+    const { inputFiles, options: { level }, outputFile } = operation;
     const { config } = context;
-    const level = context.option('compression', zlib.constants.Z_DEFAULT_COMPRESSION);
     const outputFilePath = outputFile.absolute;
 
     debug('Creating ZIP file for files: %s', chalk.blue(outputFilePath));
 
-    const output = fs.createWriteStream(outputFilePath);
     const archive = archiver('zip', {
       zlib: { level }
     });
-
-    archive.pipe(output);
+    const chunks = [];
+    const archived = new Promise((resolve, reject) => {
+      archive.on('data', (chunk) => chunks.push(chunk));
+      archive.on('end', resolve);
+      archive.on('error', reject);
+      archive.on('warning', reject);
+    });
 
     for (const inputFile of inputFiles) {
       const inputFilePath = inputFile.absolute;
@@ -102,21 +88,45 @@ export default class PackageAnyToZipTask extends Task {
 
       debug('Adding file to ZIP package: %s', chalk.blue(inputFilePath));
 
-      archive.append(input, { name: inputFile.relative });
+      archive.append(input, {
+        date: PackageAnyToZipTask.#entryDate,
+        name: inputFile.relative
+      });
     }
 
     archive.finalize();
 
-    await new Promise((resolve, reject) => {
-      archive.on('error', reject);
-      archive.on('warning', reject);
-      output.on('close', () => {
-        config.logger.log('Packaged %d %s into ZIP file: %s (level = %d)', inputFiles.length,
-          pluralize('file', inputFiles.length), chalk.blue(outputFile.relative), level);
+    await archived;
 
-        resolve();
-      });
-    });
+    debug('Writing packaged ZIP file: %s', chalk.blue(outputFilePath));
+
+    await File.writeFile(outputFilePath, Buffer.concat(chunks));
+
+    config.logger.log('Packaged %d %s into ZIP file: %s (level = %d)', inputFiles.length,
+      pluralize('file', inputFiles.length), chalk.blue(outputFile.relative), level);
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async plan(context) {
+    const { inputFiles } = context;
+    const [ inputFile ] = inputFiles;
+    const options = { level: context.option('compression', zlib.constants.Z_DEFAULT_COMPRESSION) };
+    const outputFile = context.outputFile
+      .defaults(inputFile.dir, '<%= file.base(true) %>.zip', inputFile.format)
+      .evaluate({ file: inputFile });
+
+    return [ { inputFiles, options, outputFile } ];
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  supports(context) {
+    return context.outputFile.format === 'zip';
   }
 
 }
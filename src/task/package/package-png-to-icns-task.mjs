@@ -0,0 +1,141 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import chalk from 'chalk';
+import Debug from 'debug';
+import { every, map, matchesProperty } from 'lodash-es';
+import pluralize from 'pluralize';
+
+import { File } from '../../file.mjs';
+import { createIcns, getIcnsIcons } from '../../render/icns.mjs';
+import { Size } from '../../size.mjs';
+import { Task } from '../task.mjs';
+import { TaskType } from '../task-type.mjs';
+
+const debug = Debug('brander:task:package');
+
+/**
+ * A {@link TaskType.PACKAGE} task that can package PNG files into a single ICNS file containing all of the standard
+ * icon types used by macOS, from 16x16 up to 512x512@2x (see {@link getIcnsIcons}).
+ *
+ * Each icon type is populated using the PNG file whose dimensions match the size of its image (e.g. a 64x64 PNG file is
+ * used for both 32x32@2x and 64x64), so PNG files must be provided for all of the following sizes: 16x16, 32x32, 64x64,
+ * 128x128, 256x256, 512x512, and 1024x1024. Any other PNG files are ignored.
+ *
+ * An error will occur if a PNG file is missing for any of the required sizes.
+ *
+ * @public
+ */
+export default class PackagePngToIcnsTask extends Task {
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getType() {
+    return TaskType.PACKAGE;
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async executeOperation(operation, context) {
+    const { inputFiles, outputFile } = operation;
+    const { config } = context;
+    const outputFilePath = outputFile.absolute;
+
+    const images = await this.#readData(inputFiles);
+    const icons = getIcnsIcons();
+    const missingIcons = icons.filter((icon) => !images.has(icon.size));
+
+    if (missingIcons.length) {
+      const missing = missingIcons.map((icon) => `${icon.name} (${icon.size}x${icon.size})`);
+
+      throw new Error(`PNG files are missing for ICNS icons: ${missing.join(', ')}`);
+    }
+
+    debug('Creating ICNS for PNG files');
+
+    const output = createIcns(icons.map((icon) => ({ data: images.get(icon.size), type: icon.type })));
+
+    debug('Writing packaged ICNS file: %s', chalk.blue(outputFilePath));
+
+    await File.writeFile(outputFilePath, output);
+
+    config.logger.log('Packaged %d PNG %s into ICNS file: %s (icons = %s)', inputFiles.length,
+      pluralize('file', inputFiles.length), chalk.blue(outputFile.relative), map(icons, 'name').join(', '));
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async plan(context) {
+    const { inputFiles } = context;
+    const [ inputFile ] = inputFiles;
+    const outputFile = context.outputFile
+      .defaults(inputFile.dir, '<%= file.base(true) %>.icns', inputFile.format)
+      .evaluate({ file: inputFile });
+
+    return [ { inputFiles, outputFile } ];
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  supports(context) {
+    return every(context.inputFiles, matchesProperty('format', 'png')) && context.outputFile.format === 'icns';
+  }
+
+  /**
+   * @param {File[]} inputFiles
+   * @return {Promise<Map<number, Buffer>>}
+   * @private
+   */
+  async #readData(inputFiles) {
+    const images = new Map();
+
+    for (const inputFile of inputFiles) {
+      const inputFilePath = inputFile.absolute;
+
+      debug('Reading PNG file to be packaged in ICNS: %s', chalk.blue(inputFilePath));
+
+      const pngInput = await File.readFile(inputFilePath);
+      const [ size ] = Size.fromImage(pngInput);
+
+      if (size.width !== size.height) {
+        debug('Ignoring non-square PNG file: %s (%s)', chalk.blue(inputFilePath), size);
+      } else if (images.has(size.width)) {
+        debug('Ignoring PNG file as another has the same size: %s (%s)', chalk.blue(inputFilePath), size);
+      } else {
+        images.set(size.width, pngInput);
+      }
+    }
+
+    return images;
+  }
+
+}
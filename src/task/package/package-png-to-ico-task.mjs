@@ -27,23 +27,26 @@ import Debug from 'debug';
 import { every, map, matchesProperty, nth } from 'lodash-es';
 import pluralize from 'pluralize';
 import pngToIco from 'png-to-ico';
-import sharp from 'sharp';
 
 import { File } from '../../file.mjs';
+import { fitImage } from '../../render/fit-image.mjs';
 import { Size } from '../../size.mjs';
 import { Task } from '../task.mjs';
 import { TaskType } from '../task-type.mjs';
 
 const debug = Debug('brander:task:package');
 
-// TODO: Support resizing images with non-1:1 aspect ratios
-
 /**
  * A {@link TaskType.PACKAGE} task that can package one or more PNG files into a single ICO file.
  *
  * The <code>sizes</code> option can be used to control the size of the PNG files as they're added to the ICO file. It
  * can even be used to resize the PNG files.
  *
+ * The aspect ratio of each PNG file is preserved when it does not match that of its size unless the <code>fit</code>
+ * option is "fill", where "contain" (the default) letterboxes it and "cover" crops it. The <code>padding</code> option
+ * can be used to add space around each image (see {@link fitImage}). Any letterboxing or padding is transparent unless
+ * the <code>background</code> option is specified.
+ *
  * @public
  */
 export default class PackagePngToIcoTask extends Task {
@@ -60,15 +63,12 @@ export default class PackagePngToIcoTask extends Task {
    * @inheritdoc
    * @override
    */
-  async execute(context) {
-    const { config, inputFiles } = context;
-    const [ inputFile ] = inputFiles;
-    const outputFile = context.outputFile
-      .defaults(inputFile.dir, '<%= file.base(true) %>.ico', inputFile.format)
-      .evaluate({ file: inputFile });
+  async executeOperation(operation, context) {
+    const { inputFiles, outputFile } = operation;
+    const { config } = context;
     const outputFilePath = outputFile.absolute;
 
-    const data = await this.#readData(inputFiles, context);
+    const data = await this.#readData(inputFiles, operation.options);
     const inputs = map(data, 'input');
     const sizes = map(data, 'size.width');
 
@@ -84,6 +84,26 @@ export default class PackagePngToIcoTask extends Task {
       pluralize('file', inputFiles.length), chalk.blue(outputFile.relative), sizes);
   }
 
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async plan(context) {
+    const { inputFiles } = context;
+    const [ inputFile ] = inputFiles;
+    const options = {
+      background: context.option('background'),
+      fit: context.option('fit'),
+      padding: context.option('padding'),
+      sizes: context.option('sizes')
+    };
+    const outputFile = context.outputFile
+      .defaults(inputFile.dir, '<%= file.base(true) %>.ico', inputFile.format)
+      .evaluate({ file: inputFile });
+
+    return [ { inputFiles, options, outputFile } ];
+  }
+
   /**
    * @inheritdoc
    * @override
@@ -94,13 +114,13 @@ export default class PackagePngToIcoTask extends Task {
 
   /**
    * @param {File[]} inputFiles
-   * @param {TaskContext} context
+   * @param {Object} options
    * @return {Promise<Object[]>}
    * @private
    */
-  async #readData(inputFiles, context) {
+  async #readData(inputFiles, options) {
+    const { background, fit, padding, sizes } = options;
     const inputs = [];
-    const sizes = map(context.option('sizes', []), 'width');
 
     for (const inputFile of inputFiles) {
       const inputFilePath = inputFile.absolute;
@@ -109,28 +129,16 @@ export default class PackagePngToIcoTask extends Task {
       debug('Reading PNG file to be packaged in ICO: %s', chalk.blue(inputFilePath));
 
       const pngInput = await File.readFile(inputFilePath);
-      const [ realSize ] = Size.fromImage(pngInput);
-
-      if (size != null && size !== realSize.width) {
-        debug('Resizing PNG to be packaged to ICO: %s', chalk.blue(inputFilePath));
-
-        const resizedInput = await sharp(pngInput)
-          .resize(size, size, {
-            fit: sharp.fit.fill,
-            background: { r: 0, g: 0, b: 0, alpha: 0 }
-          })
-          .toBuffer();
-
-        inputs.push({
-          input: resizedInput,
-          size: new Size(size, size),
-        });
-      } else {
-        inputs.push({
-          input: pngInput,
-          size: realSize
-        });
-      }
+
+      debug('Fitting PNG to be packaged in ICO: %s', chalk.blue(inputFilePath));
+
+      const fittedInput = await fitImage(pngInput, size, { background, fit, padding, square: true });
+      const [ realSize ] = Size.fromImage(fittedInput);
+
+      inputs.push({
+        input: fittedInput,
+        size: realSize
+      });
     }
 
     return inputs;
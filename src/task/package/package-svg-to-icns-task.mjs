@@ -0,0 +1,161 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import chalk from 'chalk';
+import Debug from 'debug';
+import { every, map, matchesProperty, uniq } from 'lodash-es';
+
+import { mapConcurrently } from '../../concurrency.mjs';
+import { File } from '../../file.mjs';
+import { fitImage, getFitRenderSize } from '../../render/fit-image.mjs';
+import { createIcns, getIcnsIcons } from '../../render/icns.mjs';
+import { SvgRendererService } from '../../render/svg-renderer-service.mjs';
+import { Size } from '../../size.mjs';
+import { Task } from '../task.mjs';
+import { TaskType } from '../task-type.mjs';
+
+const debug = Debug('brander:task:package');
+
+/**
+ * A {@link TaskType.PACKAGE} task that can package a SVG file into a single ICNS file containing all of the standard
+ * icon types used by macOS, from 16x16 up to 512x512@2x (see {@link getIcnsIcons}).
+ *
+ * The SVG file is first converted into PNG format at each required size and it's the PNG data that is written to the
+ * ICNS file.
+ *
+ * The aspect ratio of the SVG file is preserved when it's not square unless the <code>fit</code> option is "fill",
+ * where "contain" (the default) letterboxes it and "cover" crops it. The <code>padding</code> option can be used to add
+ * space around each image (see {@link fitImage}). Any letterboxing or padding is transparent unless the
+ * <code>background</code> option is specified.
+ *
+ * @public
+ */
+export default class PackageSvgToIcnsTask extends Task {
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getType() {
+    return TaskType.PACKAGE;
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async executeOperation(operation, context) {
+    const { inputFiles: [ inputFile ], outputFile } = operation;
+    const { config } = context;
+    const outputFilePath = outputFile.absolute;
+
+    const icons = getIcnsIcons();
+    const images = await this.#render(inputFile, uniq(map(icons, 'size')), operation.options, context);
+
+    debug('Creating ICNS for PNGs converted from SVG file');
+
+    const output = createIcns(icons.map((icon) => ({ data: images.get(icon.size), type: icon.type })));
+
+    debug('Writing packaged ICNS file: %s', chalk.blue(outputFilePath));
+
+    await File.writeFile(outputFilePath, output);
+
+    config.logger.log('Packaged SVG file into ICNS file: %s -> %s (icons = %s)', chalk.blue(inputFile.relative),
+      chalk.blue(outputFile.relative), map(icons, 'name').join(', '));
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async plan(context) {
+    const { inputFiles } = context;
+    if (inputFiles.length > 1) {
+      throw new Error(`Only a single SVG file can be packaged into an ICNS file: ${inputFiles.length} files found`);
+    }
+
+    const [ inputFile ] = inputFiles;
+    const baseUrl = context.option('baseUrl');
+    const options = {
+      background: context.option('background'),
+      baseFile: context.option('baseFile') || !baseUrl ? inputFile.absolute : null,
+      baseUrl,
+      fit: context.option('fit'),
+      padding: context.option('padding'),
+      renderer: context.option('renderer', context.config.option('renderer'))
+    };
+    const outputFile = context.outputFile
+      .defaults(inputFile.dir, '<%= file.base(true) %>.icns', inputFile.format)
+      .evaluate({ file: inputFile });
+
+    return [ { inputFiles, options, outputFile } ];
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  supports(context) {
+    return every(context.inputFiles, matchesProperty('format', 'svg')) && context.outputFile.format === 'icns';
+  }
+
+  /**
+   * @param {File} inputFile
+   * @param {number[]} lengths
+   * @param {Object} options
+   * @param {TaskContext} context
+   * @return {Promise<Map<number, Buffer>>}
+   * @private
+   */
+  async #render(inputFile, lengths, options, context) {
+    const { background, baseFile, baseUrl, fit, padding } = options;
+    const fitOptions = { background, fit, padding, square: true };
+    const inputFilePath = inputFile.absolute;
+    const renderer = SvgRendererService.getInstance().getRenderer(context.config, options.renderer);
+
+    debug('Reading SVG file to be packaged in ICNS: %s', chalk.blue(inputFilePath));
+
+    const svgInput = await File.readFile(inputFilePath);
+    const images = await mapConcurrently(lengths, 1, async(length) => {
+      const size = new Size(length, length);
+      const renderSize = await getFitRenderSize(svgInput, size, fitOptions);
+      const dimensions = renderSize || size;
+
+      debug('Converting SVG file to %s PNG: %s', size, chalk.blue(inputFilePath));
+
+      const pngInput = await renderer.render(svgInput, {
+        baseFile,
+        baseUrl,
+        format: 'png',
+        height: dimensions.height,
+        width: dimensions.width
+      });
+
+      return [ length, await fitImage(pngInput, size, fitOptions) ];
+    });
+
+    return new Map(images);
+  }
+
+}
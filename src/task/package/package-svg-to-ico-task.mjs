@@ -23,21 +23,21 @@
 /* istanbul ignore file */
 
 import chalk from 'chalk';
-import svgToPng from 'convert-svg-to-png';
 import Debug from 'debug';
 import { every, map, matchesProperty, nth } from 'lodash-es';
 import pluralize from 'pluralize';
 import pngToIco from 'png-to-ico';
 
+import { mapConcurrently } from '../../concurrency.mjs';
 import { File } from '../../file.mjs';
+import { fitImage, getFitRenderSize } from '../../render/fit-image.mjs';
+import { SvgRendererService } from '../../render/svg-renderer-service.mjs';
 import { Size } from '../../size.mjs';
 import { Task } from '../task.mjs';
 import { TaskType } from '../task-type.mjs';
 
 const debug = Debug('brander:task:package');
 
-// TODO: Support resizing images with non-1:1 aspect ratios
-
 /**
  * A {@link TaskType.PACKAGE} task that can package one or more PNG files into a single ICO file.
  *
@@ -46,36 +46,15 @@ const debug = Debug('brander:task:package');
  *
  * The SVG files are first converted into PNG format and it's the PNG data that is written to the ICO file.
  *
+ * The aspect ratio of each SVG file is preserved when it does not match that of its size unless the <code>fit</code>
+ * option is "fill", where "contain" (the default) letterboxes it and "cover" crops it. The <code>padding</code> option
+ * can be used to add space around each image (see {@link fitImage}). Any letterboxing or padding is transparent unless
+ * the <code>background</code> option is specified.
+ *
  * @public
  */
 export default class PackageSvgToIcoTask extends Task {
 
-  /**
-   * TODO: Fix type
-   * @type {unknown}
-   * @private
-   */
-  #converter;
-
-  /**
-   * @inheritdoc
-   * @override
-   */
-  beforeAll(config) {
-    const puppeteer = config.option('puppeteer');
-
-    this.#converter = svgToPng.createConverter({ puppeteer });
-  }
-
-  /**
-   * @inheritdoc
-   * @override
-   */
-  async afterAll(config) {
-    await this.#converter.destroy();
-    this.#converter = null;
-  }
-
   /**
    * @inheritdoc
    * @override
@@ -88,15 +67,12 @@ export default class PackageSvgToIcoTask extends Task {
    * @inheritdoc
    * @override
    */
-  async execute(context) {
-    const { config, inputFiles } = context;
-    const [ inputFile ] = inputFiles;
-    const outputFile = context.outputFile
-      .defaults(inputFile.dir, '<%= file.base(true) %>.ico', inputFile.format)
-      .evaluate({ file: inputFile });
+  async executeOperation(operation, context) {
+    const { inputFiles, outputFile } = operation;
+    const { config } = context;
     const outputFilePath = outputFile.absolute;
 
-    const data = await this.#readData(inputFiles, context);
+    const data = await this.#readData(inputFiles, operation.options, context);
     const inputs = map(data, 'input');
     const sizes = map(data, 'size.width');
 
@@ -112,6 +88,30 @@ export default class PackageSvgToIcoTask extends Task {
       pluralize('file', inputFiles.length), chalk.blue(outputFile.relative), sizes);
   }
 
+  /**
+   * @inheritdoc
+   * @override
+   */
+  async plan(context) {
+    const { inputFiles } = context;
+    const [ inputFile ] = inputFiles;
+    const options = {
+      background: context.option('background'),
+      baseFile: context.option('baseFile'),
+      baseUrl: context.option('baseUrl'),
+      fit: context.option('fit'),
+      padding: context.option('padding'),
+      renderer: context.option('renderer', context.config.option('renderer')),
+      scale: context.option('scale'),
+      sizes: context.option('sizes')
+    };
+    const outputFile = context.outputFile
+      .defaults(inputFile.dir, '<%= file.base(true) %>.ico', inputFile.format)
+      .evaluate({ file: inputFile });
+
+    return [ { inputFiles, options, outputFile } ];
+  }
+
   /**
    * @inheritdoc
    * @override
@@ -122,21 +122,19 @@ export default class PackageSvgToIcoTask extends Task {
 
   /**
    * @param {File[]} inputFiles
+   * @param {Object} options
    * @param {TaskContext} context
    * @return {Promise<Object[]>}
    * @private
    */
-  async #readData(inputFiles, context) {
-    const inputs = [];
-    const background = context.option('background');
-    const baseUrl = context.option('baseUrl');
-    const scale = context.option('scale');
-    const sizes = context.option('sizes');
-
-    for (const inputFile of inputFiles) {
+  async #readData(inputFiles, options, context) {
+    const { background, baseUrl, fit, padding, scale, sizes } = options;
+    const renderer = SvgRendererService.getInstance().getRenderer(context.config, options.renderer);
+
+    return mapConcurrently(inputFiles, 1, async(inputFile, index) => {
       const inputFilePath = inputFile.absolute;
-      const baseFile = context.option('baseFile') || !baseUrl ? inputFilePath : null;
-      const size = nth(sizes, inputs.length);
+      const baseFile = options.baseFile || !baseUrl ? inputFilePath : null;
+      const size = nth(sizes, index);
 
       debug('Reading SVG file to be packaged in ICO: %s', chalk.blue(inputFilePath));
 
@@ -144,24 +142,28 @@ export default class PackageSvgToIcoTask extends Task {
 
       debug('Converting SVG file to PNG: %s', chalk.blue(inputFilePath));
 
-      const pngInput = await this.#converter.convert(svgInput, Object.assign({
-        background,
+      const fitOptions = { background, fit, padding, scale, square: true };
+      const renderSize = await getFitRenderSize(svgInput, size, fitOptions);
+      const dimensions = renderSize || size;
+      const pngInput = await renderer.render(svgInput, {
         baseFile,
         baseUrl,
-        scale
-      }, !size ? null : {
-        height: size.height,
-        width: size.width
-      }));
-      const [ realSize ] = Size.fromImage(pngInput);
-
-      inputs.push({
-        input: pngInput,
-        size: realSize
+        format: 'png',
+        height: dimensions ? dimensions.height : null,
+        scale: renderSize ? null : scale,
+        width: dimensions ? dimensions.width : null
       });
-    }
 
-    return inputs;
+      debug('Fitting PNG to be packaged in ICO: %s', chalk.blue(inputFilePath));
+
+      const fittedInput = await fitImage(pngInput, size, fitOptions);
+      const [ realSize ] = Size.fromImage(fittedInput);
+
+      return {
+        input: fittedInput,
+        size: realSize
+      };
+    });
   }
 
 }
@@ -0,0 +1,322 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import chalk from 'chalk';
+import Debug from 'debug';
+import { createHash } from 'node:crypto';
+import { stat } from 'node:fs/promises';
+import path from 'node:path';
+
+import { File } from '../file.mjs';
+import { Size } from '../size.mjs';
+
+const debug = Debug('brander:task:cache');
+
+/**
+ * A persistent cache that records the inputs from which each output file was generated by a {@link Task} so that work
+ * can be skipped where the output file is already up to date.
+ *
+ * An output file is considered to be up to date if it still exists, its contents have not changed since it was last
+ * generated, and it was generated by the same task from input files with identical contents and using identical
+ * options.
+ *
+ * The cache is stored within the directory specified by the <code>cache.dir</code> option, which has a default value
+ * of <code>.brander-cache</code>, relative to the base directory of the {@link Config}. {@link TaskCache#load} must be
+ * called before the cache is used and {@link TaskCache#save} must be called afterwards in order to persist any
+ * changes.
+ *
+ * @public
+ */
+export class TaskCache {
+
+  /**
+   * @type {number}
+   * @private
+   */
+  static #version = 2;
+
+  /**
+   * @type {Config}
+   * @private
+   */
+  #config;
+  /**
+   * @type {Map<string, TaskCache~Record>}
+   * @private
+   */
+  #records = new Map();
+  /**
+   * @type {Map<string, {key: string, hash: Promise<string>}>}
+   * @private
+   */
+  #hashes = new Map();
+  /**
+   * @type {boolean}
+   * @private
+   */
+  #modified = false;
+
+  /**
+   * Creates an instance of {@link TaskCache} for the specified <code>config</code>.
+   *
+   * @param {Config} config - the {@link Config} to be used
+   * @public
+   */
+  constructor(config) {
+    this.#config = config;
+  }
+
+  /**
+   * Returns whether the output file for the specified <code>operation</code> of the <code>task</code> provided is up to
+   * date.
+   *
+   * @param {Task} task - the {@link Task} responsible for <code>operation</code>
+   * @param {Task~Operation} operation - the operation to be checked
+   * @return {Promise<boolean>} A <code>Promise</code> for the asynchronous hashing of files that is resolved with
+   * <code>true</code> if the output file for <code>operation</code> is up to date; otherwise <code>false</code>.
+   * @public
+   */
+  async isUpToDate(task, operation) {
+    const outputFile = operation.outputFile.relative;
+    const record = this.#records.get(outputFile);
+    if (!record) {
+      debug('No record found for output file: %s', chalk.blue(outputFile));
+
+      return false;
+    }
+
+    const [ fingerprint, hash ] = await Promise.all([
+      this.#fingerprint(task, operation),
+      this.#hash(operation.outputFile.absolute)
+    ]);
+
+    if (record.fingerprint !== fingerprint || record.hash !== hash) {
+      debug('Record found for output file is out of date: %s', chalk.blue(outputFile));
+
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Loads all records from the cache file, where possible.
+   *
+   * No records will be loaded if the cache file does not exist or if it was created by an incompatible version.
+   *
+   * An error will occur if the cache file cannot be read or parsed.
+   *
+   * @return {Promise<void>} A <code>Promise</code> for the asynchronous reading of the cache file.
+   * @public
+   */
+  async load() {
+    const { filePath } = this;
+
+    this.#records.clear();
+    this.#hashes.clear();
+    this.#modified = false;
+
+    let contents;
+    try {
+      contents = await File.readFile(filePath, 'utf8');
+    } catch (e) {
+      // Ignore ENOENT errors
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+
+      debug('Cache file not found: %s', chalk.blue(filePath));
+
+      return;
+    }
+
+    const data = JSON.parse(contents);
+    if (data.version !== TaskCache.#version) {
+      debug('Ignoring cache file created by incompatible version: %s', chalk.blue(filePath));
+
+      return;
+    }
+
+    for (const [ outputFile, record ] of Object.entries(data.records)) {
+      this.#records.set(outputFile, record);
+    }
+
+    debug('Loaded %d records from cache file: %s', this.#records.size, chalk.blue(filePath));
+  }
+
+  /**
+   * Writes all records to the cache file, if they have been modified since they were loaded.
+   *
+   * An error will occur if the cache file cannot be written.
+   *
+   * @return {Promise<void>} A <code>Promise</code> for the asynchronous writing of the cache file.
+   * @public
+   */
+  async save() {
+    if (!this.#modified) {
+      return;
+    }
+
+    const { filePath } = this;
+    const data = {
+      version: TaskCache.#version,
+      records: Object.fromEntries(this.#records)
+    };
+
+    debug('Saving %d records to cache file: %s', this.#records.size, chalk.blue(filePath));
+
+    await File.writeFile(filePath, JSON.stringify(data, null, 2));
+
+    this.#modified = false;
+  }
+
+  /**
+   * Records that the output file for the specified <code>operation</code> has just been generated by the
+   * <code>task</code> provided.
+   *
+   * This should only be called immediately after the output file has been written.
+   *
+   * @param {Task} task - the {@link Task} responsible for <code>operation</code>
+   * @param {Task~Operation} operation - the operation to be recorded
+   * @return {Promise<void>} A <code>Promise</code> for the asynchronous hashing of files.
+   * @public
+   */
+  async update(task, operation) {
+    const outputFilePath = operation.outputFile.absolute;
+
+    // Output file has just been written so its hash must be recalculated, even if its modification time and size are
+    // unchanged
+    this.#hashes.delete(outputFilePath);
+
+    const [ fingerprint, hash ] = await Promise.all([
+      this.#fingerprint(task, operation),
+      this.#hash(outputFilePath)
+    ]);
+
+    this.#records.set(operation.outputFile.relative, { fingerprint, hash });
+    this.#modified = true;
+  }
+
+  /**
+   * @param {Task} task
+   * @param {Task~Operation} operation
+   * @return {Promise<string>}
+   * @private
+   */
+  async #fingerprint(task, operation) {
+    const { inputFiles, options } = operation;
+    const inputs = [];
+
+    for (const inputFile of inputFiles) {
+      inputs.push({
+        file: inputFile.relative,
+        hash: await this.#hash(inputFile.absolute)
+      });
+    }
+
+    return createHash('sha256')
+      .update(this.#serialize({
+        inputs,
+        options: options || {},
+        task: task.constructor.name,
+        type: task.getType().name
+      }))
+      .digest('hex');
+  }
+
+  /**
+   * @param {string} filePath
+   * @return {Promise<?string>}
+   * @private
+   */
+  async #hash(filePath) {
+    let stats;
+    try {
+      stats = await stat(filePath);
+    } catch (e) {
+      // Ignore ENOENT errors
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+
+      return null;
+    }
+
+    // Files may be regenerated during a run so changes to their modification time and size must invalidate the hash
+    const key = `${stats.mtimeMs}:${stats.size}`;
+    let entry = this.#hashes.get(filePath);
+    if (!entry || entry.key !== key) {
+      entry = {
+        key,
+        hash: File.readFile(filePath).then((contents) => createHash('sha256').update(contents).digest('hex'))
+      };
+
+      this.#hashes.set(filePath, entry);
+    }
+
+    return entry.hash;
+  }
+
+  /**
+   * @param {*} value
+   * @return {string}
+   * @private
+   */
+  #serialize(value) {
+    const config = this.#config;
+
+    // Absolute paths (e.g. within options) are made relative so that the cache survives the base directory moving
+    return JSON.stringify(value, (key, val) => {
+      if (val instanceof Size) {
+        return val.toString();
+      }
+      if (typeof val === 'string' && path.isAbsolute(val)) {
+        return config.relative(val).split(path.sep).join('/');
+      }
+
+      return val;
+    });
+  }
+
+  /**
+   * Returns the path of the file in which the records for this {@link TaskCache} are stored.
+   *
+   * @return {string} The cache file path.
+   * @public
+   */
+  get filePath() {
+    const config = this.#config;
+
+    return config.resolve(config.option('cache.dir', '.brander-cache'), 'tasks.json');
+  }
+
+}
+
+/**
+ * Contains the information recorded within the cache for a single output file.
+ *
+ * @typedef {Object} TaskCache~Record
+ * @property {string} fingerprint - The hash derived from the task, input files, and options that generated the file.
+ * @property {?string} hash - The hash of the contents of the output file.
+ */
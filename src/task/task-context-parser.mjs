@@ -23,10 +23,11 @@
 /* istanbul ignore file */
 
 import Debug from 'debug';
-import { castArray, cloneDeep, groupBy, trim } from 'lodash-es';
+import { castArray, cloneDeep, groupBy, range, trim } from 'lodash-es';
 import path from 'path';
 
 import { ContextParser } from '../config/context-parser.mjs';
+import { DependencyGraph } from '../config/dependency-graph.mjs';
 import { File } from '../file.mjs';
 import { Size } from '../size.mjs';
 import { TaskContext } from './task-context.mjs';
@@ -41,15 +42,168 @@ const debug = Debug('brander:task');
  * {@link TaskContextParser#parseNext} so that they can be run step-by-step to support dependencies (e.g. task 2 may
  * depend on files generated by task 1).
  *
+ * By default, each task depends on all tasks before it. However, tasks can be given a unique "id" so that other tasks
+ * can explicitly declare the tasks on which they depend via "dependsOn", which can contain any number of IDs. A task
+ * with "dependsOn" only depends on the tasks listed (if any), regardless of their position, which allows independent
+ * tasks to run concurrently.
+ *
  * @public
  */
 export class TaskContextParser extends ContextParser {
 
+  /**
+   * @type {?TaskCache}
+   * @private
+   */
+  #cache;
+  /**
+   * @type {?TaskContextParser~Filter}
+   * @private
+   */
+  #filter;
+  /**
+   * @type {Set<string>}
+   * @private
+   */
+  #plannedFilePaths = new Set();
+
+  /**
+   * Creates an instance of {@link TaskContextParser} with the specified <code>dataSet</code> and <code>config</code>.
+   *
+   * Optionally, a <code>cache</code> can be provided which will be made available to each parsed {@link TaskContext}
+   * so that tasks can skip generating output files that are already up to date.
+   *
+   * A <code>filter</code> can also be provided to skip parsing any data for which it returns <code>false</code>.
+   * Skipped data produces no {@link TaskContext} instances but, unlike removing it from <code>dataSet</code>, can still
+   * be referenced as a dependency by other data.
+   *
+   * @param {Object[]} dataSet - the data set to be parsed
+   * @param {Config} config - the {@link Config} to be used
+   * @param {?TaskCache} [cache] - the {@link TaskCache} to be used (may be <code>null</code>)
+   * @param {?TaskContextParser~Filter} [filter] - the function used to filter the data to be parsed (may be
+   * <code>null</code>)
+   * @public
+   */
+  constructor(dataSet, config, cache, filter) {
+    super(dataSet, config);
+
+    this.#cache = cache || null;
+    this.#filter = filter || null;
+  }
+
+  /**
+   * Adds the specified <code>filePaths</code> to those that are to be treated as existing when searching for the input
+   * files of any subsequently parsed data, regardless of whether they actually exist.
+   *
+   * This allows the data set to be parsed without any tasks being run while still finding input files that would have
+   * been generated by earlier tasks (e.g. when only planning the tasks).
+   *
+   * @param {string[]} filePaths - the absolute paths of the planned files to be added
+   * @return {void}
+   * @public
+   */
+  addPlannedFiles(filePaths) {
+    for (const filePath of filePaths) {
+      this.#plannedFilePaths.add(path.resolve(filePath));
+    }
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  buildDependencyGraph(dataSet) {
+    const ids = new Map();
+
+    dataSet.forEach((data, index) => {
+      if (data && data.id != null) {
+        if (typeof data.id !== 'string') {
+          throw new Error(`"id" configuration can only be a string: ${data.id} (${typeof data.id})`);
+        }
+
+        const id = trim(data.id);
+        if (!id) {
+          throw new Error('"id" configuration cannot be empty');
+        }
+        if (ids.has(id)) {
+          throw new Error(`"id" configuration must be unique: ${id}`);
+        }
+
+        ids.set(id, index);
+      }
+    });
+
+    const dependencies = dataSet.map((data, index) => {
+      if (!(data && data.dependsOn != null)) {
+        return range(index);
+      }
+      if (!(typeof data.dependsOn === 'string' || Array.isArray(data.dependsOn))) {
+        throw new Error(`"dependsOn" configuration can only be a string or an array: ${data.dependsOn} ` +
+          `(${typeof data.dependsOn})`);
+      }
+
+      return castArray(data.dependsOn).map((id) => {
+        const dependency = typeof id === 'string' ? ids.get(trim(id)) : null;
+        if (dependency == null) {
+          throw new Error(`"dependsOn" configuration contains an unknown task ID: ${id}`);
+        }
+
+        return dependency;
+      });
+    });
+    const labels = dataSet.map((data, index) => (data && data.id != null ? trim(data.id) : `tasks[${index}]`));
+
+    return new DependencyGraph(dependencies, labels);
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getConfigPath(index) {
+    return `tasks[${index}]`;
+  }
+
+  /**
+   * Returns whether the file at the specified <code>filePath</code> would be matched by any of the patterns within the
+   * "input.files" configuration of the <code>data</code> provided.
+   *
+   * This allows the files on which task data depends to be checked without having to parse it, which is useful when
+   * trying to determine which tasks are affected by changes to a file.
+   *
+   * @param {Object} data - the raw task data to be checked (may be <code>null</code>)
+   * @param {string} filePath - the absolute path of the file to be checked
+   * @return {boolean} <code>true</code> if <code>filePath</code> is matched by the input configuration of
+   * <code>data</code>; otherwise <code>false</code>.
+   * @public
+   */
+  matchesInput(data, filePath) {
+    const { config } = this;
+    const input = data ? data.input : null;
+    if (!(input && input.files)) {
+      return false;
+    }
+
+    const dir = this.#resolveInputDir(input);
+
+    return castArray(input.files).some((pattern) => {
+      pattern = typeof pattern === 'string' ? trim(pattern) : null;
+
+      return pattern ? File.match(filePath, config.evaluate(pattern, null, { field: 'input.files' }), dir) : false;
+    });
+  }
+
   /**
    * @inheritdoc
    * @override
    */
   async parseData(data, index) {
+    if (this.#filter && !this.#filter(data, index)) {
+      debug('Data at index was filtered out: %d', index);
+
+      return [];
+    }
+
     const inputFiles = await this.#buildInputFiles(data);
     const options = this.#parseOptions(data);
     const contexts = [];
@@ -73,7 +227,7 @@ export class TaskContextParser extends ContextParser {
       case 'function':
         return groupByValue({ config, file });
       case 'string':
-        return config.evaluate(groupByValue, { file });
+        return config.evaluate(groupByValue, { file }, { field: 'options.groupBy' });
       default:
         return null;
       }
@@ -85,7 +239,7 @@ export class TaskContextParser extends ContextParser {
         throw new Error(`"output" configuration is required for "${type}" tasks`);
       }
 
-      const context = new TaskContext(type, groupFiles, outputFile, options, config);
+      const context = new TaskContext(type, groupFiles, outputFile, options, config, this.#cache);
 
       contexts.push(context);
     }
@@ -112,7 +266,7 @@ export class TaskContextParser extends ContextParser {
         `(${typeof input.files})`);
     }
 
-    const dir = config.assetPath(config.evaluate(trim(input.dir)));
+    const dir = this.#resolveInputDir(input);
     const files = castArray(input.files);
     const inputFiles = [];
 
@@ -126,7 +280,17 @@ export class TaskContextParser extends ContextParser {
         throw new Error('"input.files" configuration cannot contain null or empty patterns');
       }
 
-      const filePaths = await File.findFiles(config.evaluate(pattern), { cwd: dir });
+      pattern = config.evaluate(pattern, null, { field: 'input.files' });
+
+      const filePaths = await File.findFiles(pattern, { cwd: dir });
+
+      for (const plannedFilePath of this.#plannedFilePaths) {
+        const filePath = path.relative(dir, plannedFilePath);
+
+        if (!filePaths.includes(filePath) && File.match(plannedFilePath, pattern, dir)) {
+          filePaths.push(filePath);
+        }
+      }
 
       for (const filePath of filePaths) {
         const dirPath = path.resolve(dir, path.dirname(filePath));
@@ -160,7 +324,10 @@ export class TaskContextParser extends ContextParser {
     let dirPath = trim(output.dir);
     dirPath = dirPath ? config.assetPath(dirPath) : null;
 
-    return this.#createFile(dirPath, output.files, output.format, false);
+    return this.#createFile(dirPath, output.files, output.format, false, {
+      dir: 'output.dir',
+      name: 'output.files'
+    });
   }
 
   /**
@@ -168,10 +335,11 @@ export class TaskContextParser extends ContextParser {
    * @param {string} fileName
    * @param {?string} format
    * @param {boolean} evaluated
+   * @param {File~Fields} [fields]
    * @return {?File}
    * @private
    */
-  #createFile(dirPath, fileName, format, evaluated) {
+  #createFile(dirPath, fileName, format, evaluated, fields) {
     dirPath = trim(dirPath) || null;
     fileName = trim(fileName) || null;
     format = File.deriveFormat(fileName, format);
@@ -180,7 +348,18 @@ export class TaskContextParser extends ContextParser {
       return null;
     }
 
-    return new File(dirPath, fileName, format, this.config, evaluated);
+    return new File(dirPath, fileName, format, this.config, evaluated, fields);
+  }
+
+  /**
+   * @param {Object} input
+   * @return {string}
+   * @private
+   */
+  #resolveInputDir(input) {
+    const { config } = this;
+
+    return config.assetPath(config.evaluate(trim(input.dir), null, { field: 'input.dir' }));
   }
 
   /**
@@ -198,3 +377,12 @@ export class TaskContextParser extends ContextParser {
   }
 
 }
+
+/**
+ * A function used by {@link TaskContextParser} to determine whether data within its data set is to be parsed.
+ *
+ * @callback TaskContextParser~Filter
+ * @param {Object} data - the task data
+ * @param {number} index - the index of <code>data</code> within the data set
+ * @return {boolean} <code>true</code> if <code>data</code> is to be parsed; otherwise <code>false</code>.
+ */
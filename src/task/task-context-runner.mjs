@@ -23,8 +23,10 @@
 /* istanbul ignore file */
 
 import Debug from 'debug';
+import { castArray, isPlainObject, isString } from 'lodash-es';
 
 import { ContextRunner } from '../config/context-runner.mjs';
+import { SvgRendererService } from '../render/svg-renderer-service.mjs';
 import { TaskService } from './task-service.mjs';
 
 const debug = Debug('brander:task');
@@ -35,10 +37,35 @@ const debug = Debug('brander:task');
  * help ensure that task-related data is parsed iteratively so that they can be run step-by-step to support dependencies
  * (e.g. task 2 may depend on files generated by task 1).
  *
+ * Contexts parsed from the same task data, as well as from task data that does not depend on each other, may be run
+ * concurrently, up to the limit of {@link Config#concurrency}.
+ *
+ * The result of running each context, which is also provided by the {@link ContextRunner#ran} event, is the output
+ * files written by the supporting {@link Task} (see {@link Task#execute}). Any other values resolved by
+ * {@link Task#execute} (e.g. <code>undefined</code> from tasks written before output files were reported) are ignored
+ * so that only descriptions of output files are included.
+ *
  * @public
  */
 export class TaskContextRunner extends ContextRunner {
 
+  /**
+   * @param {*} value
+   * @return {boolean}
+   * @private
+   */
+  static #isOutput(value) {
+    return isPlainObject(value) && isString(value.filePath);
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getConcurrency(config) {
+    return config.concurrency;
+  }
+
   /**
    * @inheritdoc
    * @override
@@ -54,6 +81,12 @@ export class TaskContextRunner extends ContextRunner {
         config.logger.warn('Task#afterAll failed for "%s" task: %s', task, e);
       }
     }
+
+    try {
+      await SvgRendererService.getInstance().destroy();
+    } catch (e) {
+      config.logger.warn('SvgRendererService#destroy failed: %s', e);
+    }
   }
 
   /**
@@ -75,26 +108,16 @@ export class TaskContextRunner extends ContextRunner {
    */
   async runContext(context) {
     const taskService = TaskService.getInstance();
-    const { type } = context;
-
-    debug('Finding task for type: %s', type);
-
-    const tasks = await taskService.findByType(type);
-    if (tasks.length === 0) {
-      throw new Error(`"task" configuration has no associated tasks: ${type}`);
-    }
-
-    const supportingTask = tasks.find((task) => task.supports(context));
-    if (!supportingTask) {
-      throw new Error(`"task" configuration has no supporting tasks: ${type}`);
-    }
+    const supportingTask = await taskService.findSupporting(context);
 
     debug('Executing task: %s', supportingTask);
 
     await supportingTask.before(context);
 
     try {
-      await supportingTask.execute(context);
+      const outputs = await supportingTask.execute(context);
+
+      return castArray(outputs).filter(TaskContextRunner.#isOutput);
     } finally {
       await supportingTask.after(context);
     }
@@ -37,6 +37,11 @@ import { Context } from '../config/context.mjs';
  */
 export class TaskContext extends Context {
 
+  /**
+   * @type {?TaskCache}
+   * @private
+   */
+  #cache;
   /**
    * @type {File[]}
    * @private
@@ -66,15 +71,17 @@ export class TaskContext extends Context {
    * @param {?File} outputFile - the output file to be used (may be <code>null</code>)
    * @param {Object} options - the options to be used
    * @param {Config} config - the {@link Config} to be used
+   * @param {?TaskCache} [cache] - the {@link TaskCache} to be used (may be <code>null</code>)
    * @public
    */
-  constructor(type, inputFiles, outputFile, options, config) {
+  constructor(type, inputFiles, outputFile, options, config, cache) {
     super(config);
 
     this.#type = type;
     this.#inputFiles = inputFiles;
     this.#outputFile = outputFile;
     this.#options = options;
+    this.#cache = cache || null;
   }
 
   /**
@@ -93,6 +100,19 @@ export class TaskContext extends Context {
     return get(this.#options, name, defaultValue);
   }
 
+  /**
+   * Returns the {@link TaskCache} for this {@link TaskContext}.
+   *
+   * The {@link TaskCache} will be <code>null</code> if caching has been disabled, in which case tasks should always
+   * generate their output files.
+   *
+   * @return {?TaskCache} The task cache or <code>null</code> if there is none.
+   * @public
+   */
+  get cache() {
+    return this.#cache;
+  }
+
   /**
    * Returns the input files for this {@link TaskContext}.
    *
@@ -161,6 +161,36 @@ export class TaskService {
     return tasks ? Array.from(tasks) : [];
   }
 
+  /**
+   * Returns the first task for this {@link TaskService} that supports the specified <code>context</code>.
+   *
+   * An error will occur if no tasks belong to the {@link TaskType} of <code>context</code>, if none of those tasks
+   * support <code>context</code>, or if there is a problem while loading any built-in {@link Task} implementations,
+   * which is only done once.
+   *
+   * @param {TaskContext} context - the {@link TaskContext} for which the supporting {@link Task} is to be returned
+   * @return {Promise<Task>} A <code>Promise</code> for the asynchronous loading of any built-in {@link Task}
+   * implementations that is resolved with the {@link Task} that supports <code>context</code>.
+   * @public
+   */
+  async findSupporting(context) {
+    const { type } = context;
+
+    debug('Finding task for type: %s', type);
+
+    const tasks = await this.findByType(type);
+    if (tasks.length === 0) {
+      throw new Error(`"task" configuration has no associated tasks: ${type}`);
+    }
+
+    const supportingTask = tasks.find((task) => task.supports(context));
+    if (!supportingTask) {
+      throw new Error(`"task" configuration has no supporting tasks: ${type}`);
+    }
+
+    return supportingTask;
+  }
+
   /**
    * Returns all of the tasks for this {@link TaskService}.
    *
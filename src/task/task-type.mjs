@@ -22,7 +22,7 @@
 
 /* istanbul ignore file */
 
-import { trim } from 'lodash-es';
+import { isEqual, trim } from 'lodash-es';
 
 /**
  * Describes a category for {@link Task} instances to help group and organize them.
@@ -30,6 +30,10 @@ import { trim } from 'lodash-es';
  * This class is enum-like for ease-of-use. It cannot be instantiated and built-in instances can only be referenced via
  * the static values (e.g. {@link TaskType.CLEAN}) or using {@link TaskType.valueOf}.
  *
+ * Additional types can be registered using {@link TaskType.register} (e.g. by plugins when their module is imported),
+ * after which they can be referenced using {@link TaskType.valueOf} and are included when iterating over all types.
+ * Built-in types can never be replaced.
+ *
  * @public
  */
 export class TaskType {
@@ -39,12 +43,33 @@ export class TaskType {
    * @private
    */
   static #privateKey = Symbol('privateKey');
+  /**
+   * @type {Map<string, TaskType>}
+   * @private
+   */
+  static #registered = new Map();
+  /**
+   * @type {RegExp}
+   * @private
+   */
+  static #rName = /^[a-z][a-z0-9-]*$/;
   /**
    * @type {Map<string, TaskType>}
    * @private
    */
   static #singletons = new Map();
 
+  /**
+   * The {@link TaskType} for tasks that generate app icons in the structure expected by a specific platform (e.g. an
+   * iOS app icon set).
+   *
+   * @return {TaskType} The "app-icon" {@link TaskType}.
+   * @public
+   */
+  static get APP_ICON() {
+    return TaskType.#getSingleton('app-icon', false, { $ref: '#/definitions/appIconTask' });
+  }
+
   /**
    * The {@link TaskType} for tasks that perform cleaning operations (e.g. deleting files).
    *
@@ -63,7 +88,18 @@ export class TaskType {
    * @public
    */
   static get CONVERT() {
-    return TaskType.#getSingleton('convert', true);
+    return TaskType.#getSingleton('convert', true, { $ref: '#/definitions/convertTask' });
+  }
+
+  /**
+   * The {@link TaskType} for tasks that generate a complete set of favicon files (e.g. ICO, PNG, and web app manifest
+   * files) for websites.
+   *
+   * @return {TaskType} The "favicon" {@link TaskType}.
+   * @public
+   */
+  static get FAVICON() {
+    return TaskType.#getSingleton('favicon', false, { $ref: '#/definitions/faviconTask' });
   }
 
   /**
@@ -84,13 +120,63 @@ export class TaskType {
    * @public
    */
   static get PACKAGE() {
-    return TaskType.#getSingleton('package', true);
+    return TaskType.#getSingleton('package', true, { $ref: '#/definitions/packageTask' });
+  }
+
+  /**
+   * Registers a new {@link TaskType} with the specified <code>name</code>.
+   *
+   * The <code>name</code> is trimmed and converted to lower case, after which it must start with a letter and only
+   * contain letters, digits, and hyphens. Optionally, <code>options</code> can be provided to describe the type,
+   * including a JSON Schema fragment that is used to validate the configuration data of tasks of the type (see
+   * {@link ConfigValidator}).
+   *
+   * Registering the same <code>name</code> again with equal options (i.e. the same <code>outputRequired</code> flag and
+   * a deeply equal <code>schema</code>) simply returns the previously registered {@link TaskType} so that plugins can
+   * be loaded more than once.
+   *
+   * An error will occur if <code>name</code> is invalid, matches a built-in {@link TaskType}, or has already been
+   * registered with different options.
+   *
+   * @param {string} name - the name of the {@link TaskType} to be registered
+   * @param {TaskType~RegisterOptions} [options] - the options to be used
+   * @return {TaskType} The registered {@link TaskType}.
+   * @throws {Error} If <code>name</code> is invalid or conflicts with an existing {@link TaskType}.
+   * @public
+   */
+  static register(name, options = {}) {
+    name = trim(name).toLowerCase();
+    if (!TaskType.#rName.test(name)) {
+      throw new Error(`Invalid TaskType name: "${name}"`);
+    }
+
+    const outputRequired = Boolean(options.outputRequired);
+    const schema = options.schema || null;
+    const existing = TaskType.#registered.get(name);
+    if (existing) {
+      if (existing.outputRequired !== outputRequired || !isEqual(existing.schema, schema)) {
+        throw new Error(`TaskType already registered with different options for name: "${name}"`);
+      }
+
+      return existing;
+    }
+
+    for (const type of TaskType) {
+      if (type.name === name) {
+        throw new Error(`TaskType already exists for name: "${name}"`);
+      }
+    }
+
+    const type = new TaskType(TaskType.#privateKey, name, outputRequired, schema);
+    TaskType.#registered.set(name, type);
+    return type;
   }
 
   /**
    * Returns the {@link TaskType} that matches the specified <code>name</code>.
    *
-   * The matching ignores case and any leading/trailing whitespace on <code>name</code>.
+   * The matching ignores case and any leading/trailing whitespace on <code>name</code>. Both built-in and registered
+   * types (see {@link TaskType.register}) are matched.
    *
    * An error will occur if no {@link TaskType} could be found with a matching <code>name</code>.
    *
@@ -114,25 +200,29 @@ export class TaskType {
   /**
    * @param {string} name
    * @param {boolean} [outputRequired]
+   * @param {Object} [schema]
    * @return {TaskType}
    * @private
    */
-  static #getSingleton(name, outputRequired) {
+  static #getSingleton(name, outputRequired, schema) {
     if (TaskType.#singletons.has(name)) {
       return TaskType.#singletons.get(name);
     }
 
-    const type = new TaskType(TaskType.#privateKey, name, outputRequired);
+    const type = new TaskType(TaskType.#privateKey, name, outputRequired, schema);
     TaskType.#singletons.set(name, type);
     return type;
   }
 
   static *[Symbol.iterator]() {
     yield* [
+        TaskType.APP_ICON,
         TaskType.CLEAN,
         TaskType.CONVERT,
+        TaskType.FAVICON,
         TaskType.OPTIMIZE,
         TaskType.PACKAGE,
+        ...TaskType.#registered.values(),
     ];
   }
 
@@ -146,12 +236,18 @@ export class TaskType {
    * @private
    */
   #outputRequired;
+  /**
+   * @type {?Object}
+   * @private
+   */
+  #schema;
 
   /**
    * Creates an instance of {@link TaskType} with the specified <code>name</code>.
    *
    * Optionally, <code>outputRequired</code> can be specified to control whether {@link Task} implementations for the
-   * type require an output {@link File}.
+   * type require an output {@link File} and <code>schema</code> can be specified to validate the configuration data
+   * of tasks of the type.
    *
    * <code>privateKey</code> is used to ensure that {@link TaskType} can only be instantiated within this module.
    *
@@ -161,16 +257,18 @@ export class TaskType {
    * @param {string} name - the name to be used
    * @param {boolean} [outputRequired] - <code>true</code> if tasks belong to the type require an output file; otherwise
    * <code>false</code>
+   * @param {?Object} [schema] - the JSON Schema fragment for tasks of the type (may be <code>null</code>)
    * @throws {Error} If <code>privateKey</code> is invalid.
    * @private
    */
-  constructor(privateKey, name, outputRequired = false) {
+  constructor(privateKey, name, outputRequired = false, schema = null) {
     if (privateKey !== TaskType.#privateKey) {
       throw new Error('TaskType constructor is private');
     }
 
     this.#name = name;
     this.#outputRequired = outputRequired;
+    this.#schema = schema;
   }
 
   /**
@@ -201,4 +299,28 @@ export class TaskType {
     return this.#outputRequired;
   }
 
+  /**
+   * Returns the JSON Schema fragment that is used to validate the configuration data of tasks of this {@link TaskType},
+   * in addition to the schema for all tasks.
+   *
+   * The fragment is applied to the whole task data (e.g. constraints on task options must be nested within the
+   * "options" property) and can reference any definitions within the published configuration schema.
+   *
+   * @return {?Object} The schema fragment or <code>null</code> if there is none.
+   * @public
+   */
+  get schema() {
+    return this.#schema;
+  }
+
 }
+
+/**
+ * The options that can be passed to {@link TaskType.register}.
+ *
+ * @typedef {Object} TaskType~RegisterOptions
+ * @property {boolean} [outputRequired=false] - <code>true</code> if tasks belonging to the type require an output file;
+ * otherwise <code>false</code>.
+ * @property {Object} [schema] - The JSON Schema fragment used to validate the configuration data of tasks of the type
+ * (see {@link TaskType#schema}).
+ */
@@ -22,8 +22,13 @@
 
 /* istanbul ignore file */
 
+import chalk from 'chalk';
 import pollock from 'pollock';
 
+import { mapLimited } from '../concurrency.mjs';
+import { File } from '../file.mjs';
+import { Size } from '../size.mjs';
+
 /**
  * Performs a single operation relating to an associated {@link TaskType} that is executed for {@link TaskContext}
  * instances created based on configuration data to generate assets.
@@ -81,6 +86,95 @@ export class Task {
    */
   beforeAll(config) {}
 
+  /**
+   * Describes the output file written by the specified <code>operation</code> so that it can be reported by
+   * {@link Task#execute}.
+   *
+   * The output file is read in order to capture its size in bytes and, if it is an image, its dimensions. An output
+   * file that was skipped because it was already up to date should still be described as it is an output nonetheless.
+   *
+   * An error will occur if the output file cannot be read.
+   *
+   * @param {Task~Operation} operation - the operation whose output file is to be described
+   * @return {Promise<Task~Output>} A <code>Promise</code> for the asynchronous reading of the output file that is
+   * resolved with its description.
+   * @protected
+   */
+  async createOutput(operation) {
+    const { inputFiles, outputFile } = operation;
+    const data = await File.readFile(outputFile.absolute);
+    let dimensions;
+
+    try {
+      dimensions = Size.fromImage(data).map((size) => ({ height: size.height, width: size.width }));
+    } catch (e) {
+      // Output file is not a supported image
+      dimensions = [];
+    }
+
+    return {
+      bytes: data.length,
+      dimensions,
+      filePath: outputFile.relative,
+      format: outputFile.format,
+      inputs: inputFiles.map((inputFile) => inputFile.relative)
+    };
+  }
+
+  /**
+   * Executes this {@link Task} using the specified <code>context</code>.
+   *
+   * It is <i>always</i> recommended that {@link Task#supports} is called with <code>context</code> before calling this
+   * method to ensure that this {@link Task} supports it.
+   *
+   * By default, this method plans the operations using {@link Task#plan} and performs each of them using
+   * {@link Task#executeOperation}, with no more than {@link Config#concurrency} operations pending at any one time
+   * across all tasks (see {@link Config#limit}). Any operation whose output file is already up to date, according to
+   * the {@link TaskCache} of <code>context</code>, is skipped and the {@link TaskCache} is updated for each operation
+   * that is performed. Therefore, implementations are encouraged to implement {@link Task#executeOperation} rather
+   * than overriding this method so that they benefit from caching.
+   *
+   * This method is resolved with a description of each output file written, or that was skipped as it was already up to
+   * date, which {@link Task#createOutput} can be used to create. Files that are deleted are not included.
+   *
+   * An error will occur if a problem arises during the execution.
+   *
+   * @param {TaskContext} context - the {@link TaskContext} to be executed
+   * @return {Promise<Task~Output[]>} A <code>Promise</code> for the asynchronous execution that is resolved with each
+   * output file.
+   * @public
+   */
+  async execute(context) {
+    const operations = await this.plan(context);
+    const outputs = await mapLimited(operations, context.config.limit, (operation) => {
+      return this.#execute(operation, context);
+    });
+
+    return outputs.filter(Boolean);
+  }
+
+  /**
+   * Plans the operations that this {@link Task} would perform in order to execute the specified <code>context</code>
+   * without actually performing them.
+   *
+   * Each operation describes the input files that would be read and the output file that would be written, which has
+   * been fully evaluated, along with any resolved options that would affect its contents. Implementations are
+   * encouraged to use this method within {@link Task#execute} so that the plan always reflects what is performed.
+   *
+   * By default, this method plans a single operation using all input files and the output file of
+   * <code>context</code>, as-is.
+   *
+   * An error will occur if a problem arises while planning.
+   *
+   * @param {TaskContext} context - the {@link TaskContext} to be planned
+   * @return {Promise<Task~Operation[]>} A <code>Promise</code> for the asynchronous planning that is resolved with each
+   * planned operation.
+   * @public
+   */
+  async plan(context) {
+    return [ { inputFiles: context.inputFiles, outputFile: context.outputFile } ];
+  }
+
   /**
    * @override
    */
@@ -88,26 +182,60 @@ export class Task {
     return `Task(${this.getType()})`;
   }
 
+  /**
+   * @param {Task~Operation} operation
+   * @param {TaskContext} context
+   * @return {Promise<?Task~Output>}
+   * @private
+   */
+  async #execute(operation, context) {
+    const { cache, config } = context;
+    const { outputFile } = operation;
+    if (!outputFile) {
+      await this.executeOperation(operation, context);
+
+      return null;
+    }
+
+    if (cache && await cache.isUpToDate(this, operation)) {
+      config.logger.log('Skipped %s task as output is up to date: %s', this.getType().name,
+        chalk.blue(outputFile.relative));
+
+      return this.createOutput(operation);
+    }
+
+    await this.executeOperation(operation, context);
+
+    if (cache) {
+      await cache.update(this, operation);
+    }
+
+    return this.createOutput(operation);
+  }
+
 }
 
 /**
- * Executes this {@link Task} using the specified <code>context</code>.
+ * Performs the specified <code>operation</code>, which was planned by this {@link Task} for the <code>context</code>
+ * provided, by writing its output file, where it has one.
  *
- * It is <i>always</i> recommended that {@link Task#supports} is called with <code>context</code> before calling this
- * method to ensure that this {@link Task} supports it.
+ * This method is called by {@link Task#execute} for each planned operation whose output file is not already up to date
+ * and so does not need to check or update the {@link TaskCache}, nor describe the output file. Since each operation
+ * already occupies a slot of {@link Config#limit}, any work within the operation should be performed sequentially.
  *
- * An error will occur if a problem arises during the execution.
+ * An error will occur if a problem arises while performing <code>operation</code>.
  *
- * All implementations of {@link Task} <b>must</b> override this method.
+ * All implementations of {@link Task} <b>must</b> override this method unless they override {@link Task#execute}.
  *
- * @param {TaskContext} context - the {@link TaskContext} to be executed
- * @return {Promise<void>} A <code>Promise</code> for the asynchronous execution.
- * @public
+ * @param {Task~Operation} operation - the operation to be performed
+ * @param {TaskContext} context - the {@link TaskContext} for which <code>operation</code> was planned
+ * @return {Promise<void>} A <code>Promise</code> for the asynchronous work needed to perform <code>operation</code>.
+ * @protected
  * @abstract
  * @memberof Task#
- * @method execute
+ * @method executeOperation
  */
-pollock(Task, 'execute', { promise: true });
+pollock(Task, 'executeOperation', { promise: true });
 
 /**
  * Returns the {@link TaskType} of this {@link Task}.
@@ -143,3 +271,25 @@ pollock(Task, 'getType');
  * @method supports
  */
 pollock(Task, 'supports');
+
+/**
+ * Describes a single operation that a {@link Task} performs when executing a {@link TaskContext}.
+ *
+ * @typedef {Object} Task~Operation
+ * @property {File[]} inputFiles - The input files that are read.
+ * @property {Object} [options] - The resolved options that affect the contents of the output file, if any.
+ * @property {?File} outputFile - The evaluated output file that is written or <code>null</code> if there is none.
+ */
+
+/**
+ * Describes an output file that is written by a {@link Task} when executing a {@link TaskContext}.
+ *
+ * @typedef {Object} Task~Output
+ * @property {number} bytes - The size of the file in bytes.
+ * @property {Array<{height: number, width: number}>} dimensions - The dimensions of each image contained within the
+ * file (e.g. ICO files can contain multiple images) or an empty array if the file is not a supported image.
+ * @property {string} filePath - The path of the file relative to the base directory.
+ * @property {?string} format - The format of the file.
+ * @property {string[]} inputs - The paths of the input files from which the file was generated, relative to the base
+ * directory.
+ */
@@ -0,0 +1,509 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* istanbul ignore file */
+
+import chalk from 'chalk';
+import chokidar from 'chokidar';
+import Debug from 'debug';
+import { trim } from 'lodash-es';
+import path from 'node:path';
+import pluralize from 'pluralize';
+
+import { Brander } from './brander.mjs';
+import { TaskContextParser } from './task/task-context-parser.mjs';
+import { TaskType } from './task/task-type.mjs';
+
+const debug = Debug('brander:watch');
+
+/**
+ * Watches the files on which a configuration depends and regenerates the assets and documentation affected by any
+ * changes made to them.
+ *
+ * The configuration file (along with any configuration files that it extends and any helpers module), all files within
+ * the assets directory, and any files from which template documents are read are watched. When any configuration file
+ * changes, the configuration is reloaded and everything is regenerated. Otherwise, only the
+ * tasks whose input files match a changed file are run again, along with any root documents that reference a changed
+ * file.
+ *
+ * Since tasks often generate files that are inputs for other tasks (e.g. task 2 may depend on files generated by task
+ * 1), changes made by a task will also trigger any tasks that depend on them. However, a task is only ever run once
+ * until the changes triggered by it have settled in order to avoid endless loops. Clean tasks are never run as a result
+ * of a change and are only run when everything is regenerated.
+ *
+ * @public
+ */
+export class Watcher {
+
+  /**
+   * @param {string} dirPath
+   * @param {string} filePath
+   * @return {boolean}
+   * @private
+   */
+  static #isWithin(dirPath, filePath) {
+    const relativePath = path.relative(dirPath, filePath);
+
+    return Boolean(relativePath) && relativePath.split(path.sep)[0] !== '..' && !path.isAbsolute(relativePath);
+  }
+
+  /**
+   * @type {?Brander}
+   * @private
+   */
+  #brander = null;
+  /**
+   * @type {Map<string, boolean>}
+   * @private
+   */
+  #changes = new Map();
+  /**
+   * @type {ConfigLoader}
+   * @private
+   */
+  #configLoader;
+  /**
+   * @type {number}
+   * @private
+   */
+  #delay;
+  /**
+   * @type {Set<string>}
+   * @private
+   */
+  #docFilePaths = new Set();
+  /**
+   * @type {?string}
+   * @private
+   */
+  #filePath;
+  /**
+   * @type {?FSWatcher}
+   * @private
+   */
+  #fsWatcher = null;
+  /**
+   * @type {Brander~GenerateOptions}
+   * @private
+   */
+  #generateOptions;
+  /**
+   * @type {Set<number>}
+   * @private
+   */
+  #ranTaskIndices = new Set();
+  /**
+   * @type {boolean}
+   * @private
+   */
+  #running = false;
+  /**
+   * @type {number}
+   * @private
+   */
+  #settledAt = 0;
+  /**
+   * @type {Set<string>}
+   * @private
+   */
+  #templateFilePaths = new Set();
+  /**
+   * @type {?NodeJS.Timeout}
+   * @private
+   */
+  #timeout = null;
+
+  /**
+   * Creates an instance of {@link Watcher} that uses the specified <code>configLoader</code> to load, and reload, the
+   * configuration.
+   *
+   * Optionally, <code>options</code> can be provided for more granular control.
+   *
+   * @param {ConfigLoader} configLoader - the {@link ConfigLoader} to be used
+   * @param {Watcher~Options} [options] - the options to be used
+   * @public
+   */
+  constructor(configLoader, options = {}) {
+    this.#configLoader = configLoader;
+    this.#filePath = options.filePath || null;
+    this.#delay = options.delay != null ? options.delay : 250;
+    this.#generateOptions = {
+      cache: options.cache,
+      skipAssets: options.skipAssets,
+      skipDocs: options.skipDocs
+    };
+  }
+
+  /**
+   * Stops watching for changes.
+   *
+   * Any changes that have been detected but not yet acted upon are discarded. However, any generation already in
+   * progress will not be interrupted.
+   *
+   * @return {Promise<void>} A <code>Promise</code> for the asynchronous closing of all file watchers.
+   * @public
+   */
+  async close() {
+    clearTimeout(this.#timeout);
+    this.#timeout = null;
+    this.#changes.clear();
+
+    await this.#unwatch();
+
+    debug('Stopped watching for changes');
+  }
+
+  /**
+   * Returns the indices of the tasks within the loaded configuration whose input files match any of the specified
+   * <code>changes</code>.
+   *
+   * Clean tasks are never included, nor are any tasks that have already run as a result of earlier changes that have
+   * yet to settle, which prevents tasks from endlessly triggering themselves (or each other) when their output files
+   * match their own input files.
+   *
+   * An error will occur if the configuration has not yet been loaded (see {@link Watcher#start}).
+   *
+   * @param {string[]} changes - the absolute paths of the changed files
+   * @return {Set<number>} The indices of the affected tasks.
+   * @public
+   */
+  findAffectedTaskIndices(changes) {
+    const { config } = this.#brander;
+    const indices = new Set();
+    const taskContextParser = new TaskContextParser([], config);
+
+    config.tasks.forEach((data, index) => {
+      if (!data || this.#ranTaskIndices.has(index) || trim(data.task).toLowerCase() === TaskType.CLEAN.name) {
+        return;
+      }
+
+      if (changes.some((filePath) => taskContextParser.matchesInput(data, filePath))) {
+        indices.add(index);
+      }
+    });
+
+    return indices;
+  }
+
+  /**
+   * Returns whether the document for the specified <code>context</code> is affected by any of the <code>changes</code>
+   * provided.
+   *
+   * Asset feature documents are affected by any changes within the assets directory and template documents are
+   * affected by changes to the file from which their template is read. All other documents are affected when any of
+   * their children are affected.
+   *
+   * @param {DocumentContext} context - the context of the document to be checked
+   * @param {string[]} changes - the absolute paths of the changed files
+   * @return {boolean} <code>true</code> if the document for <code>context</code> is affected by <code>changes</code>;
+   * otherwise <code>false</code>.
+   * @public
+   */
+  isDocumentAffected(context, changes) {
+    const { config } = context;
+
+    switch (context.type) {
+    case 'asset-feature':
+      return changes.some((filePath) => Watcher.#isWithin(config.resolve(config.assetsDir), filePath));
+    case 'template': {
+      const file = trim(context.get('file'));
+
+      return file ? changes.includes(config.resolve(file)) : false;
+    }
+    default:
+      return context.children.some((child) => this.isDocumentAffected(child, changes));
+    }
+  }
+
+  /**
+   * Loads the configuration, generates all assets and documentation, and starts watching for changes.
+   *
+   * Errors that occur while generating assets and documentation are logged rather than thrown so that watching
+   * continues and any problems can be fixed without having to start again.
+   *
+   * An error will occur if the configuration could not be loaded.
+   *
+   * @return {Promise<void>} A <code>Promise</code> for the asynchronous loading of the configuration and initial
+   * generation.
+   * @public
+   */
+  async start() {
+    await this.#reload();
+
+    this.#logWatching();
+  }
+
+  /**
+   * @param {string[]} changes
+   * @return {boolean}
+   * @private
+   */
+  #affectsDocs(changes) {
+    const { config } = this.#brander;
+    const assetsDir = config.resolve(config.assetsDir);
+
+    return changes.some((filePath) => this.#templateFilePaths.has(filePath) || Watcher.#isWithin(assetsDir, filePath));
+  }
+
+  /**
+   * @return {void}
+   * @private
+   */
+  #captureDocs() {
+    const { config } = this.#brander;
+
+    this.#docFilePaths.clear();
+    this.#templateFilePaths.clear();
+
+    for (const context of config.scope.docs) {
+      if (context.isRoot()) {
+        this.#docFilePaths.add(context.file.absolute);
+      }
+
+      const file = context.type === 'template' ? trim(context.get('file')) : null;
+      if (file) {
+        this.#templateFilePaths.add(config.resolve(file));
+      }
+    }
+
+    if (this.#fsWatcher && this.#templateFilePaths.size) {
+      this.#fsWatcher.add([ ...this.#templateFilePaths ]);
+    }
+  }
+
+  /**
+   * @return {Promise<void>}
+   * @private
+   */
+  async #flush() {
+    this.#timeout = null;
+
+    const changes = [ ...this.#changes.keys() ];
+    const generated = [ ...this.#changes.values() ].every(Boolean);
+    this.#changes.clear();
+
+    if (changes.length === 0) {
+      return;
+    }
+
+    const { config } = this.#brander;
+
+    this.#running = true;
+
+    try {
+      const sourceFilePath = config.sourceFilePaths.find((filePath) => changes.includes(filePath));
+
+      if (sourceFilePath) {
+        config.logger.log();
+        config.logger.log('Configuration file changed: %s', chalk.blue(config.relative(sourceFilePath)));
+        config.logger.log();
+
+        await this.#reload();
+      } else {
+        await this.#regenerate(changes, generated);
+      }
+    } finally {
+      this.#running = false;
+      this.#settledAt = Date.now() + this.#delay;
+    }
+
+    if (this.#changes.size) {
+      this.#schedule();
+    } else {
+      this.#logWatching();
+    }
+  }
+
+  /**
+   * @param {Brander~GenerateOptions} options
+   * @return {Promise<void>}
+   * @private
+   */
+  async #generate(options) {
+    const { config } = this.#brander;
+
+    try {
+      await this.#brander.generate(options);
+    } catch (e) {
+      config.logger.error(e.stack);
+    }
+
+    if (!options.skipDocs) {
+      this.#captureDocs();
+    }
+  }
+
+  /**
+   * @return {void}
+   * @private
+   */
+  #logWatching() {
+    const { logger } = this.#brander.config;
+
+    logger.log();
+    logger.log('Watching for changes...');
+  }
+
+  /**
+   * @param {string} filePath
+   * @return {void}
+   * @private
+   */
+  #onChange(filePath) {
+    filePath = path.resolve(filePath);
+
+    if (this.#docFilePaths.has(filePath)) {
+      debug('Ignoring change to generated document file: %s', chalk.blue(filePath));
+
+      return;
+    }
+
+    debug('Change detected for file: %s', chalk.blue(filePath));
+
+    const generated = this.#running || Date.now() < this.#settledAt;
+    this.#changes.set(filePath, generated && this.#changes.get(filePath) !== false);
+
+    this.#schedule();
+  }
+
+  /**
+   * @param {string[]} changes
+   * @param {boolean} generated
+   * @return {Promise<void>}
+   * @private
+   */
+  async #regenerate(changes, generated) {
+    const { config } = this.#brander;
+    const { logger } = config;
+    const { skipAssets, skipDocs } = this.#generateOptions;
+
+    if (!generated) {
+      this.#ranTaskIndices.clear();
+    }
+
+    debug('%d %s changed', changes.length, pluralize('file', changes.length));
+
+    const taskIndices = skipAssets ? new Set() : this.findAffectedTaskIndices(changes);
+    const affectsDocs = !skipDocs && this.#affectsDocs(changes);
+
+    if (taskIndices.size === 0 && !affectsDocs) {
+      debug('No tasks or documents affected by changes');
+
+      return;
+    }
+
+    logger.log();
+    for (const filePath of changes) {
+      logger.log('File changed: %s', chalk.blue(config.relative(filePath)));
+    }
+    logger.log();
+
+    for (const index of taskIndices) {
+      this.#ranTaskIndices.add(index);
+    }
+
+    await this.#generate({
+      cache: this.#generateOptions.cache,
+      docFilter: (context) => this.isDocumentAffected(context, changes),
+      skipAssets: taskIndices.size === 0,
+      skipDocs: !affectsDocs,
+      taskFilter: (data, index) => taskIndices.has(index)
+    });
+  }
+
+  /**
+   * @return {Promise<void>}
+   * @private
+   */
+  async #reload() {
+    const config = await this.#configLoader.load(this.#filePath);
+
+    this.#filePath = config.filePath;
+    this.#brander = new Brander(config);
+    this.#ranTaskIndices.clear();
+
+    // Avoid picking up changes made while everything is being regenerated
+    await this.#unwatch();
+    await this.#generate(this.#generateOptions);
+    await this.#watch();
+  }
+
+  /**
+   * @return {void}
+   * @private
+   */
+  #schedule() {
+    if (this.#running) {
+      return;
+    }
+
+    clearTimeout(this.#timeout);
+    this.#timeout = setTimeout(() => {
+      this.#flush()
+        .catch((e) => this.#brander.config.logger.error(e.stack));
+    }, this.#delay);
+  }
+
+  /**
+   * @return {Promise<void>}
+   * @private
+   */
+  async #unwatch() {
+    if (this.#fsWatcher) {
+      await this.#fsWatcher.close();
+      this.#fsWatcher = null;
+    }
+  }
+
+  /**
+   * @return {Promise<void>}
+   * @private
+   */
+  async #watch() {
+    const { config } = this.#brander;
+    const filePaths = [ ...config.sourceFilePaths, config.resolve(config.assetsDir), ...this.#templateFilePaths ];
+
+    debug('Watching files for changes: %o', filePaths);
+
+    this.#fsWatcher = chokidar.watch(filePaths, { ignoreInitial: true });
+    this.#fsWatcher.on('all', (event, filePath) => {
+      if (event === 'add' || event === 'change' || event === 'unlink') {
+        this.#onChange(filePath);
+      }
+    });
+
+    await new Promise((resolve) => this.#fsWatcher.once('ready', resolve));
+  }
+
+}
+
+/**
+ * The options that can be passed to the {@link Watcher} constructor.
+ *
+ * @typedef {Object} Watcher~Options
+ * @property {boolean} [cache=true] - <code>false</code> to disable the {@link TaskCache}; otherwise <code>true</code>.
+ * @property {number} [delay=250] - The number of milliseconds to wait for further changes before regenerating.
+ * @property {string} [filePath] - The path of the configuration file to be loaded. An attempt will be made to find a
+ * configuration file if not specified.
+ * @property {boolean} [skipAssets] - <code>true</code> to skip asset generation; otherwise <code>false</code>.
+ * @property {boolean} [skipDocs] - <code>true</code> to skip documentation generation; otherwise <code>false</code>.
+ */
@@ -0,0 +1,115 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+import { setTimeout } from 'node:timers/promises';
+
+import { createLimiter, mapConcurrently, mapLimited } from '../../src/concurrency.mjs';
+
+describe('concurrency', () => {
+  const createIteratee = () => {
+    const iteratee = async(item) => {
+      iteratee.pending++;
+      iteratee.maxPending = Math.max(iteratee.maxPending, iteratee.pending);
+      iteratee.started.push(item);
+
+      await setTimeout(item);
+
+      iteratee.pending--;
+
+      if (item < 0) {
+        throw new Error(`Failed: ${item}`);
+      }
+
+      return item * 2;
+    };
+    iteratee.maxPending = 0;
+    iteratee.pending = 0;
+    iteratee.started = [];
+
+    return iteratee;
+  };
+
+  describe('createLimiter', () => {
+    it('should call functions in order with no more than concurrency pending', async() => {
+      const iteratee = createIteratee();
+      const limit = createLimiter(2);
+
+      const results = await Promise.all([ 5, 1, 3, 2 ].map((item) => limit(() => iteratee(item))));
+
+      assert.deepEqual(results, [ 10, 2, 6, 4 ]);
+      assert.deepEqual(iteratee.started, [ 5, 1, 3, 2 ]);
+      assert.strictEqual(iteratee.maxPending, 2);
+    });
+
+    it('should reject with error of function without affecting others', async() => {
+      const limit = createLimiter(1);
+
+      const results = await Promise.allSettled([
+        limit(() => Promise.reject(new Error('foo'))),
+        limit(() => 'bar')
+      ]);
+
+      assert.strictEqual(results[0].reason.message, 'foo');
+      assert.strictEqual(results[1].value, 'bar');
+    });
+  });
+
+  describe('mapConcurrently', () => {
+    it('should resolve results in order with no more than concurrency pending', async() => {
+      const iteratee = createIteratee();
+
+      assert.deepEqual(await mapConcurrently([ 5, 1, 3, 2 ], 3, iteratee), [ 10, 2, 6, 4 ]);
+      assert.strictEqual(iteratee.maxPending, 3);
+    });
+
+    it('should call iteratee sequentially when concurrency is 1', async() => {
+      const iteratee = createIteratee();
+
+      assert.deepEqual(await mapConcurrently([ 2, 1 ], 1, iteratee), [ 4, 2 ]);
+      assert.strictEqual(iteratee.maxPending, 1);
+    });
+
+    it('should not start further items once any fails and reject with first error', async() => {
+      const iteratee = createIteratee();
+
+      await assert.rejects(mapConcurrently([ 1, -5, 10, 2 ], 2, iteratee), { message: 'Failed: -5' });
+      assert.deepEqual(iteratee.started, [ 1, -5, 10 ]);
+      assert.strictEqual(iteratee.pending, 0);
+    });
+  });
+
+  describe('mapLimited', () => {
+    it('should share limit between all callers', async() => {
+      const iteratee = createIteratee();
+      const limit = createLimiter(2);
+
+      const results = await Promise.all([
+        mapLimited([ 3, 1 ], limit, iteratee),
+        mapLimited([ 2, 4 ], limit, iteratee)
+      ]);
+
+      assert.deepEqual(results, [ [ 6, 2 ], [ 4, 8 ] ]);
+      assert.strictEqual(iteratee.maxPending, 2);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+
+import { DependencyGraph } from '../../../src/config/dependency-graph.mjs';
+
+describe('DependencyGraph', () => {
+  describe('.sequential', () => {
+    it('should create graph where each index depends on that immediately before it', () => {
+      const graph = DependencyGraph.sequential(3);
+
+      assert.strictEqual(graph.size, 3);
+      assert.deepEqual(graph.order, [ 0, 1, 2 ]);
+      assert.deepEqual(graph.getDependencies(0), []);
+      assert.deepEqual(graph.getDependencies(1), [ 0 ]);
+      assert.deepEqual(graph.getDependencies(2), [ 1 ]);
+    });
+
+    it('should create empty graph when size is zero', () => {
+      const graph = DependencyGraph.sequential(0);
+
+      assert.strictEqual(graph.size, 0);
+      assert.deepEqual(graph.order, []);
+    });
+  });
+
+  describe('#constructor', () => {
+    it('should order dependencies before their dependents, otherwise respecting original order', () => {
+      const graph = new DependencyGraph([ [ 2 ], [], [ 1 ], [] ]);
+
+      assert.deepEqual(graph.order, [ 1, 2, 0, 3 ]);
+    });
+
+    it('should ignore duplicate dependencies', () => {
+      const graph = new DependencyGraph([ [], [ 0, 0 ] ]);
+
+      assert.deepEqual(graph.getDependencies(1), [ 0 ]);
+    });
+
+    it('should throw an error when dependencies are circular', () => {
+      assert.throws(() => new DependencyGraph([ [ 2 ], [ 0 ], [ 1 ] ]), {
+        message: 'Circular dependency detected: 0 -> 2 -> 1 -> 0'
+      });
+      assert.throws(() => new DependencyGraph([ [ 0 ] ]), { message: 'Circular dependency detected: 0 -> 0' });
+    });
+
+    it('should use labels to describe circular dependencies', () => {
+      assert.throws(() => new DependencyGraph([ [ 1 ], [ 0 ] ], [ 'foo', 'bar' ]), {
+        message: 'Circular dependency detected: foo -> bar -> foo'
+      });
+    });
+
+    it('should throw an error when dependency is out of range', () => {
+      assert.throws(() => new DependencyGraph([ [], [ 2 ] ], [ 'foo', 'bar' ]), {
+        message: 'Invalid dependency for bar: 2'
+      });
+      assert.throws(() => new DependencyGraph([ [ -1 ] ]), { message: 'Invalid dependency for 0: -1' });
+      assert.throws(() => new DependencyGraph([ [ 0.5 ] ]), { message: 'Invalid dependency for 0: 0.5' });
+    });
+  });
+
+  describe('#getDependencies', () => {
+    it('should return empty array for unknown index', () => {
+      assert.deepEqual(new DependencyGraph([ [] ]).getDependencies(1), []);
+    });
+  });
+
+  describe('#order', () => {
+    it('should return copy of order', () => {
+      const graph = new DependencyGraph([ [], [] ]);
+
+      graph.order.push(2);
+
+      assert.deepEqual(graph.order, [ 0, 1 ]);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+
+import { Expression } from '../../../src/config/expression.mjs';
+import { ExpressionError } from '../../../src/config/expression-error.mjs';
+
+describe('Expression', () => {
+  describe('.modes', () => {
+    it('should return the names of the supported modes', () => {
+      assert.deepEqual(Expression.modes, [ 'javascript', 'restricted' ]);
+    });
+  });
+
+  describe('#constructor', () => {
+    it('should use "javascript" mode by default', () => {
+      const expression = new Expression('foo');
+
+      assert.strictEqual(expression.mode, 'javascript');
+      assert.strictEqual(expression.path, null);
+      assert.strictEqual(expression.source, 'foo');
+    });
+
+    it('should throw an error when mode is not supported', () => {
+      assert.throws(() => new Expression('foo', { mode: 'foo' }), { message: 'Unsupported expression mode: foo' });
+    });
+  });
+
+  describe('#evaluate', () => {
+    it('should evaluate JavaScript in "javascript" mode', () => {
+      assert.strictEqual(new Expression('<%= foo.toUpperCase() %>').evaluate({ foo: 'bar' }), 'BAR');
+    });
+
+    it('should evaluate restricted template in "restricted" mode', () => {
+      assert.strictEqual(new Expression('<%= foo | upper %>', { mode: 'restricted' }).evaluate({ foo: 'bar' }), 'BAR');
+    });
+
+    it('should throw an ExpressionError describing the failure', () => {
+      const expression = new Expression('${foo.bar()}', { mode: 'restricted', path: 'tasks[1].output.files' });
+
+      assert.throws(() => expression.evaluate({ foo: {}, config: {} }), (error) => {
+        assert.ok(error instanceof ExpressionError);
+        assert.strictEqual(error.name, 'ExpressionError');
+        assert.strictEqual(error.message, [
+          'Unable to evaluate expression at tasks[1].output.files: Functions cannot be called (use filters instead) ' +
+            'at position 7 in: foo.bar()',
+          '  Source: ${foo.bar()}',
+          '  Available variables: config, foo'
+        ].join('\n'));
+        assert.deepEqual(error.keys, [ 'config', 'foo' ]);
+        assert.strictEqual(error.path, 'tasks[1].output.files');
+        assert.strictEqual(error.reason,
+          'Functions cannot be called (use filters instead) at position 7 in: foo.bar()');
+        assert.strictEqual(error.source, '${foo.bar()}');
+        assert.ok(error.cause instanceof Error);
+
+        return true;
+      });
+    });
+
+    it('should throw an ExpressionError without path or variables where unknown', () => {
+      assert.throws(() => new Expression('<%= nope %>').evaluate(), {
+        name: 'ExpressionError',
+        message: [
+          'Unable to evaluate expression: nope is not defined',
+          '  Source: <%= nope %>',
+          '  Available variables: (none)'
+        ].join('\n')
+      });
+    });
+  });
+});
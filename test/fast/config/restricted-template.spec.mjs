@@ -0,0 +1,233 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+
+import { RestrictedTemplate } from '../../../src/config/restricted-template.mjs';
+
+describe('RestrictedTemplate', () => {
+  const render = (source, data) => new RestrictedTemplate(source).render(data);
+
+  describe('#constructor', () => {
+    it('should treat null source as empty', () => {
+      assert.strictEqual(render(null), '');
+    });
+
+    it('should throw an error when an expression is empty', () => {
+      assert.throws(() => new RestrictedTemplate('<%= %>'), { message: 'Expression cannot be empty' });
+    });
+
+    it('should throw an error when an expression contains an unexpected character', () => {
+      assert.throws(() => new RestrictedTemplate('<%= foo + bar %>'), {
+        message: 'Unexpected character "+" at position 5 in:  foo + bar '
+      });
+    });
+
+    it('should throw an error when an expression contains an unexpected token', () => {
+      assert.throws(() => new RestrictedTemplate('${foo bar}'), {
+        message: 'Unexpected token "bar" at position 4 in: foo bar'
+      });
+      assert.throws(() => new RestrictedTemplate('${foo.1}'), {
+        message: 'Unexpected token "1" at position 4 in: foo.1'
+      });
+      assert.throws(() => new RestrictedTemplate('${foo | 1}'), {
+        message: 'Unexpected token "1" at position 6 in: foo | 1'
+      });
+      assert.throws(() => new RestrictedTemplate('${)}'), { message: 'Unexpected token ")" at position 0 in: )' });
+    });
+
+    it('should throw an error when an expression is incomplete', () => {
+      assert.throws(() => new RestrictedTemplate('${foo.}'), { message: 'Unexpected end of expression: foo.' });
+      assert.throws(() => new RestrictedTemplate('${foo[0}'), { message: 'Unexpected end of expression: foo[0' });
+    });
+
+    it('should throw an error when an expected token is missing', () => {
+      assert.throws(() => new RestrictedTemplate('${foo ? bar , baz}'), {
+        message: 'Expected ":" but found "," at position 10 in: foo ? bar , baz'
+      });
+    });
+
+    it('should throw an error when a function is called', () => {
+      assert.throws(() => new RestrictedTemplate('${foo.bar()}'), {
+        message: 'Functions cannot be called (use filters instead) at position 7 in: foo.bar()'
+      });
+      assert.throws(() => new RestrictedTemplate('<%= process.exit(1) %>'), {
+        message: 'Functions cannot be called (use filters instead) at position 13 in:  process.exit(1) '
+      });
+    });
+
+    it('should throw an error when a statement is unsupported', () => {
+      assert.throws(() => new RestrictedTemplate('<% for (x of y) %>'), {
+        message: 'Unsupported statement: for (x of y)'
+      });
+    });
+
+    it('should throw an error when conditional statements are unbalanced', () => {
+      assert.throws(() => new RestrictedTemplate('<% if foo %>bar'), { message: 'Unclosed "if" statement' });
+      assert.throws(() => new RestrictedTemplate('<% endif %>'), { message: 'Unexpected "endif" statement: endif' });
+      assert.throws(() => new RestrictedTemplate('<% else %>'), { message: 'Unexpected "else" statement: else' });
+      assert.throws(() => new RestrictedTemplate('<% if a %><% else %><% elseif b %><% endif %>'), {
+        message: 'Unexpected "elseif" statement: elseif b'
+      });
+    });
+  });
+
+  describe('#render', () => {
+    it('should output text as-is', () => {
+      assert.strictEqual(render('foo bar'), 'foo bar');
+    });
+
+    it('should output values of variables and properties', () => {
+      const data = { config: { title: 'Foo' }, vars: { colors: [ 'red', 'blue' ] } };
+
+      assert.strictEqual(render('<%= config.title %>: ${vars.colors[1]}', data), 'Foo: blue');
+      assert.strictEqual(render('${vars["colors"].length}', data), '2');
+    });
+
+    it('should output literals', () => {
+      assert.strictEqual(render('${\'a\\\'b\'}${"c\\nd\\te"}${1.5}${true}${false}${null}${undefined}'),
+        'a\'bc\nd\te1.5truefalse');
+    });
+
+    it('should output values without escaping for "${}" and "<%= %>"', () => {
+      const data = { foo: '<a href="#">&</a>' };
+
+      assert.strictEqual(render('${foo}', data), '<a href="#">&</a>');
+      assert.strictEqual(render('<%= foo %>', data), '<a href="#">&</a>');
+    });
+
+    it('should output HTML-escaped values for "<%- %>"', () => {
+      assert.strictEqual(render('<%- foo %>', { foo: '<a href="#">&</a>' }),
+        '&lt;a href=&quot;#&quot;&gt;&amp;&lt;/a&gt;');
+    });
+
+    it('should support escaped closing braces within "${}"', () => {
+      assert.strictEqual(render('${foo | default("\\}")}', { foo: null }), '}');
+    });
+
+    it('should evaluate logical, comparison, and ternary operators', () => {
+      const data = { a: 1, b: '1', c: 0, d: 'd' };
+
+      assert.strictEqual(render('${a == b}|${a != b}|${a === 1}|${a !== 1}', data), 'false|true|true|false');
+      assert.strictEqual(render('${a < 2}|${a <= 0}|${a > 0}|${a >= 2}', data), 'true|false|true|false');
+      assert.strictEqual(render('${c && d}|${a && d}|${c || d}|${a || d}', data), '0|d|d|1');
+      assert.strictEqual(render('${!c}|${!!a}|${(c || a) ? "x" : "y"}|${c ? "x" : a ? "y" : "z"}', data),
+        'true|true|x|y');
+    });
+
+    it('should render conditional blocks', () => {
+      const source = '<% if size > 32 %>large<% elseif size %>small<% else if size === 0 %>zero' +
+        '<% else %>none<% endif %>';
+
+      assert.strictEqual(render(source, { size: 64 }), 'large');
+      assert.strictEqual(render(source, { size: 16 }), 'small');
+      assert.strictEqual(render(source, { size: 0 }), 'zero');
+      assert.strictEqual(render(source, { size: null }), 'none');
+      assert.strictEqual(render('a<% if foo %>b<% endif %>c', { foo: false }), 'ac');
+    });
+
+    it('should render nested conditional blocks', () => {
+      const source = '<% if a %>A<% if b %>B<% else %>!B<% endif %>a<% else %>!A<% if b %>B<% endif %>!a<% endif %>';
+
+      assert.strictEqual(render(source, { a: true, b: true }), 'ABa');
+      assert.strictEqual(render(source, { a: true, b: false }), 'A!Ba');
+      assert.strictEqual(render(source, { a: false, b: true }), '!AB!a');
+    });
+
+    it('should apply built-in filters', () => {
+      const data = {
+        file: { base: (excludeExtension) => (excludeExtension ? 'logo' : 'logo.svg') },
+        filePath: 'assets/logo.svg',
+        list: [ 'a', 'b' ],
+        name: 'foo bar'
+      };
+
+      assert.strictEqual(render('${file | basename}|${file | basename(true)}', data), 'logo.svg|logo');
+      assert.strictEqual(render('${filePath | basename}|${filePath | basename(true)}', data), 'logo.svg|logo');
+      assert.strictEqual(render('${name | camelCase}|${name | kebabCase}|${name | snakeCase}', data),
+        'fooBar|foo-bar|foo_bar');
+      assert.strictEqual(render('${name | capitalize}|${name | upper}|${"FOO" | lower}', data), 'Foo bar|FOO BAR|foo');
+      assert.strictEqual(render('${missing | default}|${"" | default("x")}|${name | default("x")}', {
+        missing: undefined,
+        name: 'foo'
+      }), '|x|foo');
+      assert.strictEqual(render('${"<&>" | escape}|${"  foo  " | trim}', data), '&lt;&amp;&gt;|foo');
+      assert.strictEqual(render('${list | join}|${list | join(" / ")}|${name | join}', data), 'a,b|a / b|foo bar');
+      assert.strictEqual(render('${list | json}|${name | replace(" ", "-")}|${name | replace("o")}', data),
+        '["a","b"]|foo-bar|f bar');
+      assert.strictEqual(render('${name | upper | replace("O", 0)}', data), 'F00 BAR');
+    });
+
+    it('should apply functions within data as filters', () => {
+      const data = { shout: (value, suffix) => `${value}${suffix}`, name: 'foo' };
+
+      assert.strictEqual(render('${name | shout("!")}', data), 'foo!');
+    });
+
+    it('should not allow functions within data to override built-in filters', () => {
+      assert.strictEqual(render('${name | upper}', { name: 'foo', upper: () => 'bar' }), 'FOO');
+    });
+
+    it('should throw an error when a filter is unknown', () => {
+      assert.throws(() => render('${name | foo}', { name: 'foo' }), { message: 'Unknown filter: foo' });
+      assert.throws(() => render('${name | toString}', { name: 'foo' }), { message: 'Unknown filter: toString' });
+      assert.throws(() => render('${name | bar}', { bar: 'bar', name: 'foo' }), { message: 'Unknown filter: bar' });
+    });
+
+    it('should throw an error when a variable is not defined', () => {
+      assert.throws(() => render('${foo}'), { message: 'foo is not defined' });
+      assert.throws(() => render('${toString}', {}), { message: 'toString is not defined' });
+    });
+
+    it('should throw an error when a property of null or undefined is accessed', () => {
+      assert.throws(() => render('${foo.bar}', { foo: null }), { message: 'Cannot read property "bar" of null' });
+      assert.throws(() => render('${foo[0]}', { foo: undefined }), {
+        message: 'Cannot read property "0" of undefined'
+      });
+    });
+
+    it('should throw an error when "__proto__", "constructor", or "prototype" properties are accessed', () => {
+      for (const property of [ '__proto__', 'constructor', 'prototype' ]) {
+        assert.throws(() => render(`\${foo.${property}}`, { foo: {} }), {
+          message: `Access to property "${property}" is not allowed`
+        });
+        assert.throws(() => render(`\${foo["${property}"]}`, { foo: {} }), {
+          message: `Access to property "${property}" is not allowed`
+        });
+      }
+
+      assert.throws(() => render('${foo[key]}', { foo: 'bar', key: 'constructor' }), {
+        message: 'Access to property "constructor" is not allowed'
+      });
+    });
+
+    it('should throw an error when a property of a function is accessed', () => {
+      assert.throws(() => render('${foo.name}', { foo: () => {} }), {
+        message: 'Access to property "name" is not allowed'
+      });
+    });
+
+    it('should throw an error when a function is output', () => {
+      assert.throws(() => render('${foo}', { foo: () => 'bar' }), { message: 'Cannot output a function' });
+    });
+  });
+});
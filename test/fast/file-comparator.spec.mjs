@@ -0,0 +1,162 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+import { mkdir, mkdtemp, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { rimraf } from 'rimraf';
+import sharp from 'sharp';
+
+import { FileComparator } from '../../src/file-comparator.mjs';
+
+describe('FileComparator', () => {
+  const createPng = (color, options) => sharp({
+    create: { background: color, channels: 4, height: 2, width: 2 }
+  })
+    .png(options)
+    .toBuffer();
+  const createIco = (images) => {
+    const header = Buffer.alloc(6 + (images.length * 16));
+    let offset = header.length;
+
+    header.writeUInt16LE(1, 2);
+    header.writeUInt16LE(images.length, 4);
+
+    images.forEach((image, index) => {
+      const entryOffset = 6 + (index * 16);
+
+      header.writeUInt8(2, entryOffset);
+      header.writeUInt8(2, entryOffset + 1);
+      header.writeUInt32LE(image.length, entryOffset + 8);
+      header.writeUInt32LE(offset, entryOffset + 12);
+
+      offset += image.length;
+    });
+
+    return Buffer.concat([ header, ...images ]);
+  };
+
+  describe('.compareWithFile', () => {
+    let baseDir;
+
+    beforeEach(async() => {
+      baseDir = await mkdtemp(path.join(tmpdir(), 'brander-file-comparator-'));
+    });
+
+    afterEach(async() => {
+      await rimraf(baseDir);
+    });
+
+    it('should return null when file is equal', async() => {
+      const filePath = path.join(baseDir, 'foo.txt');
+      await writeFile(filePath, 'foo');
+
+      assert.strictEqual(await FileComparator.compareWithFile(filePath, 'txt', Buffer.from('foo')), null);
+    });
+
+    it('should return null when file is not expected and does not exist', async() => {
+      assert.strictEqual(await FileComparator.compareWithFile(path.join(baseDir, 'foo.txt'), 'txt', null), null);
+    });
+
+    it('should return "missing" when file is expected but does not exist', async() => {
+      const filePath = path.join(baseDir, 'foo.txt');
+
+      assert.strictEqual(await FileComparator.compareWithFile(filePath, 'txt', Buffer.from('foo')), 'missing');
+    });
+
+    it('should return "outdated" when file is not equal', async() => {
+      const filePath = path.join(baseDir, 'foo.txt');
+      await writeFile(filePath, 'bar');
+
+      assert.strictEqual(await FileComparator.compareWithFile(filePath, 'txt', Buffer.from('foo')), 'outdated');
+    });
+
+    it('should return "outdated" when directory exists in place of file', async() => {
+      const dirPath = path.join(baseDir, 'foo');
+      await mkdir(dirPath);
+
+      assert.strictEqual(await FileComparator.compareWithFile(dirPath, null, Buffer.from('foo')), 'outdated');
+    });
+
+    it('should return "unexpected" when file is not expected but exists', async() => {
+      const filePath = path.join(baseDir, 'foo.txt');
+      await writeFile(filePath, 'foo');
+
+      assert.strictEqual(await FileComparator.compareWithFile(filePath, 'txt', null), 'unexpected');
+    });
+
+    it('should return "unexpected" when directory is not expected but exists', async() => {
+      const dirPath = path.join(baseDir, 'foo');
+      await mkdir(path.join(dirPath, 'bar'), { recursive: true });
+
+      assert.strictEqual(await FileComparator.compareWithFile(dirPath, null, null), 'unexpected');
+    });
+  });
+
+  describe('.equals', () => {
+    it('should compare contents byte by byte when format is not an image', async() => {
+      assert.ok(await FileComparator.equals('txt', Buffer.from('foo'), Buffer.from('foo')));
+      assert.ok(!await FileComparator.equals('txt', Buffer.from('foo'), Buffer.from('bar')));
+      assert.ok(!await FileComparator.equals(null, Buffer.from('foo'), Buffer.from('bar')));
+    });
+
+    it('should compare raster images pixel by pixel', async() => {
+      const red = await createPng('#ff0000', { compressionLevel: 9 });
+
+      assert.ok(await FileComparator.equals('png', red, await createPng('#ff0000', { compressionLevel: 0 })));
+      assert.ok(!await FileComparator.equals('png', red, await createPng('#0000ff')));
+    });
+
+    it('should return false when raster images cannot be decoded', async() => {
+      assert.ok(!await FileComparator.equals('png', Buffer.from('foo'), Buffer.from('bar')));
+    });
+
+    it('should compare embedded PNG images within ICO files pixel by pixel', async() => {
+      const red = await createPng('#ff0000', { compressionLevel: 9 });
+      const otherRed = await createPng('#ff0000', { compressionLevel: 0 });
+      const blue = await createPng('#0000ff');
+
+      assert.ok(await FileComparator.equals('ico', createIco([ red, blue ]), createIco([ otherRed, blue ])));
+      assert.ok(!await FileComparator.equals('ico', createIco([ red, blue ]), createIco([ blue, red ])));
+      assert.ok(!await FileComparator.equals('ico', createIco([ red ]), createIco([ red, blue ])));
+    });
+
+    it('should return false when ICO files contain images that are not equal', async() => {
+      const bitmap = Buffer.from('foo');
+      const otherBitmap = Buffer.from('bar');
+
+      assert.ok(!await FileComparator.equals('ico', createIco([ bitmap ]), createIco([ otherBitmap ])));
+    });
+
+    it('should return false when ICO files are invalid', async() => {
+      const red = await createPng('#ff0000');
+      const ico = createIco([ red ]);
+      const truncatedHeader = Buffer.from(ico.subarray(0, 10));
+      const truncatedImage = Buffer.from(ico.subarray(0, ico.length - 1));
+
+      assert.ok(!await FileComparator.equals('ico', Buffer.from('foo'), ico));
+      assert.ok(!await FileComparator.equals('ico', truncatedHeader, ico));
+      assert.ok(!await FileComparator.equals('ico', truncatedImage, ico));
+    });
+  });
+});
@@ -0,0 +1,254 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+import { mkdtemp, readFile, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { rimraf } from 'rimraf';
+
+import { File } from '../../src/file.mjs';
+
+describe('File', () => {
+  let baseDir;
+
+  beforeEach(async() => {
+    baseDir = await mkdtemp(path.join(tmpdir(), 'brander-file-'));
+  });
+
+  afterEach(async() => {
+    await rimraf(baseDir);
+  });
+
+  describe('.access', () => {
+    it('should resolve when file exists', async() => {
+      const filePath = path.join(baseDir, 'foo.txt');
+      await writeFile(filePath, 'foo');
+
+      await File.access(filePath);
+    });
+
+    it('should reject when file does not exist', async() => {
+      await assert.rejects(File.access(path.join(baseDir, 'foo.txt')), { code: 'ENOENT' });
+    });
+  });
+
+  describe('.capture', () => {
+    it('should capture files written and deleted instead of modifying them', async() => {
+      const deletedFilePath = path.join(baseDir, 'deleted.txt');
+      const writtenFilePath = path.join(baseDir, 'dir', 'written.txt');
+      await writeFile(deletedFilePath, 'deleted');
+
+      const files = await File.capture(async() => {
+        await File.writeFile(writtenFilePath, 'written');
+        await File.deleteFile(deletedFilePath);
+
+        assert.strictEqual(await File.readFile(writtenFilePath, 'utf8'), 'written');
+        assert.deepEqual(await File.readFile(writtenFilePath, { encoding: 'utf8' }), 'written');
+        assert.deepEqual(await File.readFile(writtenFilePath), Buffer.from('written'));
+        await assert.rejects(File.readFile(deletedFilePath), { code: 'ENOENT' });
+        assert.deepEqual(await File.findFiles('**/*.txt', { cwd: baseDir }), [ path.join('dir', 'written.txt') ]);
+        assert.deepEqual(await File.findFiles('*.txt', { absolute: true, cwd: baseDir }), []);
+      });
+
+      assert.deepEqual([ ...files ], [
+        [ writtenFilePath, Buffer.from('written') ],
+        [ deletedFilePath, null ]
+      ]);
+      assert.strictEqual(await readFile(deletedFilePath, 'utf8'), 'deleted');
+      await assert.rejects(readFile(writtenFilePath), { code: 'ENOENT' });
+    });
+
+    it('should capture data written using encoding', async() => {
+      const filePath = path.join(baseDir, 'foo.txt');
+
+      const files = await File.capture(async() => {
+        await File.writeFile(filePath, 'Zm9v', 'base64');
+        await File.writeFile(`${filePath}.bin`, Buffer.from('bar'));
+      });
+
+      assert.deepEqual(files.get(filePath), Buffer.from('foo'));
+      assert.deepEqual(files.get(`${filePath}.bin`), Buffer.from('bar'));
+    });
+  });
+
+  describe('.deleteFile', () => {
+    it('should delete file', async() => {
+      const filePath = path.join(baseDir, 'foo.txt');
+      await writeFile(filePath, 'foo');
+
+      await File.deleteFile(filePath);
+
+      await assert.rejects(readFile(filePath), { code: 'ENOENT' });
+    });
+  });
+
+  describe('.deriveFormat', () => {
+    it('should derive format from file name when format is not specified', () => {
+      assert.strictEqual(File.deriveFormat('foo.SVG'), 'svg');
+      assert.strictEqual(File.deriveFormat('foo.svg', ' PNG '), 'png');
+      assert.strictEqual(File.deriveFormat('foo'), null);
+      assert.strictEqual(File.deriveFormat(null), null);
+    });
+  });
+
+  describe('.findFiles', () => {
+    it('should find files matching pattern', async() => {
+      await writeFile(path.join(baseDir, 'foo.txt'), 'foo');
+      await writeFile(path.join(baseDir, 'bar.svg'), 'bar');
+
+      assert.deepEqual(await File.findFiles('*.txt', { cwd: baseDir }), [ 'foo.txt' ]);
+    });
+  });
+
+  describe('.match', () => {
+    it('should return whether file path matches pattern relative to directory', () => {
+      assert.ok(File.match(path.join(baseDir, 'foo', 'bar.txt'), 'foo/*.txt', baseDir));
+      assert.ok(File.match('foo/bar.txt', 'foo/*.txt', baseDir));
+      assert.ok(!File.match(path.join(baseDir, 'foo', 'bar.svg'), 'foo/*.txt', baseDir));
+      assert.ok(!File.match(path.join(baseDir, '..', 'bar.txt'), '**/*.txt', baseDir));
+      assert.ok(!File.match(baseDir, '**', baseDir));
+    });
+  });
+
+  describe('.writeFile', () => {
+    it('should write file, creating any missing directories', async() => {
+      const filePath = path.join(baseDir, 'foo', 'bar.txt');
+
+      await File.writeFile(filePath, 'foo');
+
+      assert.strictEqual(await File.readFile(filePath, 'utf8'), 'foo');
+    });
+  });
+
+  describe('#base', () => {
+    it('should return base name, optionally excluding extension', () => {
+      assert.strictEqual(new File('foo', 'bar.svg', 'svg').base(), 'bar.svg');
+      assert.strictEqual(new File('foo', 'bar.svg', 'svg').base(true), 'bar');
+      assert.strictEqual(new File('foo', 'bar', null).base(true), 'bar');
+      assert.strictEqual(new File('foo', null, 'svg').base(), null);
+    });
+  });
+
+  describe('#defaults', () => {
+    it('should return file using defaults for any missing properties', () => {
+      const config = {};
+      const file = new File(null, 'bar.svg', null, config).defaults('foo', 'baz.png', 'png');
+
+      assert.strictEqual(file.dir, 'foo');
+      assert.strictEqual(file.name, 'bar.svg');
+      assert.strictEqual(file.format, 'png');
+      assert.strictEqual(file.config, config);
+    });
+  });
+
+  describe('#evaluate', () => {
+    it('should evaluate directory and name using configuration', () => {
+      const calls = [];
+      const config = {
+        evaluate: (str, data, options) => {
+          calls.push([ str, data, options ]);
+
+          return str.replace('<%= size %>', data.size);
+        }
+      };
+      const data = { size: 32 };
+      const file = new File('dir', null, null, config).defaults(null, 'foo-<%= size %>.png', 'png');
+      const evaluatedFile = file.evaluate(data);
+
+      assert.strictEqual(evaluatedFile.dir, 'dir');
+      assert.strictEqual(evaluatedFile.name, 'foo-32.png');
+      assert.strictEqual(evaluatedFile.format, 'png');
+      assert.strictEqual(evaluatedFile.evaluate(), evaluatedFile);
+      assert.deepEqual(calls, [
+        [ 'dir', data, { field: undefined, trusted: false } ],
+        [ 'foo-<%= size %>.png', data, { field: null, trusted: true } ]
+      ]);
+    });
+
+    it('should identify configuration properties from which directory and name were taken', () => {
+      const fields = [];
+      const config = {
+        evaluate: (str, data, options) => {
+          fields.push(options.field);
+
+          return str;
+        }
+      };
+      const file = new File('dir', 'foo.png', 'png', config, false, { dir: 'output.dir', name: 'output.files' });
+
+      file.evaluate();
+      file.defaults('bar', 'bar.png', 'png').evaluate();
+      new File(null, null, null, config, false, { dir: 'output.dir', name: 'output.files' })
+        .defaults('bar', 'bar.png', 'png')
+        .evaluate();
+
+      assert.deepEqual(fields, [ 'output.dir', 'output.files', 'output.dir', 'output.files', null, null ]);
+    });
+
+    it('should not evaluate missing directory or name', () => {
+      const evaluatedFile = new File(null, null, 'png', {}).evaluate();
+
+      assert.strictEqual(evaluatedFile.dir, null);
+      assert.strictEqual(evaluatedFile.name, null);
+    });
+  });
+
+  describe('#extension', () => {
+    it('should return extension from name, falling back to format', () => {
+      assert.strictEqual(new File('foo', 'bar.svg', 'png').extension(), '.svg');
+      assert.strictEqual(new File('foo', 'bar', 'png').extension(), '.png');
+      assert.strictEqual(new File('foo', null, 'png').extension(), '.png');
+      assert.strictEqual(new File('foo', 'bar', null).extension(), null);
+      assert.strictEqual(new File('foo', null, null).extension(), null);
+    });
+  });
+
+  describe('#resolve', () => {
+    it('should resolve paths relative to directory', () => {
+      assert.strictEqual(new File(baseDir, 'foo.svg').resolve('bar', 'baz.png'), path.join(baseDir, 'bar', 'baz.png'));
+    });
+  });
+
+  describe('#toString', () => {
+    it('should return absolute path', () => {
+      assert.strictEqual(new File(baseDir, 'foo.svg').toString(), path.join(baseDir, 'foo.svg'));
+    });
+  });
+
+  describe('#relative', () => {
+    it('should return path relative to configuration', () => {
+      const config = { relative: (filePath) => path.relative(baseDir, filePath) };
+
+      const file = new File(path.join(baseDir, 'foo'), 'bar.svg', 'svg', config);
+
+      assert.strictEqual(file.relative, path.join('foo', 'bar.svg'));
+    });
+  });
+
+  describe('#type', () => {
+    it('should return MIME type derived from extension', () => {
+      assert.strictEqual(new File('foo', 'bar.svg').type, 'image/svg+xml');
+      assert.strictEqual(new File('foo', null, 'png').type, 'image/png');
+    });
+  });
+});
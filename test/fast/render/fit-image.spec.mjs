@@ -0,0 +1,181 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+import sharp from 'sharp';
+
+import { fitImage, getFitRenderSize } from '../../../src/render/fit-image.mjs';
+import { Size } from '../../../src/size.mjs';
+
+describe('fit-image', () => {
+  const red = [ 255, 0, 0, 255 ];
+  const blue = [ 0, 0, 255, 255 ];
+  const transparent = [ 0, 0, 0, 0 ];
+
+  // 40x20 image whose left half is red and right half is blue
+  const createInput = () => sharp({ create: { background: '#00f', channels: 4, height: 20, width: 40 } })
+    .composite([ {
+      input: { create: { background: '#f00', channels: 4, height: 20, width: 20 } },
+      left: 0,
+      top: 0
+    } ])
+    .png()
+    .toBuffer();
+
+  const getPixel = async(output, x, y) => {
+    const { data, info } = await sharp(output).raw().toBuffer({ resolveWithObject: true });
+    const offset = (y * info.width + x) * info.channels;
+    const pixel = Array.from(data.subarray(offset, offset + 4));
+
+    return pixel[3] ? pixel : transparent;
+  };
+
+  const getSize = async(output) => {
+    const { height, width } = await sharp(output).metadata();
+
+    return `${width}x${height}`;
+  };
+
+  let input;
+
+  before(async() => {
+    input = await createInput();
+  });
+
+  describe('fitImage', () => {
+    it('should letterbox image when fit is "contain"', async() => {
+      const output = await fitImage(input, new Size(20, 20));
+
+      assert.strictEqual(await getSize(output), '20x20');
+      assert.deepEqual(await getPixel(output, 10, 2), transparent);
+      assert.deepEqual(await getPixel(output, 2, 10), red);
+      assert.deepEqual(await getPixel(output, 17, 10), blue);
+      assert.deepEqual(await getPixel(output, 10, 17), transparent);
+    });
+
+    it('should crop image when fit is "cover"', async() => {
+      const output = await fitImage(input, new Size(20, 20), { fit: 'cover' });
+
+      assert.strictEqual(await getSize(output), '20x20');
+      assert.deepEqual(await getPixel(output, 2, 2), red);
+      assert.deepEqual(await getPixel(output, 17, 17), blue);
+    });
+
+    it('should stretch image when fit is "fill"', async() => {
+      const output = await fitImage(input, new Size(20, 20), { fit: 'fill' });
+
+      assert.strictEqual(await getSize(output), '20x20');
+      assert.deepEqual(await getPixel(output, 2, 2), red);
+      assert.deepEqual(await getPixel(output, 17, 17), blue);
+    });
+
+    it('should add number of pixels of padding to each side', async() => {
+      const output = await fitImage(input, new Size(40, 20), { padding: 4 });
+
+      assert.strictEqual(await getSize(output), '40x20');
+      assert.deepEqual(await getPixel(output, 20, 1), transparent);
+      assert.deepEqual(await getPixel(output, 20, 18), transparent);
+      assert.deepEqual(await getPixel(output, 8, 1), transparent);
+      assert.deepEqual(await getPixel(output, 12, 10), red);
+      assert.deepEqual(await getPixel(output, 28, 10), blue);
+    });
+
+    it('should add percentage of size as padding to each side', async() => {
+      const output = await fitImage(input, new Size(40, 20), { background: '#0f0', fit: 'fill', padding: ' 10 % ' });
+
+      assert.strictEqual(await getSize(output), '40x20');
+      assert.deepEqual(await getPixel(output, 3, 10), [ 0, 255, 0, 255 ]);
+      assert.deepEqual(await getPixel(output, 4, 10), red);
+      assert.deepEqual(await getPixel(output, 30, 1), [ 0, 255, 0, 255 ]);
+      assert.deepEqual(await getPixel(output, 30, 2), blue);
+      assert.deepEqual(await getPixel(output, 35, 10), blue);
+      assert.deepEqual(await getPixel(output, 36, 10), [ 0, 255, 0, 255 ]);
+    });
+
+    it('should use largest dimension of non-square input when square and no size is specified', async() => {
+      const output = await fitImage(input, null, { square: true });
+
+      assert.strictEqual(await getSize(output), '40x40');
+      assert.deepEqual(await getPixel(output, 20, 5), transparent);
+      assert.deepEqual(await getPixel(output, 5, 20), red);
+    });
+
+    it('should use size of input when no size is specified', async() => {
+      assert.strictEqual(await getSize(await fitImage(input, null, { padding: 2 })), '40x20');
+    });
+
+    it('should apply scale to size', async() => {
+      assert.strictEqual(await getSize(await fitImage(input, new Size(20, 20), { scale: 1.5 })), '30x30');
+    });
+
+    it('should throw an error when square and size is not square', async() => {
+      await assert.rejects(fitImage(input, new Size(40, 20), { square: true }), {
+        message: '"sizes" option can only contain square sizes: 40x20'
+      });
+    });
+
+    it('should throw an error when fit is invalid', async() => {
+      await assert.rejects(fitImage(input, new Size(20, 20), { fit: 'inside' }), {
+        message: '"fit" option must be one of contain, cover, fill: inside'
+      });
+    });
+
+    it('should throw an error when padding is invalid', async() => {
+      await assert.rejects(fitImage(input, new Size(20, 20), { padding: -1 }), {
+        message: '"padding" option must be a positive number or percentage: -1'
+      });
+      await assert.rejects(fitImage(input, new Size(20, 20), { padding: '10px' }), {
+        message: '"padding" option must be a positive number or percentage: 10px'
+      });
+    });
+
+    it('should throw an error when padding is at least half of size', async() => {
+      await assert.rejects(fitImage(input, new Size(40, 20), { padding: 10 }), {
+        message: '"padding" option must be less than half of the size (40x20): 10'
+      });
+      await assert.rejects(fitImage(input, new Size(20, 20), { padding: '50%' }), {
+        message: '"padding" option must be less than half of the size (20x20): 50%'
+      });
+      await assert.doesNotReject(fitImage(input, new Size(20, 20), { padding: 9 }));
+    });
+  });
+
+  describe('getFitRenderSize', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 40 20" width="40" height="20"></svg>';
+
+    it('should return dimensions at which SVG fills fitted size less padding', async() => {
+      assert.deepEqual(await getFitRenderSize(svg, new Size(20, 20), { padding: 2 }), { height: 8, width: 16 });
+      assert.deepEqual(await getFitRenderSize(svg, new Size(20, 20), { fit: 'cover' }), { height: 20, width: 40 });
+    });
+
+    it('should return null when size is null or dimensions of SVG cannot be determined', async() => {
+      assert.strictEqual(await getFitRenderSize(svg, null), null);
+      assert.strictEqual(await getFitRenderSize('<svg', new Size(20, 20)), null);
+    });
+
+    it('should throw an error when padding is at least half of size', async() => {
+      await assert.rejects(getFitRenderSize(svg, new Size(20, 20), { padding: '60%' }), {
+        message: '"padding" option must be less than half of the size (20x20): 60%'
+      });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+import sharp from 'sharp';
+
+import { createIcns, getIcnsIcons } from '../../../src/render/icns.mjs';
+import { Size } from '../../../src/size.mjs';
+
+describe('icns', () => {
+  const createPng = (size) => sharp({ create: { background: '#f00', channels: 4, height: size, width: size } })
+    .png()
+    .toBuffer();
+
+  const readChunks = (icns) => {
+    const chunks = [];
+
+    for (let offset = 8; offset < icns.length;) {
+      const length = icns.readUInt32BE(offset + 4);
+
+      chunks.push({
+        data: icns.subarray(offset + 8, offset + length),
+        type: icns.toString('ascii', offset, offset + 4)
+      });
+
+      offset += length;
+    }
+
+    return chunks;
+  };
+
+  describe('createIcns', () => {
+    it('should pack PNG images as chunks of their icon type', async() => {
+      const images = [
+        { data: await createPng(16), type: 'icp4' },
+        { data: await createPng(32), type: 'icp5' },
+        { data: await createPng(128), type: 'ic07' }
+      ];
+
+      const icns = createIcns(images);
+
+      assert.strictEqual(icns.toString('ascii', 0, 4), 'icns');
+      assert.strictEqual(icns.readUInt32BE(4), icns.length);
+      assert.strictEqual(icns.length, images.reduce((total, { data }) => total + data.length + 8, 8));
+      assert.deepEqual(readChunks(icns), images);
+      assert.deepEqual(Size.fromImage(icns).map((size) => size.toString()), [ '16x16', '32x32', '128x128' ]);
+    });
+
+    it('should create ICNS file with header only when no images are specified', () => {
+      assert.deepEqual(createIcns([]), Buffer.from([ 0x69, 0x63, 0x6e, 0x73, 0, 0, 0, 8 ]));
+    });
+
+    it('should throw an error when icon type is unknown', async() => {
+      const data = await createPng(16);
+
+      assert.throws(() => createIcns([ { data, type: 'is32' } ]), { message: 'Unknown ICNS icon type: is32' });
+    });
+
+    it('should throw an error when image does not contain PNG data', async() => {
+      const data = await sharp(await createPng(16)).jpeg().toBuffer();
+
+      assert.throws(() => createIcns([ { data, type: 'icp4' } ]), {
+        message: 'ICNS icon can only contain PNG data: icp4'
+      });
+    });
+  });
+
+  describe('getIcnsIcons', () => {
+    it('should return standard icons from 16x16 up to 512x512@2x', () => {
+      const icons = getIcnsIcons();
+
+      assert.deepEqual(icons.map(({ name, size, type }) => `${name}:${size}:${type}`), [
+        '16x16:16:icp4',
+        '16x16@2x:32:ic11',
+        '32x32:32:icp5',
+        '32x32@2x:64:ic12',
+        '128x128:128:ic07',
+        '128x128@2x:256:ic13',
+        '256x256:256:ic08',
+        '256x256@2x:512:ic14',
+        '512x512:512:ic09',
+        '512x512@2x:1024:ic10'
+      ]);
+
+      icons[0].size = 0;
+
+      assert.strictEqual(getIcnsIcons()[0].size, 16);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+import sharp from 'sharp';
+
+import { SharpSvgRenderer } from '../../../src/render/sharp-svg-renderer.mjs';
+
+describe('SharpSvgRenderer', () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 10" width="20" height="10">' +
+    '<rect width="20" height="10" fill="#f00"/></svg>';
+
+  const getPixel = async(output, x, y) => {
+    const { data, info } = await sharp(output).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const offset = (y * info.width + x) * info.channels;
+
+    return Array.from(data.subarray(offset, offset + 4));
+  };
+
+  const getMetadata = async(output) => {
+    const { format, height, width } = await sharp(output).metadata();
+
+    return { format, height, width };
+  };
+
+  let renderer;
+
+  beforeEach(() => {
+    renderer = new SharpSvgRenderer();
+  });
+
+  describe('#render', () => {
+    it('should render PNG using intrinsic size of SVG when no dimensions are specified', async() => {
+      const output = await renderer.render(svg, { format: 'png' });
+
+      assert.deepEqual(await getMetadata(output), { format: 'png', height: 10, width: 20 });
+      assert.deepEqual(await getPixel(output, 10, 5), [ 255, 0, 0, 255 ]);
+    });
+
+    it('should derive missing dimension from aspect ratio of SVG', async() => {
+      assert.deepEqual(await getMetadata(await renderer.render(svg, { format: 'png', width: 64 })),
+        { format: 'png', height: 32, width: 64 });
+      assert.deepEqual(await getMetadata(await renderer.render(Buffer.from(svg), { format: 'png', height: 64 })),
+        { format: 'png', height: 64, width: 128 });
+    });
+
+    it('should apply scale to dimensions', async() => {
+      const output = await renderer.render(svg, { format: 'png', scale: 2.5, width: 16 });
+
+      assert.deepEqual(await getMetadata(output), { format: 'png', height: 20, width: 40 });
+    });
+
+    it('should centre SVG within image that does not match its aspect ratio', async() => {
+      const output = await renderer.render(svg, { format: 'png', height: 32, width: 32 });
+
+      assert.deepEqual(await getMetadata(output), { format: 'png', height: 32, width: 32 });
+      assert.deepEqual(await getPixel(output, 16, 2), [ 0, 0, 0, 0 ]);
+      assert.deepEqual(await getPixel(output, 16, 16), [ 255, 0, 0, 255 ]);
+      assert.deepEqual(await getPixel(output, 16, 29), [ 0, 0, 0, 0 ]);
+    });
+
+    it('should fill transparent regions with background', async() => {
+      const png = await renderer.render(svg, { background: '#00f', format: 'png', height: 32, width: 32 });
+      const webp = await renderer.render(svg, { background: '#00f', format: 'webp', height: 32, width: 32 });
+
+      assert.deepEqual(await getPixel(png, 16, 2), [ 0, 0, 255, 255 ]);
+      assert.deepEqual((await getPixel(webp, 16, 2)).slice(3), [ 255 ]);
+    });
+
+    it('should fill transparent regions within SVG with background', async() => {
+      const halfSvg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10">' +
+        '<rect width="5" height="10" fill="#f00"/></svg>';
+      const output = await renderer.render(halfSvg, { background: '#00f', format: 'png', height: 10, width: 10 });
+
+      assert.deepEqual(await getPixel(output, 2, 5), [ 255, 0, 0, 255 ]);
+      assert.deepEqual(await getPixel(output, 7, 5), [ 0, 0, 255, 255 ]);
+    });
+
+    it('should render JPEG with white background by default', async() => {
+      const output = await renderer.render(svg, { format: 'jpeg', height: 32, quality: 50, width: 32 });
+      const [ r, g, b ] = await getPixel(output, 16, 2);
+
+      assert.deepEqual(await getMetadata(output), { format: 'jpeg', height: 32, width: 32 });
+      assert.ok(r > 250 && g > 250 && b > 250);
+    });
+
+    it('should render WEBP using lossy compression', async() => {
+      const output = await renderer.render(svg, { format: 'webp', height: 32, width: 32 });
+
+      assert.deepEqual(await getMetadata(output), { format: 'webp', height: 32, width: 32 });
+      assert.ok(output.includes('VP8 '));
+      assert.ok(!output.includes('VP8L'));
+    });
+
+    it('should reject unsupported format', async() => {
+      await assert.rejects(renderer.render(svg, { format: 'gif' }), { message: 'Unsupported render format: gif' });
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+
+import { Size } from '../../src/size.mjs';
+
+describe('Size', () => {
+  describe('.fromImage', () => {
+    it('should return size of image', () => {
+      const png = Buffer.from('89504e470d0a1a0a0000000d4948445200000020000000100806000000', 'hex');
+
+      assert.deepEqual(Size.fromImage(png).map(String), [ '32x16' ]);
+    });
+
+    it('should return sizes of each image within ICO', () => {
+      const ico = Buffer.alloc(38);
+      ico.writeUInt16LE(1, 2);
+      ico.writeUInt16LE(2, 4);
+      ico.writeUInt8(16, 6);
+      ico.writeUInt8(16, 7);
+      ico.writeUInt8(32, 22);
+      ico.writeUInt8(32, 23);
+
+      assert.deepEqual(Size.fromImage(ico).map(String), [ '16x16', '32x32' ]);
+    });
+  });
+
+  describe('.parse', () => {
+    it('should parse number as square size', () => {
+      const size = Size.parse(32);
+
+      assert.strictEqual(size.width, 32);
+      assert.strictEqual(size.height, 32);
+    });
+
+    it('should parse string containing width and optional height', () => {
+      assert.strictEqual(Size.parse('32').toString(), '32x32');
+      assert.strictEqual(Size.parse(' 32 X 16 ').toString(), '32x16');
+    });
+
+    it('should throw an error when number is invalid', () => {
+      assert.throws(() => Size.parse(-1), {
+        message: '"sizes" configuration must contain only valid positive numbers: -1'
+      });
+      assert.throws(() => Size.parse(NaN), {
+        message: '"sizes" configuration must contain only valid positive numbers: NaN'
+      });
+    });
+
+    it('should throw an error when string is invalid', () => {
+      assert.throws(() => Size.parse('32x'), {
+        message: '"sizes" configuration must contain width and optionally height: 32x'
+      });
+    });
+
+    it('should throw an error when value is neither a number nor a string', () => {
+      assert.throws(() => Size.parse(true), {
+        message: '"sizes" configuration can only contain numbers and strings: true (boolean)'
+      });
+    });
+  });
+
+  describe('.stringify', () => {
+    it('should return string representation of size', () => {
+      assert.strictEqual(Size.stringify(new Size(32, 16)), '32x16');
+    });
+
+    it('should return null when size is null', () => {
+      assert.strictEqual(Size.stringify(null), null);
+    });
+  });
+});
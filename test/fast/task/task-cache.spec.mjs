@@ -0,0 +1,186 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+import { cp, mkdtemp, stat, utimes, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { rimraf } from 'rimraf';
+
+import { File } from '../../../src/file.mjs';
+import { Size } from '../../../src/size.mjs';
+import { TaskCache } from '../../../src/task/task-cache.mjs';
+
+describe('TaskCache', () => {
+  class FooTask {
+    getType() {
+      return { name: 'foo' };
+    }
+  }
+
+  class BarTask extends FooTask {}
+
+  let baseDir;
+  let config;
+  let inputFile;
+  let outputFile;
+
+  beforeEach(async() => {
+    baseDir = await mkdtemp(path.join(tmpdir(), 'brander-task-cache-'));
+    config = {
+      option: (name, defaultValue) => defaultValue,
+      relative: (filePath) => path.relative(baseDir, filePath),
+      resolve: (...filePaths) => path.resolve(baseDir, ...filePaths)
+    };
+    inputFile = new File(baseDir, 'input.svg', 'svg', config, true);
+    outputFile = new File(baseDir, 'output.png', 'png', config, true);
+
+    await writeFile(inputFile.absolute, 'input');
+    await writeFile(outputFile.absolute, 'output');
+  });
+
+  afterEach(async() => {
+    await rimraf(baseDir);
+  });
+
+  const createOperation = (options = { size: new Size(32, 32) }) => ({
+    inputFiles: [ inputFile ],
+    options,
+    outputFile
+  });
+
+  describe('#isUpToDate', () => {
+    it('should return false when no record exists for output file', async() => {
+      const cache = new TaskCache(config);
+
+      assert.strictEqual(await cache.isUpToDate(new FooTask(), createOperation()), false);
+    });
+
+    it('should return true when nothing has changed since output file was recorded', async() => {
+      const cache = new TaskCache(config);
+      const task = new FooTask();
+
+      await cache.update(task, createOperation());
+
+      assert.strictEqual(await cache.isUpToDate(task, createOperation()), true);
+    });
+
+    it('should return false when contents of input file have changed', async() => {
+      const cache = new TaskCache(config);
+      const task = new FooTask();
+
+      await cache.update(task, createOperation());
+      await writeFile(inputFile.absolute, 'changed input');
+
+      assert.strictEqual(await cache.isUpToDate(task, createOperation()), false);
+    });
+
+    it('should return false when options have changed', async() => {
+      const cache = new TaskCache(config);
+      const task = new FooTask();
+
+      await cache.update(task, createOperation({ size: new Size(32, 32) }));
+
+      assert.strictEqual(await cache.isUpToDate(task, createOperation({ size: new Size(64, 64) })), false);
+    });
+
+    it('should return false when output file was recorded for a different task class', async() => {
+      const cache = new TaskCache(config);
+
+      await cache.update(new FooTask(), createOperation());
+
+      assert.strictEqual(await cache.isUpToDate(new BarTask(), createOperation()), false);
+    });
+
+    it('should return false when contents of output file have changed', async() => {
+      const cache = new TaskCache(config);
+      const task = new FooTask();
+
+      await cache.update(task, createOperation());
+      await writeFile(outputFile.absolute, 'changed output');
+
+      assert.strictEqual(await cache.isUpToDate(task, createOperation()), false);
+    });
+
+    it('should return true when base directory has moved and options contain absolute paths', async() => {
+      const task = new FooTask();
+      const cache = new TaskCache(config);
+
+      await cache.update(task, createOperation({ baseFile: path.join(baseDir, 'base.svg') }));
+      await cache.save();
+
+      const movedDir = `${baseDir}-moved`;
+      await cp(baseDir, movedDir, { recursive: true });
+
+      try {
+        const movedConfig = Object.assign({}, config, {
+          relative: (filePath) => path.relative(movedDir, filePath),
+          resolve: (...filePaths) => path.resolve(movedDir, ...filePaths)
+        });
+        const movedCache = new TaskCache(movedConfig);
+        await movedCache.load();
+
+        assert.strictEqual(await movedCache.isUpToDate(task, {
+          inputFiles: [ new File(movedDir, 'input.svg', 'svg', movedConfig, true) ],
+          options: { baseFile: path.join(movedDir, 'base.svg') },
+          outputFile: new File(movedDir, 'output.png', 'png', movedConfig, true)
+        }), true);
+      } finally {
+        await rimraf(movedDir);
+      }
+    });
+  });
+
+  describe('#update', () => {
+    it('should hash output file again even when its modification time and size are unchanged', async() => {
+      const task = new FooTask();
+      const cache = new TaskCache(config);
+      const { atime, mtime } = await stat(outputFile.absolute);
+
+      await cache.update(task, createOperation());
+      await writeFile(outputFile.absolute, 'OUTPUT');
+      await utimes(outputFile.absolute, atime, mtime);
+      await cache.update(task, createOperation());
+      await cache.save();
+
+      const otherCache = new TaskCache(config);
+      await otherCache.load();
+
+      assert.strictEqual(await otherCache.isUpToDate(task, createOperation()), true);
+    });
+  });
+
+  describe('#save', () => {
+    it('should persist records so that they can be loaded by another instance', async() => {
+      const task = new FooTask();
+      const cache = new TaskCache(config);
+
+      await cache.update(task, createOperation());
+      await cache.save();
+
+      const otherCache = new TaskCache(config);
+      await otherCache.load();
+
+      assert.strictEqual(await otherCache.isUpToDate(task, createOperation()), true);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+
+import { TaskType } from '../../../src/task/task-type.mjs';
+
+describe('TaskType', () => {
+  describe('.register', () => {
+    it('should register type with options', () => {
+      const schema = { properties: { options: { required: [ 'foo' ] } } };
+      const type = TaskType.register(' Register-Options ', { outputRequired: true, schema });
+
+      assert.strictEqual(type.name, 'register-options');
+      assert.strictEqual(type.outputRequired, true);
+      assert.deepEqual(type.schema, schema);
+      assert.strictEqual(type.toString(), 'register-options');
+      assert.strictEqual(TaskType.valueOf('REGISTER-OPTIONS'), type);
+      assert.ok(Array.from(TaskType).includes(type));
+    });
+
+    it('should register type without options', () => {
+      const type = TaskType.register('register-defaults');
+
+      assert.strictEqual(type.outputRequired, false);
+      assert.strictEqual(type.schema, null);
+    });
+
+    it('should return existing type when registered again with equal options', () => {
+      const type = TaskType.register('register-again', { outputRequired: true, schema: { required: [ 'output' ] } });
+
+      assert.strictEqual(TaskType.register('register-again', {
+        outputRequired: true,
+        schema: { required: [ 'output' ] }
+      }), type);
+      assert.strictEqual(TaskType.register('register-defaults'), TaskType.valueOf('register-defaults'));
+    });
+
+    it('should throw an error when registered again with different "outputRequired" option', () => {
+      TaskType.register('register-output');
+
+      assert.throws(() => TaskType.register('register-output', { outputRequired: true }), {
+        message: 'TaskType already registered with different options for name: "register-output"'
+      });
+    });
+
+    it('should throw an error when registered again with different "schema" option', () => {
+      TaskType.register('register-schema', { schema: { required: [ 'output' ] } });
+
+      assert.throws(() => TaskType.register('register-schema', { schema: { required: [ 'options' ] } }), {
+        message: 'TaskType already registered with different options for name: "register-schema"'
+      });
+      assert.throws(() => TaskType.register('register-schema'), {
+        message: 'TaskType already registered with different options for name: "register-schema"'
+      });
+    });
+
+    it('should throw an error when name matches built-in type', () => {
+      assert.throws(() => TaskType.register('Convert'), { message: 'TaskType already exists for name: "convert"' });
+    });
+
+    it('should throw an error when name is invalid', () => {
+      assert.throws(() => TaskType.register('1foo'), { message: 'Invalid TaskType name: "1foo"' });
+      assert.throws(() => TaskType.register('foo bar'), { message: 'Invalid TaskType name: "foo bar"' });
+    });
+  });
+
+  describe('.valueOf', () => {
+    it('should return built-in type matching name', () => {
+      assert.strictEqual(TaskType.valueOf(' app-icon '), TaskType.APP_ICON);
+      assert.strictEqual(TaskType.valueOf('clean'), TaskType.CLEAN);
+      assert.strictEqual(TaskType.valueOf('CONVERT'), TaskType.CONVERT);
+      assert.strictEqual(TaskType.valueOf('favicon'), TaskType.FAVICON);
+      assert.strictEqual(TaskType.valueOf('optimize'), TaskType.OPTIMIZE);
+      assert.strictEqual(TaskType.valueOf('package'), TaskType.PACKAGE);
+    });
+
+    it('should throw an error when no type matches name', () => {
+      assert.throws(() => TaskType.valueOf('unknown'), { message: 'No TaskType found for name: "unknown"' });
+    });
+  });
+
+  describe('#constructor', () => {
+    it('should throw an error when called directly', () => {
+      assert.throws(() => new TaskType(Symbol('privateKey'), 'foo'), { message: 'TaskType constructor is private' });
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+import { mkdir, mkdtemp, readFile, readdir, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { rimraf } from 'rimraf';
+import sharp from 'sharp';
+
+import { Brander } from '../../src/brander.mjs';
+import { ConfigLoader } from '../../src/config/config-loader.mjs';
+
+describe('app-icon tasks', () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 10">' +
+    '<rect width="20" height="10" fill="#f00"/></svg>';
+
+  let baseDir;
+
+  const generate = async(options) => {
+    await writeFile(path.join(baseDir, 'brander.json'), JSON.stringify({
+      name: 'foo',
+      options: { renderer: 'sharp' },
+      tasks: [ { task: 'app-icon', input: { files: 'logo.svg' }, output: { dir: options.platform }, options } ]
+    }));
+
+    const config = await new ConfigLoader({ baseDir }).load('brander.json');
+
+    return new Brander(config).generate({ skipDocs: true });
+  };
+  const getOutputPath = (...paths) => path.join(baseDir, 'assets', ...paths);
+  const getPixel = async(filePath, x, y) => {
+    const { data, info } = await sharp(filePath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const offset = (y * info.width + x) * info.channels;
+
+    return Array.from(data.subarray(offset, offset + 4));
+  };
+
+  beforeEach(async() => {
+    baseDir = await mkdtemp(path.join(tmpdir(), 'brander-app-icon-'));
+
+    await mkdir(path.join(baseDir, 'assets'));
+    await writeFile(path.join(baseDir, 'assets', 'logo.svg'), svg);
+  });
+
+  afterEach(async() => {
+    await rimraf(baseDir);
+  });
+
+  describe('AppIconSvgToIosTask', () => {
+    it('should generate app icon set with contents describing every icon', async() => {
+      await generate({ backgroundColor: '#00f', name: 'Brand', platform: 'ios' });
+
+      const iconSetDir = getOutputPath('ios', 'Brand.appiconset');
+      const contents = JSON.parse(await readFile(path.join(iconSetDir, 'Contents.json'), 'utf8'));
+
+      assert.deepEqual(contents.info, { author: 'xcode', version: 1 });
+      assert.strictEqual(contents.images.length, 18);
+      assert.deepEqual(contents.images[0], {
+        filename: 'Icon-App-20x20@2x.png',
+        idiom: 'iphone',
+        scale: '2x',
+        size: '20x20'
+      });
+      assert.deepEqual(contents.images.map(({ idiom }) => idiom).filter((idiom, index, idioms) => {
+        return idioms.indexOf(idiom) === index;
+      }), [ 'iphone', 'ipad', 'ios-marketing' ]);
+
+      const fileNames = [ ...new Set(contents.images.map(({ filename }) => filename)) ];
+
+      assert.deepEqual((await readdir(iconSetDir)).sort(), fileNames.concat('Contents.json').sort());
+
+      for (const { filename, scale, size } of contents.images) {
+        const length = Math.round(parseFloat(size) * parseFloat(scale));
+        const metadata = await sharp(path.join(iconSetDir, filename)).metadata();
+
+        assert.deepEqual([ metadata.width, metadata.height, metadata.hasAlpha ], [ length, length, false ], filename);
+      }
+
+      assert.deepEqual(await getPixel(path.join(iconSetDir, 'Icon-App-83.5x83.5@2x.png'), 0, 0), [ 0, 0, 255, 255 ]);
+      assert.deepEqual(await getPixel(path.join(iconSetDir, 'Icon-App-83.5x83.5@2x.png'), 83, 83), [ 255, 0, 0, 255 ]);
+    });
+  });
+
+  describe('AppIconSvgToAndroidTask', () => {
+    const densities = { mdpi: 1, hdpi: 1.5, xhdpi: 2, xxhdpi: 3, xxxhdpi: 4 };
+
+    it('should generate launcher icons for every density along with adaptive icons', async() => {
+      await generate({ backgroundColor: '#00f', platform: 'android' });
+
+      assert.deepEqual((await readdir(getOutputPath('android'))).sort(), [
+        'mipmap-anydpi-v26',
+        'mipmap-hdpi',
+        'mipmap-mdpi',
+        'mipmap-xhdpi',
+        'mipmap-xxhdpi',
+        'mipmap-xxxhdpi'
+      ]);
+
+      for (const [ density, scale ] of Object.entries(densities)) {
+        const dirPath = getOutputPath('android', `mipmap-${density}`);
+        const readSize = async(fileName) => {
+          const { height, width } = await sharp(path.join(dirPath, fileName)).metadata();
+
+          return `${width}x${height}`;
+        };
+        const iconLength = Math.round(48 * scale);
+        const layerLength = Math.round(108 * scale);
+
+        assert.deepEqual((await readdir(dirPath)).sort(), [
+          'ic_launcher.png',
+          'ic_launcher_background.png',
+          'ic_launcher_foreground.png',
+          'ic_launcher_round.png'
+        ]);
+        assert.strictEqual(await readSize('ic_launcher.png'), `${iconLength}x${iconLength}`);
+        assert.strictEqual(await readSize('ic_launcher_round.png'), `${iconLength}x${iconLength}`);
+        assert.strictEqual(await readSize('ic_launcher_background.png'), `${layerLength}x${layerLength}`);
+        assert.strictEqual(await readSize('ic_launcher_foreground.png'), `${layerLength}x${layerLength}`);
+      }
+
+      const dirPath = getOutputPath('android', 'mipmap-xxxhdpi');
+
+      assert.deepEqual(await getPixel(path.join(dirPath, 'ic_launcher.png'), 0, 0), [ 0, 0, 255, 255 ]);
+      assert.deepEqual((await getPixel(path.join(dirPath, 'ic_launcher_round.png'), 0, 0)).slice(3), [ 0 ]);
+      assert.deepEqual(await getPixel(path.join(dirPath, 'ic_launcher_round.png'), 96, 96), [ 255, 0, 0, 255 ]);
+      assert.deepEqual(await getPixel(path.join(dirPath, 'ic_launcher_background.png'), 0, 0), [ 0, 0, 255, 255 ]);
+      assert.deepEqual((await getPixel(path.join(dirPath, 'ic_launcher_foreground.png'), 71, 216)).slice(3), [ 0 ]);
+      assert.deepEqual(await getPixel(path.join(dirPath, 'ic_launcher_foreground.png'), 216, 216), [ 255, 0, 0, 255 ]);
+    });
+
+    it('should generate adaptive icons referencing layers using name', async() => {
+      await generate({ name: 'ic_brand', platform: 'android' });
+
+      const dirPath = getOutputPath('android', 'mipmap-anydpi-v26');
+      const expected = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<adaptive-icon xmlns:android="http://schemas.android.com/apk/res/android">',
+        '  <background android:drawable="@mipmap/ic_brand_background"/>',
+        '  <foreground android:drawable="@mipmap/ic_brand_foreground"/>',
+        '</adaptive-icon>',
+        ''
+      ].join('\n');
+
+      assert.deepEqual((await readdir(dirPath)).sort(), [ 'ic_brand.xml', 'ic_brand_round.xml' ]);
+      assert.strictEqual(await readFile(path.join(dirPath, 'ic_brand.xml'), 'utf8'), expected);
+      assert.strictEqual(await readFile(path.join(dirPath, 'ic_brand_round.xml'), 'utf8'), expected);
+      assert.ok((await readdir(getOutputPath('android', 'mipmap-mdpi'))).includes('ic_brand_foreground.png'));
+    });
+  });
+});
@@ -0,0 +1,261 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+import { mkdir, mkdtemp, readFile, readdir, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { Writable } from 'node:stream';
+import { rimraf } from 'rimraf';
+import sharp from 'sharp';
+import sinon from 'sinon';
+
+import { Brander } from '../../src/brander.mjs';
+import { ConfigLoader } from '../../src/config/config-loader.mjs';
+import { Logger } from '../../src/logger.mjs';
+import { PuppeteerSvgRenderer } from '../../src/render/puppeteer-svg-renderer.mjs';
+import { SharpSvgRenderer } from '../../src/render/sharp-svg-renderer.mjs';
+import { Size } from '../../src/size.mjs';
+
+describe('Brander', () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><rect width="10" height="10"/></svg>';
+
+  let baseDir;
+  let output;
+
+  const createBrander = async(data) => {
+    await writeFile(path.join(baseDir, 'brander.json'), JSON.stringify(Object.assign({ name: 'foo' }, data)));
+
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        output += chunk.toString();
+        callback();
+      }
+    });
+    const configLoader = new ConfigLoader({
+      baseDir,
+      logger: new Logger({ errorStream: stream, outputStream: stream })
+    });
+
+    return new Brander(await configLoader.load('brander.json'));
+  };
+
+  beforeEach(async() => {
+    baseDir = await mkdtemp(path.join(tmpdir(), 'brander-'));
+    output = '';
+
+    await mkdir(path.join(baseDir, 'assets'));
+    await writeFile(path.join(baseDir, 'assets', 'logo.svg'), svg);
+  });
+
+  afterEach(async() => {
+    sinon.restore();
+
+    await rimraf(baseDir);
+  });
+
+  describe('#generate', () => {
+    const readSizes = async(...paths) => Size.fromImage(await readFile(path.join(baseDir, 'assets', ...paths)))
+      .map((size) => size.toString());
+
+    beforeEach(() => {
+      sinon.spy(PuppeteerSvgRenderer.prototype, 'render');
+      sinon.spy(SharpSvgRenderer.prototype, 'render');
+    });
+
+    it('should resolve with manifest of output files, including those already up to date', async() => {
+      await writeFile(path.join(baseDir, 'assets', 'foo.tmp'), 'foo');
+
+      const brander = await createBrander({
+        options: { manifest: 'manifest.json', renderer: 'sharp' },
+        tasks: [
+          { task: 'clean', input: { files: '*.tmp' } },
+          { task: 'convert', input: { files: '*.svg' }, output: { format: 'png' }, options: { sizes: [ 16, 32 ] } },
+          { task: 'package', input: { files: '*.png' }, output: { files: 'logo.zip', format: 'zip' } }
+        ]
+      });
+      const readBytes = async(fileName) => (await readFile(path.join(baseDir, 'assets', fileName))).length;
+      // Input files are not guaranteed to be found in any particular order
+      const sortInputs = (manifest) => ({
+        files: manifest.files.map((file) => Object.assign({}, file, { inputs: file.inputs.slice().sort() }))
+      });
+
+      const manifest = await brander.generate({ skipDocs: true });
+
+      assert.deepEqual(sortInputs(manifest), {
+        files: [
+          {
+            bytes: await readBytes('logo-16x16.png'),
+            dimensions: [ { height: 16, width: 16 } ],
+            filePath: path.join('assets', 'logo-16x16.png'),
+            format: 'png',
+            inputs: [ path.join('assets', 'logo.svg') ]
+          },
+          {
+            bytes: await readBytes('logo-32x32.png'),
+            dimensions: [ { height: 32, width: 32 } ],
+            filePath: path.join('assets', 'logo-32x32.png'),
+            format: 'png',
+            inputs: [ path.join('assets', 'logo.svg') ]
+          },
+          {
+            bytes: await readBytes('logo.zip'),
+            dimensions: [],
+            filePath: path.join('assets', 'logo.zip'),
+            format: 'zip',
+            inputs: [ path.join('assets', 'logo-16x16.png'), path.join('assets', 'logo-32x32.png') ]
+          }
+        ]
+      });
+      assert.deepEqual(JSON.parse(await readFile(path.join(baseDir, 'manifest.json'), 'utf8')), manifest);
+
+      output = '';
+
+      assert.deepEqual(sortInputs(await brander.generate({ skipDocs: true })), sortInputs(manifest));
+      assert.ok(output.includes('Skipped convert task as output is up to date'));
+    });
+
+    it('should not write manifest when tasks are filtered', async() => {
+      const brander = await createBrander({
+        options: { manifest: 'manifest.json', renderer: 'sharp' },
+        tasks: [
+          { task: 'convert', input: { files: '*.svg' }, output: { format: 'png' }, options: { sizes: [ 16 ] } },
+          { task: 'convert', input: { files: '*.svg' }, output: { format: 'jpeg' } }
+        ]
+      });
+
+      const manifest = await brander.generate({ skipDocs: true, taskFilter: (data, index) => index === 1 });
+
+      assert.deepEqual(manifest.files.map((file) => file.filePath), [ path.join('assets', 'logo.jpeg') ]);
+      await assert.rejects(readFile(path.join(baseDir, 'manifest.json')), { code: 'ENOENT' });
+    });
+
+    it('should render SVG using renderer specified within options', async() => {
+      const brander = await createBrander({
+        options: { renderer: 'sharp' },
+        tasks: [
+          {
+            task: 'convert',
+            input: { files: '*.svg' },
+            output: { format: 'png' },
+            options: { background: '#00f', sizes: [ 16, 32 ] }
+          },
+          { task: 'convert', input: { files: '*.svg' }, output: { format: 'jpeg' }, options: { scale: 2 } },
+          { task: 'convert', input: { files: '*.svg' }, output: { format: 'webp' }, options: { sizes: [ 24 ] } },
+          { task: 'convert', input: { files: '*.svg' }, output: { format: 'ico' }, options: { sizes: [ 32 ] } }
+        ]
+      });
+
+      await brander.generate({ cache: false, skipDocs: true });
+
+      assert.deepEqual(await readSizes('logo-16x16.png'), [ '16x16' ]);
+      assert.deepEqual(await readSizes('logo-32x32.png'), [ '32x32' ]);
+      assert.strictEqual((await sharp(path.join(baseDir, 'assets', 'logo-16x16.png')).stats()).isOpaque, true);
+      assert.deepEqual(await readSizes('logo.jpeg'), [ '20x20' ]);
+      assert.deepEqual(await readSizes('logo-24x24.webp'), [ '24x24' ]);
+      assert.deepEqual(await readSizes('logo-32x32.ico'), [ '32x32' ]);
+      assert.ok(SharpSvgRenderer.prototype.render.called);
+      assert.ok(PuppeteerSvgRenderer.prototype.render.notCalled);
+    });
+
+    it('should render SVG using renderer specified by task, overriding options', async() => {
+      const brander = await createBrander({
+        options: { renderer: 'puppeteer' },
+        tasks: [
+          {
+            task: 'convert',
+            input: { files: '*.svg' },
+            output: { format: 'png' },
+            options: { renderer: 'sharp', sizes: [ 16 ] }
+          }
+        ]
+      });
+
+      await brander.generate({ cache: false, skipDocs: true });
+
+      assert.deepEqual(await readSizes('logo-16x16.png'), [ '16x16' ]);
+      assert.strictEqual(SharpSvgRenderer.prototype.render.callCount, 1);
+      assert.ok(PuppeteerSvgRenderer.prototype.render.notCalled);
+    });
+  });
+
+  describe('#plan', () => {
+    const data = {
+      docs: [ { type: 'root', doc: 'README.md' } ],
+      tasks: [
+        { task: 'convert', input: { files: '*.svg' }, output: { format: 'png' }, options: { sizes: [ 16, 32 ] } },
+        { task: 'package', input: { files: '*.png' }, output: { files: 'logo.zip', format: 'zip' } }
+      ]
+    };
+
+    it('should plan operations of all tasks, treating planned output files as existing, and all documents', async() => {
+      const brander = await createBrander(data);
+
+      const plan = await brander.plan();
+
+      assert.deepEqual(plan.tasks.map(({ context, operations, task }) => ({
+        operations: operations.map(({ inputFiles, outputFile }) => ({
+          inputs: inputFiles.map((inputFile) => inputFile.relative),
+          output: outputFile.relative
+        })),
+        task: task.constructor.name,
+        type: context.type.name
+      })), [
+        {
+          operations: [
+            { inputs: [ 'assets/logo.svg' ], output: 'assets/logo-16x16.png' },
+            { inputs: [ 'assets/logo.svg' ], output: 'assets/logo-32x32.png' }
+          ],
+          task: 'ConvertSvgToPngTask',
+          type: 'convert'
+        },
+        {
+          operations: [ { inputs: [ 'assets/logo-16x16.png', 'assets/logo-32x32.png' ], output: 'assets/logo.zip' } ],
+          task: 'PackageAnyToZipTask',
+          type: 'package'
+        }
+      ]);
+      assert.deepEqual(plan.docs.map((context) => context.file.relative), [ 'docs/README.md' ]);
+    });
+
+    it('should log plan without writing any files', async() => {
+      const brander = await createBrander(data);
+
+      await brander.plan();
+
+      assert.ok(output.includes('convert task (ConvertSvgToPngTask):'));
+      assert.ok(output.includes('assets/logo.svg -> assets/logo-32x32.png'));
+      assert.ok(output.includes('assets/logo-16x16.png, assets/logo-32x32.png -> assets/logo.zip'));
+      assert.ok(output.includes('root document file: docs/README.md'));
+      assert.ok(output.includes('No files were written.'));
+      assert.deepEqual((await readdir(baseDir)).sort(), [ 'assets', 'brander.json' ]);
+      assert.deepEqual(await readdir(path.join(baseDir, 'assets')), [ 'logo.svg' ]);
+    });
+
+    it('should skip planning of assets and documentation when requested', async() => {
+      const brander = await createBrander(data);
+
+      assert.deepEqual((await brander.plan({ skipDocs: true })).docs, []);
+      assert.deepEqual((await brander.plan({ skipAssets: true })).tasks, []);
+    });
+  });
+});
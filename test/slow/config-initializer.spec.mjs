@@ -0,0 +1,187 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+import { execFile } from 'node:child_process';
+import { mkdir, mkdtemp, readFile, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { rimraf } from 'rimraf';
+import sharp from 'sharp';
+
+import { ConfigInitializer } from '../../src/config/config-initializer.mjs';
+import { ConfigLoader } from '../../src/config/config-loader.mjs';
+
+describe('ConfigInitializer', () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><rect width="10" height="10"/></svg>';
+  let baseDir;
+  let configInitializer;
+
+  const createICO = (sizes) => {
+    const contents = Buffer.alloc(6 + (sizes.length * 16));
+    contents.writeUInt16LE(1, 2);
+    contents.writeUInt16LE(sizes.length, 4);
+    sizes.forEach((size, index) => contents.writeUInt8(size % 256, 6 + (index * 16)));
+
+    return contents;
+  };
+
+  beforeEach(async() => {
+    baseDir = await mkdtemp(path.join(tmpdir(), 'brander-config-initializer-'));
+    configInitializer = new ConfigInitializer({ baseDir });
+
+    const logoDir = path.join(baseDir, 'assets', 'logo');
+    await mkdir(logoDir, { recursive: true });
+    await writeFile(path.join(baseDir, 'package.json'), JSON.stringify({ name: '@acme/brand-kit' }));
+    await writeFile(path.join(baseDir, 'assets', 'colors.css'), ':root { --primary: #f60; --text: rgb(0, 0, 0); }');
+    await writeFile(path.join(logoDir, 'logo.svg'), svg);
+    await writeFile(path.join(logoDir, 'logo.min.svg'), svg);
+    await writeFile(path.join(logoDir, 'logo.ico'), createICO([ 256, 16 ]));
+    await sharp(Buffer.from(svg)).resize(24, 24).png().toFile(path.join(logoDir, 'logo-24.png'));
+  });
+
+  afterEach(async() => {
+    await rimraf(baseDir);
+  });
+
+  describe('#scan', () => {
+    it('should create tasks and docs from existing assets', async() => {
+      const data = await configInitializer.scan();
+      const input = { dir: 'logo' };
+
+      assert.deepEqual(data, {
+        title: 'Brand Kit',
+        tasks: [
+          { id: 'optimize-logo', task: 'optimize', input: Object.assign({ files: '!(*.min).svg' }, input) },
+          {
+            id: 'convert-logo',
+            task: 'convert',
+            input: Object.assign({ files: '!(*.min).svg' }, input),
+            output: { format: 'png' },
+            options: { sizes: [ 24 ] }
+          },
+          {
+            id: 'package-logo-logo-ico',
+            task: 'package',
+            input: Object.assign({ files: 'logo.svg' }, input),
+            output: Object.assign({ files: 'logo.ico' }, input),
+            options: { sizes: [ 16, 256 ] }
+          },
+          {
+            id: 'package-logo-zip',
+            task: 'package',
+            input: Object.assign({ files: [ '*.ico', '*.png', '*.svg' ] }, input),
+            output: Object.assign({ files: 'logo.zip' }, input)
+          }
+        ],
+        docs: [
+          {
+            doc: 'README.md',
+            title: 'Brand Kit',
+            sections: [
+              { type: 'toc' },
+              {
+                type: 'asset-feature',
+                title: 'Logo',
+                dir: 'logo',
+                preview: '!(*.min).svg',
+                files: [ '*.ico', '*.png', [ '!(*.min).svg', '*.min.svg' ] ]
+              },
+              {
+                type: 'color-table',
+                title: 'Colors',
+                colors: [
+                  { name: 'Primary', format: 'hex', value: '#FF6600' },
+                  { name: 'Text', format: 'rgb', value: [ 0, 0, 0 ] }
+                ],
+                columns: [
+                  { header: 'Color', content: '<%= color.name %>' },
+                  { header: 'Hex', content: '<%= color.hex %>' },
+                  { header: 'RGB', content: '<%= color.rgb %>' },
+                  { header: 'CMYK', content: '<%= color.cmyk %>' }
+                ]
+              }
+            ]
+          }
+        ]
+      });
+    });
+  });
+
+  describe('#init', () => {
+    it('should write commented configuration file that can be loaded', async() => {
+      const filePath = await configInitializer.init();
+      const contents = await readFile(filePath, 'utf8');
+
+      assert.strictEqual(filePath, path.join(baseDir, '.branderrc'));
+      assert.strictEqual(contents.split('\n')[0],
+        '// Configuration generated by "brander init" from the assets found within the "assets" directory.');
+      assert.match(contents, /\n {4}\/\/ Converts the SVG logos within the "logo" directory into PNG files\n/);
+
+      const config = await new ConfigLoader({ baseDir }).load();
+
+      assert.strictEqual(config.filePath, filePath);
+      assert.deepEqual(config.tasks, (await configInitializer.scan()).tasks);
+    });
+
+    it('should throw an error when configuration file already exists unless forced', async() => {
+      const filePath = path.join(baseDir, 'brander.json');
+      await writeFile(filePath, '{}');
+
+      await assert.rejects(configInitializer.init('brander.json'), {
+        message: `Configuration file already exists: ${filePath}`
+      });
+      assert.strictEqual(await readFile(filePath, 'utf8'), '{}');
+
+      assert.strictEqual(await configInitializer.init('brander.json', { force: true }), filePath);
+      assert.notStrictEqual(await readFile(filePath, 'utf8'), '{}');
+    });
+
+    it('should throw an error when configuration file is not JSON', async() => {
+      await assert.rejects(configInitializer.init('.branderrc.yml'), {
+        message: `Only JSON configuration files can be initialized: ${path.join(baseDir, '.branderrc.yml')}`
+      });
+    });
+  });
+
+  describe('CLI', () => {
+    const binPath = fileURLToPath(new URL('../../bin/brander.mjs', import.meta.url));
+    const run = (...args) => promisify(execFile)(process.execPath, [ binPath, ...args ], { cwd: baseDir });
+
+    it('should only overwrite existing configuration file with "--force"', async() => {
+      const filePath = path.join(baseDir, '.branderrc');
+      await writeFile(filePath, '{}');
+
+      await assert.rejects(run('init'), (error) => {
+        assert.match(error.stderr, /Configuration file already exists: /);
+        return true;
+      });
+      assert.strictEqual(await readFile(filePath, 'utf8'), '{}');
+
+      await run('init', '--force');
+
+      assert.match(await readFile(filePath, 'utf8'), /"id": "convert-logo"/);
+    });
+  });
+});
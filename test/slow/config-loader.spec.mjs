@@ -0,0 +1,314 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { escapeRegExp } from 'lodash-es';
+import assert from 'node:assert';
+import { mkdir, mkdtemp, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { rimraf } from 'rimraf';
+
+import { ConfigLoader } from '../../src/config/config-loader.mjs';
+
+describe('ConfigLoader', () => {
+  let baseDir;
+  let configLoader;
+
+  beforeEach(async() => {
+    baseDir = await mkdtemp(path.join(tmpdir(), 'brander-config-loader-'));
+    configLoader = new ConfigLoader({ baseDir });
+  });
+
+  afterEach(async() => {
+    await rimraf(baseDir);
+  });
+
+  describe('#load', () => {
+    const writePackage = async(dirPath, data) => {
+      await writeFile(path.join(dirPath, 'package.json'), JSON.stringify(Object.assign({ name: 'foo' }, data)));
+    };
+
+    it('should prefer configuration file over package.json within base directory', async() => {
+      await writePackage(baseDir, { brander: { name: 'bar' } });
+      await writeFile(path.join(baseDir, '.branderrc.json'), JSON.stringify({ name: 'baz' }));
+
+      const config = await configLoader.load();
+
+      assert.strictEqual(config.filePath, path.join(baseDir, '.branderrc.json'));
+      assert.strictEqual(config.name, 'baz');
+    });
+
+    it('should load configuration from "brander" property of nearest package.json containing it', async() => {
+      const packageDir = path.join(baseDir, 'packages', 'foo');
+      await mkdir(packageDir, { recursive: true });
+      await writePackage(baseDir, { brander: { title: 'Bar' } });
+      await writePackage(packageDir);
+
+      const config = await new ConfigLoader({ baseDir: packageDir }).load();
+
+      assert.strictEqual(config.filePath, path.join(baseDir, 'package.json'));
+      assert.strictEqual(config.baseDir, baseDir);
+      assert.strictEqual(config.title, 'Bar');
+    });
+
+    it('should throw an error when no configuration file is found', async() => {
+      await writePackage(baseDir);
+
+      await assert.rejects(configLoader.load(), { message: 'Unable to find configuration file!' });
+    });
+
+    it('should find and load YAML configuration file', async() => {
+      await writeFile(path.join(baseDir, '.branderrc.yml'), [
+        'name: foo',
+        'defaults: &defaults',
+        '  sizes: [ 16, 32 ]',
+        'tasks:',
+        '  - task: convert',
+        '    input: { files: "*.svg" }',
+        '    output: { format: png }',
+        '    options: *defaults'
+      ].join('\n'));
+
+      const config = await configLoader.load();
+
+      assert.strictEqual(config.filePath, path.join(baseDir, '.branderrc.yml'));
+      assert.strictEqual(config.name, 'foo');
+      assert.deepEqual(config.tasks[0].options, { sizes: [ 16, 32 ] });
+    });
+
+    it('should find and load TOML configuration file', async() => {
+      await writeFile(path.join(baseDir, '.branderrc.toml'), [
+        'name = "foo"',
+        '',
+        '[[tasks]]',
+        'task = "convert"',
+        'input = { files = "*.svg" }',
+        'output = { format = "png" }'
+      ].join('\n'));
+
+      const config = await configLoader.load();
+
+      assert.strictEqual(config.filePath, path.join(baseDir, '.branderrc.toml'));
+      assert.strictEqual(config.name, 'foo');
+      assert.deepEqual(config.tasks[0].output, { format: 'png' });
+    });
+
+    it('should merge extended configuration with tasks and docs overridden by id', async() => {
+      const convertTask = (id, format) => ({ id, task: 'convert', input: { files: '*.svg' }, output: { format } });
+      await writeFile(path.join(baseDir, 'base.json'), JSON.stringify({
+        name: 'foo',
+        docs: [ { id: 'readme', doc: 'README.md' }, { id: 'changes', doc: 'CHANGES.md' } ],
+        options: { assets: { dir: 'art' }, docs: { dir: 'documentation' } },
+        tasks: [ convertTask('png', 'png'), convertTask('image', 'jpeg') ]
+      }));
+      await writeFile(path.join(baseDir, '.branderrc.json'), JSON.stringify({
+        extends: './base.json',
+        docs: [ { id: 'readme', doc: 'README.markdown' } ],
+        options: { docs: { dir: 'docs' } },
+        tasks: [ convertTask('image', 'webp'), convertTask('ico', 'ico') ]
+      }));
+
+      const config = await configLoader.load();
+
+      assert.deepEqual(config.sourceFilePaths, [
+        path.join(baseDir, '.branderrc.json'),
+        path.join(baseDir, 'base.json')
+      ]);
+      assert.strictEqual(config.name, 'foo');
+      assert.strictEqual(config.assetsDir, 'art');
+      assert.strictEqual(config.docsDir, 'docs');
+      assert.deepEqual(config.docs.map((doc) => doc.doc), [ 'README.markdown', 'CHANGES.md' ]);
+      assert.deepEqual(config.tasks.map((task) => task.id), [ 'png', 'image', 'ico' ]);
+      assert.deepEqual(config.tasks.map((task) => task.output.format), [ 'png', 'webp', 'ico' ]);
+    });
+
+    it('should resolve helpers and templates within extended npm package from its own directory', async() => {
+      const presetDir = path.join(baseDir, 'node_modules', 'brander-preset-foo');
+      const helpersDir = path.join(presetDir, 'node_modules', 'brander-helpers-foo');
+      await mkdir(helpersDir, { recursive: true });
+      await writePackage(presetDir, { name: 'brander-preset-foo', exports: './preset.json' });
+      await writeFile(path.join(presetDir, 'preset.json'), JSON.stringify({
+        docs: [
+          {
+            doc: 'README.md',
+            sections: [ { type: ' Template ', file: 'templates/intro.md' } ]
+          }
+        ],
+        helpers: 'brander-helpers-foo'
+      }));
+      await writePackage(helpersDir, { name: 'brander-helpers-foo', type: 'module', exports: './index.mjs' });
+      await writeFile(path.join(helpersDir, 'index.mjs'), 'export const shout = (value) => value.toUpperCase();');
+      await writeFile(path.join(baseDir, '.branderrc.json'), JSON.stringify({ extends: 'brander-preset-foo' }));
+
+      const config = await configLoader.load();
+
+      assert.deepEqual(config.sourceFilePaths, [
+        path.join(baseDir, '.branderrc.json'),
+        path.join(presetDir, 'preset.json'),
+        path.join(helpersDir, 'index.mjs')
+      ]);
+      assert.strictEqual(config.docs[0].sections[0].file, path.join(presetDir, 'templates', 'intro.md'));
+      assert.strictEqual(config.evaluate('${shout("foo")}'), 'FOO');
+    });
+
+    it('should expose variables and helpers to expressions', async() => {
+      await writeFile(path.join(baseDir, 'helpers.mjs'), [
+        'export const version = \'ignored\';',
+        'export const shout = (value) => value.toUpperCase();',
+        'export default { wrap: (value) => `[${value}]` };'
+      ].join('\n'));
+      await writeFile(path.join(baseDir, '.branderrc.json'), JSON.stringify({
+        helpers: './helpers.mjs',
+        variables: { version: '1.2.3' }
+      }));
+
+      const config = await configLoader.load();
+
+      assert.deepEqual(Object.keys(config.helpers).sort(), [ 'shout', 'wrap' ]);
+      assert.deepEqual(config.variables, { version: '1.2.3' });
+      assert.ok(config.sourceFilePaths.includes(path.join(baseDir, 'helpers.mjs')));
+      assert.strictEqual(config.evaluate('${wrap(shout("v" + vars.version))}'), '[V1.2.3]');
+      assert.strictEqual(config.evaluate('${shout}', { shout: 'overridden' }), 'overridden');
+    });
+
+    it('should throw an error when helpers module exports a function with a reserved name', async() => {
+      await writeFile(path.join(baseDir, 'helpers.mjs'), 'export const vars = () => null;');
+      await writeFile(path.join(baseDir, '.branderrc.json'), JSON.stringify({ helpers: './helpers.mjs' }));
+
+      await assert.rejects(configLoader.load(), {
+        message: 'Helpers module "./helpers.mjs" exports a function with a reserved name: vars'
+      });
+    });
+
+    it('should throw an error when helpers module exports no functions', async() => {
+      await writeFile(path.join(baseDir, 'helpers.mjs'), 'export const version = \'1.2.3\';');
+      await writeFile(path.join(baseDir, '.branderrc.json'), JSON.stringify({ helpers: './helpers.mjs' }));
+
+      await assert.rejects(configLoader.load(), {
+        message: 'Helpers module "./helpers.mjs" does not export any functions'
+      });
+    });
+
+    it('should throw an error when variables is not an object', async() => {
+      await writeFile(path.join(baseDir, '.branderrc.json'), JSON.stringify({ variables: [ '1.2.3' ] }));
+
+      await assert.rejects(configLoader.load(), {
+        message: `Invalid configuration file: ${path.join(baseDir, '.branderrc.json')}\n  - variables: must be object`
+      });
+    });
+
+    it('should replace disabled tasks within "dependsOn" with their own dependencies', async() => {
+      const convertTask = (id, data) => Object.assign({
+        id,
+        task: 'convert',
+        input: { files: '*.svg' },
+        output: { format: 'png' }
+      }, data);
+      await writeFile(path.join(baseDir, '.branderrc.json'), JSON.stringify({
+        profiles: {
+          release: { tasks: { publish: true } }
+        },
+        tasks: [
+          convertTask('clean', { dependsOn: [] }),
+          convertTask('render'),
+          convertTask('optimize', { dependsOn: 'render', enabled: false }),
+          convertTask('package', { dependsOn: [ 'clean', 'optimize' ] }),
+          convertTask('publish', { dependsOn: 'package', enabled: false }),
+          convertTask('notify', { dependsOn: [ 'publish' ] }),
+          convertTask('verify', { dependsOn: [ 'render' ], enabled: false }),
+          convertTask('report', { dependsOn: [ 'render', 'verify' ] })
+        ]
+      }));
+
+      let config = await configLoader.load();
+
+      assert.deepEqual(config.tasks.map((task) => [ task.id, task.dependsOn ]), [
+        [ 'clean', [] ],
+        [ 'render', undefined ],
+        [ 'package', [ 'clean', 'render' ] ],
+        [ 'notify', [ 'package' ] ],
+        [ 'report', [ 'render' ] ]
+      ]);
+
+      config = await new ConfigLoader({ baseDir, profile: 'release' }).load();
+
+      assert.deepEqual(config.tasks.map((task) => [ task.id, task.dependsOn ]), [
+        [ 'clean', [] ],
+        [ 'render', undefined ],
+        [ 'package', [ 'clean', 'render' ] ],
+        [ 'publish', [ 'package' ] ],
+        [ 'notify', [ 'publish' ] ],
+        [ 'report', [ 'render' ] ]
+      ]);
+    });
+
+    it('should fall back to positional ordering when disabled task within "dependsOn" has no dependencies', async() => {
+      await writeFile(path.join(baseDir, '.branderrc.json'), JSON.stringify({
+        tasks: [
+          { id: 'render', task: 'convert', input: { files: '*.svg' }, output: { format: 'png' } },
+          { id: 'optimize', task: 'optimize', input: { files: '*.svg' }, enabled: false },
+          {
+            id: 'package',
+            task: 'package',
+            input: { files: '*.png' },
+            output: { format: 'ico' },
+            dependsOn: 'optimize'
+          }
+        ]
+      }));
+
+      const config = await configLoader.load();
+
+      assert.deepEqual(config.tasks.map((task) => task.id), [ 'render', 'package' ]);
+      assert.ok(!('dependsOn' in config.tasks[1]));
+    });
+  });
+
+  describe('#parse', () => {
+    it('should parse JSON with comments', () => {
+      assert.deepEqual(configLoader.parse(Buffer.from('{\n  // foo\n  "name": "foo"\n}'), '.branderrc'),
+        { name: 'foo' });
+    });
+
+    it('should throw an error including line and column when YAML is invalid', () => {
+      const filePath = path.join(baseDir, '.branderrc.yaml');
+
+      assert.throws(() => configLoader.parse(Buffer.from('name: foo\ntasks: [ foo\n'), filePath), {
+        message: new RegExp(`^Unable to parse configuration file: ${escapeRegExp(filePath)} \\(line 3, column 1\\): `)
+      });
+    });
+
+    it('should throw an error including line and column when TOML is invalid', () => {
+      const filePath = path.join(baseDir, '.branderrc.toml');
+
+      assert.throws(() => configLoader.parse(Buffer.from('name = "foo"\ntasks = [ foo ]\n'), filePath), {
+        message: new RegExp(`^Unable to parse configuration file: ${escapeRegExp(filePath)} \\(line 2, column 11\\): `)
+      });
+    });
+
+    it('should throw an error when file type is unsupported', () => {
+      assert.throws(() => configLoader.parse(Buffer.from(''), 'brander.xml'), {
+        message: 'Unsupported configuration file type: brander.xml'
+      });
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+
+import { ConfigValidator } from '../../src/config/config-validator.mjs';
+import { TaskService } from '../../src/task/task-service.mjs';
+
+describe('ConfigValidator', () => {
+  let configValidator;
+
+  before(async() => {
+    await TaskService.getInstance().getAll();
+  });
+
+  beforeEach(() => {
+    configValidator = new ConfigValidator();
+  });
+
+  describe('#validate', () => {
+    it('should accept valid configuration data', async() => {
+      await configValidator.validate({
+        name: 'foo',
+        tasks: [
+          { task: ' Convert ', input: { files: '*.svg' }, output: { format: 'png' } }
+        ]
+      }, null);
+    });
+
+    it('should ignore properties whose values are functions', async() => {
+      await configValidator.validate({
+        name: 'foo',
+        tasks: [
+          {
+            task: 'convert',
+            input: { files: '*.svg' },
+            output: { format: 'png', files: ({ file }) => file.name },
+            options: { groupBy: ({ file }) => file.name }
+          }
+        ]
+      }, null);
+    });
+
+    it('should throw an error including path to each invalid value', async() => {
+      const tasks = [
+        { task: 'convert', input: { files: '*.svg' }, output: { format: 'png' } },
+        { task: 'convert', input: { files: '*.svg' }, output: { format: 'png' } },
+        { task: 'convert', input: { files: '*.svg' }, output: { format: 'png' } },
+        { task: 'convert', input: { files: '*.svg' }, output: { format: 42 }, foo: true }
+      ];
+
+      await assert.rejects(() => configValidator.validate({ tasks }, '/path/to/brander.json'), {
+        message: [
+          'Invalid configuration file: /path/to/brander.json',
+          '  - tasks[3].foo: is not allowed',
+          '  - tasks[3].output.format: must be string'
+        ].join('\n')
+      });
+    });
+
+    it('should throw an error listing allowed values when task type is unknown', async() => {
+      await assert.rejects(() => configValidator.validate({
+        tasks: [ { task: 'foo', input: { files: '*.svg' } } ]
+      }, null), (error) => {
+        const [ heading, problem ] = error.message.split('\n');
+
+        assert.strictEqual(heading, 'Invalid configuration');
+        assert.match(problem, /^ {2}- tasks\[0\]\.task: must be equal to one of the allowed values: .*\bconvert\b/);
+        return true;
+      });
+    });
+  });
+});
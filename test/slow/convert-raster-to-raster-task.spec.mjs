@@ -0,0 +1,116 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+import { mkdir, mkdtemp, readdir, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { rimraf } from 'rimraf';
+import sharp from 'sharp';
+
+import { Brander } from '../../src/brander.mjs';
+import { ConfigLoader } from '../../src/config/config-loader.mjs';
+
+describe('ConvertRasterToRasterTask', () => {
+  let baseDir;
+
+  const generate = async(...tasks) => {
+    await writeFile(path.join(baseDir, 'brander.json'), JSON.stringify({ name: 'foo', tasks }));
+
+    const config = await new ConfigLoader({ baseDir }).load('brander.json');
+
+    return new Brander(config).generate({ skipDocs: true });
+  };
+  const readMetadata = (fileName) => sharp(path.join(baseDir, 'assets', fileName)).metadata();
+
+  beforeEach(async() => {
+    baseDir = await mkdtemp(path.join(tmpdir(), 'brander-convert-raster-'));
+
+    await mkdir(path.join(baseDir, 'assets'));
+    await sharp({ create: { background: '#f00', channels: 4, height: 20, width: 40 } })
+      .png()
+      .toFile(path.join(baseDir, 'assets', 'logo.png'));
+  });
+
+  afterEach(async() => {
+    await rimraf(baseDir);
+  });
+
+  for (const [ format, expectedFormat ] of [
+    [ 'avif', 'heif' ],
+    [ 'gif', 'gif' ],
+    [ 'jpeg', 'jpeg' ],
+    [ 'jpg', 'jpeg' ],
+    [ 'png', 'png' ],
+    [ 'tiff', 'tiff' ],
+    [ 'webp', 'webp' ]
+  ]) {
+    it(`should convert PNG file to ${format.toUpperCase()} files for each size`, async() => {
+      await generate({
+        task: 'convert',
+        input: { files: 'logo.png' },
+        output: { format },
+        options: { sizes: [ 16, 32 ] }
+      });
+
+      for (const size of [ 16, 32 ]) {
+        const metadata = await readMetadata(`logo-${size}x${size}.${format}`);
+
+        assert.strictEqual(metadata.format, expectedFormat);
+        assert.strictEqual(metadata.width, size);
+        assert.strictEqual(metadata.height, size);
+      }
+    });
+  }
+
+  it('should convert AVIF file', async() => {
+    await sharp(path.join(baseDir, 'assets', 'logo.png')).avif().toFile(path.join(baseDir, 'assets', 'logo.avif'));
+
+    await generate({ task: 'convert', input: { files: '*.avif' }, output: { format: 'png' } });
+
+    const metadata = await readMetadata('logo.png');
+
+    assert.strictEqual(metadata.format, 'png');
+    assert.strictEqual(metadata.width, 40);
+  });
+
+  it('should ignore input files generated from other input files', async() => {
+    const task = { task: 'convert', input: { files: '*.png' }, output: { format: 'png' }, options: { sizes: [ 16 ] } };
+
+    await generate(task);
+    await generate(task);
+
+    assert.deepEqual((await readdir(path.join(baseDir, 'assets'))).sort(), [ 'logo-16x16.png', 'logo.png' ]);
+  });
+
+  it('should throw an error when output file would overwrite input file', async() => {
+    await assert.rejects(generate({ task: 'convert', input: { files: '*.png' }, output: { format: 'png' } }), {
+      message: 'Output file cannot overwrite input file: assets/logo.png'
+    });
+  });
+
+  it('should throw an error when output format is not supported', async() => {
+    await assert.rejects(generate({ task: 'convert', input: { files: '*.png' }, output: { format: 'svg' } }), {
+      message: '"task" configuration has no supporting tasks: convert'
+    });
+  });
+});
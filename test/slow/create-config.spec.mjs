@@ -0,0 +1,98 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+import { mkdtemp, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { rimraf } from 'rimraf';
+
+import * as brander from '../../src/brander.mjs';
+import { createConfig } from '../../src/config/create-config.mjs';
+
+describe('createConfig', () => {
+  let baseDir;
+
+  beforeEach(async() => {
+    baseDir = await mkdtemp(path.join(tmpdir(), 'brander-create-config-'));
+  });
+
+  afterEach(async() => {
+    await rimraf(baseDir);
+  });
+
+  it('should be exported by brander', () => {
+    assert.strictEqual(brander.createConfig, createConfig);
+  });
+
+  it('should create configuration within base directory without configuration file', async() => {
+    await writeFile(path.join(baseDir, 'package.json'), JSON.stringify({ name: 'foo', version: '1.2.3' }));
+
+    const config = await createConfig({ title: 'Foo' }, { baseDir: path.relative(process.cwd(), baseDir) });
+
+    assert.strictEqual(config.baseDir, baseDir);
+    assert.strictEqual(config.filePath, null);
+    assert.deepEqual(config.sourceFilePaths, []);
+    assert.strictEqual(config.title, 'Foo');
+    assert.strictEqual(config.pkg.filePath, path.join(baseDir, 'package.json'));
+    assert.strictEqual(config.pkg.get('version'), '1.2.3');
+    assert.strictEqual(config.resolve('assets'), path.join(baseDir, 'assets'));
+  });
+
+  it('should resolve extended configuration from base directory and apply profile and options', async() => {
+    await writeFile(path.join(baseDir, 'base.json'), JSON.stringify({
+      name: 'foo',
+      options: { concurrency: 2 },
+      profiles: {
+        ci: { options: { assets: { dir: 'art' } } }
+      }
+    }));
+
+    const config = await createConfig({ extends: './base.json', title: 'Foo' }, {
+      baseDir,
+      options: { concurrency: 4 },
+      profile: 'ci'
+    });
+
+    assert.deepEqual(config.sourceFilePaths, [ path.join(baseDir, 'base.json') ]);
+    assert.strictEqual(config.name, 'foo');
+    assert.strictEqual(config.title, 'Foo');
+    assert.strictEqual(config.assetsDir, 'art');
+    assert.strictEqual(config.concurrency, 4);
+  });
+
+  it('should throw an error when "baseDir" option is missing', async() => {
+    await assert.rejects(createConfig({ name: 'foo' }), { message: '"baseDir" option is required' });
+  });
+
+  it('should throw an error when data is not an object', async() => {
+    await assert.rejects(createConfig(null, { baseDir }), {
+      message: 'Configuration data can only be an object: null (object)'
+    });
+  });
+
+  it('should throw an error when data is invalid', async() => {
+    await assert.rejects(createConfig({ tasks: {} }, { baseDir }), {
+      message: 'Invalid configuration\n  - tasks: must be array'
+    });
+  });
+});
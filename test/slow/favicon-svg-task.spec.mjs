@@ -0,0 +1,154 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+import { mkdir, mkdtemp, readFile, readdir, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { rimraf } from 'rimraf';
+import sharp from 'sharp';
+
+import { Brander } from '../../src/brander.mjs';
+import { ConfigLoader } from '../../src/config/config-loader.mjs';
+import { Size } from '../../src/size.mjs';
+
+describe('FaviconSvgTask', () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 10">' +
+    '<rect width="20" height="10" fill="#f00"/></svg>';
+
+  let baseDir;
+
+  const generate = async(options) => {
+    await writeFile(path.join(baseDir, 'brander.json'), JSON.stringify({
+      name: 'foo',
+      title: 'Foo & Bar',
+      options: { renderer: 'sharp' },
+      tasks: [ { task: 'favicon', input: { files: 'logo.svg' }, output: { dir: 'favicon' }, options } ]
+    }));
+
+    const config = await new ConfigLoader({ baseDir }).load('brander.json');
+
+    return new Brander(config).generate({ skipDocs: true });
+  };
+  const readOutput = (fileName, encoding) => readFile(path.join(baseDir, 'assets', 'favicon', fileName), encoding);
+  const readSizes = async(fileName) => Size.fromImage(await readOutput(fileName)).map((size) => size.toString());
+
+  beforeEach(async() => {
+    baseDir = await mkdtemp(path.join(tmpdir(), 'brander-favicon-'));
+
+    await mkdir(path.join(baseDir, 'assets'));
+    await writeFile(path.join(baseDir, 'assets', 'logo.svg'), svg);
+  });
+
+  afterEach(async() => {
+    await rimraf(baseDir);
+  });
+
+  it('should generate all favicon files', async() => {
+    await generate({ backgroundColor: '#00f', themeColor: '#0f0' });
+
+    assert.deepEqual((await readdir(path.join(baseDir, 'assets', 'favicon'))).sort(), [
+      'android-chrome-192x192.png',
+      'android-chrome-512x512.png',
+      'apple-touch-icon.png',
+      'browserconfig.xml',
+      'favicon-16x16.png',
+      'favicon-32x32.png',
+      'favicon.html',
+      'favicon.ico',
+      'favicon.svg',
+      'site.webmanifest'
+    ]);
+    assert.deepEqual(await readSizes('favicon.ico'), [ '16x16', '32x32', '48x48' ]);
+    assert.deepEqual(await readSizes('favicon-16x16.png'), [ '16x16' ]);
+    assert.deepEqual(await readSizes('favicon-32x32.png'), [ '32x32' ]);
+    assert.deepEqual(await readSizes('apple-touch-icon.png'), [ '180x180' ]);
+    assert.deepEqual(await readSizes('android-chrome-192x192.png'), [ '192x192' ]);
+    assert.deepEqual(await readSizes('android-chrome-512x512.png'), [ '512x512' ]);
+    assert.match(await readOutput('favicon.svg', 'utf8'), /viewBox="0 0 20 10"/);
+  });
+
+  it('should fill letterboxing of Apple touch icon with background color only', async() => {
+    await generate({ backgroundColor: '#00f' });
+
+    const getCorner = async(fileName) => {
+      const data = await sharp(await readOutput(fileName)).ensureAlpha().raw().toBuffer();
+
+      return Array.from(data.subarray(0, 4));
+    };
+
+    assert.deepEqual(await getCorner('apple-touch-icon.png'), [ 0, 0, 255, 255 ]);
+    assert.deepEqual((await getCorner('android-chrome-192x192.png')).slice(3), [ 0 ]);
+  });
+
+  it('should generate HTML, web app manifest, and browser configuration using options', async() => {
+    await generate({ backgroundColor: '#00f', publicPath: '/static', shortName: 'Foo', themeColor: '#0f0' });
+
+    assert.strictEqual(await readOutput('favicon.html', 'utf8'), [
+      '<link rel="icon" href="/static/favicon.ico" sizes="48x48">',
+      '<link rel="icon" href="/static/favicon.svg" type="image/svg+xml">',
+      '<link rel="icon" href="/static/favicon-32x32.png" sizes="32x32" type="image/png">',
+      '<link rel="icon" href="/static/favicon-16x16.png" sizes="16x16" type="image/png">',
+      '<link rel="apple-touch-icon" href="/static/apple-touch-icon.png" sizes="180x180">',
+      '<link rel="manifest" href="/static/site.webmanifest">',
+      '<meta name="msapplication-config" content="/static/browserconfig.xml">',
+      '<meta name="theme-color" content="#0f0">',
+      ''
+    ].join('\n'));
+    assert.deepEqual(JSON.parse(await readOutput('site.webmanifest', 'utf8')), {
+      name: 'Foo & Bar',
+      short_name: 'Foo',
+      icons: [
+        { src: '/static/android-chrome-192x192.png', sizes: '192x192', type: 'image/png' },
+        { src: '/static/android-chrome-512x512.png', sizes: '512x512', type: 'image/png' }
+      ],
+      theme_color: '#0f0',
+      background_color: '#00f',
+      display: 'standalone'
+    });
+    assert.strictEqual(await readOutput('browserconfig.xml', 'utf8'), [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<browserconfig>',
+      '  <msapplication>',
+      '    <tile>',
+      '      <TileColor>#00f</TileColor>',
+      '    </tile>',
+      '  </msapplication>',
+      '</browserconfig>',
+      ''
+    ].join('\n'));
+  });
+
+  it('should throw an error when multiple input files are matched', async() => {
+    await writeFile(path.join(baseDir, 'brander.json'), JSON.stringify({
+      name: 'foo',
+      tasks: [ { task: 'favicon', input: { files: '*.svg' } } ]
+    }));
+    await writeFile(path.join(baseDir, 'assets', 'other.svg'), svg);
+
+    const config = await new ConfigLoader({ baseDir }).load('brander.json');
+
+    await assert.rejects(new Brander(config).generate({ skipDocs: true }), {
+      message: '"favicon" tasks can only have a single input file: 2 files found'
+    });
+  });
+});
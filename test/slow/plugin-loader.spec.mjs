@@ -0,0 +1,139 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+import { mkdtemp, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { rimraf } from 'rimraf';
+
+import { PluginLoader } from '../../src/config/plugin-loader.mjs';
+import { TaskService } from '../../src/task/task-service.mjs';
+
+describe('PluginLoader', () => {
+  const srcUrl = (filePath) => pathToFileURL(path.resolve('src', filePath)).href;
+
+  let baseDir;
+  let pluginLoader;
+  let tasks;
+
+  beforeEach(async() => {
+    baseDir = await mkdtemp(path.join(tmpdir(), 'brander-plugin-loader-'));
+    pluginLoader = new PluginLoader();
+    tasks = [];
+
+    await writeFile(path.join(baseDir, 'base.mjs'), `
+import { Task } from '${srcUrl('task/task.mjs')}';
+import { TaskType } from '${srcUrl('task/task-type.mjs')}';
+
+const type = TaskType.register('plugin');
+
+export class BaseTask extends Task {
+  getType() {
+    return type;
+  }
+
+  supports(context) {
+    return context.type === type;
+  }
+}
+`);
+  });
+
+  afterEach(async() => {
+    const taskService = TaskService.getInstance();
+
+    for (const task of tasks) {
+      await taskService.remove(task);
+    }
+
+    await rimraf(baseDir);
+  });
+
+  const getPluginTasks = async() => {
+    tasks = (await TaskService.getInstance().getAll()).filter((task) => task.getType().name === 'plugin');
+
+    return tasks.map((task) => task.constructor.name);
+  };
+
+  describe('#load', () => {
+    it('should register exported implementations, ignoring abstract base classes', async() => {
+      await writeFile(path.join(baseDir, 'plugin.mjs'), `
+import { BaseTask } from './base.mjs';
+
+export { BaseTask } from './base.mjs';
+
+export class FooTask extends BaseTask {
+  async executeOperation() {}
+}
+
+export default class BarTask extends BaseTask {
+  async execute() {
+    return [];
+  }
+}
+
+export const helper = () => {};
+`);
+
+      await pluginLoader.load([ './plugin.mjs' ], baseDir);
+
+      assert.deepEqual((await getPluginTasks()).sort(), [ 'BarTask', 'FooTask' ]);
+    });
+
+    it('should only register implementations of plugin once', async() => {
+      await writeFile(path.join(baseDir, 'plugin.mjs'), `
+import { BaseTask } from './base.mjs';
+
+export class FooTask extends BaseTask {
+  async executeOperation() {}
+}
+`);
+
+      await pluginLoader.load([ './plugin.mjs', path.join(baseDir, 'plugin.mjs') ], baseDir);
+
+      assert.deepEqual(await getPluginTasks(), [ 'FooTask' ]);
+    });
+
+    it('should throw an error when plugin only exports abstract base classes', async() => {
+      await assert.rejects(pluginLoader.load([ './base.mjs' ], baseDir), {
+        message: 'Plugin "./base.mjs" does not export any Task, DocumentProvider, or RepositoryProvider implementations'
+      });
+    });
+
+    it('should throw an error when plugin cannot be resolved', async() => {
+      await assert.rejects(pluginLoader.load([ 'brander-plugin-missing' ], baseDir), {
+        message: /^Unable to resolve plugin "brander-plugin-missing": /
+      });
+    });
+
+    it('should throw an error when plugins are invalid', async() => {
+      await assert.rejects(pluginLoader.load('./plugin.mjs', baseDir), {
+        message: '"plugins" configuration can only be an array: ./plugin.mjs (string)'
+      });
+      await assert.rejects(pluginLoader.load([ ' ' ], baseDir), {
+        message: '"plugins" configuration cannot contain null or empty names'
+      });
+    });
+  });
+});
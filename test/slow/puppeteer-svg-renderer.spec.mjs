@@ -0,0 +1,93 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+import sharp from 'sharp';
+
+import { PuppeteerSvgRenderer } from '../../src/render/puppeteer-svg-renderer.mjs';
+
+describe('PuppeteerSvgRenderer', () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10">' +
+    '<rect width="10" height="10" fill="red"/></svg>';
+  const config = {
+    concurrency: 1,
+    option: (name) => (name === 'puppeteer' ? { args: [ '--no-sandbox' ] } : undefined)
+  };
+
+  let renderer;
+
+  beforeEach(() => {
+    renderer = new PuppeteerSvgRenderer(config);
+  });
+
+  afterEach(async() => {
+    await renderer.destroy();
+  });
+
+  const skipWithoutChromium = async function() {
+    try {
+      await renderer.render(svg, { format: 'png', height: 1, width: 1 });
+    } catch (e) {
+      if (/Could not find expected browser/.test(e.message)) {
+        this.skip();
+      }
+
+      throw e;
+    }
+  };
+
+  describe('#destroy', () => {
+    it('should reject renders waiting for a converter', async() => {
+      const rendering = renderer.render(svg, { format: 'png', height: 16, width: 16 });
+      const waiting = renderer.render(svg, { format: 'png', height: 16, width: 16 });
+
+      await renderer.destroy();
+
+      await assert.rejects(waiting, { message: 'Renderer was destroyed while waiting for a converter' });
+      await Promise.allSettled([ rendering ]);
+    });
+
+    it('should allow renderer to be used again', async function() {
+      await skipWithoutChromium.call(this);
+
+      await renderer.destroy();
+
+      const output = await renderer.render(svg, { format: 'png', height: 16, width: 16 });
+      const { format, height, width } = await sharp(output).metadata();
+
+      assert.deepEqual({ format, height, width }, { format: 'png', height: 16, width: 16 });
+    });
+  });
+
+  describe('#render', () => {
+    it('should render WEBP images using lossy compression', async function() {
+      await skipWithoutChromium.call(this);
+
+      const output = await renderer.render(svg, { format: 'webp', height: 16, width: 16 });
+      const { format, height, width } = await sharp(output).metadata();
+
+      assert.deepEqual({ format, height, width }, { format: 'webp', height: 16, width: 16 });
+      assert.ok(output.includes('VP8 '));
+      assert.ok(!output.includes('VP8L'));
+    });
+  });
+});
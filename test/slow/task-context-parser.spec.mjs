@@ -0,0 +1,90 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+
+import { TaskContextParser } from '../../src/task/task-context-parser.mjs';
+
+describe('TaskContextParser', () => {
+  const buildDependencyGraph = (dataSet) => new TaskContextParser(dataSet, {}).dependencyGraph;
+
+  const getDependencies = (graph) => graph.order.map((index) => graph.getDependencies(index));
+
+  describe('#buildDependencyGraph', () => {
+    it('should make tasks without "dependsOn" depend on all tasks before them', () => {
+      const graph = buildDependencyGraph([ { task: 'clean' }, { task: 'convert' }, { task: 'optimize' } ]);
+
+      assert.deepEqual(graph.order, [ 0, 1, 2 ]);
+      assert.deepEqual(getDependencies(graph), [ [], [ 0 ], [ 0, 1 ] ]);
+    });
+
+    it('should make tasks with "dependsOn" depend only on tasks with matching IDs', () => {
+      const graph = buildDependencyGraph([
+        { task: 'package', dependsOn: [ 'png', ' svg ' ] },
+        { id: 'png', task: 'convert', dependsOn: [] },
+        { id: 'svg', task: 'optimize', dependsOn: 'png' }
+      ]);
+
+      assert.deepEqual(graph.order, [ 1, 2, 0 ]);
+      assert.deepEqual(graph.getDependencies(0), [ 1, 2 ]);
+      assert.deepEqual(graph.getDependencies(1), []);
+      assert.deepEqual(graph.getDependencies(2), [ 1 ]);
+    });
+
+    it('should throw an error when dependencies are circular, identifying tasks by ID or position', () => {
+      assert.throws(() => buildDependencyGraph([
+        { id: 'foo', task: 'convert', dependsOn: 'bar' },
+        { id: 'bar', task: 'convert', dependsOn: 'foo' }
+      ]), { message: 'Circular dependency detected: foo -> bar -> foo' });
+      assert.throws(() => buildDependencyGraph([
+        { task: 'convert', dependsOn: 'foo' },
+        { id: 'foo', task: 'convert' }
+      ]), { message: 'Circular dependency detected: tasks[0] -> foo -> tasks[0]' });
+    });
+
+    it('should throw an error when "dependsOn" contains an unknown ID', () => {
+      assert.throws(() => buildDependencyGraph([
+        { id: 'foo', task: 'convert' },
+        { task: 'convert', dependsOn: 'bar' }
+      ]), { message: '"dependsOn" configuration contains an unknown task ID: bar' });
+      assert.throws(() => buildDependencyGraph([ { task: 'convert', dependsOn: [ 1 ] } ]),
+        { message: '"dependsOn" configuration contains an unknown task ID: 1' });
+    });
+
+    it('should throw an error when "dependsOn" is invalid', () => {
+      assert.throws(() => buildDependencyGraph([ { task: 'convert', dependsOn: 1 } ]),
+        { message: '"dependsOn" configuration can only be a string or an array: 1 (number)' });
+    });
+
+    it('should throw an error when "id" is duplicated', () => {
+      assert.throws(() => buildDependencyGraph([ { id: 'foo', task: 'convert' }, { id: ' foo', task: 'optimize' } ]),
+        { message: '"id" configuration must be unique: foo' });
+    });
+
+    it('should throw an error when "id" is invalid', () => {
+      assert.throws(() => buildDependencyGraph([ { id: 1, task: 'convert' } ]),
+        { message: '"id" configuration can only be a string: 1 (number)' });
+      assert.throws(() => buildDependencyGraph([ { id: ' ', task: 'convert' } ]),
+        { message: '"id" configuration cannot be empty' });
+    });
+  });
+});
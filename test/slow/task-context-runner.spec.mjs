@@ -0,0 +1,115 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+import { mkdir, mkdtemp, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { setTimeout } from 'node:timers/promises';
+import { rimraf } from 'rimraf';
+
+import { createConfig } from '../../src/config/create-config.mjs';
+import { Task } from '../../src/task/task.mjs';
+import { TaskContextParser } from '../../src/task/task-context-parser.mjs';
+import { TaskContextRunner } from '../../src/task/task-context-runner.mjs';
+import { TaskService } from '../../src/task/task-service.mjs';
+import { TaskType } from '../../src/task/task-type.mjs';
+
+describe('TaskContextRunner', () => {
+  const type = TaskType.register('wait');
+
+  class WaitTask extends Task {
+    maxPending = 0;
+    pending = 0;
+    performed = 0;
+
+    async executeOperation() {
+      this.pending++;
+      this.maxPending = Math.max(this.maxPending, this.pending);
+
+      await setTimeout(10);
+
+      this.pending--;
+      this.performed++;
+    }
+
+    getType() {
+      return type;
+    }
+
+    async plan(context) {
+      return context.inputFiles.map((inputFile) => ({ inputFiles: [ inputFile ], outputFile: null }));
+    }
+
+    supports(context) {
+      return context.type === type;
+    }
+  }
+
+  let baseDir;
+  let task;
+
+  beforeEach(async() => {
+    baseDir = await mkdtemp(path.join(tmpdir(), 'brander-task-context-runner-'));
+    task = new WaitTask();
+
+    await mkdir(path.join(baseDir, 'assets'));
+
+    for (const name of [ 'a', 'b', 'c', 'd' ]) {
+      await writeFile(path.join(baseDir, 'assets', `${name}.txt`), name);
+    }
+
+    await TaskService.getInstance().add(task);
+  });
+
+  afterEach(async() => {
+    await TaskService.getInstance().remove(task);
+    await rimraf(baseDir);
+  });
+
+  describe('#run', () => {
+    const run = async(concurrency) => {
+      const config = await createConfig({
+        name: 'foo',
+        options: { concurrency },
+        tasks: [ 'a', 'b', 'c' ].map((id) => ({ id, dependsOn: [], task: 'wait', input: { files: '*.txt' } }))
+      }, { baseDir });
+      const parser = new TaskContextParser(config.tasks, config);
+
+      await new TaskContextRunner(parser, config).run();
+    };
+
+    it('should share concurrency limit between operations of all contexts', async() => {
+      await run(3);
+
+      assert.strictEqual(task.performed, 12);
+      assert.strictEqual(task.maxPending, 3);
+    });
+
+    it('should perform all operations sequentially when concurrency is 1', async() => {
+      await run(1);
+
+      assert.strictEqual(task.performed, 12);
+      assert.strictEqual(task.maxPending, 1);
+    });
+  });
+});
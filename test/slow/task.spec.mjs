@@ -0,0 +1,150 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+import { mkdtemp, readFile, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { rimraf } from 'rimraf';
+
+import { createLimiter } from '../../src/concurrency.mjs';
+import { File } from '../../src/file.mjs';
+import { Task } from '../../src/task/task.mjs';
+import { TaskCache } from '../../src/task/task-cache.mjs';
+
+describe('Task', () => {
+  let baseDir;
+  let config;
+  let inputFile;
+  let outputFile;
+
+  beforeEach(async() => {
+    baseDir = await mkdtemp(path.join(tmpdir(), 'brander-task-'));
+    config = {
+      concurrency: 2,
+      limit: createLimiter(2),
+      logger: { log: () => {} },
+      option: (name, defaultValue) => defaultValue,
+      relative: (filePath) => path.relative(baseDir, filePath),
+      resolve: (...filePaths) => path.resolve(baseDir, ...filePaths)
+    };
+    inputFile = new File(baseDir, 'input.svg', 'svg', config, true);
+    outputFile = new File(baseDir, 'output.png', 'png', config, true);
+
+    await writeFile(inputFile.absolute, 'input');
+  });
+
+  afterEach(async() => {
+    await rimraf(baseDir);
+  });
+
+  describe('#execute', () => {
+    class CopyTask extends Task {
+      executed = 0;
+
+      async executeOperation(operation) {
+        this.executed++;
+
+        await writeFile(operation.outputFile.absolute, await readFile(operation.inputFiles[0].absolute));
+      }
+
+      getType() {
+        return { name: 'copy' };
+      }
+
+      async plan(context) {
+        return [ { inputFiles: context.inputFiles, options: context.options, outputFile: context.outputFile } ];
+      }
+    }
+
+    const createContext = (cache, options = { quality: 80 }) => ({
+      cache,
+      config,
+      inputFiles: [ inputFile ],
+      options,
+      outputFile
+    });
+
+    it('should perform operations whose output has not been recorded', async() => {
+      const task = new CopyTask();
+
+      const outputs = await task.execute(createContext(new TaskCache(config)));
+
+      assert.strictEqual(task.executed, 1);
+      assert.deepEqual(outputs.map((output) => output.filePath), [ 'output.png' ]);
+      assert.strictEqual(await readFile(outputFile.absolute, 'utf8'), 'input');
+    });
+
+    it('should skip operations whose output is up to date', async() => {
+      const cache = new TaskCache(config);
+      const task = new CopyTask();
+
+      const outputs = await task.execute(createContext(cache));
+
+      assert.deepEqual(await task.execute(createContext(cache)), outputs);
+      assert.strictEqual(task.executed, 1);
+    });
+
+    it('should perform operations again when contents of input file have changed', async() => {
+      const cache = new TaskCache(config);
+      const task = new CopyTask();
+
+      await task.execute(createContext(cache));
+      await writeFile(inputFile.absolute, 'changed input');
+      await task.execute(createContext(cache));
+
+      assert.strictEqual(task.executed, 2);
+      assert.strictEqual(await readFile(outputFile.absolute, 'utf8'), 'changed input');
+    });
+
+    it('should perform operations again when options have changed', async() => {
+      const cache = new TaskCache(config);
+      const task = new CopyTask();
+
+      await task.execute(createContext(cache));
+      await task.execute(createContext(cache, { quality: 90 }));
+
+      assert.strictEqual(task.executed, 2);
+    });
+
+    it('should perform operations again when contents of output file have changed', async() => {
+      const cache = new TaskCache(config);
+      const task = new CopyTask();
+
+      await task.execute(createContext(cache));
+      await writeFile(outputFile.absolute, 'changed output');
+      await task.execute(createContext(cache));
+
+      assert.strictEqual(task.executed, 2);
+      assert.strictEqual(await readFile(outputFile.absolute, 'utf8'), 'input');
+    });
+
+    it('should always perform operations when caching is disabled', async() => {
+      const task = new CopyTask();
+
+      await task.execute(createContext(null));
+      await task.execute(createContext(null));
+
+      assert.strictEqual(task.executed, 2);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/*
+ * Copyright (C) 2023 neocotic
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import assert from 'node:assert';
+import { mkdir, mkdtemp, readFile, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { Writable } from 'node:stream';
+import { rimraf } from 'rimraf';
+
+import { ConfigLoader } from '../../src/config/config-loader.mjs';
+import { Logger } from '../../src/logger.mjs';
+import { Watcher } from '../../src/watcher.mjs';
+
+describe('Watcher', () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><rect width="10" height="10"/></svg>';
+
+  let baseDir;
+  let configLoader;
+  let output;
+  let watcher;
+
+  const waitFor = async(predicate, timeout = 5000) => {
+    const start = Date.now();
+
+    while (!predicate()) {
+      if (Date.now() - start > timeout) {
+        throw new Error('Timed out waiting for condition');
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+  };
+
+  const count = (message) => output.split('\n').filter((line) => line.includes(message)).length;
+
+  beforeEach(async() => {
+    baseDir = await mkdtemp(path.join(tmpdir(), 'brander-watcher-'));
+    output = '';
+
+    await mkdir(path.join(baseDir, 'assets', 'other'), { recursive: true });
+    await writeFile(path.join(baseDir, 'assets', 'logo.svg'), svg);
+    await writeFile(path.join(baseDir, 'assets', 'foo.tmp'), 'foo');
+    await mkdir(path.join(baseDir, 'templates'));
+    await writeFile(path.join(baseDir, 'templates', 'usage.md'), 'Use it');
+    await writeFile(path.join(baseDir, 'brander.json'), JSON.stringify({
+      name: 'foo',
+      docs: [
+        {
+          type: 'root',
+          doc: 'README.md',
+          sections: [ { type: 'template', title: 'Usage', file: 'templates/usage.md' } ]
+        }
+      ],
+      tasks: [
+        { task: 'optimize', input: { files: '*.svg' } },
+        { task: 'optimize', input: { dir: 'other', files: '*.svg' } },
+        { task: 'clean', input: { files: '*.tmp' } }
+      ]
+    }));
+
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        output += chunk.toString();
+        callback();
+      }
+    });
+    configLoader = new ConfigLoader({
+      baseDir,
+      logger: new Logger({ errorStream: stream, outputStream: stream })
+    });
+
+    watcher = new Watcher(configLoader, { delay: 50, filePath: 'brander.json', skipDocs: true });
+  });
+
+  afterEach(async() => {
+    await watcher.close();
+    await rimraf(baseDir);
+  });
+
+  describe('#findAffectedTaskIndices', () => {
+    it('should return indices of tasks whose input files match changes, excluding clean tasks', async() => {
+      await watcher.start();
+
+      assert.deepEqual([ ...watcher.findAffectedTaskIndices([ path.join(baseDir, 'assets', 'foo.svg') ]) ], [ 0 ]);
+      assert.deepEqual([ ...watcher.findAffectedTaskIndices([ path.join(baseDir, 'assets', 'other', 'foo.svg') ]) ],
+        [ 1 ]);
+      assert.deepEqual([ ...watcher.findAffectedTaskIndices([ path.join(baseDir, 'assets', 'foo.tmp') ]) ], []);
+    });
+  });
+
+  describe('#isDocumentAffected', () => {
+    const config = {
+      assetsDir: 'assets',
+      resolve: (...paths) => path.resolve(baseDir, ...paths)
+    };
+    const createContext = (type, data = {}, children = []) => ({
+      children,
+      config,
+      type,
+      get: (name) => data[name]
+    });
+
+    it('should return whether asset feature document is affected by changes within assets directory', () => {
+      const context = createContext('asset-feature');
+
+      assert.ok(watcher.isDocumentAffected(context, [ path.join(baseDir, 'assets', 'foo.svg') ]));
+      assert.ok(!watcher.isDocumentAffected(context, [ path.join(baseDir, 'foo.svg') ]));
+    });
+
+    it('should return whether template document is affected by changes to its template file', () => {
+      const context = createContext('template', { file: 'templates/foo.md' });
+
+      assert.ok(watcher.isDocumentAffected(context, [ path.join(baseDir, 'templates', 'foo.md') ]));
+      assert.ok(!watcher.isDocumentAffected(context, [ path.join(baseDir, 'templates', 'bar.md') ]));
+      assert.ok(!watcher.isDocumentAffected(createContext('template', { content: 'foo' }), [
+        path.join(baseDir, 'templates', 'foo.md')
+      ]));
+    });
+
+    it('should return whether any child document is affected by changes', () => {
+      const context = createContext('root', {}, [
+        createContext('template', { file: 'templates/foo.md' }),
+        createContext('container', {}, [ createContext('asset-feature') ])
+      ]);
+
+      assert.ok(watcher.isDocumentAffected(context, [ path.join(baseDir, 'templates', 'foo.md') ]));
+      assert.ok(watcher.isDocumentAffected(context, [ path.join(baseDir, 'assets', 'foo.svg') ]));
+      assert.ok(!watcher.isDocumentAffected(context, [ path.join(baseDir, 'templates', 'bar.md') ]));
+    });
+  });
+
+  describe('#start', () => {
+    it('should regenerate affected tasks once without being triggered again by their own outputs', async() => {
+      await watcher.start();
+
+      assert.strictEqual(count('Optimized SVG file: assets/logo.svg'), 1);
+      assert.strictEqual(count('Cleaned file: assets/foo.tmp'), 1);
+
+      await writeFile(path.join(baseDir, 'assets', 'logo.svg'), svg.replace('10"/>', '10" fill="red"/>'));
+
+      await waitFor(() => count('Optimized SVG file: assets/logo.svg') === 2);
+      // Allow for any changes triggered by regeneration to settle
+      await new Promise((resolve) => setTimeout(resolve, 500));
+
+      assert.strictEqual(count('File changed:'), 1);
+      assert.strictEqual(count('Optimized SVG file: assets/logo.svg'), 2);
+      // Previously generated "logo.min.svg" is also matched by the task's input files but only once
+      assert.strictEqual(count('Optimized SVG file: assets/logo.min.svg'), 1);
+      assert.strictEqual(count('Cleaned file: assets/foo.tmp'), 1);
+    });
+
+    it('should only regenerate documents when template file changes', async() => {
+      watcher = new Watcher(configLoader, { delay: 50, filePath: 'brander.json' });
+
+      await watcher.start();
+
+      const readme = path.join(baseDir, 'docs', 'README.md');
+
+      assert.match(await readFile(readme, 'utf8'), /Use it/);
+
+      await writeFile(path.join(baseDir, 'templates', 'usage.md'), 'Use it wisely');
+
+      await waitFor(() => count('File changed: templates/usage.md') === 1);
+      await waitFor(() => count('Done!') === 2);
+
+      assert.match(await readFile(readme, 'utf8'), /Use it wisely/);
+      assert.strictEqual(count('Optimized SVG file: assets/logo.svg'), 1);
+      assert.strictEqual(count('Cleaned file: assets/foo.tmp'), 1);
+    });
+  });
+});